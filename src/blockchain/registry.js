@@ -100,8 +100,9 @@ export class BlockchainRegistry {
 
   /**
    * Register a dMail identity on-chain
+   * @param {Uint8Array} encryptionPublicKey - Current encryption subkey
    */
-  async registerIdentity(name, identity) {
+  async registerIdentity(name, identity, encryptionPublicKey = identity.encryptionPublicKey) {
     if (!this.signer) {
       throw new Error('Signer required for registration');
     }
@@ -110,7 +111,7 @@ export class BlockchainRegistry {
     }
 
     const signingKey = '0x' + Buffer.from(identity.publicKey).toString('hex');
-    const encryptionKey = '0x' + Buffer.from(identity.encryptionPublicKey).toString('hex');
+    const encryptionKey = '0x' + Buffer.from(encryptionPublicKey).toString('hex');
 
     const tx = await this.contract.register(
       name,
@@ -128,6 +129,40 @@ export class BlockchainRegistry {
     };
   }
 
+  /**
+   * Anchor a key rotation on-chain for a registered name
+   * The signing key never changes, it is the dMail address.
+   * @param {string} name - Registered name (must be owned by the signer)
+   * @param {Identity} identity - Identity the name points to
+   * @param {Uint8Array} encryptionPublicKey - New encryption subkey
+   */
+  async updateKeys(name, identity, encryptionPublicKey) {
+    if (!this.signer) {
+      throw new Error('Signer required for key updates');
+    }
+    if (!this.contract) {
+      throw new Error('Contract not available on this network');
+    }
+
+    const registered = await this.lookupByName(name);
+    if (!registered || registered.dmailAddress !== identity.address) {
+      throw new Error(`Name '${name}' is not registered to ${identity.address}`);
+    }
+
+    const signingKey = '0x' + Buffer.from(identity.publicKey).toString('hex');
+    const encryptionKey = '0x' + Buffer.from(encryptionPublicKey).toString('hex');
+
+    const tx = await this.contract.updateKeys(name, signingKey, encryptionKey);
+
+    const receipt = await tx.wait();
+    return {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      name,
+      encryptionKey: encryptionKey.slice(2)
+    };
+  }
+
   /**
    * Look up identity by human-readable name
    */
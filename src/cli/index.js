@@ -8,9 +8,17 @@
  * - send: Send an encrypted email
  * - inbox: View inbox
  * - read: Read a specific message
+ * - sent: Sent mail with delivery and read receipts
  * - node: Start the P2P node
  * - register: Register identity on blockchain
  * - lookup: Look up an identity
+ * - sessions: List or delete forward-secret ratchet sessions
+ * - keys: Rotate or revoke encryption subkeys
+ * - devices: Link, list or revoke devices of an identity
+ * - contacts: Pinned contact keys and safety numbers
+ * - group: Encrypted groups with signed rosters and sender keys
+ * - recover: Restore an identity from its recovery phrase
+ * - recovery: Social recovery with trusted contacts (setup/send/collect/restore)
  */
 
 import { Command } from 'commander';
@@ -19,13 +27,90 @@ import inquirer from 'inquirer';
 import { Identity, IdentityStore, addressToPublicKey } from '../crypto/identity.js';
 import { DMailNode } from '../network/node.js';
 import { BlockchainRegistry } from '../blockchain/registry.js';
-import { createMessage, parseMessage } from '../protocol/message.js';
+import {
+  openEnvelope,
+  sealEnvelope,
+  envelopeFormat,
+  expiryFromDuration,
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSIONS,
+  LATEST_VERSION
+} from '../protocol/envelope.js';
 import { IPFSStorage, AttachmentManager } from '../storage/ipfs.js';
-import { readFileSync, existsSync } from 'fs';
+import { SecureKeyStore } from '../crypto/secure-storage.js';
+import { generateMnemonic, validateMnemonic } from '../crypto/mnemonic.js';
+import { Keyring } from '../crypto/subkeys.js';
+import { ContactBook, CONTACT_STATUS } from '../crypto/contacts.js';
+import { DeviceLinkRequest, LinkedDevices } from '../crypto/devices.js';
+import { GROUP_ROLE } from '../crypto/groups.js';
+import {
+  RecoveryShare,
+  RecoveryShareStore,
+  createRecoveryShares,
+  recoverIdentity,
+  groupRecoveryShares
+} from '../crypto/recovery.js';
+import {
+  exportBackup,
+  importBackup,
+  isBackupContainer,
+  readStoreRecords,
+  restoreStoreRecords,
+  restoreSessionRecords
+} from '../crypto/backup.js';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { join, basename } from 'path';
+import { hostname } from 'os';
 
 const program = new Command();
 
+/**
+ * Open the identity store and unlock it with the store password
+ * Prompts for the password (and sets it on first use) unless DMAIL_PASSWORD is set
+ * @returns {Promise<IdentityStore|null>} - null if the store could not be unlocked
+ */
+async function unlockIdentityStore() {
+  const store = new IdentityStore();
+  let password = process.env.DMAIL_PASSWORD;
+
+  if (!password) {
+    const isNew = !(await store.hasPassword());
+    const answers = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: isNew ? 'Choose a password to encrypt your identities:' : 'Identity store password:',
+        mask: '*',
+        validate: (input) => input.length > 0 || 'Password required'
+      },
+      {
+        type: 'password',
+        name: 'confirm',
+        message: 'Confirm password:',
+        mask: '*',
+        when: isNew
+      }
+    ]);
+
+    if (isNew && answers.password !== answers.confirm) {
+      console.log(chalk.red('Passwords do not match.'));
+      await store.close();
+      return null;
+    }
+    password = answers.password;
+  }
+
+  try {
+    await store.unlock(password);
+  } catch (e) {
+    console.log(chalk.red(`Could not unlock identity store: ${e.message}`));
+    await store.close();
+    return null;
+  }
+
+  return store;
+}
+
 program
   .name('dmail')
   .description('Decentralized P2P Email - No servers, fully encrypted, blockchain-anchored')
@@ -36,8 +121,12 @@ program
   .command('init')
   .description('Create a new dMail identity')
   .option('-n, --name <name>', 'Name for this identity', 'default')
+  .option('-m, --mnemonic', 'Derive the identity from a new recovery phrase', false)
+  .option('-l, --link <address>', 'Create a device key for an existing account instead')
+  .option('--device-name <deviceName>', 'Device name shown on the primary device', hostname())
   .action(async (options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
 
     // Check if identity already exists
     const existing = await store.getIdentity(options.name);
@@ -48,9 +137,24 @@ program
       return;
     }
 
+    if (options.link) {
+      await createLinkedDevice(store, options);
+      await store.close();
+      return;
+    }
+
     // Generate new identity
     console.log(chalk.blue('Generating new identity...'));
-    const identity = Identity.generate();
+    let identity;
+    if (options.mnemonic) {
+      identity = await createMnemonicIdentity();
+      if (!identity) {
+        await store.close();
+        return;
+      }
+    } else {
+      identity = Identity.generate();
+    }
 
     await store.saveIdentity(options.name, identity);
 
@@ -58,11 +162,150 @@ program
     console.log(chalk.white('Your dMail address:'));
     console.log(chalk.cyan.bold(`  ${identity.address}\n`));
     console.log(chalk.gray('Share this address with others so they can send you encrypted emails.'));
-    console.log(chalk.gray('Your private key is stored securely in ~/.dmail/identity\n'));
+    console.log(chalk.gray('Your private key is stored encrypted with your password in ~/.dmail/secure-keys\n'));
 
     // Show backup warning
-    console.log(chalk.yellow('⚠ IMPORTANT: Back up your identity!'));
-    console.log(chalk.gray(`  Run: dmail export --name ${options.name}`));
+    if (options.mnemonic) {
+      console.log(chalk.yellow('⚠ IMPORTANT: Your recovery phrase is the backup of this identity.'));
+      console.log(chalk.gray(`  Restore it on another device with: dmail recover --name ${options.name}`));
+    } else {
+      console.log(chalk.yellow('⚠ IMPORTANT: Back up your identity!'));
+      console.log(chalk.gray(`  Run: dmail export --name ${options.name}`));
+    }
+
+    await store.close();
+  });
+
+/**
+ * Create a device key for an existing account and print its link code
+ */
+async function createLinkedDevice(store, options) {
+  let device;
+  try {
+    device = Identity.generateDevice(options.link);
+  } catch (e) {
+    console.log(chalk.red(`Invalid account address: ${options.link}`));
+    return;
+  }
+
+  await store.saveIdentity(options.name, device);
+
+  console.log(chalk.green('\n✓ Device key created\n'));
+  console.log(`${chalk.gray('Account:')} ${chalk.cyan(device.account)}`);
+  console.log(`${chalk.gray('Device ID:')} ${device.deviceId}\n`);
+  printLinkCode(device, options.deviceName);
+}
+
+/**
+ * Print the code a new device is linked with
+ */
+function printLinkCode(device, deviceName) {
+  const request = DeviceLinkRequest.create(device, deviceName);
+  console.log(chalk.white('On your primary device, run:'));
+  console.log(chalk.cyan(`  dmail devices link ${request.toCode()}\n`));
+  console.log(chalk.gray('The code is valid for 24 hours. This device receives mail once it is linked.'));
+}
+
+/**
+ * Generate a recovery phrase, have the user write it down, and derive the identity
+ * @returns {Promise<Identity|null>} - null if the user failed the phrase check
+ */
+async function createMnemonicIdentity() {
+  const mnemonic = generateMnemonic();
+  const words = mnemonic.split(' ');
+
+  console.log(chalk.red('\n⚠ Write down these words in order and keep them offline.'));
+  console.log(chalk.red('  Anyone with this phrase can read ALL your emails.\n'));
+  for (let i = 0; i < words.length; i += 4) {
+    const row = words.slice(i, i + 4).map((word, j) => `${String(i + j + 1).padStart(2)}. ${word.padEnd(10)}`);
+    console.log(chalk.white(`  ${row.join('  ')}`));
+  }
+  console.log();
+
+  const { passphrase, confirmPassphrase } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Optional passphrase (leave empty for none):',
+      mask: '*'
+    },
+    {
+      type: 'password',
+      name: 'confirmPassphrase',
+      message: 'Confirm passphrase:',
+      mask: '*',
+      when: (answers) => answers.passphrase.length > 0
+    }
+  ]);
+
+  if (passphrase && passphrase !== confirmPassphrase) {
+    console.log(chalk.red('Passphrases do not match.'));
+    return null;
+  }
+
+  // Check a few random words before relying on the phrase as the only backup
+  const positions = [];
+  while (positions.length < 3) {
+    const position = Math.floor(Math.random() * words.length);
+    if (!positions.includes(position)) positions.push(position);
+  }
+  positions.sort((a, b) => a - b);
+
+  const answers = await inquirer.prompt(positions.map(position => ({
+    type: 'input',
+    name: `word${position}`,
+    message: `Word #${position + 1}:`
+  })));
+
+  for (const position of positions) {
+    if (answers[`word${position}`].trim().toLowerCase() !== words[position]) {
+      console.log(chalk.red('Recovery phrase check failed. No identity was created.'));
+      return null;
+    }
+  }
+
+  return Identity.fromMnemonic(mnemonic, passphrase);
+}
+
+// Recover an identity from its recovery phrase
+program
+  .command('recover')
+  .description('Restore an identity from its recovery phrase')
+  .option('-n, --name <name>', 'Name for the recovered identity', 'default')
+  .action(async (options) => {
+    const { mnemonic, passphrase } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'mnemonic',
+        message: 'Recovery phrase:',
+        mask: '*',
+        validate: (input) => validateMnemonic(input) || 'Invalid recovery phrase (check spelling and word order)'
+      },
+      {
+        type: 'password',
+        name: 'passphrase',
+        message: 'Passphrase (leave empty if none):',
+        mask: '*'
+      }
+    ]);
+
+    const identity = Identity.fromMnemonic(mnemonic, passphrase);
+
+    const store = await unlockIdentityStore();
+    if (!store) return;
+
+    const existing = await store.getIdentity(options.name);
+    if (existing && existing.address !== identity.address) {
+      console.log(chalk.red(`Identity '${options.name}' already exists with a different address.`));
+      console.log(chalk.gray('  Choose another name with --name'));
+      await store.close();
+      return;
+    }
+
+    await store.saveIdentity(options.name, identity);
+    console.log(chalk.green(`\n✓ Identity recovered as '${options.name}'`));
+    console.log(chalk.cyan(`  Address: ${identity.address}`));
+    console.log(chalk.gray('  A wrong passphrase silently yields a different address. Check it matches the one you expect.'));
 
     await store.close();
   });
@@ -79,8 +322,9 @@ program
       console.log(chalk.yellow('No identities found. Run `dmail init` to create one.'));
     } else {
       console.log(chalk.blue('\nYour identities:\n'));
-      for (const { name, address } of identities) {
-        console.log(`  ${chalk.white(name)}: ${chalk.cyan(address)}`);
+      for (const { name, address, account } of identities) {
+        const device = account ? chalk.gray(` (device of ${account})`) : '';
+        console.log(`  ${chalk.white(name)}: ${chalk.cyan(address)}${device}`);
       }
       console.log();
     }
@@ -93,14 +337,25 @@ program
   .command('export')
   .description('Export identity for backup')
   .option('-n, --name <name>', 'Identity name', 'default')
+  .option('-a, --all', 'Export every identity in the store', false)
+  .option('--include-sessions', 'Include ratchet sessions in the backup', false)
   .action(async (options) => {
-    const store = new IdentityStore();
-    const identity = await store.getIdentity(options.name);
-
-    if (!identity) {
-      console.log(chalk.red(`Identity '${options.name}' not found.`));
-      await store.close();
-      return;
+    const store = await unlockIdentityStore();
+    if (!store) return;
+
+    const names = options.all
+      ? (await store.listIdentities()).map(({ name }) => name)
+      : [options.name];
+
+    const identities = [];
+    for (const name of names) {
+      const identity = await store.getIdentity(name);
+      if (!identity) {
+        console.log(chalk.red(`Identity '${name}' not found.`));
+        await store.close();
+        return;
+      }
+      identities.push({ name, identity });
     }
 
     // SECURITY: Never output private keys to console!
@@ -109,7 +364,7 @@ program
       {
         type: 'confirm',
         name: 'confirm',
-        message: chalk.red('⚠ WARNING: This will display your PRIVATE KEY. Anyone with this key can read ALL your emails. Are you sure?'),
+        message: chalk.red('⚠ WARNING: This will export your PRIVATE KEY. Anyone with this key can read ALL your emails. Are you sure?'),
         default: false
       }
     ]);
@@ -134,41 +389,56 @@ program
     ]);
 
     if (method === 'file') {
-      const { password } = await inquirer.prompt([
+      const { password, confirmPassword } = await inquirer.prompt([
         {
           type: 'password',
           name: 'password',
           message: 'Enter encryption password for backup file:',
+          mask: '*',
+          validate: (input) => input.length > 0 || 'Password required'
+        },
+        {
+          type: 'password',
+          name: 'confirmPassword',
+          message: 'Confirm backup password:',
           mask: '*'
         }
       ]);
 
-      const { scrypt } = await import('@noble/hashes/scrypt');
-      const { chacha20poly1305 } = await import('@noble/ciphers/chacha');
-      const { randomBytes, writeFileSync } = await import('crypto');
-      const fs = await import('fs');
-
-      const salt = randomBytes(16);
-      const key = scrypt(new TextEncoder().encode(password), salt, { N: 2**17, r: 8, p: 1, dkLen: 32 });
-      const nonce = randomBytes(12);
-      const cipher = chacha20poly1305(key, nonce);
-      const plaintext = new TextEncoder().encode(JSON.stringify(identity.toJSON()));
-      const ciphertext = cipher.encrypt(plaintext);
-
-      const exportData = {
-        version: 1,
-        salt: Buffer.from(salt).toString('base64'),
-        nonce: Buffer.from(nonce).toString('base64'),
-        ciphertext: Buffer.from(ciphertext).toString('base64')
-      };
-
-      const filename = `dmail-backup-${options.name}-${Date.now()}.json`;
-      fs.writeFileSync(filename, JSON.stringify(exportData, null, 2));
+      if (password !== confirmPassword) {
+        console.log(chalk.red('Passwords do not match.'));
+        await store.close();
+        return;
+      }
+
+      const sessions = {};
+      const contacts = {};
+      for (const { identity } of identities) {
+        if (options.includeSessions) {
+          const sessionStore = SecureKeyStore.forIdentity(identity, 'sessions');
+          sessions[identity.address] = await readStoreRecords(sessionStore);
+          await sessionStore.close();
+        }
+
+        // Contacts carry pinned and verified keys, losing them resets trust
+        const contactStore = SecureKeyStore.forIdentity(identity, 'contacts');
+        contacts[identity.address] = await readStoreRecords(contactStore);
+        await contactStore.close();
+      }
+
+      const backup = exportBackup({ identities, sessions, contacts }, password);
+
+      const label = options.all ? 'all' : options.name;
+      const filename = `dmail-backup-${label}-${Date.now()}.json`;
+      writeFileSync(filename, JSON.stringify(backup, null, 2), { mode: 0o600 });
       console.log(chalk.green(`\n✓ Encrypted backup saved to: ${filename}`));
+      console.log(chalk.gray(`  Identities: ${identities.length}${options.includeSessions ? ', with ratchet sessions' : ''}`));
       console.log(chalk.gray('Keep this file and your password safe!'));
     } else {
       console.log(chalk.red('\n⚠ SECURITY WARNING: Clear your terminal after viewing!\n'));
-      console.log(JSON.stringify(identity.toJSON(), null, 2));
+      for (const { identity } of identities) {
+        console.log(JSON.stringify(identity.toJSON(), null, 2));
+      }
       console.log(chalk.red('\n⚠ Run `clear` or `history -c` to remove from terminal history'));
     }
 
@@ -179,31 +449,90 @@ program
 program
   .command('import')
   .description('Import identity from backup')
-  .option('-n, --name <name>', 'Name for imported identity')
+  .option('-n, --name <name>', 'Name for imported identity (single-identity backups)')
+  .option('-f, --file <path>', 'Encrypted backup file written by `dmail export`')
   .action(async (options) => {
-    const { backup } = await inquirer.prompt([
-      {
-        type: 'editor',
-        name: 'backup',
-        message: 'Paste your identity backup JSON:'
+    let json;
+    try {
+      if (options.file) {
+        json = JSON.parse(readFileSync(options.file, 'utf-8'));
+      } else {
+        const { backup } = await inquirer.prompt([
+          {
+            type: 'editor',
+            name: 'backup',
+            message: 'Paste your identity backup JSON:'
+          }
+        ]);
+        json = JSON.parse(backup);
       }
-    ]);
+    } catch (e) {
+      console.log(chalk.red('Failed to read backup:', e.message));
+      return;
+    }
 
-    try {
-      const json = JSON.parse(backup);
-      const identity = Identity.fromJSON(json);
+    let restored;
+    if (isBackupContainer(json)) {
+      const { password } = await inquirer.prompt([
+        {
+          type: 'password',
+          name: 'password',
+          message: 'Backup password:',
+          mask: '*'
+        }
+      ]);
 
-      const name = options.name || `imported-${Date.now()}`;
-      const store = new IdentityStore();
-      await store.saveIdentity(name, identity);
+      try {
+        restored = importBackup(json, password);
+      } catch (e) {
+        console.log(chalk.red(`Failed to decrypt backup: ${e.message}`));
+        return;
+      }
+    } else {
+      // Plaintext identity JSON shown by `dmail export` on screen
+      try {
+        restored = { identities: [{ name: null, identity: Identity.fromJSON(json) }], sessions: {}, contacts: {} };
+      } catch (e) {
+        console.log(chalk.red('Failed to import identity:', e.message));
+        return;
+      }
+    }
+
+    const store = await unlockIdentityStore();
+    if (!store) return;
+
+    const single = restored.identities.length === 1;
+    for (const { name: backupName, identity } of restored.identities) {
+      const name = (single && options.name) || backupName || `imported-${Date.now()}`;
+
+      const existing = await store.getIdentity(name);
+      if (existing && existing.address !== identity.address) {
+        console.log(chalk.yellow(`Skipping '${name}': a different identity already uses that name`));
+        continue;
+      }
 
+      await store.saveIdentity(name, identity);
       console.log(chalk.green(`\n✓ Identity imported as '${name}'`));
       console.log(chalk.cyan(`  Address: ${identity.address}`));
 
-      await store.close();
-    } catch (e) {
-      console.log(chalk.red('Failed to import identity:', e.message));
+      const records = restored.sessions[identity.address];
+      if (records && records.length > 0) {
+        const sessionStore = SecureKeyStore.forIdentity(identity, 'sessions');
+        const count = await restoreSessionRecords(sessionStore, records);
+        await sessionStore.close();
+        console.log(chalk.gray(`  Restored ${count} ratchet store records`));
+      }
+
+      const contactRecords = restored.contacts[identity.address];
+      if (contactRecords && contactRecords.length > 0) {
+        const contactStore = SecureKeyStore.forIdentity(identity, 'contacts');
+        const count = await restoreStoreRecords(contactStore, contactRecords);
+        await contactStore.close();
+        console.log(chalk.gray(`  Restored ${count} contacts`));
+      }
     }
+
+    await store.close();
   });
 
 // Send email
@@ -211,13 +540,20 @@ program
   .command('send')
   .description('Send an encrypted email')
   .option('-t, --to <address>', 'Recipient dMail address or registered name')
+  .option('-c, --cc <addresses>', 'Cc recipients, comma-separated dMail addresses')
+  .option('--bcc <addresses>', 'Bcc recipients, comma-separated dMail addresses (hidden from the others)')
   .option('-s, --subject <subject>', 'Email subject')
   .option('-b, --body <body>', 'Email body')
   .option('-f, --file <path>', 'Attach a file')
   .option('-n, --name <name>', 'Identity to send from', 'default')
   .option('--timestamp', 'Anchor message on blockchain', false)
+  .option('--envelope <version>', `Newest envelope version to use (${ENVELOPE_VERSIONS.join(', ')})`, LATEST_VERSION)
+  .option('--read-receipt', 'Ask recipients for a read receipt (sealed envelopes only)', false)
+  .option('--expire <duration>', 'Have recipients delete the message after a while: 30m, 12h, 7d (sealed envelopes only)')
+  .option('--anonymous', 'Send through an onion circuit of three relays, so none sees both you and the recipient (sealed envelopes only)', false)
   .action(async (options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
     const identity = await store.getIdentity(options.name);
 
     if (!identity) {
@@ -293,24 +629,81 @@ program
       }
     }
 
-    // Try to get recipient key from address if not from blockchain
-    if (!recipientKey) {
+    try {
+      addressToPublicKey(recipientAddress);
+    } catch (e) {
+      console.log(chalk.red('Invalid recipient address'));
+      await store.close();
+      return;
+    }
+
+    const copies = [
+      ...addressList(options.cc).map(address => ({ field: 'cc', address })),
+      ...addressList(options.bcc).map(address => ({ field: 'bcc', address }))
+    ];
+    for (const { address } of copies) {
       try {
-        recipientKey = addressToPublicKey(recipientAddress);
+        addressToPublicKey(address);
       } catch (e) {
-        console.log(chalk.red('Invalid recipient address'));
+        console.log(chalk.red(`Invalid Cc/Bcc address: ${address}`));
         await store.close();
         return;
       }
     }
 
+    // Start node (needed for key lookup and sending)
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+
+    // Wait a moment for peer discovery
+    console.log(chalk.gray('Discovering peers...'));
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Look up the recipients' signed keys and linked devices (the To key may come from blockchain)
+    let recipientKeys = { encryptionKey: recipientKey, kemKey: null, devices: [] };
+    try {
+      if (!recipientKey) {
+        recipientKeys = await node.resolveRecipient(recipientAddress);
+      }
+      for (const copy of copies) {
+        copy.keys = await node.resolveRecipient(copy.address);
+      }
+    } catch (e) {
+      console.log(chalk.red(`Could not find an encryption key for recipient: ${e.message}`));
+      console.log(chalk.gray('Recipients must run a dMail node once to publish their key.'));
+      await node.stop();
+      await store.close();
+      return;
+    }
+
     console.log(chalk.blue('\nBuilding encrypted message...'));
 
     // Build the message
-    const builder = createMessage(identity)
-      .to(recipientAddress)
-      .subject(subject)
-      .body(body);
+    let builder;
+    let expiresAt = null;
+    try {
+      builder = sealEnvelope(identity, { version: options.envelope })
+        .to(recipientAddress, recipientKeys)
+        .ratchet(node.ratchet)
+        .subject(subject)
+        .body(body);
+      for (const { field, address, keys } of copies) {
+        builder[field](address, keys);
+      }
+      if (options.readReceipt) {
+        builder.readReceipt();
+      }
+      if (options.expire) {
+        expiresAt = expiryFromDuration(options.expire);
+        builder.expiresAt(expiresAt);
+      }
+    } catch (e) {
+      console.log(chalk.red(e.message));
+      await node.stop();
+      await store.close();
+      return;
+    }
 
     // Handle attachments
     if (options.file && existsSync(options.file)) {
@@ -323,28 +716,68 @@ program
       });
     }
 
-    // Build (encrypts and computes PoW)
-    const envelope = await builder.build(recipientKey);
+    // Build (encrypts, and computes PoW for plain envelopes)
+    let envelope;
+    let deviceCopies;
+    try {
+      [envelope, ...deviceCopies] = await builder.buildAll();
+    } catch (e) {
+      console.log(chalk.red(e.message));
+      await node.stop();
+      await store.close();
+      return;
+    }
+    const sealed = envelopeFormat(envelope) === ENVELOPE_FORMAT.SEALED;
 
-    console.log(chalk.green('✓ Message encrypted'));
-    console.log(chalk.green('✓ Proof of work computed'));
+    console.log(chalk.green(`✓ Message encrypted (envelope ${envelope.version})`));
+    if (!sealed) {
+      console.log(chalk.green('✓ Proof of work computed'));
+    }
 
-    // Start node and send
-    console.log(chalk.blue('\nConnecting to P2P network...'));
-    const node = new DMailNode(identity);
-    await node.start();
+    if (options.readReceipt && !sealed) {
+      console.log(chalk.yellow('Read receipts need a sealed envelope, none requested'));
+    }
 
-    // Wait a moment for peer discovery
-    console.log(chalk.gray('Discovering peers...'));
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    if (options.anonymous && !sealed) {
+      console.log(chalk.red('Anonymous sending needs a sealed envelope'));
+      await node.stop();
+      await store.close();
+      return;
+    }
 
     // Send message
-    const messageId = await node.sendMessage(envelope);
-    console.log(chalk.green(`\n✓ Message sent!`));
+    let messageId;
+    try {
+      messageId = await node.sendMessage(envelope, deviceCopies, {
+        threadMessageId: builder.messageId,
+        recipients: [recipientAddress, ...copies.map(copy => copy.address)],
+        readReceipt: Boolean(options.readReceipt) && sealed,
+        expiresAt,
+        anonymous: Boolean(options.anonymous)
+      });
+    } catch (e) {
+      console.log(chalk.red(e.message));
+      await node.stop();
+      await store.close();
+      return;
+    }
+    const sentCopy = await node.getSentMessage(messageId);
+    console.log(chalk.green(`\n✓ Message sent${copies.length > 0 ? ` to ${copies.length + 1} recipients` : ''}!`));
     console.log(chalk.gray(`  ID: ${messageId}`));
+    console.log(chalk.gray(`  Message-ID: ${builder.messageId}`));
+    console.log(chalk.gray(`  Delivery receipts: ${sentCopy.deliveries.length} from relays`));
+    if (options.anonymous) {
+      console.log(chalk.gray('  Sent through an onion circuit'));
+    }
+    if (sentCopy.expiresAt) {
+      console.log(chalk.gray(`  Expires: ${new Date(sentCopy.expiresAt).toLocaleString()}`));
+    }
 
     // Optionally timestamp on blockchain
-    if (options.timestamp) {
+    if (options.timestamp && sealed) {
+      // The anchor names sender and recipient, which a sealed envelope hides
+      console.log(chalk.yellow('\nBlockchain timestamps need a plain envelope (--envelope 1.0.0), skipped'));
+    } else if (options.timestamp) {
       console.log(chalk.blue('\nAnchoring on blockchain...'));
       const registry = new BlockchainRegistry();
       try {
@@ -368,7 +801,8 @@ program
   .option('-n, --name <name>', 'Identity name', 'default')
   .option('-p, --port <port>', 'Port to listen on', '0')
   .action(async (options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
     const identity = await store.getIdentity(options.name);
 
     if (!identity) {
@@ -385,7 +819,7 @@ program
     // Register message handler
     node.onMessage('cli', async (envelope) => {
       try {
-        const message = await parseMessage(identity, envelope);
+        const message = await openEnvelope(identity, envelope, { keys: node.keyring });
         console.log(chalk.green.bold('\n📬 New message received!'));
         console.log(chalk.white(`  From: ${message.from.slice(0, 20)}...`));
         console.log(chalk.white(`  Subject: ${message.subject}`));
@@ -407,13 +841,52 @@ program
     });
   });
 
+/**
+ * Split a comma-separated address option
+ * @returns {string[]}
+ */
+function addressList(value) {
+  return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+/**
+ * Decrypt an inbox message of any envelope version, pinning the sender's key
+ * for sealed mail
+ * @returns {Promise<Object>} - Message as returned by openEnvelope
+ */
+async function openInboxMessage(node, identity, msg) {
+  return openEnvelope(identity, msg, {
+    sessions: node.ratchet,
+    keys: node.keyring,
+    contacts: node.contacts,
+    resealed: msg.forwardSecret === true
+  });
+}
+
+/**
+ * Coloured label for a contact status
+ */
+function contactStatusLabel(status) {
+  switch (status) {
+    case CONTACT_STATUS.VERIFIED:
+      return chalk.green('✓ verified');
+    case CONTACT_STATUS.CHANGED:
+      return chalk.red('⚠ key changed');
+    case CONTACT_STATUS.UNVERIFIED:
+      return chalk.yellow('unverified');
+    default:
+      return chalk.gray('unknown');
+  }
+}
+
 // View inbox
 program
   .command('inbox')
   .description('View your inbox')
   .option('-n, --name <name>', 'Identity name', 'default')
   .action(async (options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
     const identity = await store.getIdentity(options.name);
 
     if (!identity) {
@@ -439,9 +912,9 @@ program
         const date = new Date(msg.timestamp).toLocaleString();
 
         try {
-          const parsed = await parseMessage(identity, msg);
+          const parsed = await openInboxMessage(node, identity, msg);
           console.log(`${chalk.gray(msg.id.slice(0, 8))} ${chalk.white(parsed.subject || '(no subject)')}${unread}`);
-          console.log(`  ${chalk.gray('From:')} ${chalk.cyan(parsed.from.slice(0, 30))}...`);
+          console.log(`  ${chalk.gray('From:')} ${chalk.cyan(parsed.from.slice(0, 30))}... ${contactStatusLabel(parsed.contactStatus)}`);
           console.log(`  ${chalk.gray('Date:')} ${date}\n`);
         } catch (e) {
           console.log(`${chalk.gray(msg.id.slice(0, 8))} ${chalk.red('[Decrypt failed]')}`);
@@ -452,6 +925,8 @@ program
     }
 
     await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
     await store.close();
   });
 
@@ -460,8 +935,10 @@ program
   .command('read <messageId>')
   .description('Read a specific message')
   .option('-n, --name <name>', 'Identity name', 'default')
+  .option('--no-receipt', 'Do not send a read receipt, even if the sender asked for one')
   .action(async (messageId, options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
     const identity = await store.getIdentity(options.name);
 
     if (!identity) {
@@ -484,17 +961,34 @@ program
     }
 
     try {
-      const parsed = await parseMessage(identity, msg);
-
-      // Mark as read
-      await node.markAsRead(msg.id);
+      const parsed = await openInboxMessage(node, identity, msg);
+
+      // Mark as read, going online first if the sender gets a read receipt
+      const sendReceipt = options.receipt && !msg.read && parsed.readReceipt
+        && !identity.isLinkedDevice && await node.contacts.readReceiptsEnabled(parsed.from);
+      if (sendReceipt) {
+        console.log(chalk.gray('Sending read receipt...'));
+        await node.start();
+        await new Promise(resolve => setTimeout(resolve, 3000));
+      }
+      const receiptSent = await node.markAsRead(msg.id);
 
       console.log(chalk.blue.bold('\n' + '═'.repeat(60)));
       console.log(chalk.white.bold(`Subject: ${parsed.subject || '(no subject)'}`));
       console.log(chalk.gray(`From: ${parsed.from}`));
-      console.log(chalk.gray(`To: ${parsed.to}`));
+      console.log(chalk.gray(`To: ${[].concat(parsed.to).join(', ')}`));
+      if (parsed.cc.length > 0) {
+        console.log(chalk.gray(`Cc: ${parsed.cc.join(', ')}`));
+      }
+      if (parsed.bcc) {
+        console.log(chalk.gray('Bcc: you'));
+      }
       console.log(chalk.gray(`Date: ${new Date(parsed.timestamp).toLocaleString()}`));
       console.log(chalk.gray(`ID: ${msg.id}`));
+      console.log(chalk.gray(`Message-ID: ${parsed.messageId}`));
+      if (parsed.expiresAt) {
+        console.log(chalk.yellow(`Expires: ${new Date(parsed.expiresAt).toLocaleString()}, deleted from this device then`));
+      }
       console.log(chalk.blue.bold('═'.repeat(60) + '\n'));
       console.log(parsed.body);
       console.log(chalk.blue.bold('\n' + '═'.repeat(60) + '\n'));
@@ -508,59 +1002,1282 @@ program
 
       // Show verification status
       console.log(chalk.green('✓ Signature verified'));
-      console.log(chalk.green('✓ Proof of work valid'));
+      if (parsed.sealed) {
+        console.log(chalk.green(`✓ Sealed envelope ${parsed.version}${parsed.forwardSecret ? ', forward secret' : ''}`));
+      } else {
+        console.log(chalk.green('✓ Proof of work valid'));
+      }
+
+      if (parsed.contactStatus === CONTACT_STATUS.CHANGED) {
+        console.log(chalk.red('⚠ Sender\'s encryption key changed since you first heard from them'));
+        console.log(chalk.gray(`  Compare safety numbers: dmail contacts show ${parsed.from}`));
+        console.log(chalk.gray(`  Then accept the new key: dmail contacts accept ${parsed.from}`));
+      } else if (parsed.contactStatus) {
+        console.log(`Sender key: ${contactStatusLabel(parsed.contactStatus)}`);
+      }
+
+      if (receiptSent) {
+        console.log(chalk.green('✓ Read receipt sent'));
+      } else if (parsed.readReceipt && !msg.read) {
+        console.log(chalk.gray(`The sender asked for a read receipt, not sent (dmail contacts receipts on ${parsed.from})`));
+      }
 
     } catch (e) {
       console.log(chalk.red(`Failed to decrypt message: ${e.message}`));
     }
 
-    await node.db.close();
+    if (node.node) {
+      await node.stop();
+    } else {
+      await node.db.close();
+      await node.sessionStore.close();
+      await node.contactStore.close();
+    }
     await store.close();
   });
 
-// Register identity on blockchain
+// Sent mail
 program
-  .command('register')
-  .description('Register your identity on the blockchain')
-  .argument('<name>', 'Human-readable name to register (e.g., "alice")')
-  .option('-i, --identity <name>', 'Identity to register', 'default')
-  .option('--network <network>', 'Blockchain network', 'localhost')
-  .option('--rpc <url>', 'Custom RPC endpoint')
-  .action(async (name, options) => {
-    const store = new IdentityStore();
-    const identity = await store.getIdentity(options.identity);
+  .command('sent')
+  .description('View sent mail with delivery and read receipts')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
 
     if (!identity) {
-      console.log(chalk.red(`Identity '${options.identity}' not found.`));
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
       await store.close();
       return;
     }
 
-    const privateKey = process.env.ETH_PRIVATE_KEY;
-    if (!privateKey) {
-      console.log(chalk.red('ETH_PRIVATE_KEY environment variable required'));
-      console.log(chalk.gray('Export your Ethereum private key to register on-chain'));
-      await store.close();
-      return;
-    }
+    const node = new DMailNode(identity);
+    const messages = await node.getSentMessages();
 
-    console.log(chalk.blue(`\nRegistering '${name}' on ${options.network}...`));
+    if (messages.length === 0) {
+      console.log(chalk.yellow('\nNo sent mail.\n'));
+    } else {
+      console.log(chalk.blue.bold(`\n📤 Sent (${messages.length} messages)\n`));
 
-    const registry = new BlockchainRegistry({
-      network: options.network,
-      rpcUrl: options.rpc
-    });
+      for (const msg of messages) {
+        console.log(`${chalk.gray(msg.id.slice(0, 8))} ${chalk.white(new Date(msg.sentAt).toLocaleString())}`);
+        if (msg.recipients.length > 0) {
+          console.log(`  ${chalk.gray('To:')} ${msg.recipients.map(address => `${address.slice(0, 20)}...`).join(', ')}`);
+        }
+        if (msg.threadMessageId) {
+          console.log(`  ${chalk.gray('Message-ID:')} ${msg.threadMessageId}`);
+        }
+        const delivered = msg.deliveries.length > 0
+          ? chalk.green(`stored by ${msg.deliveries.length} relays`)
+          : chalk.yellow('no relay receipt');
+        console.log(`  ${chalk.gray('Delivery:')} ${delivered}`);
+        if (msg.expiresAt) {
+          console.log(`  ${chalk.gray('Expires:')} ${new Date(msg.expiresAt).toLocaleString()}`);
+        }
+        if (msg.readReceipt) {
+          for (const address of msg.recipients) {
+            const read = msg.reads.find(receipt => receipt.reader === address);
+            const status = read
+              ? chalk.green(`read ${new Date(read.readAt).toLocaleString()}`)
+              : chalk.gray('not read yet');
+            console.log(`  ${chalk.gray('Read:')} ${address.slice(0, 20)}... ${status}`);
+          }
+        }
+        console.log();
+      }
+    }
 
-    try {
-      await registry.connect(privateKey);
+    await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
+    await store.close();
+  });
 
-      const result = await registry.registerIdentity(name, identity);
+// Manage ratchet sessions
+const sessions = program
+  .command('sessions')
+  .description('Manage forward-secret ratchet sessions');
 
-      console.log(chalk.green('\n✓ Registration successful!'));
-      console.log(chalk.gray(`  Name: ${name}`));
-      console.log(chalk.gray(`  Address: ${identity.address}`));
-      console.log(chalk.gray(`  TX: ${result.transactionHash}`));
-      console.log(chalk.gray(`  Block: ${result.blockNumber}`));
+sessions
+  .command('list')
+  .description('List ratchet sessions')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    const node = new DMailNode(identity);
+    const list = await node.listSessions();
+
+    if (list.length === 0) {
+      console.log(chalk.yellow('\nNo ratchet sessions yet.'));
+      console.log(chalk.gray('Sessions start automatically when you exchange mail with someone.\n'));
+    } else {
+      console.log(chalk.blue.bold(`\n🔑 Ratchet sessions (${list.length})\n`));
+      for (const session of list) {
+        console.log(chalk.cyan(session.address));
+        console.log(`  ${chalk.gray('Started:')} ${new Date(session.created).toLocaleString()}`);
+        console.log(`  ${chalk.gray('Last used:')} ${new Date(session.updated).toLocaleString()}`);
+        console.log(`  ${chalk.gray('Skipped keys:')} ${session.skippedKeys}\n`);
+      }
+    }
+
+    await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
+    await store.close();
+  });
+
+sessions
+  .command('delete <address>')
+  .description('Delete the ratchet session with an address')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    const node = new DMailNode(identity);
+    await node.deleteSession(address);
+
+    console.log(chalk.green(`✓ Session with ${address} deleted`));
+    console.log(chalk.gray('The next message will start a new session.'));
+
+    await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
+    await store.close();
+  });
+
+// Manage encryption subkeys
+const keys = program
+  .command('keys')
+  .description('Rotate and revoke encryption subkeys');
+
+keys
+  .command('list')
+  .description('List encryption subkeys')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    const node = new DMailNode(identity);
+    const list = await node.listKeys();
+
+    console.log(chalk.blue.bold(`\n🔑 Encryption subkeys for ${identity.address}\n`));
+    for (const key of list) {
+      let status = key.current ? chalk.green(' [current]') : '';
+      if (key.revocation) {
+        status = chalk.red(` [revoked: ${key.revocation.reason}]`);
+      } else if (key.expires && key.expires < Date.now()) {
+        status = chalk.yellow(' [expired]');
+      }
+      console.log(`${chalk.cyan(key.keyId)}${status}`);
+      console.log(`  ${chalk.gray('Index:')} ${key.index}${key.index === 0 ? ' (address-derived)' : ''}`);
+      if (key.created) {
+        console.log(`  ${chalk.gray('Created:')} ${new Date(key.created).toLocaleString()}`);
+      }
+      console.log(`  ${chalk.gray('Expires:')} ${key.expires ? new Date(key.expires).toLocaleString() : 'never'}\n`);
+    }
+
+    await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
+    await store.close();
+  });
+
+keys
+  .command('rotate')
+  .description('Switch to a new encryption subkey and publish it')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .option('-d, --days <days>', 'Validity of the new subkey in days', '180')
+  .option('--anchor <registeredName>', 'Also update the key registered on-chain under this name')
+  .option('--network <network>', 'Blockchain network', 'localhost')
+  .option('--rpc <url>', 'Custom RPC endpoint')
+  .action(async (options) => {
+    const days = parseInt(options.days);
+    if (!(days > 0)) {
+      console.log(chalk.red('Validity must be a positive number of days.'));
+      return;
+    }
+
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    const info = await node.rotateKey(days * 24 * 60 * 60 * 1000);
+    console.log(chalk.green(`\n✓ Now encrypting to subkey ${info.keyId}`));
+    console.log(chalk.gray(`  Expires: ${new Date(info.expires).toLocaleString()}`));
+    console.log(chalk.gray('  Older subkeys stay available to read mail already sent to them.'));
+
+    if (options.anchor) {
+      await anchorEncryptionKey(options, identity, (await node.keyring.current()).publicKey);
+    }
+
+    await node.stop();
+    await store.close();
+  });
+
+keys
+  .command('revoke <keyId>')
+  .description('Revoke a compromised encryption subkey')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .option('-r, --reason <reason>', 'Revocation reason', 'compromised')
+  .option('--anchor <registeredName>', 'Also update the key registered on-chain under this name')
+  .option('--network <network>', 'Blockchain network', 'localhost')
+  .option('--rpc <url>', 'Custom RPC endpoint')
+  .action(async (keyId, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    try {
+      await node.revokeKey(keyId, options.reason);
+      const current = await node.keyring.current();
+      console.log(chalk.green(`\n✓ Subkey ${keyId} revoked`));
+      console.log(chalk.gray(`  Now encrypting to subkey ${current.keyId}`));
+
+      if (options.anchor) {
+        await anchorEncryptionKey(options, identity, current.publicKey);
+      }
+    } catch (e) {
+      console.log(chalk.red(`Revocation failed: ${e.message}`));
+    }
+
+    await node.stop();
+    await store.close();
+  });
+
+// Linked devices
+const devicesCommand = program
+  .command('devices')
+  .description('Link, list and revoke devices of an identity');
+
+devicesCommand
+  .command('link [code]')
+  .description('Link a device with its code (on the primary), or print this device\'s code (on a new device)')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .option('--device-name <deviceName>', 'Device name shown on the primary device', hostname())
+  .action(async (code, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    if (identity.isLinkedDevice) {
+      printLinkCode(identity, options.deviceName);
+      await store.close();
+      return;
+    }
+
+    if (!code) {
+      ({ code } = await inquirer.prompt([{
+        type: 'input',
+        name: 'code',
+        message: 'Link code shown on the new device:',
+        validate: (input) => input.trim().length > 0 || 'Code required'
+      }]));
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    try {
+      const device = await node.linkDevice(code);
+      console.log(chalk.green(`\n✓ Device '${device.name}' linked`));
+      console.log(chalk.gray(`  Device ID: ${device.deviceId}`));
+      console.log(chalk.gray('  Mail sent to you from now on is also sealed to this device.'));
+    } catch (e) {
+      console.log(chalk.red(`Linking failed: ${e.message}`));
+    }
+
+    await node.stop();
+    await store.close();
+  });
+
+devicesCommand
+  .command('list')
+  .description('List linked devices')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    if (identity.isLinkedDevice) {
+      console.log(chalk.blue.bold('\n📱 Linked device\n'));
+      console.log(`${chalk.gray('Account:')} ${chalk.cyan(identity.account)}`);
+      console.log(`${chalk.gray('Device ID:')} ${identity.deviceId}`);
+      console.log(chalk.gray('\nRun `dmail devices list` on the primary device to see all devices.\n'));
+      await store.close();
+      return;
+    }
+
+    const sessionStore = SecureKeyStore.forIdentity(identity, 'sessions');
+    const list = await new LinkedDevices(identity, sessionStore).list();
+
+    if (list.length === 0) {
+      console.log(chalk.yellow('\nNo linked devices.'));
+      console.log(chalk.gray(`Run \`dmail init --link ${identity.address}\` on the new device.\n`));
+    } else {
+      console.log(chalk.blue.bold(`\n📱 Devices linked to ${identity.address}\n`));
+      for (const device of list) {
+        const status = device.revoked ? chalk.red(' [revoked]') : chalk.green(' [active]');
+        console.log(`${chalk.cyan(device.deviceId)} ${chalk.white(device.name)}${status}`);
+        console.log(`  ${chalk.gray('Linked:')} ${new Date(device.linked).toLocaleString()}`);
+        if (device.revoked) {
+          console.log(`  ${chalk.gray('Revoked:')} ${new Date(device.revoked).toLocaleString()}`);
+        }
+        console.log();
+      }
+    }
+
+    await sessionStore.close();
+    await store.close();
+  });
+
+devicesCommand
+  .command('revoke <deviceId>')
+  .description('Unlink a device so it no longer receives mail')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (deviceId, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    if (identity.isLinkedDevice) {
+      console.log(chalk.red('Devices can only be revoked from the primary device.'));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    try {
+      await node.revokeDevice(deviceId);
+      console.log(chalk.green(`\n✓ Device ${deviceId} revoked`));
+      console.log(chalk.gray('  Senders stop sealing copies to it once they see the new device list.'));
+      console.log(chalk.gray('  Mail it already received stays readable on it.'));
+    } catch (e) {
+      console.log(chalk.red(`Revocation failed: ${e.message}`));
+    }
+
+    await node.stop();
+    await store.close();
+  });
+
+/**
+ * Point a registered name at a new encryption subkey with BlockchainRegistry.updateKeys
+ */
+async function anchorEncryptionKey(options, identity, encryptionPublicKey) {
+  const privateKey = process.env.ETH_PRIVATE_KEY;
+  if (!privateKey) {
+    console.log(chalk.yellow('ETH_PRIVATE_KEY not set, skipping on-chain update'));
+    return;
+  }
+
+  console.log(chalk.blue(`\nUpdating '${options.anchor}' on ${options.network}...`));
+  const registry = new BlockchainRegistry({
+    network: options.network,
+    rpcUrl: options.rpc
+  });
+
+  try {
+    await registry.connect(privateKey);
+    const result = await registry.updateKeys(options.anchor, identity, encryptionPublicKey);
+    console.log(chalk.green(`✓ Key anchored in block ${result.blockNumber}`));
+    console.log(chalk.gray(`  TX: ${result.transactionHash}`));
+  } catch (e) {
+    console.log(chalk.yellow(`On-chain key update failed: ${e.message}`));
+  }
+}
+
+/**
+ * Open the contact book of an identity without starting a node
+ * @returns {Promise<{store, identity, contacts, contactStore}|null>}
+ */
+async function openContactBook(name) {
+  const store = await unlockIdentityStore();
+  if (!store) return null;
+  const identity = await store.getIdentity(name);
+
+  if (!identity) {
+    console.log(chalk.red(`Identity '${name}' not found.`));
+    await store.close();
+    return null;
+  }
+
+  const contactStore = SecureKeyStore.forIdentity(identity, 'contacts');
+  return { store, identity, contacts: new ContactBook(identity, contactStore), contactStore };
+}
+
+// Contact book
+const contactsCommand = program
+  .command('contacts')
+  .description('Pinned contact keys and safety numbers');
+
+contactsCommand
+  .command('list')
+  .description('List contacts and the trust status of their keys')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    const list = await contacts.list();
+    if (list.length === 0) {
+      console.log(chalk.yellow('\nNo contacts yet.'));
+      console.log(chalk.gray('Senders are added when their first sealed message is read.\n'));
+    } else {
+      console.log(chalk.blue.bold(`\n👥 Contacts (${list.length})\n`));
+      for (const contact of list) {
+        const label = contact.encryptionKey ? contactStatusLabel(contact.status) : chalk.gray('no key yet');
+        console.log(`${chalk.cyan(contact.address)} ${label}`);
+        if (contact.name) {
+          console.log(`  ${chalk.gray('Name:')} ${contact.name}`);
+        }
+        if (contact.lastSeen) {
+          console.log(`  ${chalk.gray('Last seen:')} ${new Date(contact.lastSeen).toLocaleString()}`);
+        }
+        console.log();
+      }
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+contactsCommand
+  .command('show <address>')
+  .description('Show a contact and your safety number with them')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    const contact = (await contacts.list()).find(entry => entry.address === address);
+    if (!contact) {
+      console.log(chalk.red(`Unknown contact: ${address}`));
+    } else {
+      console.log(chalk.blue.bold('\n👤 Contact\n'));
+      console.log(`${chalk.gray('Address:')} ${chalk.cyan(contact.address)}`);
+      if (contact.name) {
+        console.log(`${chalk.gray('Name:')} ${contact.name}`);
+      }
+      if (contact.firstSeen) {
+        console.log(`${chalk.gray('First seen:')} ${new Date(contact.firstSeen).toLocaleString()}`);
+      }
+      const receipts = await contacts.readReceiptsEnabled(address);
+      const receiptSetting = typeof contact.readReceipts === 'boolean' ? '' : ' (default)';
+      console.log(`${chalk.gray('Read receipts:')} ${receipts ? 'on' : 'off'}${receiptSetting}`);
+
+      if (!contact.encryptionKey) {
+        console.log(chalk.gray('\nNo key pinned yet, it is pinned with their first message.\n'));
+      } else {
+        console.log(`${chalk.gray('Status:')} ${contactStatusLabel(contact.status)}`);
+        console.log(chalk.white.bold('\nSafety number:'));
+        console.log(`  ${await contacts.safetyNumber(address)}`);
+        console.log(chalk.gray('\nCompare it with your contact in person or over a trusted channel,'));
+        console.log(chalk.gray(`then run: dmail contacts verify ${address}\n`));
+
+        if (contact.changedKey) {
+          console.log(chalk.red('⚠ They have sent mail with a different encryption key.'));
+          console.log(chalk.gray('  The safety number above is for the key pinned first.'));
+          console.log(chalk.gray(`  Accept the new key with: dmail contacts accept ${address}\n`));
+        }
+      }
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+contactsCommand
+  .command('verify <address>')
+  .description('Mark a contact\'s key as verified after comparing safety numbers')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    try {
+      const number = await contacts.safetyNumber(address);
+      console.log(chalk.white.bold('\nSafety number:'));
+      console.log(`  ${number}\n`);
+
+      const { matches } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'matches',
+        message: 'Does this match the number your contact sees?',
+        default: false
+      }]);
+
+      if (matches) {
+        await contacts.verify(address);
+        console.log(chalk.green(`✓ ${address} verified`));
+      } else {
+        console.log(chalk.yellow('Not verified. A mismatch may mean someone is intercepting your mail.'));
+      }
+    } catch (e) {
+      console.log(chalk.red(`Verification failed: ${e.message}`));
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+contactsCommand
+  .command('accept <address>')
+  .description('Accept a contact\'s changed encryption key')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    try {
+      await contacts.accept(address);
+      console.log(chalk.green(`✓ New key for ${address} accepted`));
+      console.log(chalk.gray(`  It is unverified until you compare safety numbers again: dmail contacts show ${address}`));
+    } catch (e) {
+      console.log(chalk.red(`Accept failed: ${e.message}`));
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+contactsCommand
+  .command('name <address> <contactName>')
+  .description('Set a display name for a contact')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, contactName, options) => {
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    try {
+      addressToPublicKey(address);
+      await contacts.add(address, contactName);
+      console.log(chalk.green(`✓ ${address} saved as '${contactName}'`));
+    } catch (e) {
+      console.log(chalk.red(`Invalid address: ${address}`));
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+contactsCommand
+  .command('receipts <setting> [address]')
+  .description('Send read receipts to a contact: on, off or default; without an address, set the default')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (setting, address, options) => {
+    const settings = { on: true, off: false, default: null };
+    if (!(setting in settings) || (!address && settings[setting] === null)) {
+      console.log(chalk.red('Setting must be on or off, or default for a contact'));
+      return;
+    }
+
+    const opened = await openContactBook(options.name);
+    if (!opened) return;
+    const { store, contacts, contactStore } = opened;
+
+    try {
+      if (address) {
+        addressToPublicKey(address);
+        await contacts.setReadReceipts(address, settings[setting]);
+        console.log(chalk.green(`✓ Read receipts to ${address}: ${setting}`));
+      } else {
+        await contacts.setDefaultReadReceipts(settings[setting]);
+        console.log(chalk.green(`✓ Read receipts by default: ${setting}`));
+      }
+    } catch (e) {
+      console.log(chalk.red(`Invalid address: ${address}`));
+    }
+
+    await contactStore.close();
+    await store.close();
+  });
+
+/**
+ * Open an identity's node for the group commands, connected to the network
+ * for commands that send mail
+ * @returns {Promise<{store, identity, node}|null>}
+ */
+async function openGroupNode(name, online) {
+  const store = await unlockIdentityStore();
+  if (!store) return null;
+  const identity = await store.getIdentity(name);
+
+  if (!identity) {
+    console.log(chalk.red(`Identity '${name}' not found.`));
+    await store.close();
+    return null;
+  }
+  if (identity.isLinkedDevice) {
+    console.log(chalk.red('Groups are kept on the primary device.'));
+    await store.close();
+    return null;
+  }
+
+  const node = new DMailNode(identity);
+  if (online) {
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+  return { store, identity, node };
+}
+
+async function closeGroupNode({ store, node }) {
+  if (node.node) {
+    await node.stop();
+  } else {
+    await node.db.close();
+    await node.sessionStore.close();
+    await node.contactStore.close();
+  }
+  await store.close();
+}
+
+// Groups
+const groupCommand = program
+  .command('group')
+  .description('Encrypted groups with signed rosters and sender keys');
+
+groupCommand
+  .command('create <groupName>')
+  .description('Create a group with you as its admin')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (groupName, options) => {
+    const opened = await openGroupNode(options.name, false);
+    if (!opened) return;
+
+    const roster = await opened.node.groups.create(groupName);
+    console.log(chalk.green(`\n✓ Group '${groupName}' created`));
+    console.log(chalk.gray(`  Address: ${roster.group}`));
+    console.log(chalk.gray(`  Add members with: dmail group add ${roster.group} <address>`));
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('list')
+  .description('List your groups')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (options) => {
+    const opened = await openGroupNode(options.name, false);
+    if (!opened) return;
+
+    const groups = await opened.node.groups.list();
+    if (groups.length === 0) {
+      console.log(chalk.yellow('\nNo groups yet.'));
+      console.log(chalk.gray('Create one with `dmail group create <name>`, or ask an admin to add you.\n'));
+    } else {
+      console.log(chalk.blue.bold(`\n👥 Groups (${groups.length})\n`));
+      for (const group of groups) {
+        const role = group.role ? chalk.green(` [${group.role}]`) : chalk.red(' [removed]');
+        console.log(`${chalk.white(group.name)}${role}`);
+        console.log(`  ${chalk.gray('Address:')} ${chalk.cyan(group.address)}`);
+        console.log(`  ${chalk.gray('Members:')} ${group.members}, epoch ${group.epoch}\n`);
+      }
+    }
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('show <group>')
+  .description('Show the members of a group')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const opened = await openGroupNode(options.name, false);
+    if (!opened) return;
+
+    const group = await opened.node.groups.get(address);
+    if (!group) {
+      console.log(chalk.red(`Group not found: ${address}`));
+    } else {
+      const { roster } = group;
+      console.log(chalk.blue.bold(`\n👥 ${group.name}\n`));
+      console.log(`${chalk.gray('Address:')} ${chalk.cyan(group.address)}`);
+      console.log(`${chalk.gray('Roster:')} version ${roster.sequence}, epoch ${roster.epoch}, signed by ${roster.signer.slice(0, 20)}...\n`);
+      for (const member of roster.members) {
+        const you = member.address === opened.identity.address ? chalk.gray(' (you)') : '';
+        const role = member.role === GROUP_ROLE.ADMIN ? chalk.yellow(' [admin]') : '';
+        console.log(`  ${chalk.cyan(member.address)}${role}${you}`);
+      }
+      console.log();
+    }
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('add <group> <member>')
+  .description('Add a member to a group you administer')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .option('--admin', 'Make the member an admin', false)
+  .action(async (address, member, options) => {
+    try {
+      addressToPublicKey(member);
+    } catch (e) {
+      console.log(chalk.red(`Invalid member address: ${member}`));
+      return;
+    }
+
+    const opened = await openGroupNode(options.name, true);
+    if (!opened) return;
+
+    try {
+      const role = options.admin ? GROUP_ROLE.ADMIN : GROUP_ROLE.MEMBER;
+      const roster = await opened.node.addGroupMember(address, member, role);
+      console.log(chalk.green(`\n✓ ${member} added as ${role}`));
+      console.log(chalk.gray(`  Roster version ${roster.sequence} mailed to the group.`));
+      console.log(chalk.gray('  Members hand their sender keys to the new member with their next post.'));
+    } catch (e) {
+      console.log(chalk.red(`Adding member failed: ${e.message}`));
+    }
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('remove <group> <member>')
+  .description('Remove a member from a group you administer')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, member, options) => {
+    const opened = await openGroupNode(options.name, true);
+    if (!opened) return;
+
+    try {
+      const roster = await opened.node.removeGroupMember(address, member);
+      console.log(chalk.green(`\n✓ ${member} removed`));
+      console.log(chalk.gray(`  Epoch ${roster.epoch} started: every member posts with a new sender key,`));
+      console.log(chalk.gray('  handed to the remaining members only.'));
+    } catch (e) {
+      console.log(chalk.red(`Removing member failed: ${e.message}`));
+    }
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('send <group>')
+  .description('Post to a group')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .option('-s, --subject <subject>', 'Subject')
+  .option('-b, --body <body>', 'Message body')
+  .action(async (address, options) => {
+    let { subject, body } = options;
+    if (!subject) {
+      ({ subject } = await inquirer.prompt([{
+        type: 'input',
+        name: 'subject',
+        message: 'Subject:',
+        default: '(no subject)'
+      }]));
+    }
+    if (!body) {
+      ({ body } = await inquirer.prompt([{
+        type: 'editor',
+        name: 'body',
+        message: 'Compose your message:'
+      }]));
+    }
+
+    const opened = await openGroupNode(options.name, true);
+    if (!opened) return;
+
+    try {
+      const { messageId, threadMessageId } = await opened.node.sendGroupMessage(address, { subject, body });
+      console.log(chalk.green('\n✓ Posted to the group'));
+      console.log(chalk.gray(`  ID: ${messageId}`));
+      console.log(chalk.gray(`  Message-ID: ${threadMessageId}`));
+    } catch (e) {
+      console.log(chalk.red(`Posting failed: ${e.message}`));
+    }
+
+    await closeGroupNode(opened);
+  });
+
+groupCommand
+  .command('read <group>')
+  .description('Read the posts of a group received by `dmail node`')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (address, options) => {
+    const opened = await openGroupNode(options.name, false);
+    if (!opened) return;
+    const { identity, node } = opened;
+
+    const group = await node.groups.get(address);
+    const messages = group ? await node.getGroupMessages(address) : [];
+
+    if (!group) {
+      console.log(chalk.red(`Group not found: ${address}`));
+    } else if (messages.length === 0) {
+      console.log(chalk.yellow(`\nNo posts in ${group.name} yet.`));
+      console.log(chalk.gray('Run `dmail node` to receive them.\n'));
+    } else {
+      console.log(chalk.blue.bold(`\n👥 ${group.name} (${messages.length} posts)\n`));
+      for (const msg of messages) {
+        const unread = msg.read ? '' : chalk.green(' [NEW]');
+        try {
+          const parsed = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts, groups: node.groups });
+          console.log(`${chalk.gray(msg.id.slice(0, 8))} ${chalk.white(parsed.subject || '(no subject)')}${unread}`);
+          console.log(`  ${chalk.gray('From:')} ${chalk.cyan(parsed.from.slice(0, 30))}... ${contactStatusLabel(parsed.contactStatus)}`);
+          console.log(`  ${chalk.gray('Date:')} ${new Date(parsed.timestamp).toLocaleString()}\n`);
+          console.log(parsed.body.split('\n').map(line => `  ${line}`).join('\n'));
+          console.log();
+          await node.markGroupMessageRead(address, msg.id);
+        } catch (e) {
+          console.log(`${chalk.gray(msg.id.slice(0, 8))} ${chalk.red('[Decrypt failed]')} ${chalk.gray(e.message)}\n`);
+        }
+      }
+    }
+
+    await closeGroupNode(opened);
+  });
+
+/**
+ * Resolve a recipient's keys and send them a sealed message, with a copy for
+ * each of their linked devices
+ * @returns {Promise<string>} - Message ID
+ */
+async function sendSealed(node, identity, recipientAddress, { subject, body, attachments = [] }) {
+  const builder = sealEnvelope(identity)
+    .to(recipientAddress, await node.resolveRecipient(recipientAddress))
+    .ratchet(node.ratchet)
+    .subject(subject)
+    .body(body);
+  for (const attachment of attachments) {
+    builder.attachment(attachment);
+  }
+  const [envelope, ...deviceCopies] = await builder.buildAll();
+  return node.sendMessage(envelope, deviceCopies);
+}
+
+/**
+ * Recovery shares found in the inbox
+ * @param {Function} accept - (share, message) => boolean
+ * @returns {Promise<RecoveryShare[]>}
+ */
+async function findInboxShares(node, identity, accept) {
+  const shares = [];
+  for (const msg of await node.getInbox()) {
+    if (msg.type !== 'sealed') continue;
+    try {
+      const message = await openEnvelope(identity, msg, { sessions: node.ratchet, keys: node.keyring });
+      const share = RecoveryShare.fromAttachments(message.attachments);
+      if (share && share.verify() && accept(share, message)) {
+        shares.push(share);
+      }
+    } catch (e) {
+      // Unreadable message
+    }
+  }
+  return shares;
+}
+
+// Social recovery
+const recovery = program
+  .command('recovery')
+  .description('Recover an identity with the help of trusted contacts');
+
+recovery
+  .command('setup <trustees...>')
+  .description('Split your key into shares and mail one to each trustee')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .requiredOption('-t, --threshold <count>', 'Shares needed to recover')
+  .action(async (trustees, options) => {
+    const threshold = parseInt(options.threshold);
+    if (!(threshold >= 2 && threshold <= trustees.length)) {
+      console.log(chalk.red(`Threshold must be between 2 and the number of trustees (${trustees.length}).`));
+      return;
+    }
+    for (const trustee of trustees) {
+      try {
+        addressToPublicKey(trustee);
+      } catch (e) {
+        console.log(chalk.red(`Invalid trustee address: ${trustee}`));
+        return;
+      }
+    }
+
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    let shares;
+    try {
+      shares = createRecoveryShares(identity, trustees, threshold);
+    } catch (e) {
+      console.log(chalk.red(e.message));
+      await store.close();
+      return;
+    }
+
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.yellow(`Any ${threshold} of these ${trustees.length} trustees together can rebuild your PRIVATE KEY. Continue?`),
+        default: false
+      }
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.green('Recovery setup cancelled.'));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Resolve every key first so a missing trustee does not leave a partial setup
+    try {
+      for (const trustee of trustees) {
+        await node.resolveEncryptionKey(trustee);
+      }
+    } catch (e) {
+      console.log(chalk.red(`Could not find an encryption key for a trustee: ${e.message}`));
+      console.log(chalk.gray('Every trustee must run a dMail node once to publish their key.'));
+      await node.stop();
+      await store.close();
+      return;
+    }
+
+    for (const share of shares) {
+      await sendSealed(node, identity, share.trustee, {
+        subject: 'dMail recovery share',
+        body: `${identity.address} asked you to keep share ${share.index} of ${share.total} of their recovery key.\n\n` +
+          'Keep this message. If they lose their key, they will ask you to send it back with\n' +
+          `  dmail recovery send ${identity.address} --to <their new address>\n\n` +
+          'Only do so after confirming the request with them in person or by phone.',
+        attachments: [share.toAttachment()]
+      });
+      console.log(chalk.green(`✓ Share ${share.index}/${share.total} sent to ${share.trustee}`));
+    }
+
+    console.log(chalk.green(`\n✓ Recovery set up: any ${threshold} of ${trustees.length} trustees can restore ${identity.address}`));
+    console.log(chalk.gray(`  Set ID: ${shares[0].setId}`));
+    console.log(chalk.gray('  Running setup again creates a new set; shares from different sets cannot be mixed.'));
+
+    await node.stop();
+    await store.close();
+  });
+
+recovery
+  .command('send <owner>')
+  .description('Send a share you hold back to its owner (trustee side)')
+  .requiredOption('--to <address>', 'Address the owner is recovering with')
+  .option('-n, --name <name>', 'Identity name', 'default')
+  .action(async (owner, options) => {
+    try {
+      addressToPublicKey(options.to);
+    } catch (e) {
+      console.log(chalk.red('Invalid recipient address'));
+      return;
+    }
+
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found.`));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // Only shares the owner signed, sent and issued to us
+    const [set] = groupRecoveryShares(await findInboxShares(node, identity, (share, message) =>
+      share.address === owner && share.trustee === identity.address && message.from === owner
+    ));
+
+    if (!set) {
+      console.log(chalk.red(`No recovery share from ${owner} in your inbox.`));
+      await node.stop();
+      await store.close();
+      return;
+    }
+
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.yellow(`Send share ${set.shares[0].index} of ${owner} to ${options.to}? Only confirm if the owner asked you in person or by phone.`),
+        default: false
+      }
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.green('Nothing sent.'));
+      await node.stop();
+      await store.close();
+      return;
+    }
+
+    try {
+      await sendSealed(node, identity, options.to, {
+        subject: 'dMail recovery share',
+        body: `Share ${set.shares[0].index} of ${set.total} for ${owner}.\n\nCollect it with: dmail recovery collect`,
+        attachments: [set.shares[0].toAttachment()]
+      });
+      console.log(chalk.green(`✓ Share sent to ${options.to}`));
+    } catch (e) {
+      console.log(chalk.red(`Could not send share: ${e.message}`));
+    }
+
+    await node.stop();
+    await store.close();
+  });
+
+recovery
+  .command('collect')
+  .description('Collect shares sent back by trustees')
+  .option('-n, --name <name>', 'Identity the trustees sent the shares to', 'default')
+  .action(async (options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.name);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.name}' not found. Create a temporary one with 'dmail init'.`));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue('\nConnecting to P2P network...'));
+    const node = new DMailNode(identity);
+    await node.start();
+    await new Promise(resolve => setTimeout(resolve, 3000));
+
+    // A share must come back from the trustee it was issued to
+    const found = await findInboxShares(node, identity, (share, message) => message.from === share.trustee);
+
+    const shareStore = new RecoveryShareStore(SecureKeyStore.forIdentity(identity, 'recovery'));
+    let added = 0;
+    for (const share of found) {
+      if (await shareStore.add(share)) added++;
+    }
+
+    const owners = [...new Set(found.map(share => share.address))];
+    if (owners.length === 0) {
+      console.log(chalk.yellow('\nNo recovery shares received yet.'));
+      console.log(chalk.gray(`Ask your trustees to run: dmail recovery send <your old address> --to ${identity.address}\n`));
+    } else {
+      console.log(chalk.blue.bold(`\n🧩 Recovery shares (${added} new)\n`));
+      for (const owner of owners) {
+        const [set] = groupRecoveryShares(await shareStore.list(owner), owner);
+        const ready = set.shares.length >= set.threshold;
+        console.log(chalk.cyan(owner));
+        console.log(`  ${chalk.gray('Shares:')} ${set.shares.length} of ${set.threshold} needed${ready ? chalk.green(' - ready to restore') : ''}`);
+        if (ready) {
+          console.log(`  ${chalk.gray('Run:')} dmail recovery restore ${owner} --from ${options.name}\n`);
+        } else {
+          console.log();
+        }
+      }
+    }
+
+    await shareStore.store.close();
+    await node.stop();
+    await store.close();
+  });
+
+recovery
+  .command('restore <address>')
+  .description('Rebuild an identity from collected shares')
+  .option('--from <name>', 'Identity that collected the shares', 'default')
+  .option('-n, --name <name>', 'Name for the restored identity', 'recovered')
+  .action(async (address, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const collector = await store.getIdentity(options.from);
+
+    if (!collector) {
+      console.log(chalk.red(`Identity '${options.from}' not found.`));
+      await store.close();
+      return;
+    }
+
+    const shareStore = new RecoveryShareStore(SecureKeyStore.forIdentity(collector, 'recovery'));
+    const sets = groupRecoveryShares(await shareStore.list(address), address);
+    const set = sets.find(s => s.shares.length >= s.threshold);
+
+    if (!set) {
+      const have = sets[0] ? `${sets[0].shares.length} of ${sets[0].threshold}` : 'no';
+      console.log(chalk.red(`Not enough shares for ${address} (${have} collected).`));
+      console.log(chalk.gray('Run `dmail recovery collect` once more trustees have replied.'));
+      await shareStore.store.close();
+      await store.close();
+      return;
+    }
+
+    let identity;
+    try {
+      identity = recoverIdentity(set.shares, address);
+    } catch (e) {
+      console.log(chalk.red(`Recovery failed: ${e.message}`));
+      await shareStore.store.close();
+      await store.close();
+      return;
+    }
+
+    const existing = await store.getIdentity(options.name);
+    if (existing && existing.address !== identity.address) {
+      console.log(chalk.red(`Identity '${options.name}' already exists with a different address.`));
+      console.log(chalk.gray('  Choose another name with --name'));
+      await shareStore.store.close();
+      await store.close();
+      return;
+    }
+
+    await store.saveIdentity(options.name, identity);
+    await shareStore.clear(address);
+
+    console.log(chalk.green(`\n✓ Identity restored as '${options.name}'`));
+    console.log(chalk.cyan(`  Address: ${identity.address}`));
+    console.log(chalk.yellow('⚠ Your trustees still hold shares of this key. Run `dmail recovery setup` with a new set if any of them is no longer trusted.'));
+
+    await shareStore.store.close();
+    await store.close();
+  });
+
+// Register identity on blockchain
+program
+  .command('register')
+  .description('Register your identity on the blockchain')
+  .argument('<name>', 'Human-readable name to register (e.g., "alice")')
+  .option('-i, --identity <name>', 'Identity to register', 'default')
+  .option('--network <network>', 'Blockchain network', 'localhost')
+  .option('--rpc <url>', 'Custom RPC endpoint')
+  .action(async (name, options) => {
+    const store = await unlockIdentityStore();
+    if (!store) return;
+    const identity = await store.getIdentity(options.identity);
+
+    if (!identity) {
+      console.log(chalk.red(`Identity '${options.identity}' not found.`));
+      await store.close();
+      return;
+    }
+
+    const privateKey = process.env.ETH_PRIVATE_KEY;
+    if (!privateKey) {
+      console.log(chalk.red('ETH_PRIVATE_KEY environment variable required'));
+      console.log(chalk.gray('Export your Ethereum private key to register on-chain'));
+      await store.close();
+      return;
+    }
+
+    console.log(chalk.blue(`\nRegistering '${name}' on ${options.network}...`));
+
+    const registry = new BlockchainRegistry({
+      network: options.network,
+      rpcUrl: options.rpc
+    });
+
+    // Register the current encryption subkey, see `dmail keys`
+    const sessionStore = SecureKeyStore.forIdentity(identity, 'sessions');
+    const { publicKey: encryptionKey } = await new Keyring(identity, sessionStore).current();
+    await sessionStore.close();
+
+    try {
+      await registry.connect(privateKey);
+
+      const result = await registry.registerIdentity(name, identity, encryptionKey);
+
+      console.log(chalk.green('\n✓ Registration successful!'));
+      console.log(chalk.gray(`  Name: ${name}`));
+      console.log(chalk.gray(`  Address: ${identity.address}`));
+      console.log(chalk.gray(`  TX: ${result.transactionHash}`));
+      console.log(chalk.gray(`  Block: ${result.blockNumber}`));
 
       console.log(chalk.cyan(`\nOthers can now send you email using: ${name}`));
 
@@ -609,7 +2326,8 @@ program
   .description('Show your dMail address')
   .option('-n, --name <name>', 'Identity name', 'default')
   .action(async (options) => {
-    const store = new IdentityStore();
+    const store = await unlockIdentityStore();
+    if (!store) return;
     const identity = await store.getIdentity(options.name);
 
     if (!identity) {
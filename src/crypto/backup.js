@@ -0,0 +1,209 @@
+/**
+ * Encrypted Backups for dMail
+ *
+ * Backups are a single JSON container (see docs/BACKUP_FORMAT.md):
+ *
+ *   { format, version, created, kdf: {algorithm, N, r, p, salt}, cipher, nonce, ciphertext }
+ *
+ * The payload is encrypted with ChaCha20-Poly1305 under a scrypt key derived
+ * from the backup password. The header is bound as associated data, so any
+ * change to it (e.g. weakening the KDF parameters) fails decryption.
+ *
+ * Version 1 is the single-identity file written by older `dmail export`,
+ * and can still be imported.
+ */
+
+import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { scrypt } from '@noble/hashes/scrypt';
+import { randomBytes } from 'crypto';
+import { Identity } from './identity.js';
+
+export const BACKUP_FORMAT = 'dmail-backup';
+export const BACKUP_VERSION = 2;
+
+const DEFAULT_KDF = { algorithm: 'scrypt', N: 2 ** 17, r: 8, p: 1 };
+const MAX_SCRYPT_N = 2 ** 20; // Refuse headers that would exhaust memory
+
+function toBase64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+function fromBase64(str) {
+  return new Uint8Array(Buffer.from(str, 'base64'));
+}
+
+function deriveBackupKey(password, kdf) {
+  if (kdf.algorithm !== 'scrypt') {
+    throw new Error(`Unsupported backup KDF: ${kdf.algorithm}`);
+  }
+  if (kdf.N > MAX_SCRYPT_N) {
+    throw new Error('Backup KDF parameters too large');
+  }
+  return scrypt(new TextEncoder().encode(password), fromBase64(kdf.salt), {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    dkLen: 32
+  });
+}
+
+/**
+ * Associated data covering every header field
+ */
+function headerAAD(container) {
+  return new TextEncoder().encode(JSON.stringify({
+    format: container.format,
+    version: container.version,
+    created: container.created,
+    kdf: container.kdf,
+    cipher: container.cipher
+  }));
+}
+
+/**
+ * Check whether parsed JSON looks like an encrypted backup container
+ */
+export function isBackupContainer(json) {
+  return !!json && typeof json.ciphertext === 'string' && typeof json.nonce === 'string';
+}
+
+/**
+ * Create an encrypted backup
+ * @param {Object} data - Backup contents
+ * @param {Object[]} data.identities - [{name, identity}]
+ * @param {Object} data.sessions - {address: [{name, value}]} ratchet store records
+ * @param {Object} data.contacts - {address: [{name, value}]} contact store records
+ * @param {string} password - Backup password
+ * @returns {Object} - Backup container (JSON-serializable)
+ */
+export function exportBackup(data, password) {
+  if (!password) {
+    throw new Error('Backup password required');
+  }
+
+  const payload = {
+    identities: (data.identities || []).map(({ name, identity }) => ({
+      name,
+      address: identity.address,
+      privateKey: Buffer.from(identity.privateKey).toString('hex'),
+      ...(identity.account ? { account: identity.account } : {})
+    })),
+    sessions: data.sessions || {},
+    contacts: data.contacts || {}
+  };
+
+  const container = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created: Date.now(),
+    kdf: { ...DEFAULT_KDF, salt: toBase64(randomBytes(16)) },
+    cipher: 'chacha20-poly1305'
+  };
+
+  const key = deriveBackupKey(password, container.kdf);
+  const nonce = randomBytes(12);
+  const cipher = chacha20poly1305(key, nonce, headerAAD(container));
+  const ciphertext = cipher.encrypt(new TextEncoder().encode(JSON.stringify(payload)));
+
+  return {
+    ...container,
+    nonce: toBase64(nonce),
+    ciphertext: toBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypt and verify a backup
+ * @param {Object} container - Parsed backup file
+ * @param {string} password - Backup password
+ * @returns {{version, identities: Object[], sessions: Object, contacts: Object}}
+ */
+export function importBackup(container, password) {
+  if (!isBackupContainer(container)) {
+    throw new Error('Not an encrypted dMail backup');
+  }
+
+  let plaintext;
+  try {
+    if (container.version === 1) {
+      // Legacy `dmail export` file: fixed scrypt parameters, no associated data
+      const key = deriveBackupKey(password, { ...DEFAULT_KDF, salt: container.salt });
+      plaintext = chacha20poly1305(key, fromBase64(container.nonce)).decrypt(fromBase64(container.ciphertext));
+    } else if (container.version === BACKUP_VERSION && container.format === BACKUP_FORMAT) {
+      const key = deriveBackupKey(password, container.kdf);
+      const cipher = chacha20poly1305(key, fromBase64(container.nonce), headerAAD(container));
+      plaintext = cipher.decrypt(fromBase64(container.ciphertext));
+    } else {
+      throw new Error(`Unsupported backup version: ${container.version}`);
+    }
+  } catch (e) {
+    if (e.message.startsWith('Unsupported') || e.message.startsWith('Backup KDF')) throw e;
+    throw new Error('Wrong password or corrupted backup');
+  }
+
+  const payload = JSON.parse(new TextDecoder().decode(plaintext));
+  const entries = container.version === 1
+    ? [{ name: null, address: payload.address, privateKey: payload.privateKey }]
+    : payload.identities;
+
+  // Integrity: every private key must reproduce the address stored with it
+  const identities = entries.map(entry => {
+    const identity = Identity.fromPrivateKey(Buffer.from(entry.privateKey, 'hex'));
+    if (entry.address && identity.address !== entry.address) {
+      throw new Error(`Backup entry for ${entry.address} does not match its private key`);
+    }
+    identity.account = entry.account || null;
+    return { name: entry.name, identity };
+  });
+
+  return {
+    version: container.version,
+    identities,
+    sessions: payload.sessions || {},
+    contacts: payload.contacts || {}
+  };
+}
+
+/**
+ * Read every record of a per-identity store (ratchet sessions, contacts), for backups
+ * @param {SecureKeyStore} store - Per-identity store
+ * @returns {Promise<Object[]>} - [{name, value}]
+ */
+export async function readStoreRecords(store) {
+  const records = [];
+  for (const name of await store.listRecords()) {
+    records.push({ name, value: await store.getRecord(name) });
+  }
+  return records;
+}
+
+/**
+ * Restore records of a per-identity store from a backup
+ *
+ * Existing records win: an older ratchet state would reuse message keys,
+ * and an older contact could unpin a key or undo a verification.
+ * @returns {Promise<number>} - Number of records restored
+ */
+export async function restoreStoreRecords(store, records) {
+  const existing = new Set(await store.listRecords());
+  const ops = records
+    .filter(record => !existing.has(record.name))
+    .map(record => ({ type: 'put', name: record.name, value: record.value }));
+
+  if (ops.length > 0) {
+    await store.batchRecords(ops);
+  }
+  return ops.length;
+}
+
+/**
+ * Restore ratchet store records from a backup
+ *
+ * Prekeys are only restored into an empty store, since their IDs come from
+ * a counter in the same store.
+ * @returns {Promise<number>} - Number of records restored
+ */
+export async function restoreSessionRecords(store, records) {
+  const empty = (await store.listRecords()).length === 0;
+  return restoreStoreRecords(store, records.filter(record => empty || !record.name.startsWith('prekey:')));
+}
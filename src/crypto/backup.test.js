@@ -0,0 +1,170 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { chacha20poly1305 } from '@noble/ciphers/chacha';
+import { scrypt } from '@noble/hashes/scrypt';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  exportBackup,
+  importBackup,
+  isBackupContainer,
+  readStoreRecords,
+  restoreStoreRecords,
+  restoreSessionRecords
+} from './backup.js';
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('encrypted backups', () => {
+  const identity = Identity.generate();
+  const device = Identity.generateDevice(identity.address);
+  const sessions = { [identity.address]: [{ name: 'session:dm1peer', value: { state: 'ratchet' } }] };
+  const contacts = { [identity.address]: [{ name: 'contact:dm1peer', value: { verified: true } }] };
+  let container;
+
+  before(() => {
+    // scrypt at full strength once; the failure cases reuse this container
+    container = JSON.parse(JSON.stringify(exportBackup({
+      identities: [{ name: 'default', identity }, { name: 'laptop', identity: device }],
+      sessions,
+      contacts
+    }, PASSWORD)));
+  });
+
+  it('restores identities, sessions and contacts', () => {
+    assert.equal(container.format, BACKUP_FORMAT);
+    assert.equal(container.version, BACKUP_VERSION);
+    assert.ok(isBackupContainer(container));
+    assert.ok(!JSON.stringify(container).includes(Buffer.from(identity.privateKey).toString('hex')));
+
+    const restored = importBackup(container, PASSWORD);
+    assert.deepEqual(restored.identities.map(({ name }) => name), ['default', 'laptop']);
+    const [primary, linked] = restored.identities.map(entry => entry.identity);
+    assert.equal(primary.address, identity.address);
+    assert.deepEqual(Buffer.from(primary.privateKey), Buffer.from(identity.privateKey));
+    assert.equal(primary.account, null);
+    assert.equal(linked.address, device.address);
+    assert.equal(linked.account, identity.address);
+    assert.deepEqual(restored.sessions, sessions);
+    assert.deepEqual(restored.contacts, contacts);
+  });
+
+  it('rejects a wrong password', () => {
+    assert.throws(() => importBackup(container, 'wrong password'), /Wrong password or corrupted backup/);
+  });
+
+  it('rejects a tampered ciphertext or header', () => {
+    const ciphertext = Buffer.from(container.ciphertext, 'base64');
+    ciphertext[ciphertext.length - 1] ^= 1;
+    assert.throws(() => importBackup({ ...container, ciphertext: ciphertext.toString('base64') }, PASSWORD),
+      /Wrong password or corrupted backup/);
+
+    // The header is authenticated: weaker KDF parameters or another date fail
+    assert.throws(() => importBackup({ ...container, kdf: { ...container.kdf, N: 2 ** 10 } }, PASSWORD),
+      /Wrong password or corrupted backup/);
+    assert.throws(() => importBackup({ ...container, created: container.created + 1 }, PASSWORD),
+      /Wrong password or corrupted backup/);
+  });
+
+  it('refuses containers it cannot or should not open', () => {
+    assert.throws(() => importBackup({ address: identity.address }, PASSWORD), /Not an encrypted dMail backup/);
+    assert.throws(() => importBackup({ ...container, version: 3 }, PASSWORD), /Unsupported backup version: 3/);
+    assert.throws(() => importBackup({ ...container, kdf: { ...container.kdf, N: 2 ** 30 } }, PASSWORD),
+      /parameters too large/);
+    assert.throws(() => importBackup({ ...container, kdf: { ...container.kdf, algorithm: 'pbkdf2' } }, PASSWORD),
+      /Unsupported backup KDF/);
+    assert.throws(() => exportBackup({ identities: [] }, ''), /password required/);
+  });
+
+  it('rejects an entry whose private key is not its address\'s', () => {
+    const other = Identity.generate();
+    const mismatched = exportBackup({
+      identities: [{ name: 'default', identity: { address: identity.address, privateKey: other.privateKey } }]
+    }, PASSWORD);
+    assert.throws(() => importBackup(mismatched, PASSWORD), /does not match its private key/);
+  });
+
+  it('imports the version 1 file of older exports', () => {
+    const salt = randomBytes(16);
+    const nonce = randomBytes(12);
+    const key = scrypt(new TextEncoder().encode(PASSWORD), salt, { N: 2 ** 17, r: 8, p: 1, dkLen: 32 });
+    const payload = { address: identity.address, privateKey: Buffer.from(identity.privateKey).toString('hex') };
+    const legacy = {
+      version: 1,
+      salt: salt.toString('base64'),
+      nonce: nonce.toString('base64'),
+      ciphertext: Buffer.from(chacha20poly1305(key, nonce).encrypt(new TextEncoder().encode(JSON.stringify(payload))))
+        .toString('base64')
+    };
+
+    const restored = importBackup(legacy, PASSWORD);
+    assert.equal(restored.version, 1);
+    assert.equal(restored.identities[0].identity.address, identity.address);
+    assert.throws(() => importBackup(legacy, 'wrong password'), /Wrong password or corrupted backup/);
+  });
+});
+
+describe('restoring store records', () => {
+  const stores = [];
+  let dir;
+
+  function store() {
+    const created = new SecureKeyStore(null, { dbPath: join(dir, `store-${stores.length}`) });
+    created.unlock(new Uint8Array(randomBytes(32)));
+    stores.push(created);
+    return created;
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'backup-'));
+  });
+
+  after(async () => {
+    for (const created of stores) {
+      await created.close();
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('copies every record into an empty store', async () => {
+    const source = store();
+    await source.putRecord('contact:dm1a', { verified: true });
+    await source.putRecord('contact:dm1b', { verified: false });
+    const records = await readStoreRecords(source);
+
+    const target = store();
+    assert.equal(await restoreStoreRecords(target, records), 2);
+    assert.deepEqual(await readStoreRecords(target), records);
+  });
+
+  it('keeps records the store has over those in the backup', async () => {
+    const target = store();
+    await target.putRecord('contact:dm1a', { verified: true });
+    const restored = await restoreStoreRecords(target, [
+      { name: 'contact:dm1a', value: { verified: false } },
+      { name: 'contact:dm1b', value: { verified: false } }
+    ]);
+    assert.equal(restored, 1);
+    assert.deepEqual(await target.getRecord('contact:dm1a'), { verified: true });
+  });
+
+  it('restores prekeys into an empty session store only', async () => {
+    const records = [
+      { name: 'prekey:1', value: { id: 1 } },
+      { name: 'session:dm1a', value: { state: 'ratchet' } }
+    ];
+    const empty = store();
+    assert.equal(await restoreSessionRecords(empty, records), 2);
+
+    const used = store();
+    await used.putRecord('prekey:counter', 5);
+    assert.equal(await restoreSessionRecords(used, records), 1);
+    assert.equal(await used.getRecord('prekey:1'), null);
+  });
+});
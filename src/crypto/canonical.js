@@ -0,0 +1,261 @@
+/**
+ * Canonical Encoding for dMail
+ *
+ * Signatures, hashes and proof-of-work stamps cover a canonical encoding of
+ * the signed fields, not JSON.stringify output: JSON depends on property
+ * order, so any relay or client re-serializing a record could break its
+ * signature. The encoding is deterministic CBOR (RFC 8949 section 4.2.1):
+ *
+ * - integers and lengths in their shortest form; only safe integers
+ *   (|n| < 2^53), no floats
+ * - strings as UTF-8 text, Uint8Array as byte strings
+ * - map keys are strings, sorted by their encoded bytes; entries whose
+ *   value is undefined are left out, as JSON.stringify does
+ * - definite lengths only, no tags, and only false, true and null
+ *
+ * Signed records and envelopes carry the encoding version they were signed
+ * with in a `canonical` field, which is itself signed. Records from before
+ * it have none and are still checked against their signer's JSON (see
+ * hashSignedFields). Golden vectors are in docs/test-vectors/canonical-v1.json.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+
+export const CANONICAL_VERSION = 1;
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const SIMPLE_FALSE = 0xf4;
+const SIMPLE_TRUE = 0xf5;
+const SIMPLE_NULL = 0xf6;
+const MAX_DEPTH = 64;
+
+/**
+ * Initial byte and argument of a data item, in the shortest form
+ */
+function encodeHead(major, value) {
+  const type = major << 5;
+  if (value < 24) {
+    return [type | value];
+  }
+  if (value < 0x100) {
+    return [type | 24, value];
+  }
+  if (value < 0x10000) {
+    return [type | 25, value >> 8, value & 0xff];
+  }
+  if (value < 0x100000000) {
+    return [type | 26, ...uint32Bytes(value)];
+  }
+  return [type | 27, ...uint32Bytes(Math.floor(value / 0x100000000)), ...uint32Bytes(value % 0x100000000)];
+}
+
+function uint32Bytes(value) {
+  return [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Data item with a head and raw content bytes
+ * Concatenated as buffers: spreading a large body or attachment into an
+ * array would overflow the stack.
+ */
+function withContent(major, length, content) {
+  return Buffer.concat([Buffer.from(encodeHead(major, length)), ...content]);
+}
+
+function encodeText(value) {
+  const bytes = Buffer.from(value, 'utf-8');
+  // Lone surrogates would all turn into U+FFFD, so two strings could sign alike
+  if (bytes.toString('utf-8') !== value) {
+    throw new Error('Cannot canonically encode a string that is not valid Unicode');
+  }
+  return withContent(MAJOR_TEXT, bytes.length, [bytes]);
+}
+
+function encodeItem(value, depth) {
+  if (depth > MAX_DEPTH) {
+    throw new Error('Value nested too deeply to encode');
+  }
+  if (value === null) {
+    return Buffer.from([SIMPLE_NULL]);
+  }
+  if (value === true || value === false) {
+    return Buffer.from([value ? SIMPLE_TRUE : SIMPLE_FALSE]);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Cannot canonically encode ${value}, only safe integers are allowed`);
+    }
+    return Buffer.from(value >= 0
+      ? encodeHead(MAJOR_UNSIGNED, value)
+      : encodeHead(MAJOR_NEGATIVE, -1 - value));
+  }
+  if (typeof value === 'string') {
+    return encodeText(value);
+  }
+  if (value instanceof Uint8Array) {
+    return withContent(MAJOR_BYTES, value.length, [value]);
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(item => {
+      if (item === undefined) {
+        throw new Error('Cannot canonically encode undefined in an array');
+      }
+      return encodeItem(item, depth + 1);
+    });
+    return withContent(MAJOR_ARRAY, value.length, items);
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .map(key => ({ key: encodeText(key), value: encodeItem(value[key], depth + 1) }))
+      .sort((a, b) => Buffer.compare(a.key, b.key));
+    return withContent(MAJOR_MAP, entries.length, entries.flatMap(entry => [entry.key, entry.value]));
+  }
+  throw new Error(`Cannot canonically encode a value of type ${typeof value}`);
+}
+
+/**
+ * Encode a value in deterministic CBOR
+ * @param {*} value - null, boolean, safe integer, string, Uint8Array, array or plain object
+ * @returns {Uint8Array}
+ */
+export function encodeCanonical(value) {
+  return new Uint8Array(encodeItem(value, 0));
+}
+
+/**
+ * Reads data items from a byte string
+ */
+class CanonicalReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Truncated canonical encoding');
+    }
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  readArgument(info) {
+    if (info < 24) {
+      return info;
+    }
+    const lengths = { 24: 1, 25: 2, 26: 4, 27: 8 };
+    if (!lengths[info]) {
+      throw new Error('Indefinite lengths and reserved values are not canonical');
+    }
+    let value = 0;
+    for (const byte of this.take(lengths[info])) {
+      value = value * 256 + byte;
+    }
+    if (!Number.isSafeInteger(value)) {
+      throw new Error('Integer too large for the canonical encoding');
+    }
+    return value;
+  }
+
+  readItem(depth) {
+    if (depth > MAX_DEPTH) {
+      throw new Error('Value nested too deeply to decode');
+    }
+    const [initial] = this.take(1);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case MAJOR_UNSIGNED:
+        return this.readArgument(info);
+      case MAJOR_NEGATIVE:
+        return -1 - this.readArgument(info);
+      case MAJOR_BYTES:
+        return new Uint8Array(this.take(this.readArgument(info)));
+      case MAJOR_TEXT:
+        return new TextDecoder('utf-8', { fatal: true }).decode(this.take(this.readArgument(info)));
+      case MAJOR_ARRAY: {
+        const length = this.readArgument(info);
+        const items = [];
+        for (let i = 0; i < length; i++) {
+          items.push(this.readItem(depth + 1));
+        }
+        return items;
+      }
+      case MAJOR_MAP: {
+        const length = this.readArgument(info);
+        const map = {};
+        for (let i = 0; i < length; i++) {
+          const key = this.readItem(depth + 1);
+          if (typeof key !== 'string') {
+            throw new Error('Map keys must be strings');
+          }
+          // defineProperty, so a "__proto__" key stays a plain property
+          Object.defineProperty(map, key, {
+            value: this.readItem(depth + 1),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+        return map;
+      }
+      default:
+        if (initial === SIMPLE_FALSE) return false;
+        if (initial === SIMPLE_TRUE) return true;
+        if (initial === SIMPLE_NULL) return null;
+        throw new Error('Tags, floats and other simple values are not canonical');
+    }
+  }
+}
+
+/**
+ * Decode deterministic CBOR, rejecting anything not in canonical form
+ * @param {Uint8Array} bytes
+ * @returns {*}
+ */
+export function decodeCanonical(bytes) {
+  const reader = new CanonicalReader(bytes);
+  const value = reader.readItem(0);
+  if (reader.offset !== bytes.length) {
+    throw new Error('Trailing bytes after canonical encoding');
+  }
+  // Shortest forms, key order and duplicate keys all show up as a different encoding
+  if (Buffer.compare(Buffer.from(encodeCanonical(value)), Buffer.from(bytes)) !== 0) {
+    throw new Error('Not a canonical encoding');
+  }
+  return value;
+}
+
+/**
+ * SHA-256 of the canonical encoding of a value
+ * @returns {Uint8Array}
+ */
+export function canonicalHash(value) {
+  return sha256(encodeCanonical(value));
+}
+
+/**
+ * Hash covered by the signature of a record or envelope
+ * Fields with `canonical` set are hashed in that encoding version. Records
+ * signed before canonical encoding have none and are hashed as the JSON
+ * their signer produced, in the order the fields are given.
+ * @param {Object} fields - Signed fields, including `canonical`
+ * @returns {Uint8Array}
+ */
+export function hashSignedFields(fields) {
+  if (fields.canonical === undefined) {
+    return sha256(new TextEncoder().encode(JSON.stringify(fields)));
+  }
+  if (fields.canonical !== CANONICAL_VERSION) {
+    throw new Error(`Unsupported canonical encoding: ${fields.canonical}`);
+  }
+  return canonicalHash(fields);
+}
@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Identity, verifySignature } from './identity.js';
+import { encodeCanonical, decodeCanonical, canonicalHash, hashSignedFields } from './canonical.js';
+
+const vectors = JSON.parse(readFileSync(new URL('../../docs/test-vectors/canonical-v1.json', import.meta.url), 'utf-8'));
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+function fromHex(value) {
+  return new Uint8Array(Buffer.from(value, 'hex'));
+}
+
+// {"$bytes": "<hex>"} stands for a byte string in the vectors
+function fromVector(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromVector);
+  }
+  if (value && typeof value === 'object') {
+    if (typeof value.$bytes === 'string') {
+      return fromHex(value.$bytes);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromVector(item)]));
+  }
+  return value;
+}
+
+describe('canonical encoding vectors', () => {
+  for (const vector of vectors.encoding) {
+    it(`encodes ${vector.name}`, () => {
+      assert.equal(hex(encodeCanonical(fromVector(vector.value))), vector.cbor);
+    });
+
+    it(`decodes ${vector.name}`, () => {
+      assert.deepEqual(decodeCanonical(fromHex(vector.cbor)), fromVector(vector.value));
+    });
+  }
+
+  for (const vector of vectors.invalid) {
+    it(`rejects ${vector.name}`, () => {
+      assert.throws(() => decodeCanonical(fromHex(vector.cbor)));
+    });
+  }
+});
+
+describe('canonical signing vectors', () => {
+  const { signing } = vectors;
+  const identity = Identity.fromPrivateKey(fromHex(signing.privateKey));
+
+  it('derives the key and address', () => {
+    assert.equal(hex(identity.publicKey), signing.publicKey);
+    assert.equal(identity.address, signing.address);
+  });
+
+  for (const vector of signing.vectors) {
+    it(`signs ${vector.name}`, () => {
+      const fields = fromVector(vector.fields);
+      assert.equal(hex(encodeCanonical(fields)), vector.cbor);
+      assert.equal(hex(canonicalHash(fields)), vector.sha256);
+      assert.equal(hex(hashSignedFields(fields)), vector.sha256);
+
+      const signature = new Uint8Array(Buffer.from(vector.signature, 'base64'));
+      assert.equal(Buffer.from(identity.sign(hashSignedFields(fields))).toString('base64'), vector.signature);
+      assert.ok(verifySignature(fromHex(vector.sha256), signature, identity.publicKey));
+    });
+  }
+});
+
+describe('canonical encoding of large values', () => {
+  it('encodes and decodes a large body and attachment', () => {
+    const body = 'x'.repeat(8 * 1024 * 1024);
+    const attachment = new Uint8Array(8 * 1024 * 1024).fill(0xab);
+    const fields = { canonical: 1, body, attachments: [{ name: 'big.bin', data: attachment }] };
+
+    const encoded = encodeCanonical(fields);
+    const decoded = decodeCanonical(encoded);
+    assert.equal(decoded.body, body);
+    assert.deepEqual(decoded.attachments[0].data, attachment);
+    assert.equal(hashSignedFields(fields).length, 32);
+  });
+
+  it('encodes arrays with many items', () => {
+    const items = Array.from({ length: 200000 }, (_, i) => i);
+    assert.deepEqual(decodeCanonical(encodeCanonical(items)), items);
+  });
+
+  it('rejects values that are not canonical', () => {
+    assert.throws(() => encodeCanonical(1.5));
+    assert.throws(() => encodeCanonical('\ud800'));
+    assert.throws(() => encodeCanonical(new Date()));
+    assert.throws(() => hashSignedFields({ canonical: 2 }));
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Contact Book for dMail
+ *
+ * A dm1 address is its own Ed25519 key, so the signing key of a contact can
+ * never silently change. Their long-term X25519 key (the `fromEncryptionKey`
+ * of their mail, also their X3DH identity key) can: the contact book pins it
+ * the first time we see it (trust on first use) and flags any other key.
+ *
+ * Every parsed message gets one of three statuses:
+ * - verified: the key matches one the user confirmed with a safety number
+ * - unverified: the key matches the pinned key, never confirmed
+ * - changed: the key differs from the pinned key
+ *
+ * Safety numbers follow Signal's numeric fingerprints: each side's
+ * fingerprint is 5200 rounds of SHA-512 over its keys and address, shown as
+ * 30 digits; the safety number is both, in sorted order.
+ */
+
+import { sha512 } from '@noble/hashes/sha512';
+import { addressToPublicKey } from './identity.js';
+
+export const CONTACT_STATUS = {
+  VERIFIED: 'verified',
+  UNVERIFIED: 'unverified',
+  CHANGED: 'changed'
+};
+
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+
+/**
+ * 30-digit fingerprint of one party
+ * @param {string} address - dm1 address
+ * @param {Uint8Array} signingKey - Ed25519 public key
+ * @param {Uint8Array} encryptionKey - Long-term X25519 public key
+ * @returns {string}
+ */
+function fingerprint(address, signingKey, encryptionKey) {
+  const key = new Uint8Array([...signingKey, ...encryptionKey]);
+  const stableId = new TextEncoder().encode(address);
+
+  let hash = sha512(new Uint8Array([0, FINGERPRINT_VERSION, ...key, ...stableId]));
+  for (let i = 1; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = sha512(new Uint8Array([...hash, ...key]));
+  }
+
+  let digits = '';
+  for (let chunk = 0; chunk < 6; chunk++) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      value = value * 256 + hash[chunk * 5 + i];
+    }
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Safety number for a conversation, identical on both sides
+ * @param {Object} local - {address, publicKey, encryptionPublicKey} (an Identity)
+ * @param {Object} remote - {address, publicKey, encryptionPublicKey}
+ * @returns {string} - 60 digits in groups of 5
+ */
+export function safetyNumber(local, remote) {
+  const digits = [
+    fingerprint(local.address, local.publicKey, local.encryptionPublicKey),
+    fingerprint(remote.address, remote.publicKey, remote.encryptionPublicKey)
+  ].sort().join('');
+  return digits.match(/.{5}/g).join(' ');
+}
+
+/**
+ * Contacts of one identity, kept in an encrypted SecureKeyStore
+ *
+ * Records: contact:<address> = {address, name, encryptionKey, firstSeen,
+ * lastSeen, verifiedKey, changedKey, history, readReceipts, routingKey},
+ * setting:readReceipts = default for contacts without their own setting
+ */
+export class ContactBook {
+  /**
+   * @param {Identity} identity - Our identity
+   * @param {SecureKeyStore} store - Per-identity store ('contacts' purpose)
+   */
+  constructor(identity, store) {
+    this.identity = identity;
+    this.store = store;
+  }
+
+  async get(address) {
+    return this.store.getRecord(`contact:${address}`);
+  }
+
+  async put(contact) {
+    await this.store.putRecord(`contact:${contact.address}`, contact);
+  }
+
+  /**
+   * All contacts with their current status
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const contacts = [];
+    for (const name of await this.store.listRecords('contact:')) {
+      const contact = await this.store.getRecord(name);
+      const status = contact.changedKey ? CONTACT_STATUS.CHANGED : this.statusOf(contact, contact.encryptionKey);
+      contacts.push({ ...contact, status });
+    }
+    return contacts;
+  }
+
+  /**
+   * Status of a key seen for a contact
+   */
+  statusOf(contact, encryptionKey) {
+    if (!contact || !contact.encryptionKey) return CONTACT_STATUS.UNVERIFIED;
+    if (encryptionKey !== contact.encryptionKey) return CONTACT_STATUS.CHANGED;
+    return contact.verifiedKey === encryptionKey ? CONTACT_STATUS.VERIFIED : CONTACT_STATUS.UNVERIFIED;
+  }
+
+  /**
+   * Record a key seen for an address, pinning it on first contact
+   * @param {string} address - Sender address (already bound to its signing key)
+   * @param {Object} seen - {encryptionKey: base64, routingKey: base64 or null, timestamp}
+   * @returns {Promise<{status: string, firstContact: boolean}>}
+   */
+  async observe(address, { encryptionKey, routingKey = null, timestamp = Date.now() }) {
+    const existing = await this.get(address);
+
+    if (!existing || !existing.encryptionKey) {
+      await this.put({
+        address,
+        name: existing?.name || null,
+        encryptionKey,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        verifiedKey: null,
+        changedKey: null,
+        history: [],
+        routingKey: routingKey || existing?.routingKey || null
+      });
+      return { status: CONTACT_STATUS.UNVERIFIED, firstContact: true };
+    }
+
+    const contact = { ...existing };
+    let dirty = false;
+    if (encryptionKey !== contact.encryptionKey && encryptionKey !== contact.changedKey) {
+      contact.changedKey = encryptionKey;
+      dirty = true;
+    }
+    if (timestamp > contact.lastSeen) {
+      contact.lastSeen = timestamp;
+      dirty = true;
+    }
+    // Signed by the address, so the newest one they sent is theirs
+    if (routingKey && routingKey !== contact.routingKey) {
+      contact.routingKey = routingKey;
+      dirty = true;
+    }
+    if (dirty) {
+      await this.put(contact);
+    }
+
+    return { status: this.statusOf(contact, encryptionKey), firstContact: false };
+  }
+
+  /**
+   * Add a contact we have not heard from yet, e.g. on first send
+   * The key is pinned with their first message.
+   */
+  async add(address, name = null) {
+    const existing = await this.get(address);
+    if (existing) {
+      if (name && existing.name !== name) {
+        await this.put({ ...existing, name });
+      }
+      return;
+    }
+    await this.put({
+      address,
+      name,
+      encryptionKey: null,
+      firstSeen: null,
+      lastSeen: null,
+      verifiedKey: null,
+      changedKey: null,
+      history: []
+    });
+  }
+
+  async setName(address, name) {
+    const contact = await this.get(address);
+    if (!contact) {
+      throw new Error(`Unknown contact: ${address}`);
+    }
+    await this.put({ ...contact, name });
+  }
+
+  /**
+   * Accept a changed key as the new pinned key (unverified until compared)
+   */
+  async accept(address) {
+    const contact = await this.get(address);
+    if (!contact || !contact.changedKey) {
+      throw new Error('No key change to accept for this contact');
+    }
+    await this.put({
+      ...contact,
+      encryptionKey: contact.changedKey,
+      changedKey: null,
+      history: [...contact.history, { encryptionKey: contact.encryptionKey, replaced: Date.now() }]
+    });
+  }
+
+  /**
+   * Mark the pinned key as verified, after comparing safety numbers
+   */
+  async verify(address) {
+    const contact = await this.get(address);
+    if (!contact || !contact.encryptionKey) {
+      throw new Error('No key pinned for this contact yet');
+    }
+    if (contact.changedKey) {
+      throw new Error('Key changed since it was pinned, accept the new key first');
+    }
+    await this.put({ ...contact, verifiedKey: contact.encryptionKey });
+  }
+
+  async unverify(address) {
+    const contact = await this.get(address);
+    if (contact) {
+      await this.put({ ...contact, verifiedKey: null });
+    }
+  }
+
+  /**
+   * Routing key a contact handed us, to send to their contact tokens
+   * (crypto/routing.js)
+   * @returns {Promise<Uint8Array|null>} - null until they have written to us
+   */
+  async routingKey(address) {
+    const contact = await this.get(address);
+    return contact?.routingKey ? new Uint8Array(Buffer.from(contact.routingKey, 'base64')) : null;
+  }
+
+  /**
+   * Whether to send read receipts to an address when it asks for them
+   * @returns {Promise<boolean>}
+   */
+  async readReceiptsEnabled(address) {
+    const contact = await this.get(address);
+    if (typeof contact?.readReceipts === 'boolean') {
+      return contact.readReceipts;
+    }
+    return this.defaultReadReceipts();
+  }
+
+  /**
+   * Read receipt setting for one contact
+   * @param {boolean|null} enabled - null to follow the default
+   */
+  async setReadReceipts(address, enabled) {
+    await this.add(address);
+    await this.put({ ...await this.get(address), readReceipts: enabled });
+  }
+
+  /**
+   * Read receipt setting for contacts without their own (on unless turned off)
+   * @returns {Promise<boolean>}
+   */
+  async defaultReadReceipts() {
+    const enabled = await this.store.getRecord('setting:readReceipts');
+    return enabled !== false;
+  }
+
+  async setDefaultReadReceipts(enabled) {
+    await this.store.putRecord('setting:readReceipts', enabled);
+  }
+
+  async remove(address) {
+    await this.store.deleteRecord(`contact:${address}`);
+  }
+
+  /**
+   * Safety number with a contact, for their pinned key
+   * @returns {Promise<string>}
+   */
+  async safetyNumber(address) {
+    const contact = await this.get(address);
+    if (!contact || !contact.encryptionKey) {
+      throw new Error('No key pinned for this contact yet');
+    }
+
+    return safetyNumber(this.identity, {
+      address,
+      publicKey: addressToPublicKey(address),
+      encryptionPublicKey: new Uint8Array(Buffer.from(contact.encryptionKey, 'base64'))
+    });
+  }
+}
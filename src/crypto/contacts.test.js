@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import { ContactBook, CONTACT_STATUS, safetyNumber } from './contacts.js';
+
+const keyOf = identity => Buffer.from(identity.encryptionPublicKey).toString('base64');
+
+describe('ContactBook safety numbers', () => {
+  const alice = Identity.generate();
+  const bob = Identity.generate();
+  const stores = [];
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'contacts-'));
+  });
+
+  after(async () => {
+    for (const store of stores) {
+      await store.close();
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function contactBook(identity) {
+    const store = new SecureKeyStore(null, { dbPath: join(dir, `store-${stores.length}`) });
+    store.unlock(new Uint8Array(randomBytes(32)));
+    stores.push(store);
+    return new ContactBook(identity, store);
+  }
+
+  it('gives both sides of a conversation the same number', async () => {
+    const aliceContacts = contactBook(alice);
+    const bobContacts = contactBook(bob);
+    await aliceContacts.observe(bob.address, { encryptionKey: keyOf(bob) });
+    await bobContacts.observe(alice.address, { encryptionKey: keyOf(alice) });
+
+    const number = await aliceContacts.safetyNumber(bob.address);
+    assert.match(number, /^\d{5}( \d{5}){11}$/);
+    assert.equal(await bobContacts.safetyNumber(alice.address), number);
+    assert.equal(safetyNumber(bob, alice), number);
+    assert.notEqual(safetyNumber(alice, Identity.generate()), number);
+  });
+
+  it('gives another number once a contact key changes', async () => {
+    const contacts = contactBook(alice);
+    await contacts.observe(bob.address, { encryptionKey: keyOf(bob) });
+    await contacts.verify(bob.address);
+    const number = await contacts.safetyNumber(bob.address);
+    assert.equal((await contacts.observe(bob.address, { encryptionKey: keyOf(bob) })).status, CONTACT_STATUS.VERIFIED);
+
+    const newKey = Buffer.from(randomBytes(32)).toString('base64');
+    assert.equal((await contacts.observe(bob.address, { encryptionKey: newKey })).status, CONTACT_STATUS.CHANGED);
+    await assert.rejects(() => contacts.verify(bob.address), /accept the new key first/);
+
+    await contacts.accept(bob.address);
+    assert.notEqual(await contacts.safetyNumber(bob.address), number);
+    assert.equal((await contacts.observe(bob.address, { encryptionKey: newKey })).status, CONTACT_STATUS.UNVERIFIED);
+  });
+
+  it('has no number for a contact whose key is not pinned yet', async () => {
+    const contacts = contactBook(alice);
+    await contacts.add(bob.address, 'Bob');
+    await assert.rejects(() => contacts.safetyNumber(bob.address), /No key pinned/);
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Linked Devices for dMail
+ *
+ * The key behind a dm1 address stays on its primary device. Other devices
+ * get their own keypair and are authorized by a device list the primary
+ * signs and publishes next to its key record:
+ *
+ *   { version, type, address, sequence, devices: [{deviceId, name, signingKey, encryptionKey, kemKey, linked}],
+ *     revoked: [{deviceId, revoked}], created, signature }
+ *
+ * kemKey is the device's ML-KEM-768 key for hybrid mail; devices linked by
+ * older clients have none and get classical copies.
+ *
+ * Senders seal one copy of each message to every listed device, under a
+ * routing token of its own, so each device fetches its copy from relays
+ * independently. The sequence only grows: the newest list wins and a stale
+ * list served by a relay cannot bring back a revoked device.
+ *
+ * Linking is one code copied from the new device to the primary: a link
+ * request signed by the device key, proving the device holds it.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { addressToPublicKey, verifySignature } from './identity.js';
+import { deriveKemKeyPair, KEM_PUBLIC_KEY_LENGTH } from './encryption.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+// Moved to routing.js with the other routing tokens
+export { deviceRoutingToken } from './routing.js';
+
+const DEVICE_LIST_VERSION = 1;
+const DEVICE_LIST_TYPE = 'dmail-device-list';
+const DEVICE_LINK_VERSION = 1;
+const DEVICE_LINK_TYPE = 'dmail-device-link';
+const MAX_DEVICES = 16;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+const LINK_REQUEST_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Device ID for an Ed25519 public key (matches Identity.deviceId)
+ * @param {Uint8Array} signingKey
+ * @returns {string}
+ */
+export function deviceIdFor(signingKey) {
+  return Buffer.from(sha256(signingKey).slice(0, 8)).toString('hex');
+}
+
+/**
+ * Request from a new device to be linked to an account
+ */
+export class DeviceLinkRequest {
+  constructor(options) {
+    this.version = options.version || DEVICE_LINK_VERSION;
+    this.type = DEVICE_LINK_TYPE;
+    this.canonical = options.canonical; // Encoding the signature covers, see canonical.js
+    this.account = options.account;
+    this.name = options.name;
+    this.signingKey = options.signingKey; // Base64 Ed25519 public key of the device
+    this.encryptionKey = options.encryptionKey; // Base64 X25519 public key of the device
+    this.kemKey = options.kemKey || null; // Base64 ML-KEM-768 public key of the device
+    this.created = options.created;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create and sign a link request with the new device's key
+   * @param {Identity} device - Device identity (Identity.generateDevice)
+   * @param {string} name - Name shown in the device list
+   * @returns {DeviceLinkRequest}
+   */
+  static create(device, name) {
+    if (!device.isLinkedDevice) {
+      throw new Error('Not a device identity');
+    }
+
+    const request = new DeviceLinkRequest({
+      canonical: CANONICAL_VERSION,
+      account: device.account,
+      name,
+      signingKey: Buffer.from(device.publicKey).toString('base64'),
+      encryptionKey: Buffer.from(device.encryptionPublicKey).toString('base64'),
+      kemKey: Buffer.from(deriveKemKeyPair(device.encryptionPrivateKey).publicKey).toString('base64'),
+      created: Date.now()
+    });
+    request.signature = Buffer.from(device.sign(request.hash())).toString('base64');
+    return request;
+  }
+
+  get deviceId() {
+    return deviceIdFor(Buffer.from(this.signingKey, 'base64'));
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    const fields = {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      account: this.account,
+      name: this.name,
+      signingKey: this.signingKey,
+      encryptionKey: this.encryptionKey,
+      created: this.created
+    };
+    // Requests from older clients carry no ML-KEM key
+    if (this.kemKey) {
+      fields.kemKey = this.kemKey;
+    }
+    return hashSignedFields(fields);
+  }
+
+  /**
+   * Verify the request is recent and signed by the device key it carries
+   * @param {string} expectedAccount - Account doing the linking
+   * @returns {boolean}
+   */
+  verify(expectedAccount) {
+    try {
+      if (this.version !== DEVICE_LINK_VERSION) return false;
+      if (this.account !== expectedAccount) return false;
+      if (!this.signature || typeof this.name !== 'string') return false;
+      if (Date.now() - this.created > LINK_REQUEST_TTL_MS) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+
+      const signingKey = new Uint8Array(Buffer.from(this.signingKey, 'base64'));
+      if (signingKey.length !== 32 || Buffer.from(this.encryptionKey, 'base64').length !== 32) return false;
+      if (this.kemKey && Buffer.from(this.kemKey, 'base64').length !== KEM_PUBLIC_KEY_LENGTH) return false;
+
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Encode as a code the user copies to the primary device
+   */
+  toCode() {
+    return Buffer.from(JSON.stringify(this.toJSON())).toString('base64url');
+  }
+
+  static fromCode(code) {
+    try {
+      const json = JSON.parse(Buffer.from(code.trim(), 'base64url').toString('utf-8'));
+      if (json.type !== DEVICE_LINK_TYPE) throw new Error('Wrong type');
+      return DeviceLinkRequest.fromJSON(json);
+    } catch (e) {
+      throw new Error('Invalid device link code');
+    }
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      account: this.account,
+      name: this.name,
+      signingKey: this.signingKey,
+      encryptionKey: this.encryptionKey,
+      kemKey: this.kemKey,
+      created: this.created,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new DeviceLinkRequest(json);
+  }
+}
+
+/**
+ * Signed list of the devices linked to an address
+ */
+export class DeviceList {
+  constructor(options) {
+    this.version = options.version || DEVICE_LIST_VERSION;
+    this.type = DEVICE_LIST_TYPE;
+    this.canonical = options.canonical;
+    this.address = options.address;
+    this.sequence = options.sequence;
+    this.devices = options.devices || [];
+    this.revoked = options.revoked || [];
+    this.created = options.created;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create and sign a device list
+   * @param {Identity} identity - Primary identity of the account
+   * @param {Object} contents - {sequence, devices, revoked}
+   * @returns {DeviceList}
+   */
+  static create(identity, { sequence, devices, revoked }) {
+    const list = new DeviceList({
+      canonical: CANONICAL_VERSION,
+      address: identity.address,
+      sequence,
+      devices,
+      revoked,
+      created: Date.now()
+    });
+    list.signature = Buffer.from(identity.sign(list.hash())).toString('base64');
+    return list;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      sequence: this.sequence,
+      devices: this.devices,
+      revoked: this.revoked,
+      created: this.created
+    });
+  }
+
+  /**
+   * Verify the list is well-formed and signed by the address owner
+   * @param {string} expectedAddress - Address the caller asked for (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== DEVICE_LIST_VERSION) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || !Number.isInteger(this.sequence) || this.sequence < 1) return false;
+      if (!Array.isArray(this.devices) || !Array.isArray(this.revoked)) return false;
+      if (this.active().length > MAX_DEVICES) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+
+      for (const device of this.devices) {
+        const signingKey = Buffer.from(device.signingKey, 'base64');
+        if (device.deviceId !== deviceIdFor(signingKey)) return false;
+        if (Buffer.from(device.encryptionKey, 'base64').length !== 32) return false;
+        if (device.kemKey && Buffer.from(device.kemKey, 'base64').length !== KEM_PUBLIC_KEY_LENGTH) return false;
+      }
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Linked devices that have not been revoked
+   */
+  active() {
+    const revoked = new Set(this.revoked.map(entry => entry.deviceId));
+    return this.devices.filter(device => !revoked.has(device.deviceId));
+  }
+
+  isRevoked(deviceId) {
+    return this.revoked.some(entry => entry.deviceId === deviceId);
+  }
+
+  /**
+   * Devices a sender seals copies to
+   * @returns {Object[]} - [{deviceId, encryptionKey: Uint8Array, kemKey: Uint8Array|null}]
+   */
+  recipients() {
+    return this.active().map(device => ({
+      deviceId: device.deviceId,
+      encryptionKey: new Uint8Array(Buffer.from(device.encryptionKey, 'base64')),
+      kemKey: device.kemKey ? new Uint8Array(Buffer.from(device.kemKey, 'base64')) : null
+    }));
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      sequence: this.sequence,
+      devices: this.devices,
+      revoked: this.revoked,
+      created: this.created,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new DeviceList(json);
+  }
+}
+
+/**
+ * Pick the valid device list with the highest sequence
+ * @param {Object[]} lists - Device lists (JSON or DeviceList)
+ * @param {string} address - Address the lists must belong to
+ * @returns {DeviceList|null}
+ */
+export function selectDeviceList(lists, address) {
+  let newest = null;
+  for (const json of lists) {
+    if (!json) continue;
+    const list = json instanceof DeviceList ? json : DeviceList.fromJSON(json);
+    if (!list.verify(address)) continue;
+    if (!newest || list.sequence > newest.sequence) {
+      newest = list;
+    }
+  }
+  return newest;
+}
+
+/**
+ * The device list of a primary identity, kept in a SecureKeyStore
+ *
+ * Records: devices:list = signed DeviceList JSON
+ */
+export class LinkedDevices {
+  /**
+   * @param {Identity} identity - Primary identity
+   * @param {SecureKeyStore} store - Per-identity encrypted store
+   */
+  constructor(identity, store) {
+    this.identity = identity;
+    this.store = store;
+  }
+
+  /**
+   * Current signed list
+   * @returns {Promise<DeviceList|null>} - null until a device is linked
+   */
+  async current() {
+    const json = await this.store.getRecord('devices:list');
+    return json ? DeviceList.fromJSON(json) : null;
+  }
+
+  /**
+   * Linked devices, revoked ones included
+   * @returns {Promise<Object[]>} - [{deviceId, name, linked, revoked}]
+   */
+  async list() {
+    const list = await this.current();
+    if (!list) return [];
+    return list.devices.map(device => ({
+      deviceId: device.deviceId,
+      name: device.name,
+      linked: device.linked,
+      revoked: list.revoked.find(entry => entry.deviceId === device.deviceId)?.revoked || null
+    }));
+  }
+
+  /**
+   * Sign and store the next version of the list
+   */
+  async update(devices, revoked) {
+    const previous = await this.current();
+    const list = DeviceList.create(this.identity, {
+      sequence: (previous?.sequence || 0) + 1,
+      devices,
+      revoked
+    });
+    await this.store.putRecord('devices:list', list.toJSON());
+    return list;
+  }
+
+  /**
+   * Link a device from its link request
+   * @param {DeviceLinkRequest} request - Verified against our address
+   * @returns {Promise<DeviceList>}
+   */
+  async link(request) {
+    if (this.identity.isLinkedDevice) {
+      throw new Error('Only the primary device can link devices');
+    }
+    if (!request.verify(this.identity.address)) {
+      throw new Error('Invalid or expired device link request');
+    }
+
+    const previous = await this.current();
+    const devices = previous?.devices || [];
+    const revoked = previous?.revoked || [];
+    const deviceId = request.deviceId;
+
+    if (revoked.some(entry => entry.deviceId === deviceId)) {
+      throw new Error('This device key was revoked, generate a new one on the device');
+    }
+    if (devices.some(device => device.deviceId === deviceId)) {
+      throw new Error('Device already linked');
+    }
+    if (previous && previous.active().length >= MAX_DEVICES) {
+      throw new Error(`At most ${MAX_DEVICES} devices can be linked`);
+    }
+
+    return this.update([...devices, {
+      deviceId,
+      name: request.name,
+      signingKey: request.signingKey,
+      encryptionKey: request.encryptionKey,
+      ...(request.kemKey ? { kemKey: request.kemKey } : {}),
+      linked: Date.now()
+    }], revoked);
+  }
+
+  /**
+   * Revoke a linked device: senders stop sealing copies to it
+   * The device stays listed as revoked so its key can never be linked again.
+   * @returns {Promise<DeviceList>}
+   */
+  async revoke(deviceId) {
+    const previous = await this.current();
+    if (!previous || !previous.active().some(device => device.deviceId === deviceId)) {
+      throw new Error(`Unknown device: ${deviceId}`);
+    }
+
+    return this.update(previous.devices, [...previous.revoked, { deviceId, revoked: Date.now() }]);
+  }
+
+  /**
+   * Adopt a newer list published by another copy of this identity (e.g.
+   * before a restore)
+   * @param {DeviceList} list - Verified list for our address
+   * @returns {Promise<boolean>} - Whether the stored list changed
+   */
+  async adopt(list) {
+    const current = await this.current();
+    if (current && current.sequence >= list.sequence) {
+      return false;
+    }
+    await this.store.putRecord('devices:list', list.toJSON());
+    return true;
+  }
+}
+
+export { DEVICE_LIST_VERSION, MAX_DEVICES };
@@ -0,0 +1,122 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import { deviceRoutingToken } from './routing.js';
+import { sealEnvelope, openEnvelope } from '../protocol/envelope.js';
+import { DeviceLinkRequest, DeviceList, LinkedDevices, selectDeviceList } from './devices.js';
+
+describe('LinkedDevices', () => {
+  const primary = Identity.generate();
+  const sender = Identity.generate();
+  const stores = [];
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'devices-'));
+  });
+
+  after(async () => {
+    for (const store of stores) {
+      await store.close();
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A fresh device list for the primary identity, in a store of its own
+  function linkedDevices(identity = primary) {
+    const store = new SecureKeyStore(null, { dbPath: join(dir, `store-${stores.length}`) });
+    store.unlock(new Uint8Array(randomBytes(32)));
+    stores.push(store);
+    return new LinkedDevices(identity, store);
+  }
+
+  // The copy a sender seals to one device of the account
+  async function deviceCopy(list, deviceId) {
+    const copies = await sealEnvelope(sender)
+      .to(primary.address, { encryptionKey: primary.encryptionPublicKey, devices: list.recipients() })
+      .body('For every device')
+      .buildAll();
+    return copies.find(copy => copy.routingToken === deviceRoutingToken(primary.address, deviceId)) || null;
+  }
+
+  it('links a device, which then gets a copy of its own', async () => {
+    const devices = linkedDevices();
+    const laptop = Identity.generateDevice(primary.address);
+    const request = DeviceLinkRequest.fromCode(DeviceLinkRequest.create(laptop, 'Laptop').toCode());
+
+    const list = await devices.link(request);
+    assert.ok(list.verify(primary.address));
+    assert.equal(list.sequence, 1);
+    assert.deepEqual(list.active().map(device => device.deviceId), [laptop.deviceId]);
+    assert.deepEqual((await devices.list()).map(({ deviceId, name, revoked }) => ({ deviceId, name, revoked })),
+      [{ deviceId: laptop.deviceId, name: 'Laptop', revoked: null }]);
+
+    const copy = await deviceCopy(list, laptop.deviceId);
+    assert.ok(copy);
+    const message = await openEnvelope(laptop, copy);
+    assert.equal(message.body, 'For every device');
+    assert.equal(message.from, sender.address);
+    await assert.rejects(() => openEnvelope(Identity.generateDevice(primary.address), copy));
+  });
+
+  it('revokes a device for good', async () => {
+    const devices = linkedDevices();
+    const phone = Identity.generateDevice(primary.address);
+    const tablet = Identity.generateDevice(primary.address);
+    const linked = await devices.link(DeviceLinkRequest.create(phone, 'Phone'));
+    await devices.link(DeviceLinkRequest.create(tablet, 'Tablet'));
+
+    const revoked = await devices.revoke(phone.deviceId);
+    assert.ok(revoked.verify(primary.address));
+    assert.equal(revoked.sequence, 3);
+    assert.ok(revoked.isRevoked(phone.deviceId));
+    assert.deepEqual(revoked.recipients().map(device => device.deviceId), [tablet.deviceId]);
+    assert.ok((await devices.list()).find(device => device.deviceId === phone.deviceId).revoked);
+
+    // Senders stop sealing copies to it
+    assert.equal(await deviceCopy(revoked, phone.deviceId), null);
+    assert.ok(await deviceCopy(revoked, tablet.deviceId));
+
+    // A relay serving the older list cannot bring it back, nor can linking it again
+    assert.equal(selectDeviceList([linked.toJSON(), revoked.toJSON()], primary.address).sequence, 3);
+    await assert.rejects(() => devices.link(DeviceLinkRequest.create(phone, 'Phone again')), /revoked/);
+    await assert.rejects(() => devices.revoke(phone.deviceId), /Unknown device/);
+  });
+
+  it('only links devices that asked to be linked to this account', async () => {
+    const devices = linkedDevices();
+    const device = Identity.generateDevice(primary.address);
+
+    const otherAccount = DeviceLinkRequest.create(Identity.generateDevice(sender.address), 'Not ours');
+    await assert.rejects(() => devices.link(otherAccount), /Invalid or expired/);
+
+    const renamed = DeviceLinkRequest.fromJSON({ ...DeviceLinkRequest.create(device, 'Laptop').toJSON(), name: 'Renamed' });
+    await assert.rejects(() => devices.link(renamed), /Invalid or expired/);
+
+    const old = DeviceLinkRequest.create(device, 'Laptop');
+    old.created -= 2 * 24 * 60 * 60 * 1000;
+    old.signature = Buffer.from(device.sign(old.hash())).toString('base64');
+    await assert.rejects(() => devices.link(old), /Invalid or expired/);
+
+    await devices.link(DeviceLinkRequest.create(device, 'Laptop'));
+    await assert.rejects(() => devices.link(DeviceLinkRequest.create(device, 'Laptop')), /already linked/);
+    await assert.rejects(() => linkedDevices(device).link(DeviceLinkRequest.create(Identity.generateDevice(primary.address), 'Tablet')),
+      /Only the primary device/);
+  });
+
+  it('takes lists signed by the account only', async () => {
+    const device = Identity.generateDevice(primary.address);
+    const list = await linkedDevices().link(DeviceLinkRequest.create(device, 'Laptop'));
+
+    const forged = DeviceList.create(sender, { sequence: 9, devices: list.devices, revoked: [] });
+    assert.equal(DeviceList.fromJSON({ ...forged.toJSON(), address: primary.address }).verify(primary.address), false);
+    const tampered = DeviceList.fromJSON({ ...list.toJSON(), sequence: 9 });
+    assert.equal(tampered.verify(primary.address), false);
+    assert.equal(selectDeviceList([tampered.toJSON(), list.toJSON()], primary.address).sequence, 1);
+  });
+});
@@ -26,6 +26,7 @@ const INFO_ROOT_KEY = new TextEncoder().encode('dmail-root-key');
 const INFO_CHAIN_KEY = new TextEncoder().encode('dmail-chain-key');
 const INFO_MESSAGE_KEY = new TextEncoder().encode('dmail-message-key');
 const MAX_SKIP = 100; // Maximum number of message keys to store for out-of-order delivery
+const MAX_SKIPPED_KEY_AGE_MS = 7 * 24 * 60 * 60 * 1000; // Drop skipped keys for messages that never arrived
 
 /**
  * KDF (Key Derivation Function) for the ratchet
@@ -133,6 +134,7 @@ export class DoubleRatchetState {
 
     // Skipped message keys for out-of-order delivery
     this.MKSKIPPED = new Map(); // Map<"pubkey:n", messageKey>
+    this.MKSKIPPED_AT = new Map(); // Map<"pubkey:n", timestamp>
   }
 
   /**
@@ -151,7 +153,8 @@ export class DoubleRatchetState {
       Ns: this.Ns,
       Nr: this.Nr,
       PN: this.PN,
-      MKSKIPPED: Array.from(this.MKSKIPPED.entries()).map(([k, v]) => [k, Buffer.from(v).toString('base64')])
+      MKSKIPPED: Array.from(this.MKSKIPPED.entries()).map(([k, v]) => [k, Buffer.from(v).toString('base64')]),
+      MKSKIPPED_AT: Array.from(this.MKSKIPPED_AT.entries())
     };
   }
 
@@ -178,6 +181,11 @@ export class DoubleRatchetState {
     state.MKSKIPPED = new Map(
       data.MKSKIPPED.map(([k, v]) => [k, new Uint8Array(Buffer.from(v, 'base64'))])
     );
+    // Older states have no timestamps, start their age from now
+    state.MKSKIPPED_AT = new Map(data.MKSKIPPED_AT || []);
+    for (const k of state.MKSKIPPED.keys()) {
+      if (!state.MKSKIPPED_AT.has(k)) state.MKSKIPPED_AT.set(k, Date.now());
+    }
 
     return state;
   }
@@ -274,6 +282,7 @@ export class DoubleRatchetSession {
     if (this.state.MKSKIPPED.has(skipKey)) {
       const messageKey = this.state.MKSKIPPED.get(skipKey);
       this.state.MKSKIPPED.delete(skipKey);
+      this.state.MKSKIPPED_AT.delete(skipKey);
       return decrypt(messageKey, nonce, ciphertext, associatedData);
     }
 
@@ -336,12 +345,29 @@ export class DoubleRatchetSession {
 
         const skipKey = `${Buffer.from(this.state.DHr).toString('base64')}:${this.state.Nr}`;
         this.state.MKSKIPPED.set(skipKey, messageKey);
+        this.state.MKSKIPPED_AT.set(skipKey, Date.now());
 
         this.state.Nr++;
       }
     }
   }
 
+  /**
+   * Delete skipped message keys older than maxAgeMs
+   * @returns {number} - Number of keys deleted
+   */
+  pruneSkippedKeys(maxAgeMs = MAX_SKIPPED_KEY_AGE_MS) {
+    let pruned = 0;
+    for (const [skipKey, skippedAt] of this.state.MKSKIPPED_AT) {
+      if (Date.now() - skippedAt > maxAgeMs) {
+        this.state.MKSKIPPED.delete(skipKey);
+        this.state.MKSKIPPED_AT.delete(skipKey);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
   /**
    * Check if two arrays are equal
    */
@@ -366,35 +392,50 @@ export class DoubleRatchetSession {
   static deserialize(data) {
     return new DoubleRatchetSession(DoubleRatchetState.deserialize(data));
   }
+
+  /**
+   * Independent copy, so work can be discarded if it is not committed
+   */
+  clone() {
+    return DoubleRatchetSession.deserialize(this.serialize());
+  }
 }
 
 /**
  * Session Manager
  * Manages Double Ratchet sessions for multiple contacts
+ *
+ * Sessions are persisted encrypted through a SecureKeyStore. Every operation
+ * works on a copy of the session and writes the new state before returning,
+ * so a crash can never leave a sent message key reusable or a received one
+ * half-applied.
  */
 export class SessionManager {
-  constructor(db = null) {
-    this.db = db;
+  /**
+   * @param {SecureKeyStore} store - Encrypted store (sessions stay in memory if null)
+   */
+  constructor(store = null) {
+    this.store = store;
     this.sessions = new Map(); // remoteAddress -> DoubleRatchetSession
+    this.created = new Map(); // remoteAddress -> timestamp
   }
 
   /**
-   * Get or create a session for a remote address
+   * Get the committed session for a remote address
    */
   async getSession(remoteAddress) {
     if (this.sessions.has(remoteAddress)) {
       return this.sessions.get(remoteAddress);
     }
 
-    // Try to load from database
-    if (this.db) {
-      try {
-        const data = await this.db.get(`session:${remoteAddress}`);
-        const session = DoubleRatchetSession.deserialize(data);
+    if (this.store) {
+      const record = await this.store.getRecord(`session:${remoteAddress}`);
+      if (record) {
+        const session = DoubleRatchetSession.deserialize(record.state);
+        session.pruneSkippedKeys();
         this.sessions.set(remoteAddress, session);
+        this.created.set(remoteAddress, record.created);
         return session;
-      } catch (e) {
-        // No existing session
       }
     }
 
@@ -407,8 +448,7 @@ export class SessionManager {
   async createSessionAsInitiator(remoteAddress, sharedSecret, remotePublicKey) {
     const session = new DoubleRatchetSession();
     session.initAsInitiator(sharedSecret, remotePublicKey);
-    this.sessions.set(remoteAddress, session);
-    await this.saveSession(remoteAddress);
+    await this.putSession(remoteAddress, session);
     return session;
   }
 
@@ -418,42 +458,120 @@ export class SessionManager {
   async createSessionAsResponder(remoteAddress, sharedSecret, ourKeyPair) {
     const session = new DoubleRatchetSession();
     session.initAsResponder(sharedSecret, ourKeyPair);
-    this.sessions.set(remoteAddress, session);
-    await this.saveSession(remoteAddress);
+    await this.putSession(remoteAddress, session);
     return session;
   }
 
   /**
-   * Save a session to database
+   * Encrypt for a remote address and commit the advanced session
+   * @param {Object} options - {session: uncommitted session to start from, extraOps: store ops to commit with it}
    */
-  async saveSession(remoteAddress) {
-    if (!this.db) return;
+  async encrypt(remoteAddress, plaintext, associatedData, options = {}) {
+    const base = options.session || await this.getSession(remoteAddress);
+    if (!base) {
+      throw new Error('No session for remote address');
+    }
 
+    const working = base.clone();
+    const encrypted = working.encrypt(plaintext, associatedData);
+    await this.putSession(remoteAddress, working, options.extraOps);
+    return encrypted;
+  }
+
+  /**
+   * Decrypt from a remote address and commit the advanced session
+   * @param {Object} options - {session, extraOps, verify: async (plaintext) => void, throws to reject}
+   */
+  async decrypt(remoteAddress, header, nonceB64, ciphertextB64, associatedData, options = {}) {
+    const base = options.session || await this.getSession(remoteAddress);
+    if (!base) {
+      throw new Error('No session for remote address');
+    }
+
+    const working = base.clone();
+    const plaintext = working.decrypt(header, nonceB64, ciphertextB64, associatedData);
+    if (options.verify) {
+      await options.verify(plaintext);
+    }
+    await this.putSession(remoteAddress, working, options.extraOps);
+    return plaintext;
+  }
+
+  /**
+   * Replace the session for a remote address and save it
+   * @param {Object[]} extraOps - Store ops written in the same batch
+   */
+  async putSession(remoteAddress, session, extraOps = []) {
+    session.pruneSkippedKeys();
+
+    if (this.store) {
+      const created = this.created.get(remoteAddress) || Date.now();
+      await this.store.batchRecords([
+        {
+          type: 'put',
+          name: `session:${remoteAddress}`,
+          value: { state: session.serialize(), created, updated: Date.now() }
+        },
+        ...extraOps
+      ]);
+      this.created.set(remoteAddress, created);
+    }
+
+    // Only visible once it is on disk
+    this.sessions.set(remoteAddress, session);
+  }
+
+  /**
+   * Save a session to the store
+   */
+  async saveSession(remoteAddress) {
     const session = this.sessions.get(remoteAddress);
     if (session) {
-      await this.db.put(`session:${remoteAddress}`, session.serialize());
+      await this.putSession(remoteAddress, session);
     }
   }
 
   /**
    * Delete a session
+   * @param {Object[]} extraOps - Store ops written in the same batch
    */
-  async deleteSession(remoteAddress) {
+  async deleteSession(remoteAddress, extraOps = []) {
     this.sessions.delete(remoteAddress);
-    if (this.db) {
-      try {
-        await this.db.del(`session:${remoteAddress}`);
-      } catch (e) {
-        // Session might not exist
-      }
+    this.created.delete(remoteAddress);
+    if (this.store) {
+      await this.store.batchRecords([
+        { type: 'del', name: `session:${remoteAddress}` },
+        ...extraOps
+      ]);
     }
   }
 
   /**
    * List all sessions
+   * @returns {Promise<Object[]>} - [{address, created, updated, skippedKeys}]
    */
-  listSessions() {
-    return Array.from(this.sessions.keys());
+  async listSessions() {
+    if (!this.store) {
+      return Array.from(this.sessions.entries()).map(([address, session]) => ({
+        address,
+        created: this.created.get(address) || null,
+        updated: null,
+        skippedKeys: session.state.MKSKIPPED.size
+      }));
+    }
+
+    const sessions = [];
+    for (const name of await this.store.listRecords('session:')) {
+      const record = await this.store.getRecord(name);
+      if (!record) continue;
+      sessions.push({
+        address: name.slice('session:'.length),
+        created: record.created,
+        updated: record.updated,
+        skippedKeys: record.state.MKSKIPPED.length
+      });
+    }
+    return sessions;
   }
 }
 
@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'crypto';
+import { x25519 } from '@noble/curves/ed25519';
+import { Level } from 'level';
+import { SecureKeyStore } from './secure-storage.js';
+import { DoubleRatchetSession, SessionManager } from './double-ratchet.js';
+
+const text = bytes => new TextDecoder().decode(bytes);
+const bytes = value => new TextEncoder().encode(value);
+const AD = bytes('dmail-ratchet-test');
+
+// A session pair, as X3DH leaves it
+function sessionPair() {
+  const sharedSecret = new Uint8Array(randomBytes(32));
+  const privateKey = new Uint8Array(randomBytes(32));
+  const prekey = { privateKey, publicKey: x25519.getPublicKey(privateKey) };
+  const initiator = new DoubleRatchetSession();
+  initiator.initAsInitiator(sharedSecret, prekey.publicKey);
+  const responder = new DoubleRatchetSession();
+  responder.initAsResponder(sharedSecret, prekey);
+  return { initiator, responder };
+}
+
+function send(session, value) {
+  const { header, nonce, ciphertext } = session.encrypt(bytes(value), AD);
+  return { header, nonce, ciphertext };
+}
+
+function receive(session, message) {
+  return text(session.decrypt(message.header, message.nonce, message.ciphertext, AD));
+}
+
+describe('Double Ratchet sessions', () => {
+  it('keeps skipped keys for late messages and prunes old ones', () => {
+    const { initiator, responder } = sessionPair();
+    const late = send(initiator, 'late');
+    const lost = send(initiator, 'lost');
+    assert.equal(receive(responder, send(initiator, 'now')), 'now');
+    assert.equal(responder.state.MKSKIPPED.size, 2);
+
+    assert.equal(receive(responder, late), 'late');
+    assert.equal(responder.state.MKSKIPPED.size, 1);
+
+    assert.equal(responder.pruneSkippedKeys(60 * 1000), 0);
+    for (const key of responder.state.MKSKIPPED_AT.keys()) {
+      responder.state.MKSKIPPED_AT.set(key, Date.now() - 2 * 60 * 1000);
+    }
+    assert.equal(responder.pruneSkippedKeys(60 * 1000), 1);
+    assert.throws(() => receive(responder, lost));
+  });
+
+  it('refuses to skip too many messages', () => {
+    const { initiator, responder } = sessionPair();
+    for (let i = 0; i < 101; i++) send(initiator, 'skipped');
+    assert.throws(() => receive(responder, send(initiator, 'too far')), /Too many skipped messages/);
+  });
+
+  it('survives serialization', () => {
+    const { initiator, responder } = sessionPair();
+    const late = send(initiator, 'late');
+    receive(responder, send(initiator, 'first'));
+    const restored = DoubleRatchetSession.deserialize(JSON.parse(JSON.stringify(responder.serialize())));
+    assert.equal(receive(restored, late), 'late');
+    assert.equal(receive(initiator, send(restored, 'reply')), 'reply');
+  });
+});
+
+describe('SessionManager persistence', () => {
+  let dir;
+  const key = new Uint8Array(randomBytes(32));
+  const open = () => {
+    const store = new SecureKeyStore(null, { dbPath: join(dir, 'sessions') });
+    // close() zeroes the key it was given
+    store.unlock(new Uint8Array(key));
+    return store;
+  };
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'dmail-ratchet-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores sessions encrypted and picks them up after a restart', async () => {
+    const { initiator, responder } = sessionPair();
+    let store = open();
+    let manager = new SessionManager(store);
+    await manager.putSession('dm1peer', responder);
+
+    const first = send(initiator, 'before restart');
+    assert.equal(text(await manager.decrypt('dm1peer', first.header, first.nonce, first.ciphertext, AD)), 'before restart');
+    await store.close();
+
+    const raw = new Level(join(dir, 'sessions'), { valueEncoding: 'buffer' });
+    for await (const value of raw.values()) {
+      assert.ok(!value.toString('utf-8').includes('MKSKIPPED'));
+    }
+    await raw.close();
+
+    store = open();
+    manager = new SessionManager(store);
+    const message = send(initiator, 'after restart');
+    assert.equal(text(await manager.decrypt('dm1peer', message.header, message.nonce, message.ciphertext, AD)), 'after restart');
+    assert.equal((await manager.listSessions()).length, 1);
+    await store.close();
+  });
+
+  it('commits nothing when verification fails', async () => {
+    const { initiator, responder } = sessionPair();
+    const store = open();
+    const manager = new SessionManager(store);
+    await manager.putSession('dm1other', responder);
+
+    const message = send(initiator, 'rejected');
+    await assert.rejects(() => manager.decrypt('dm1other', message.header, message.nonce, message.ciphertext, AD, {
+      verify: async () => { throw new Error('Rejected'); },
+      extraOps: [{ type: 'put', name: 'marker', value: true }]
+    }), /Rejected/);
+    assert.equal(await store.getRecord('marker'), null);
+
+    // The message can still be read once
+    const { header, nonce, ciphertext } = message;
+    assert.equal(text(await manager.decrypt('dm1other', header, nonce, ciphertext, AD)), 'rejected');
+    await assert.rejects(() => manager.decrypt('dm1other', header, nonce, ciphertext, AD));
+    await store.close();
+  });
+});
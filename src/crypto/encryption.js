@@ -1,10 +1,32 @@
+/**
+ * Public-key encryption for dMail
+ *
+ * Classical: X25519 + HKDF-SHA256 + ChaCha20-Poly1305.
+ *
+ * Hybrid (post-quantum): X25519 and ML-KEM-768 both contribute to the key,
+ * so a message stays confidential unless both are broken:
+ *
+ *   key = HKDF-SHA256(ikm = ss_mlkem || ss_x25519,
+ *                     salt = SHA-256(ct_mlkem || ephemeral || recipient X25519 key),
+ *                     info = 'dmail-hybrid-v1')
+ *
+ * The salt binds the key to both ciphertexts and the recipient, as in X-Wing.
+ */
+
 import { x25519 } from '@noble/curves/ed25519';
 import { chacha20poly1305 } from '@noble/ciphers/chacha';
 import { sha256 } from '@noble/hashes/sha256';
 import { hkdf } from '@noble/hashes/hkdf';
+import { ml_kem768 } from '@noble/post-quantum/ml-kem';
 import { randomBytes } from 'crypto';
 
 const INFO = new TextEncoder().encode('dmail-encryption-v1');
+const HYBRID_INFO = new TextEncoder().encode('dmail-hybrid-v1');
+const KEM_SEED_SALT = 'dmail-mlkem768-v1';
+
+export const KEM_ALGORITHM = 'ML-KEM-768';
+export const KEM_PUBLIC_KEY_LENGTH = 1184;
+export const KEM_CIPHERTEXT_LENGTH = 1088;
 
 export function encryptMessage(plaintext, senderPrivateKey, recipientPublicKey) {
   const ephemeralPrivate = randomBytes(32);
@@ -45,3 +67,53 @@ export function deserializeEncrypted(serialized) {
     ciphertext: new Uint8Array(Buffer.from(serialized.ciphertext, 'base64'))
   };
 }
+
+/**
+ * Derive the ML-KEM-768 keypair paired with an X25519 private key
+ * Deterministic, so anything that restores the X25519 key restores this too.
+ * @param {Uint8Array} x25519PrivateKey
+ * @returns {{publicKey: Uint8Array, secretKey: Uint8Array}}
+ */
+export function deriveKemKeyPair(x25519PrivateKey) {
+  const seed = hkdf(sha256, x25519PrivateKey, KEM_SEED_SALT, 'keygen', 64);
+  return ml_kem768.keygen(seed);
+}
+
+function hybridKey(kemSecret, dhSecret, kemCiphertext, ephemeralPublicKey, recipientPublicKey) {
+  const salt = sha256(new Uint8Array([...kemCiphertext, ...ephemeralPublicKey, ...recipientPublicKey]));
+  return hkdf(sha256, new Uint8Array([...kemSecret, ...dhSecret]), salt, HYBRID_INFO, 32);
+}
+
+/**
+ * Agree on a hybrid key with a recipient
+ * @param {Uint8Array} recipientPublicKey - X25519 public key
+ * @param {Uint8Array} recipientKemKey - ML-KEM-768 public key
+ * @returns {{ephemeralPublicKey, kemCiphertext, key}}
+ */
+export function hybridEncapsulate(recipientPublicKey, recipientKemKey) {
+  const ephemeralPrivate = randomBytes(32);
+  const ephemeralPublicKey = x25519.getPublicKey(ephemeralPrivate);
+  const dhSecret = x25519.getSharedSecret(ephemeralPrivate, recipientPublicKey);
+  const { cipherText: kemCiphertext, sharedSecret: kemSecret } = ml_kem768.encapsulate(recipientKemKey);
+
+  return {
+    ephemeralPublicKey,
+    kemCiphertext,
+    key: hybridKey(kemSecret, dhSecret, kemCiphertext, ephemeralPublicKey, recipientPublicKey)
+  };
+}
+
+/**
+ * Recover the hybrid key on the recipient side
+ * @param {Object} encapsulated - {ephemeralPublicKey, kemCiphertext}
+ * @param {Object} keys - {privateKey, publicKey} X25519 and {kemSecretKey} ML-KEM-768
+ * @returns {Uint8Array}
+ */
+export function hybridDecapsulate({ ephemeralPublicKey, kemCiphertext }, { privateKey, publicKey, kemSecretKey }) {
+  if (kemCiphertext.length !== KEM_CIPHERTEXT_LENGTH) {
+    throw new Error('Invalid ML-KEM ciphertext');
+  }
+  const dhSecret = x25519.getSharedSecret(privateKey, ephemeralPublicKey);
+  const kemSecret = ml_kem768.decapsulate(kemCiphertext, kemSecretKey);
+  return hybridKey(kemSecret, dhSecret, kemCiphertext, ephemeralPublicKey, publicKey);
+}
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { x25519 } from '@noble/curves/ed25519';
+import { Identity } from './identity.js';
+import { KeyRecord, KemKeyRecord, selectKemKeyRecord } from './key-directory.js';
+import {
+  KEM_PUBLIC_KEY_LENGTH,
+  KEM_CIPHERTEXT_LENGTH,
+  deriveKemKeyPair,
+  hybridEncapsulate,
+  hybridDecapsulate
+} from './encryption.js';
+import { sealEnvelope, openEnvelope } from '../protocol/envelope.js';
+import { PROTOCOL_VERSION, HYBRID_PROTOCOL_VERSION } from '../protocol/sealed-envelope.js';
+
+describe('hybrid X25519 + ML-KEM-768', () => {
+  const privateKey = new Uint8Array(randomBytes(32));
+  const publicKey = x25519.getPublicKey(privateKey);
+  const kem = deriveKemKeyPair(privateKey);
+
+  it('derives the same ML-KEM keypair from the same X25519 key', () => {
+    assert.equal(kem.publicKey.length, KEM_PUBLIC_KEY_LENGTH);
+    assert.deepEqual(deriveKemKeyPair(privateKey).publicKey, kem.publicKey);
+    assert.notDeepEqual(deriveKemKeyPair(new Uint8Array(randomBytes(32))).publicKey, kem.publicKey);
+  });
+
+  it('agrees on a key with the recipient', () => {
+    const { ephemeralPublicKey, kemCiphertext, key } = hybridEncapsulate(publicKey, kem.publicKey);
+    assert.equal(kemCiphertext.length, KEM_CIPHERTEXT_LENGTH);
+    const recovered = hybridDecapsulate({ ephemeralPublicKey, kemCiphertext }, { privateKey, publicKey, kemSecretKey: kem.secretKey });
+    assert.deepEqual(recovered, key);
+  });
+
+  it('needs both secrets', () => {
+    const { ephemeralPublicKey, kemCiphertext, key } = hybridEncapsulate(publicKey, kem.publicKey);
+    const otherKem = deriveKemKeyPair(new Uint8Array(randomBytes(32)));
+    assert.notDeepEqual(
+      hybridDecapsulate({ ephemeralPublicKey, kemCiphertext }, { privateKey, publicKey, kemSecretKey: otherKem.secretKey }),
+      key
+    );
+    const otherPrivate = new Uint8Array(randomBytes(32));
+    assert.notDeepEqual(
+      hybridDecapsulate({ ephemeralPublicKey, kemCiphertext }, { privateKey: otherPrivate, publicKey, kemSecretKey: kem.secretKey }),
+      key
+    );
+    assert.throws(
+      () => hybridDecapsulate({ ephemeralPublicKey, kemCiphertext: kemCiphertext.subarray(1) }, { privateKey, publicKey, kemSecretKey: kem.secretKey }),
+      /Invalid ML-KEM ciphertext/
+    );
+  });
+});
+
+describe('published ML-KEM keys', () => {
+  const identity = Identity.generate();
+  const keyRecord = KeyRecord.create(identity);
+  const kemKey = deriveKemKeyPair(identity.encryptionPrivateKey).publicKey;
+
+  it('signs and selects the record paired with a key record', () => {
+    const record = KemKeyRecord.create(identity, keyRecord, kemKey);
+    assert.ok(record.verify(identity.address));
+    assert.equal(selectKemKeyRecord([record.toJSON()], keyRecord).kemKey, record.kemKey);
+  });
+
+  it('rejects records for another key, address or with a bad key', () => {
+    const record = KemKeyRecord.create(identity, keyRecord, kemKey);
+    assert.ok(!record.verify(Identity.generate().address));
+    assert.equal(selectKemKeyRecord([{ ...record.toJSON(), keyId: 'ffffffffffffffff' }], keyRecord), null);
+    assert.ok(!KemKeyRecord.fromJSON({ ...record.toJSON(), kemKey: Buffer.from(kemKey.subarray(1)).toString('base64') }).verify());
+    assert.ok(!KemKeyRecord.fromJSON({ ...record.toJSON(), expires: record.expires + 1 }).verify());
+  });
+});
+
+describe('envelope version negotiation', () => {
+  const sender = Identity.generate();
+  const recipient = Identity.generate();
+  const keys = {
+    encryptionKey: recipient.encryptionPublicKey,
+    kemKey: deriveKemKeyPair(recipient.encryptionPrivateKey).publicKey
+  };
+
+  it('seals to the hybrid version when the recipient has an ML-KEM key', async () => {
+    const envelope = await sealEnvelope(sender).to(recipient.address, keys).body('post-quantum').build();
+    assert.equal(envelope.version, HYBRID_PROTOCOL_VERSION);
+    assert.ok(envelope.payload.kemCiphertext);
+    assert.equal((await openEnvelope(recipient, envelope)).body, 'post-quantum');
+  });
+
+  it('falls back to the classical version without one, or when asked to', async () => {
+    const classical = await sealEnvelope(sender)
+      .to(recipient.address, { encryptionKey: keys.encryptionKey })
+      .body('classical')
+      .build();
+    assert.equal(classical.version, PROTOCOL_VERSION);
+    assert.equal(classical.payload.kemCiphertext, undefined);
+
+    const preferred = await sealEnvelope(sender, { version: PROTOCOL_VERSION }).to(recipient.address, keys).body('classical').build();
+    assert.equal(preferred.version, PROTOCOL_VERSION);
+    assert.equal((await openEnvelope(recipient, preferred)).body, 'classical');
+  });
+
+  it('refuses hybrid envelopes stripped of their ML-KEM ciphertext', async () => {
+    const envelope = await sealEnvelope(sender).to(recipient.address, keys).body('post-quantum').build();
+    const { kemCiphertext, ...payload } = envelope.payload;
+    await assert.rejects(() => openEnvelope(recipient, { ...envelope, payload }));
+    await assert.rejects(() => openEnvelope(recipient, { ...envelope, version: PROTOCOL_VERSION }));
+  });
+});
@@ -0,0 +1,671 @@
+/**
+ * Groups for dMail
+ *
+ * A group has an address of its own, like any identity. The group key signs
+ * only the first roster, naming the founding admin, and is then thrown away:
+ * the address commits to its founder and nobody can speak for the group
+ * later. Every following roster is signed by an admin of the roster before
+ * it and names that roster's hash, so members verify the chain from the
+ * address down:
+ *
+ *   { version, type, group, name, sequence, epoch, members: [{address, role}],
+ *     previous, created, signer, signature }
+ *
+ * Posts use sender keys, as in Signal groups. Every member has a symmetric
+ * chain per epoch and hands its current state to the other members once,
+ * over pairwise sealed mail (a GroupUpdate attachment). A post is then a
+ * single envelope under the group's routing token, encrypted with the next
+ * key of the sender's chain, whatever the size of the group. Removing a
+ * member starts a new epoch: every member replaces its chain and hands the
+ * new one to the remaining members only, and chains of removed members are
+ * deleted.
+ *
+ * Rosters are kept in the message database next to the inbox, chain keys in
+ * the encrypted store.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { hkdf } from '@noble/hashes/hkdf';
+import { randomBytes } from 'crypto';
+import { Identity, addressToPublicKey, verifySignature } from './identity.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+const GROUP_ROSTER_VERSION = 1;
+const GROUP_ROSTER_TYPE = 'dmail-group-roster';
+const GROUP_UPDATE_TYPE = 'dmail-group-update';
+const GROUP_UPDATE_FILENAME = 'dmail-group-update.json';
+const MAX_GROUP_MEMBERS = 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_SENDER_KEY_SKIP = 1000; // Message keys kept for posts arriving out of order
+const INFO_SENDER_CHAIN_KEY = new TextEncoder().encode('dmail-sender-chain-key');
+const INFO_SENDER_MESSAGE_KEY = new TextEncoder().encode('dmail-sender-message-key');
+
+export const GROUP_ROLE = {
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+/**
+ * Advance a sender key chain by one message
+ */
+function kdfSenderKey(chainKey) {
+  return {
+    chainKey: hkdf(sha256, chainKey, undefined, INFO_SENDER_CHAIN_KEY, 32),
+    messageKey: hkdf(sha256, chainKey, undefined, INFO_SENDER_MESSAGE_KEY, 32)
+  };
+}
+
+/**
+ * One signed version of a group's member list
+ */
+export class GroupRoster {
+  constructor(options) {
+    this.version = options.version || GROUP_ROSTER_VERSION;
+    this.type = GROUP_ROSTER_TYPE;
+    this.canonical = options.canonical; // Encoding the signature covers, see canonical.js
+    this.group = options.group;
+    this.name = options.name;
+    this.sequence = options.sequence;
+    this.epoch = options.epoch;
+    this.members = options.members || [];
+    this.previous = options.previous || null; // Hex hash of the roster this one follows
+    this.created = options.created;
+    this.signer = options.signer;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Start a group: a new group key signs the first roster and is discarded
+   * @param {Identity} founder - First admin
+   * @param {string} name - Group name
+   * @returns {GroupRoster}
+   */
+  static found(founder, name) {
+    const groupKey = Identity.generate();
+    const roster = new GroupRoster({
+      canonical: CANONICAL_VERSION,
+      group: groupKey.address,
+      name,
+      sequence: 1,
+      epoch: 1,
+      members: [{ address: founder.address, role: GROUP_ROLE.ADMIN }],
+      created: Date.now(),
+      signer: groupKey.address
+    });
+    roster.signature = Buffer.from(groupKey.sign(roster.hash())).toString('base64');
+    return roster;
+  }
+
+  /**
+   * Sign the roster that follows this one; removing anyone starts a new epoch
+   * @param {Identity} admin - Admin of this roster
+   * @param {Object[]} members - [{address, role}]
+   * @returns {GroupRoster}
+   */
+  next(admin, members) {
+    if (!this.isAdmin(admin.address)) {
+      throw new Error('Only group admins can change the roster');
+    }
+    if (!members.some(member => member.role === GROUP_ROLE.ADMIN)) {
+      throw new Error('A group needs at least one admin');
+    }
+
+    const kept = new Set(members.map(member => member.address));
+    const removed = this.members.some(member => !kept.has(member.address));
+    const roster = new GroupRoster({
+      canonical: CANONICAL_VERSION,
+      group: this.group,
+      name: this.name,
+      sequence: this.sequence + 1,
+      epoch: removed ? this.epoch + 1 : this.epoch,
+      members,
+      previous: this.id,
+      created: Date.now(),
+      signer: admin.address
+    });
+    roster.signature = Buffer.from(admin.sign(roster.hash())).toString('base64');
+    return roster;
+  }
+
+  get id() {
+    return Buffer.from(this.hash()).toString('hex');
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      group: this.group,
+      name: this.name,
+      sequence: this.sequence,
+      epoch: this.epoch,
+      members: this.members,
+      previous: this.previous,
+      created: this.created,
+      signer: this.signer
+    });
+  }
+
+  /**
+   * Verify the roster is well-formed and follows the one before it
+   * @param {GroupRoster|null} previous - Roster this one follows, null for the first
+   * @returns {boolean}
+   */
+  verify(previous = null) {
+    try {
+      if (this.version !== GROUP_ROSTER_VERSION) return false;
+      if (!this.signature || typeof this.name !== 'string') return false;
+      if (!Array.isArray(this.members) || this.members.length === 0) return false;
+      if (this.members.length > MAX_GROUP_MEMBERS) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+
+      const addresses = new Set(this.members.map(member => member.address));
+      if (addresses.size !== this.members.length) return false;
+      for (const member of this.members) {
+        addressToPublicKey(member.address);
+        if (!Object.values(GROUP_ROLE).includes(member.role)) return false;
+      }
+      if (this.admins().length === 0) return false;
+
+      if (previous) {
+        if (this.group !== previous.group || this.sequence !== previous.sequence + 1) return false;
+        if (this.previous !== previous.id || !previous.isAdmin(this.signer)) return false;
+        const removed = previous.members.some(member => !addresses.has(member.address));
+        if (this.epoch !== (removed ? previous.epoch + 1 : previous.epoch)) return false;
+      } else {
+        // The first roster is signed by the group key itself
+        if (this.sequence !== 1 || this.epoch !== 1 || this.previous !== null) return false;
+        if (this.signer !== this.group) return false;
+      }
+
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, addressToPublicKey(this.signer));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  isMember(address) {
+    return this.members.some(member => member.address === address);
+  }
+
+  isAdmin(address) {
+    return this.members.some(member => member.address === address && member.role === GROUP_ROLE.ADMIN);
+  }
+
+  admins() {
+    return this.members.filter(member => member.role === GROUP_ROLE.ADMIN);
+  }
+
+  addresses() {
+    return this.members.map(member => member.address);
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      group: this.group,
+      name: this.name,
+      sequence: this.sequence,
+      epoch: this.epoch,
+      members: this.members,
+      previous: this.previous,
+      created: this.created,
+      signer: this.signer,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new GroupRoster(json);
+  }
+}
+
+/**
+ * Verify a roster chain from the group's first roster
+ * @param {Object[]} chain - Rosters (JSON or GroupRoster), oldest first
+ * @param {string} group - Group address the chain must start from
+ * @returns {GroupRoster[]}
+ */
+export function verifyRosterChain(chain, group) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    throw new Error('Empty group roster chain');
+  }
+
+  const rosters = [];
+  for (const json of chain) {
+    const roster = json instanceof GroupRoster ? json : GroupRoster.fromJSON(json);
+    const previous = rosters[rosters.length - 1] || null;
+    if (roster.group !== group || !roster.verify(previous)) {
+      throw new Error('Invalid group roster chain');
+    }
+    rosters.push(roster);
+  }
+  return rosters;
+}
+
+/**
+ * Group state one member mails another: the roster chain, and optionally the
+ * sender's chain for the current epoch
+ * It travels as an attachment of a sealed message, whose signature binds the
+ * sender key to the member who sent it.
+ */
+export class GroupUpdate {
+  constructor(options) {
+    this.type = GROUP_UPDATE_TYPE;
+    this.group = options.group;
+    this.rosters = options.rosters || []; // Roster chain JSON, oldest first
+    this.senderKey = options.senderKey || null; // {keyId, epoch, iteration, chainKey}
+  }
+
+  /**
+   * Attachment carrying this update in a sealed message
+   */
+  toAttachment() {
+    const data = Buffer.from(JSON.stringify(this.toJSON()));
+    return {
+      filename: GROUP_UPDATE_FILENAME,
+      data: data.toString('base64'),
+      size: data.length
+    };
+  }
+
+  /**
+   * Find a group update among a parsed message's attachments
+   * @returns {GroupUpdate|null}
+   */
+  static fromAttachments(attachments = []) {
+    const attachment = attachments.find(a => a.filename === GROUP_UPDATE_FILENAME);
+    if (!attachment) return null;
+
+    try {
+      const json = JSON.parse(Buffer.from(attachment.data, 'base64').toString('utf-8'));
+      if (json.type !== GROUP_UPDATE_TYPE) return null;
+      return GroupUpdate.fromJSON(json);
+    } catch (e) {
+      // Not an update
+      return null;
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      group: this.group,
+      rosters: this.rosters,
+      senderKey: this.senderKey
+    };
+  }
+
+  static fromJSON(json) {
+    return new GroupUpdate(json);
+  }
+}
+
+/**
+ * Groups of one identity
+ *
+ * Message db: group:<address> = {address, name, rosters, joined}
+ * Encrypted store: senderkey:own:<group> = {keyId, epoch, chainKey, iteration, distributed},
+ * senderkey:<keyId> = {group, sender, epoch, chainKey, iteration, skipped}
+ */
+export class Groups {
+  /**
+   * @param {Identity} identity - Our identity
+   * @param {Level} db - Node message database
+   * @param {SecureKeyStore} store - Per-identity encrypted store
+   */
+  constructor(identity, db, store) {
+    this.identity = identity;
+    this.db = db;
+    this.store = store;
+    this.known = null; // Cached group addresses
+  }
+
+  /**
+   * A group with its newest roster
+   * @returns {Promise<Object|null>} - {address, name, roster, rosters, joined}
+   */
+  async get(address) {
+    let record;
+    try {
+      record = await this.db.get(`group:${address}`);
+    } catch (e) {
+      // Not a group of ours
+      return null;
+    }
+    const rosters = record.rosters.map(json => GroupRoster.fromJSON(json));
+    return { ...record, roster: rosters[rosters.length - 1], rosters };
+  }
+
+  async require(address) {
+    const group = await this.get(address);
+    if (!group) {
+      throw new Error(`Unknown group: ${address}`);
+    }
+    return group;
+  }
+
+  /**
+   * All groups, with our role (null once removed)
+   * @returns {Promise<Object[]>} - [{address, name, members, epoch, role, joined}]
+   */
+  async list() {
+    const groups = [];
+    for (const address of await this.addresses()) {
+      const { name, roster, joined } = await this.get(address);
+      const member = roster.members.find(entry => entry.address === this.identity.address);
+      groups.push({
+        address,
+        name,
+        members: roster.members.length,
+        epoch: roster.epoch,
+        role: member ? member.role : null,
+        joined
+      });
+    }
+    return groups;
+  }
+
+  /**
+   * Addresses of all groups we know
+   * @returns {Promise<string[]>}
+   */
+  async addresses() {
+    if (!this.known) {
+      const known = [];
+      for await (const [key] of this.db.iterator({ gt: 'group:', lt: 'group:\xff' })) {
+        known.push(key.slice('group:'.length));
+      }
+      this.known = known;
+    }
+    return this.known;
+  }
+
+  async save(address, name, rosters, joined = Date.now()) {
+    await this.db.put(`group:${address}`, {
+      address,
+      name,
+      rosters: rosters.map(roster => roster.toJSON()),
+      joined
+    });
+    this.known = null;
+  }
+
+  /**
+   * Create a group with us as its only admin
+   * @returns {Promise<GroupRoster>}
+   */
+  async create(name) {
+    const roster = GroupRoster.found(this.identity, name);
+    await this.save(roster.group, name, [roster]);
+    return roster;
+  }
+
+  /**
+   * Sign and store the next roster (admins only)
+   * @returns {Promise<GroupRoster>}
+   */
+  async changeRoster(address, members) {
+    const group = await this.require(address);
+    const roster = group.roster.next(this.identity, members);
+    await this.save(address, group.name, [...group.rosters, roster], group.joined);
+    await this.dropRemovedSenderKeys(roster);
+    return roster;
+  }
+
+  /**
+   * @returns {Promise<GroupRoster>}
+   */
+  async addMember(address, member, role = GROUP_ROLE.MEMBER) {
+    addressToPublicKey(member);
+    if (!Object.values(GROUP_ROLE).includes(role)) {
+      throw new Error(`Unknown group role: ${role}`);
+    }
+    const { roster } = await this.require(address);
+    if (roster.isMember(member)) {
+      throw new Error('Already a member of this group');
+    }
+    return this.changeRoster(address, [...roster.members, { address: member, role }]);
+  }
+
+  /**
+   * Remove a member, starting a new epoch
+   * @returns {Promise<GroupRoster>}
+   */
+  async removeMember(address, member) {
+    const { roster } = await this.require(address);
+    if (!roster.isMember(member)) {
+      throw new Error('Not a member of this group');
+    }
+    return this.changeRoster(address, roster.members.filter(entry => entry.address !== member));
+  }
+
+  /**
+   * Take a newer roster chain received from another member
+   * Groups we are not in yet are joined when the newest roster lists us.
+   * @param {string} address - Group address
+   * @param {Object[]} chain - Roster chain JSON, oldest first
+   * @returns {Promise<boolean>} - Whether the stored roster changed
+   */
+  async applyRosters(address, chain) {
+    const rosters = verifyRosterChain(chain, address);
+    const roster = rosters[rosters.length - 1];
+    const group = await this.get(address);
+
+    if (group) {
+      // Admins signing two different successors would fork the group
+      const known = group.roster;
+      if (rosters.length <= known.sequence) return false;
+      if (rosters[known.sequence - 1].id !== known.id) {
+        throw new Error('Group roster conflicts with the one we have');
+      }
+    } else if (!roster.isMember(this.identity.address)) {
+      return false;
+    }
+
+    await this.save(address, roster.name, rosters, group?.joined);
+    await this.dropRemovedSenderKeys(roster);
+    return true;
+  }
+
+  /**
+   * Delete the chains of members a roster no longer lists, and ours if we
+   * were removed
+   */
+  async dropRemovedSenderKeys(roster) {
+    const names = [];
+    if (!roster.isMember(this.identity.address)) {
+      names.push(`senderkey:own:${roster.group}`);
+    }
+    for (const name of await this.store.listRecords('senderkey:')) {
+      if (name.startsWith('senderkey:own:')) continue;
+      const record = await this.store.getRecord(name);
+      if (record.group === roster.group && !roster.isMember(record.sender)) {
+        names.push(name);
+      }
+    }
+    await this.store.batchRecords(names.map(name => ({ type: 'del', name })));
+  }
+
+  /**
+   * Whether an address was a member of a group during an epoch
+   */
+  async wasMember(address, member, epoch) {
+    const group = await this.get(address);
+    return Boolean(group?.rosters.some(roster => roster.epoch === epoch && roster.isMember(member)));
+  }
+
+  /**
+   * Our chain for the group's current epoch, replacing one of an older epoch
+   */
+  async ownSenderKey(address) {
+    const group = await this.get(address);
+    if (!group || !group.roster.isMember(this.identity.address)) {
+      throw new Error('Not a member of this group');
+    }
+
+    const name = `senderkey:own:${address}`;
+    const existing = await this.store.getRecord(name);
+    if (existing && existing.epoch === group.roster.epoch) {
+      return { roster: group.roster, rosters: group.rosters, senderKey: existing };
+    }
+
+    const senderKey = {
+      keyId: randomBytes(8).toString('hex'),
+      epoch: group.roster.epoch,
+      chainKey: randomBytes(32).toString('base64'),
+      iteration: 0,
+      distributed: []
+    };
+    await this.store.putRecord(name, senderKey);
+    return { roster: group.roster, rosters: group.rosters, senderKey };
+  }
+
+  /**
+   * Members that do not have our current chain yet, and the update handing it to them
+   * @returns {Promise<{update: GroupUpdate, recipients: string[]}>}
+   */
+  async pendingDistribution(address) {
+    const { roster, rosters, senderKey } = await this.ownSenderKey(address);
+    const { keyId, epoch, iteration, chainKey } = senderKey;
+    return {
+      update: new GroupUpdate({
+        group: address,
+        rosters: rosters.map(entry => entry.toJSON()),
+        senderKey: { keyId, epoch, iteration, chainKey }
+      }),
+      recipients: roster.addresses().filter(member =>
+        member !== this.identity.address && !senderKey.distributed.includes(member))
+    };
+  }
+
+  async markDistributed(address, members) {
+    const { senderKey } = await this.ownSenderKey(address);
+    await this.store.putRecord(`senderkey:own:${address}`, {
+      ...senderKey,
+      distributed: [...new Set([...senderKey.distributed, ...members])]
+    });
+  }
+
+  /**
+   * Next message key of our chain, for one post
+   * @returns {Promise<{epoch, keyId, iteration, messageKey: Uint8Array}>}
+   */
+  async nextMessageKey(address) {
+    const { senderKey } = await this.ownSenderKey(address);
+    const step = kdfSenderKey(new Uint8Array(Buffer.from(senderKey.chainKey, 'base64')));
+    await this.store.putRecord(`senderkey:own:${address}`, {
+      ...senderKey,
+      chainKey: Buffer.from(step.chainKey).toString('base64'),
+      iteration: senderKey.iteration + 1
+    });
+    return {
+      epoch: senderKey.epoch,
+      keyId: senderKey.keyId,
+      iteration: senderKey.iteration,
+      messageKey: step.messageKey
+    };
+  }
+
+  /**
+   * Store a member's chain from a GroupUpdate they signed
+   * Only chains for the current epoch of a group we are in are taken, and a
+   * key ID is never reassigned.
+   * @param {string} sender - Address that signed the message carrying the update
+   * @param {GroupUpdate} update
+   * @returns {Promise<boolean>} - Whether the chain was stored
+   */
+  async acceptSenderKey(sender, update) {
+    const senderKey = update.senderKey;
+    const group = await this.get(update.group);
+    if (!senderKey || !group || sender === this.identity.address) return false;
+    if (!group.roster.isMember(sender) || !group.roster.isMember(this.identity.address)) return false;
+    if (senderKey.epoch !== group.roster.epoch || !Number.isInteger(senderKey.iteration)) return false;
+    if (!/^[0-9a-f]{16}$/.test(senderKey.keyId) || Buffer.from(senderKey.chainKey, 'base64').length !== 32) return false;
+
+    const name = `senderkey:${senderKey.keyId}`;
+    if (await this.store.getRecord(name)) {
+      // Later iterations can be derived from the state we have
+      return false;
+    }
+    await this.store.putRecord(name, {
+      group: update.group,
+      sender,
+      epoch: senderKey.epoch,
+      chainKey: senderKey.chainKey,
+      iteration: senderKey.iteration,
+      skipped: {}
+    });
+    return true;
+  }
+
+  /**
+   * Message key of a received post
+   * The chain only moves on when commit() is called, once the post checks out.
+   * @returns {Promise<{group, sender, epoch, messageKey: Uint8Array, commit: Function}>}
+   */
+  async messageKey(keyId, iteration) {
+    const name = `senderkey:${keyId}`;
+    const record = await this.store.getRecord(name);
+    if (!record) {
+      throw new Error('Unknown sender key');
+    }
+
+    const skipped = { ...record.skipped };
+    let next;
+    let messageKey;
+    if (skipped[iteration]) {
+      messageKey = new Uint8Array(Buffer.from(skipped[iteration], 'base64'));
+      delete skipped[iteration];
+      next = { ...record, skipped };
+    } else {
+      if (!Number.isInteger(iteration) || iteration < record.iteration) {
+        throw new Error('Group message already received');
+      }
+      if (iteration - record.iteration > MAX_SENDER_KEY_SKIP) {
+        throw new Error('Too many skipped group messages');
+      }
+
+      let chainKey = new Uint8Array(Buffer.from(record.chainKey, 'base64'));
+      for (let i = record.iteration; i < iteration; i++) {
+        const step = kdfSenderKey(chainKey);
+        skipped[i] = Buffer.from(step.messageKey).toString('base64');
+        chainKey = step.chainKey;
+      }
+      const step = kdfSenderKey(chainKey);
+      messageKey = step.messageKey;
+
+      // Keep the newest skipped keys only
+      const iterations = Object.keys(skipped).map(Number).sort((a, b) => a - b);
+      for (const old of iterations.slice(0, Math.max(0, iterations.length - MAX_SENDER_KEY_SKIP))) {
+        delete skipped[old];
+      }
+      next = { ...record, chainKey: Buffer.from(step.chainKey).toString('base64'), iteration: iteration + 1, skipped };
+    }
+
+    return {
+      group: record.group,
+      sender: record.sender,
+      epoch: record.epoch,
+      messageKey,
+      commit: () => this.store.putRecord(name, next)
+    };
+  }
+
+  /**
+   * Whether a key ID is our own chain in a group (our posts come back to us)
+   */
+  async isOwnSenderKey(address, keyId) {
+    const own = await this.store.getRecord(`senderkey:own:${address}`);
+    return own?.keyId === keyId;
+  }
+}
+
+export { MAX_GROUP_MEMBERS };
@@ -0,0 +1,136 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { Level } from 'level';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import { addressRoutingToken } from './routing.js';
+import { Groups, GROUP_ROLE, verifyRosterChain } from './groups.js';
+import { createSealedMessage, SealedEnvelopeParser, GROUP_PROTOCOL_VERSION } from '../protocol/sealed-envelope.js';
+
+describe('Groups', () => {
+  const members = [];
+  let dir;
+  let alice;
+  let bob;
+  let carol;
+  let group;
+
+  // One member's groups, in a message db and encrypted store of their own
+  function member(name) {
+    const identity = Identity.generate();
+    const db = new Level(join(dir, `${name}-messages`), { valueEncoding: 'json' });
+    const store = new SecureKeyStore(null, { dbPath: join(dir, `${name}-keys`) });
+    store.unlock(new Uint8Array(randomBytes(32)));
+    const entry = { identity, db, store, groups: new Groups(identity, db, store) };
+    members.push(entry);
+    return entry;
+  }
+
+  // What a member receives in a group update from another
+  async function receive(recipient, sender, update) {
+    await recipient.groups.applyRosters(update.group, update.rosters);
+    return recipient.groups.acceptSenderKey(sender.identity.address, update);
+  }
+
+  async function post(sender, body) {
+    return createSealedMessage(sender.identity)
+      .group(group, await sender.groups.nextMessageKey(group))
+      .body(body)
+      .build();
+  }
+
+  function open(recipient, envelope) {
+    return new SealedEnvelopeParser(recipient.identity, { groups: recipient.groups }).parse(envelope);
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'groups-'));
+    alice = member('alice');
+    bob = member('bob');
+    carol = member('carol');
+  });
+
+  after(async () => {
+    for (const { db, store } of members) {
+      await store.close();
+      await db.close();
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('founds a group with a roster chain that starts at its address', async () => {
+    const roster = await alice.groups.create('Team');
+    group = roster.group;
+    assert.deepEqual(roster.members, [{ address: alice.identity.address, role: GROUP_ROLE.ADMIN }]);
+
+    await alice.groups.addMember(group, bob.identity.address);
+    const { rosters } = await alice.groups.get(group);
+    const chain = rosters.map(entry => entry.toJSON());
+    assert.equal(verifyRosterChain(chain, group).length, 2);
+    assert.throws(() => verifyRosterChain(chain, Identity.generate().address), /Invalid group roster chain/);
+    assert.throws(() => rosters[1].next(bob.identity, rosters[1].members), /Only group admins/);
+
+    const [listed] = await alice.groups.list();
+    assert.equal(listed.address, group);
+    assert.equal(listed.role, GROUP_ROLE.ADMIN);
+    assert.equal(listed.members, 2);
+  });
+
+  it('hands the sender key to each member once', async () => {
+    const { update, recipients } = await alice.groups.pendingDistribution(group);
+    assert.deepEqual(recipients, [bob.identity.address]);
+
+    // Only from a member, to a member, and a key ID is never taken twice
+    assert.equal(await carol.groups.applyRosters(group, update.rosters), false);
+    assert.equal(await carol.groups.acceptSenderKey(alice.identity.address, update), false);
+    assert.equal(await bob.groups.acceptSenderKey(carol.identity.address, update), false);
+    assert.equal(await receive(bob, alice, update), true);
+    assert.equal(await receive(bob, alice, update), false);
+
+    await alice.groups.markDistributed(group, recipients);
+    assert.deepEqual((await alice.groups.pendingDistribution(group)).recipients, []);
+  });
+
+  it('opens a 2.2.0 post with the sender key, once', async () => {
+    const envelope = await post(alice, 'Hello team');
+    assert.equal(envelope.version, GROUP_PROTOCOL_VERSION);
+    assert.equal(envelope.routingToken, addressRoutingToken(group));
+
+    const message = await open(bob, envelope);
+    assert.equal(message.body, 'Hello team');
+    assert.equal(message.from, alice.identity.address);
+    assert.equal(message.group, group);
+    assert.equal(message.forwardSecret, true);
+
+    await assert.rejects(() => open(bob, envelope), /already received/);
+    await assert.rejects(() => new SealedEnvelopeParser(bob.identity).parse(envelope), /Group keys required/);
+  });
+
+  it('keeps a removed member out of posts made after the removal', async () => {
+    await alice.groups.addMember(group, carol.identity.address);
+    const { update: before } = await alice.groups.pendingDistribution(group);
+    assert.equal(await receive(carol, alice, before), true);
+    assert.equal((await open(carol, await post(alice, 'Welcome Carol'))).body, 'Welcome Carol');
+
+    const roster = await alice.groups.removeMember(group, carol.identity.address);
+    assert.equal(roster.epoch, 2);
+    const { rosters } = await alice.groups.get(group);
+    await carol.groups.applyRosters(group, rosters.map(entry => entry.toJSON()));
+    assert.equal((await carol.groups.list())[0].role, null);
+
+    // A new chain, handed to the remaining members only
+    const { update, recipients } = await alice.groups.pendingDistribution(group);
+    assert.notEqual(update.senderKey.keyId, before.senderKey.keyId);
+    assert.deepEqual(recipients, [bob.identity.address]);
+    assert.equal(await receive(bob, alice, update), true);
+    assert.equal(await receive(carol, alice, update), false);
+
+    const envelope = await post(alice, 'After Carol left');
+    await assert.rejects(() => open(carol, envelope), /Unknown sender key/);
+    assert.equal((await open(bob, envelope)).body, 'After Carol left');
+  });
+});
@@ -6,6 +6,9 @@
  * - X25519 for encryption (derived from Ed25519)
  *
  * Address format: dm1<base58-encoded-public-key>
+ *
+ * A linked device has its own keypair and receives mail for the account
+ * address that authorized it (see devices.js).
  */
 
 import { ed25519 } from '@noble/curves/ed25519';
@@ -17,9 +20,13 @@ import { Level } from 'level';
 import { join } from 'path';
 import { homedir } from 'os';
 import { mkdirSync, existsSync } from 'fs';
+import { SecureKeyStore, deriveKeyFromPassword, encryptData, decryptData } from './secure-storage.js';
+import { mnemonicToSeed, deriveSeedKey } from './mnemonic.js';
 
 const DMAIL_DIR = join(homedir(), '.dmail');
 const ADDRESS_PREFIX = 'dm1';
+const DEFAULT_AUTO_LOCK_MS = 5 * 60 * 1000; // 5 minutes
+const PASSWORD_CHECK = 'dmail-identity-store-v1';
 
 // Ensure dmail directory exists
 if (!existsSync(DMAIL_DIR)) {
@@ -30,9 +37,15 @@ if (!existsSync(DMAIL_DIR)) {
  * Represents a dMail identity (keypair)
  */
 export class Identity {
-  constructor(privateKey, publicKey) {
+  /**
+   * @param {Uint8Array} privateKey - Ed25519 private key
+   * @param {Uint8Array} publicKey - Ed25519 public key
+   * @param {string} account - Address this key is a linked device of (null for a primary identity)
+   */
+  constructor(privateKey, publicKey, account = null) {
     this.privateKey = privateKey;
     this.publicKey = publicKey;
+    this.account = account;
     this._address = null;
   }
 
@@ -53,6 +66,29 @@ export class Identity {
     return new Identity(privateKey, publicKey);
   }
 
+  /**
+   * Generate a key for a new device of an existing account
+   * The device only becomes usable once the account's primary device links it.
+   * @param {string} account - dMail address of the account
+   */
+  static generateDevice(account) {
+    addressToPublicKey(account);
+    const identity = Identity.generate();
+    identity.account = account;
+    return identity;
+  }
+
+  /**
+   * Derive an identity from a BIP39 mnemonic
+   * The same phrase and passphrase always produce the same identity
+   * @param {string} mnemonic - Mnemonic phrase (see mnemonic.js)
+   * @param {string} passphrase - Optional BIP39 passphrase
+   */
+  static fromMnemonic(mnemonic, passphrase = '') {
+    const seed = mnemonicToSeed(mnemonic, passphrase);
+    return Identity.fromPrivateKey(deriveSeedKey(seed, 'identity'));
+  }
+
   /**
    * Get the dMail address for this identity
    * Format: dm1<base58-encoded-public-key>
@@ -66,6 +102,25 @@ export class Identity {
     return this._address;
   }
 
+  /**
+   * Address mail for this identity is sent to: the account for a linked
+   * device, the identity's own address otherwise
+   */
+  get accountAddress() {
+    return this.account || this.address;
+  }
+
+  get isLinkedDevice() {
+    return this.account !== null;
+  }
+
+  /**
+   * Device ID: first 8 bytes of the SHA-256 of the Ed25519 public key, hex
+   */
+  get deviceId() {
+    return Buffer.from(sha256(this.publicKey).slice(0, 8)).toString('hex');
+  }
+
   /**
    * Get X25519 public key for encryption (derived from Ed25519)
    */
@@ -107,7 +162,8 @@ export class Identity {
     return {
       privateKey: Buffer.from(this.privateKey).toString('hex'),
       publicKey: Buffer.from(this.publicKey).toString('hex'),
-      address: this.address
+      address: this.address,
+      account: this.account
     };
   }
 
@@ -117,7 +173,7 @@ export class Identity {
   static fromJSON(json) {
     const privateKey = Buffer.from(json.privateKey, 'hex');
     const publicKey = Buffer.from(json.publicKey, 'hex');
-    return new Identity(privateKey, publicKey);
+    return new Identity(privateKey, publicKey, json.account || null);
   }
 }
 
@@ -156,14 +212,144 @@ export function deriveEncryptionKey(edPublicKey) {
 
 /**
  * Identity storage manager
+ *
+ * Public metadata (address, public key) lives in ~/.dmail/identity. Private
+ * keys are kept in a SecureKeyStore, encrypted with a key derived from the
+ * store password via scrypt. The store must be unlocked before identities
+ * can be loaded or saved, and locks itself again after a period of inactivity.
  */
 export class IdentityStore {
-  constructor() {
+  /**
+   * @param {Object} options - {autoLockMs: inactivity timeout, 0 to disable}
+   */
+  constructor(options = {}) {
     this.db = new Level(join(DMAIL_DIR, 'identity'), { valueEncoding: 'json' });
+    this.keyStore = new SecureKeyStore(null);
+    this.autoLockMs = options.autoLockMs ?? DEFAULT_AUTO_LOCK_MS;
+    this.lockTimer = null;
+  }
+
+  get unlocked() {
+    return this.keyStore.unlocked;
+  }
+
+  /**
+   * Whether a store password has been set
+   */
+  async hasPassword() {
+    try {
+      await this.db.get('kdf');
+      return true;
+    } catch (e) {
+      if (e.code === 'LEVEL_NOT_FOUND') return false;
+      throw e;
+    }
+  }
+
+  /**
+   * Unlock the store, setting the password on first use
+   * Plaintext identities from older versions are encrypted on first unlock.
+   */
+  async unlock(password) {
+    if (!password) {
+      throw new Error('Password required to unlock identity store');
+    }
+
+    let kdf = null;
+    try {
+      kdf = await this.db.get('kdf');
+    } catch (e) {
+      if (e.code !== 'LEVEL_NOT_FOUND') throw e;
+    }
+
+    let key;
+    if (kdf) {
+      key = deriveKeyFromPassword(password, Buffer.from(kdf.salt, 'hex'));
+      try {
+        decryptData(new Uint8Array(Buffer.from(kdf.check, 'base64')), key);
+      } catch (e) {
+        throw new Error('Invalid password');
+      }
+    } else {
+      const salt = randomBytes(16);
+      key = deriveKeyFromPassword(password, salt);
+      await this.db.put('kdf', {
+        algorithm: 'scrypt',
+        salt: Buffer.from(salt).toString('hex'),
+        check: Buffer.from(encryptData(PASSWORD_CHECK, key)).toString('base64')
+      });
+    }
+
+    this.keyStore.unlock(key);
+    this.touch();
+    await this.migratePlaintextIdentities();
+  }
+
+  /**
+   * Lock the store and clear the key from memory
+   */
+  lock() {
+    if (this.lockTimer) {
+      clearTimeout(this.lockTimer);
+      this.lockTimer = null;
+    }
+    this.keyStore.lock();
+  }
+
+  /**
+   * Restart the auto-lock timer
+   */
+  touch() {
+    if (this.lockTimer) {
+      clearTimeout(this.lockTimer);
+    }
+    if (this.autoLockMs > 0) {
+      this.lockTimer = setTimeout(() => this.lock(), this.autoLockMs);
+      // Don't keep the process alive just to lock
+      this.lockTimer.unref();
+    }
+  }
+
+  requireUnlocked() {
+    if (!this.unlocked) {
+      throw new Error('Identity store is locked');
+    }
+    this.touch();
+  }
+
+  /**
+   * Encrypt private keys still stored in plaintext by older versions
+   */
+  async migratePlaintextIdentities() {
+    let migrated = 0;
+    for await (const [key, value] of this.db.iterator()) {
+      if (key.startsWith('identity:') && value.privateKey) {
+        const name = key.slice(9);
+        await this.keyStore.storePrivateKey(`identity:${name}`, Buffer.from(value.privateKey, 'hex'));
+        await this.db.put(key, {
+          publicKey: value.publicKey,
+          address: value.address,
+          encrypted: true
+        });
+        migrated++;
+      }
+    }
+
+    if (migrated > 0) {
+      console.log(`Encrypted ${migrated} plaintext identit${migrated === 1 ? 'y' : 'ies'}`);
+    }
   }
 
   async saveIdentity(name, identity) {
-    await this.db.put(`identity:${name}`, identity.toJSON());
+    this.requireUnlocked();
+
+    await this.keyStore.storePrivateKey(`identity:${name}`, identity.privateKey);
+    await this.db.put(`identity:${name}`, {
+      publicKey: Buffer.from(identity.publicKey).toString('hex'),
+      address: identity.address,
+      account: identity.account,
+      encrypted: true
+    });
     // Also store as default if it's the first one
     const existing = await this.listIdentities();
     if (existing.length === 0) {
@@ -172,22 +358,33 @@ export class IdentityStore {
   }
 
   async getIdentity(name) {
+    this.requireUnlocked();
+
+    let meta;
     try {
-      const json = await this.db.get(`identity:${name}`);
-      return Identity.fromJSON(json);
+      meta = await this.db.get(`identity:${name}`);
     } catch (e) {
       if (e.code === 'LEVEL_NOT_FOUND') return null;
       throw e;
     }
+
+    const privateKey = await this.keyStore.getPrivateKey(`identity:${name}`);
+    if (!privateKey) {
+      throw new Error(`Private key for identity '${name}' is missing`);
+    }
+    const identity = Identity.fromPrivateKey(privateKey);
+    identity.account = meta.account || null;
+    return identity;
   }
 
   async getDefaultIdentity() {
+    let defaultName;
     try {
-      const defaultName = await this.db.get('default');
-      return this.getIdentity(defaultName);
+      defaultName = await this.db.get('default');
     } catch (e) {
       return null;
     }
+    return this.getIdentity(defaultName);
   }
 
   async setDefault(name) {
@@ -200,7 +397,8 @@ export class IdentityStore {
       if (key.startsWith('identity:')) {
         identities.push({
           name: key.slice(9),
-          address: value.address
+          address: value.address,
+          account: value.account || null
         });
       }
     }
@@ -208,8 +406,25 @@ export class IdentityStore {
   }
 
   async close() {
+    this.lock();
+    await this.keyStore.db.close();
     await this.db.close();
   }
 }
 
+/**
+ * Open the identity store and unlock it with a password
+ * Non-interactive services pass DMAIL_PASSWORD through the environment.
+ */
+export async function openIdentityStore(password = process.env.DMAIL_PASSWORD, options = {}) {
+  const store = new IdentityStore(options);
+  try {
+    await store.unlock(password);
+  } catch (e) {
+    await store.close();
+    throw e;
+  }
+  return store;
+}
+
 export { DMAIL_DIR };
@@ -0,0 +1,82 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+// The identity store lives under the home directory
+const home = mkdtempSync(join(tmpdir(), 'dmail-identity-'));
+process.env.HOME = home;
+
+const { Identity, IdentityStore, openIdentityStore } = await import('./identity.js');
+
+after(() => rmSync(home, { recursive: true, force: true }));
+
+const PASSWORD = 'store password';
+
+describe('IdentityStore', () => {
+  const identity = Identity.generate();
+
+  it('sets the password on first unlock and refuses a wrong one', async () => {
+    let store = await openIdentityStore(PASSWORD, { autoLockMs: 0 });
+    await store.saveIdentity('default', identity);
+    await store.close();
+
+    store = new IdentityStore({ autoLockMs: 0 });
+    try {
+      await assert.rejects(() => store.unlock('wrong password'), /Invalid password/);
+      await assert.rejects(() => store.unlock(''), /Password required/);
+      assert.equal(store.unlocked, false);
+      await assert.rejects(() => store.getIdentity('default'), /Identity store is locked/);
+
+      await store.unlock(PASSWORD);
+      assert.equal((await store.getIdentity('default')).address, identity.address);
+    } finally {
+      await store.close();
+    }
+    await assert.rejects(() => openIdentityStore('wrong password'), /Invalid password/);
+  });
+
+  it('locks again after the auto-lock timeout, counted from the last use', async () => {
+    const store = await openIdentityStore(PASSWORD, { autoLockMs: 300 });
+    try {
+      await sleep(200);
+      assert.equal((await store.getIdentity('default')).address, identity.address);
+      await sleep(200);
+      assert.equal(store.unlocked, true);
+
+      await sleep(350);
+      assert.equal(store.unlocked, false);
+      assert.equal(store.keyStore.storageKey, null);
+      await assert.rejects(() => store.getIdentity('default'), /Identity store is locked/);
+      await assert.rejects(() => store.saveIdentity('other', Identity.generate()), /Identity store is locked/);
+    } finally {
+      await store.close();
+    }
+  });
+
+  it('encrypts identities an older version stored in plaintext', async () => {
+    const old = Identity.generate();
+    const privateKey = Buffer.from(old.privateKey).toString('hex');
+    const store = new IdentityStore({ autoLockMs: 0 });
+    try {
+      await store.db.put('identity:old', old.toJSON());
+      await store.unlock(PASSWORD);
+
+      const meta = await store.db.get('identity:old');
+      assert.equal(meta.privateKey, undefined);
+      assert.equal(meta.encrypted, true);
+      assert.equal(meta.address, old.address);
+      for await (const value of store.keyStore.db.values()) {
+        assert.ok(!Buffer.from(value).toString('hex').includes(privateKey));
+      }
+
+      const restored = await store.getIdentity('old');
+      assert.deepEqual(Buffer.from(restored.privateKey), Buffer.from(old.privateKey));
+      assert.deepEqual((await store.listIdentities()).map(({ name }) => name).sort(), ['default', 'old']);
+    } finally {
+      await store.close();
+    }
+  });
+});
@@ -2,3 +2,17 @@ export * from './identity.js';
 export * from './encryption.js';
 export * from './pow.js';
 export * from './double-ratchet.js';
+export * from './key-directory.js';
+export * from './x3dh.js';
+export * from './backup.js';
+export * from './mnemonic.js';
+export * from './shamir.js';
+export * from './recovery.js';
+export * from './subkeys.js';
+export * from './contacts.js';
+export * from './devices.js';
+export * from './groups.js';
+export * from './receipts.js';
+export * from './canonical.js';
+export * from './routing.js';
+export * from './mailbox.js';
@@ -0,0 +1,544 @@
+/**
+ * Encryption Key Directory for dMail
+ *
+ * A dm1 address only encodes the Ed25519 signing key. Senders need the
+ * recipient's X25519 encryption key, so every identity publishes a signed
+ * key record to the relays:
+ *
+ *   { version, address, encryptionKey, created, expires, signature }
+ *
+ * The signature is made with the identity's Ed25519 key, so anyone can check
+ * the record against the address itself - relays cannot forge or swap keys.
+ *
+ * The encryption key is a dated subkey (see subkeys.js) identified by its
+ * key ID. Its dates travel with the record as `subkey`, a certificate with a
+ * signature of its own, so clients that predate it still verify the record:
+ *
+ *   { version, type, address, keyId, created, expires, signature }
+ *
+ * A signed revocation certificate takes a compromised subkey out of use
+ * before it expires:
+ *
+ *   { version, type, address, keyId, reason, revoked, signature }
+ *
+ * Post-quantum keys are published next to the key record, in a record of
+ * their own so clients that only know X25519 keep accepting key records:
+ *
+ *   { version, type, address, keyId, algorithm, kemKey, created, expires, signature }
+ *
+ * keyId names the X25519 subkey the ML-KEM key is paired with.
+ */
+
+import { sha256 } from '@noble/hashes/sha256';
+import { addressToPublicKey, verifySignature } from './identity.js';
+import { KEM_ALGORITHM, KEM_PUBLIC_KEY_LENGTH } from './encryption.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+const KEY_RECORD_VERSION = 1;
+const KEY_REVOCATION_VERSION = 1;
+const KEY_REVOCATION_TYPE = 'dmail-key-revocation';
+const KEM_KEY_RECORD_VERSION = 1;
+const KEM_KEY_RECORD_TYPE = 'dmail-kem-key';
+const SUBKEY_CERTIFICATE_VERSION = 1;
+const SUBKEY_CERTIFICATE_TYPE = 'dmail-subkey';
+const DEFAULT_KEY_RECORD_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Signed record binding a dMail address to its encryption key
+ */
+export class KeyRecord {
+  constructor(options) {
+    this.version = options.version || KEY_RECORD_VERSION;
+    this.canonical = options.canonical; // Encoding the signature covers, see canonical.js
+    this.address = options.address;
+    this.encryptionKey = options.encryptionKey; // Base64 X25519 public key
+    this.created = options.created;
+    this.expires = options.expires;
+    this.signature = options.signature || null;
+    this.subkey = options.subkey || null; // SubkeyCertificate JSON, not covered by the signature
+  }
+
+  /**
+   * Create and sign a key record for an identity
+   * @param {Identity} identity - Identity publishing its encryption key
+   * @param {number} ttlMs - How long the record stays valid
+   * @param {Object} subkey - {publicKey, created, expires} to publish instead
+   *   of the address-derived key; the record never outlives the subkey, and
+   *   carries its dates if they are known
+   * @returns {KeyRecord}
+   */
+  static create(identity, ttlMs = DEFAULT_KEY_RECORD_TTL_MS, subkey = null) {
+    const created = Date.now();
+    const encryptionKey = subkey ? subkey.publicKey : identity.encryptionPublicKey;
+    const expires = subkey && subkey.expires
+      ? Math.min(created + ttlMs, subkey.expires)
+      : created + ttlMs;
+
+    const record = new KeyRecord({
+      canonical: CANONICAL_VERSION,
+      address: identity.address,
+      encryptionKey: Buffer.from(encryptionKey).toString('base64'),
+      created,
+      expires
+    });
+
+    const signature = identity.sign(record.hash());
+    record.signature = Buffer.from(signature).toString('base64');
+    if (subkey && Number.isInteger(subkey.created) && Number.isInteger(subkey.expires)) {
+      record.subkey = SubkeyCertificate.create(identity, record.keyId, subkey.created, subkey.expires).toJSON();
+    }
+    return record;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      canonical: this.canonical,
+      address: this.address,
+      encryptionKey: this.encryptionKey,
+      created: this.created,
+      expires: this.expires
+    });
+  }
+
+  /**
+   * Dates of the subkey the record publishes, from its certificate
+   * @returns {{created: number, expires: number}|null} - null without a
+   *   certificate signed by the address owner for this key
+   */
+  subkeyValidity() {
+    if (!this.subkey) return null;
+    const certificate = SubkeyCertificate.fromJSON(this.subkey);
+    if (certificate.keyId !== this.keyId || !certificate.verify(this.address)) {
+      return null;
+    }
+    return { created: certificate.created, expires: certificate.expires };
+  }
+
+  isExpired() {
+    return Date.now() > this.expires;
+  }
+
+  /**
+   * Verify the record is well-formed, current and signed by the address owner
+   * @param {string} expectedAddress - Address the caller asked for (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== KEY_RECORD_VERSION) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || typeof this.encryptionKey !== 'string') return false;
+      if (this.isExpired()) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+      if (this.getEncryptionKey().length !== 32) return false;
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the X25519 encryption key as bytes
+   */
+  getEncryptionKey() {
+    return new Uint8Array(Buffer.from(this.encryptionKey, 'base64'));
+  }
+
+  /**
+   * Key ID of the encryption key
+   */
+  get keyId() {
+    return keyIdFor(this.getEncryptionKey());
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      canonical: this.canonical,
+      address: this.address,
+      encryptionKey: this.encryptionKey,
+      created: this.created,
+      expires: this.expires,
+      signature: this.signature,
+      ...(this.subkey ? { subkey: this.subkey } : {})
+    };
+  }
+
+  static fromJSON(json) {
+    return new KeyRecord(json);
+  }
+}
+
+/**
+ * Signed dates of one encryption subkey of an address
+ * A restored identity takes them over when it adopts the subkey its
+ * earlier copy published (Keyring.adopt).
+ */
+export class SubkeyCertificate {
+  constructor(options) {
+    this.version = options.version || SUBKEY_CERTIFICATE_VERSION;
+    this.type = SUBKEY_CERTIFICATE_TYPE;
+    this.canonical = options.canonical;
+    this.address = options.address;
+    this.keyId = options.keyId;
+    this.created = options.created;
+    this.expires = options.expires;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create and sign the certificate for one of our subkeys
+   * @param {Identity} identity - Owner of the subkey
+   * @param {string} keyId - Key ID of the subkey
+   * @param {number} created - When the subkey was created
+   * @param {number} expires - When it expires
+   * @returns {SubkeyCertificate}
+   */
+  static create(identity, keyId, created, expires) {
+    const certificate = new SubkeyCertificate({
+      canonical: CANONICAL_VERSION,
+      address: identity.address,
+      keyId,
+      created,
+      expires
+    });
+
+    const signature = identity.sign(certificate.hash());
+    certificate.signature = Buffer.from(signature).toString('base64');
+    return certificate;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      created: this.created,
+      expires: this.expires
+    });
+  }
+
+  /**
+   * Verify the certificate is well-formed and signed by the address owner
+   * An expired subkey keeps its certificate: the key record it comes with
+   * is what must be current.
+   * @param {string} expectedAddress - Address the caller asked for (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== SUBKEY_CERTIFICATE_VERSION) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || typeof this.keyId !== 'string') return false;
+      if (!Number.isInteger(this.created) || !Number.isInteger(this.expires)) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS || this.expires < this.created) return false;
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      created: this.created,
+      expires: this.expires,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new SubkeyCertificate(json);
+  }
+}
+
+/**
+ * Signed certificate revoking one encryption subkey of an address
+ */
+export class KeyRevocation {
+  constructor(options) {
+    this.version = options.version || KEY_REVOCATION_VERSION;
+    this.type = KEY_REVOCATION_TYPE;
+    this.canonical = options.canonical;
+    this.address = options.address;
+    this.keyId = options.keyId;
+    this.reason = options.reason || 'unspecified';
+    this.revoked = options.revoked;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create and sign a revocation for one of our subkeys
+   * @param {Identity} identity - Owner of the subkey
+   * @param {string} keyId - Key ID to revoke
+   * @param {string} reason - e.g. 'compromised', 'superseded'
+   * @returns {KeyRevocation}
+   */
+  static create(identity, keyId, reason = 'unspecified') {
+    const revocation = new KeyRevocation({
+      canonical: CANONICAL_VERSION,
+      address: identity.address,
+      keyId,
+      reason,
+      revoked: Date.now()
+    });
+
+    const signature = identity.sign(revocation.hash());
+    revocation.signature = Buffer.from(signature).toString('base64');
+    return revocation;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      reason: this.reason,
+      revoked: this.revoked
+    });
+  }
+
+  /**
+   * Verify the certificate is signed by the address owner
+   * Revocations never expire
+   * @param {string} expectedAddress - Address the caller asked for (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== KEY_REVOCATION_VERSION) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || typeof this.keyId !== 'string') return false;
+      if (this.revoked > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      reason: this.reason,
+      revoked: this.revoked,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new KeyRevocation(json);
+  }
+}
+
+/**
+ * Signed record publishing the ML-KEM-768 key paired with an encryption subkey
+ */
+export class KemKeyRecord {
+  constructor(options) {
+    this.version = options.version || KEM_KEY_RECORD_VERSION;
+    this.type = KEM_KEY_RECORD_TYPE;
+    this.canonical = options.canonical;
+    this.address = options.address;
+    this.keyId = options.keyId; // X25519 subkey this key is paired with
+    this.algorithm = options.algorithm || KEM_ALGORITHM;
+    this.kemKey = options.kemKey; // Base64 ML-KEM-768 public key
+    this.created = options.created;
+    this.expires = options.expires;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create and sign the ML-KEM record for a key record
+   * @param {Identity} identity - Identity publishing its keys
+   * @param {KeyRecord} keyRecord - Record of the paired X25519 subkey
+   * @param {Uint8Array} kemPublicKey - ML-KEM-768 public key
+   * @returns {KemKeyRecord}
+   */
+  static create(identity, keyRecord, kemPublicKey) {
+    const record = new KemKeyRecord({
+      canonical: CANONICAL_VERSION,
+      address: identity.address,
+      keyId: keyRecord.keyId,
+      kemKey: Buffer.from(kemPublicKey).toString('base64'),
+      created: keyRecord.created,
+      expires: keyRecord.expires
+    });
+
+    const signature = identity.sign(record.hash());
+    record.signature = Buffer.from(signature).toString('base64');
+    return record;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      algorithm: this.algorithm,
+      kemKey: this.kemKey,
+      created: this.created,
+      expires: this.expires
+    });
+  }
+
+  isExpired() {
+    return Date.now() > this.expires;
+  }
+
+  /**
+   * Verify the record is well-formed, current and signed by the address owner
+   * @param {string} expectedAddress - Address the caller asked for (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== KEM_KEY_RECORD_VERSION) return false;
+      if (this.algorithm !== KEM_ALGORITHM) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || typeof this.keyId !== 'string' || typeof this.kemKey !== 'string') return false;
+      if (this.isExpired()) return false;
+      if (this.created > Date.now() + MAX_CLOCK_SKEW_MS) return false;
+      if (this.getKemKey().length !== KEM_PUBLIC_KEY_LENGTH) return false;
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the ML-KEM-768 public key as bytes
+   */
+  getKemKey() {
+    return new Uint8Array(Buffer.from(this.kemKey, 'base64'));
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      address: this.address,
+      keyId: this.keyId,
+      algorithm: this.algorithm,
+      kemKey: this.kemKey,
+      created: this.created,
+      expires: this.expires,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new KemKeyRecord(json);
+  }
+}
+
+/**
+ * Pick the ML-KEM record paired with a selected key record
+ * @param {Object[]} records - ML-KEM records (JSON or KemKeyRecord)
+ * @param {KeyRecord} keyRecord - Selected X25519 key record
+ * @returns {KemKeyRecord|null} - null if the recipient has no post-quantum key
+ */
+export function selectKemKeyRecord(records, keyRecord) {
+  let newest = null;
+  for (const json of records) {
+    if (!json) continue;
+    const record = json instanceof KemKeyRecord ? json : KemKeyRecord.fromJSON(json);
+    if (record.keyId !== keyRecord.keyId || !record.verify(keyRecord.address)) continue;
+    if (!newest || record.created > newest.created) {
+      newest = record;
+    }
+  }
+  return newest;
+}
+
+/**
+ * Key ID of an X25519 encryption key: first 8 bytes of its SHA-256, hex
+ * @param {Uint8Array} encryptionKey
+ * @returns {string}
+ */
+export function keyIdFor(encryptionKey) {
+  return Buffer.from(sha256(encryptionKey).slice(0, 8)).toString('hex');
+}
+
+/**
+ * Key IDs revoked by valid certificates for an address
+ * @param {Object[]} revocations - Revocation certificates (JSON or KeyRevocation)
+ * @returns {Set<string>}
+ */
+export function revokedKeyIds(revocations, address) {
+  const revoked = new Set();
+  for (const json of revocations) {
+    if (!json) continue;
+    const revocation = json instanceof KeyRevocation ? json : KeyRevocation.fromJSON(json);
+    if (revocation.verify(address)) {
+      revoked.add(revocation.keyId);
+    }
+  }
+  return revoked;
+}
+
+/**
+ * Pick the newest valid record for an address
+ * @param {Object[]} records - Key records (JSON or KeyRecord)
+ * @param {string} address - Address the records must belong to
+ * @param {Object[]} revocations - Revocation certificates to honour
+ * @returns {KeyRecord|null}
+ */
+export function selectKeyRecord(records, address, revocations = []) {
+  const revoked = revokedKeyIds(revocations, address);
+  let newest = null;
+
+  for (const json of records) {
+    if (!json) continue;
+    const record = json instanceof KeyRecord ? json : KeyRecord.fromJSON(json);
+    if (!record.verify(address)) continue;
+    if (revoked.has(record.keyId)) continue;
+    if (!newest || record.created > newest.created) {
+      newest = record;
+    }
+  }
+
+  return newest;
+}
+
+export { KEY_RECORD_VERSION, KEY_REVOCATION_VERSION, KEM_KEY_RECORD_VERSION, DEFAULT_KEY_RECORD_TTL_MS };
@@ -0,0 +1,231 @@
+/**
+ * Mailbox Authentication for dMail
+ *
+ * Relays only hand out stored mail to the owner of the mailbox it is stored
+ * under. The client asks the relay for a challenge and signs it, with the
+ * relay's peer ID and the action, once per mailbox. The key of every mailbox
+ * follows from its name, so relays check proofs without anything being
+ * registered first:
+ *
+ * - an address (plain envelopes) or its address token: the address key
+ * - a device token: the device key, with the account address
+ * - a contact token: the blinded key it is the hash of (routing.js), so the
+ *   proof does not tell the relay whose mailbox it is
+ *
+ * Proofs: { mailbox, kind, address?, account?, key?, signature }
+ *
+ * Once a client has mail in its inbox it acks the records to the relay,
+ * which deletes them and forwards the ack to the relays holding copies. An
+ * ack is signed by the mailbox key like a proof, but over the record IDs and
+ * a timestamp instead of a challenge, so any relay can check it:
+ *
+ *   { type, mailbox, kind, address?, account?, key?, ids, timestamp, signature }
+ *
+ * Replaying an ack only deletes records that are already gone.
+ */
+
+import { addressToPublicKey, verifySignature } from './identity.js';
+import { canonicalHash } from './canonical.js';
+import { deviceIdFor } from './devices.js';
+import {
+  routingEpochs,
+  routingKeyFor,
+  addressRoutingToken,
+  deviceRoutingToken,
+  contactRoutingToken,
+  mailboxKeyToken,
+  signAsContactMailbox
+} from './routing.js';
+
+const MAILBOX_AUTH_TYPE = 'dmail-mailbox-auth';
+const MAILBOX_ACK_TYPE = 'dmail-mailbox-ack';
+export const MAX_ACK_IDS = 1000;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+export const MAILBOX_KIND = {
+  ADDRESS: 'address',
+  DEVICE: 'device',
+  CONTACT: 'contact'
+};
+
+/**
+ * Hash a mailbox proof signs
+ * @param {string} mailbox - Address or routing token
+ * @param {Object} context - {relay: peer ID, challenge, action}
+ * @returns {Uint8Array}
+ */
+function mailboxAuthHash(mailbox, { relay, challenge, action }) {
+  return canonicalHash({ type: MAILBOX_AUTH_TYPE, relay, challenge, action, mailbox });
+}
+
+/**
+ * Hash an ack signs
+ */
+function mailboxAckHash({ mailbox, ids, timestamp }) {
+  return canonicalHash({ type: MAILBOX_ACK_TYPE, mailbox, ids, timestamp });
+}
+
+function base64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+/**
+ * Every mailbox our mail can be stored under on a relay: our routing tokens
+ * (routing.js ownRoutingTokens) and our address, each with the fields that
+ * name its key and a function signing as it
+ * @returns {Object[]} - [{mailbox, kind, fields, sign(hash) -> base64}]
+ */
+function ownMailboxes(identity, timestamp = Date.now()) {
+  const sign = hash => base64(identity.sign(hash));
+  const mailboxes = [];
+
+  if (identity.isLinkedDevice) {
+    mailboxes.push({
+      mailbox: deviceRoutingToken(identity.account, identity.deviceId),
+      kind: MAILBOX_KIND.DEVICE,
+      fields: { account: identity.account, key: base64(identity.publicKey) },
+      sign
+    });
+  } else {
+    mailboxes.push({
+      mailbox: addressRoutingToken(identity.address),
+      kind: MAILBOX_KIND.ADDRESS,
+      fields: { address: identity.address },
+      sign
+    });
+
+    const routingKey = routingKeyFor(identity);
+    for (const epoch of routingEpochs(timestamp)) {
+      mailboxes.push({
+        mailbox: contactRoutingToken(identity.address, routingKey, epoch),
+        kind: MAILBOX_KIND.CONTACT,
+        fields: {},
+        sign: (hash) => {
+          const { publicKey, signature } = signAsContactMailbox(identity, epoch, hash);
+          return { key: base64(publicKey), signature: base64(signature) };
+        }
+      });
+    }
+  }
+
+  mailboxes.push({
+    mailbox: identity.address,
+    kind: MAILBOX_KIND.ADDRESS,
+    fields: { address: identity.address },
+    sign
+  });
+  return mailboxes;
+}
+
+/**
+ * Signed fields of one of our mailboxes: signing as a contact token also
+ * gives the blinded key
+ */
+function signAs({ mailbox, kind, fields, sign }, hash) {
+  const signed = sign(hash);
+  return typeof signed === 'string'
+    ? { mailbox, kind, ...fields, signature: signed }
+    : { mailbox, kind, ...fields, ...signed };
+}
+
+/**
+ * Sign for every mailbox our mail can be stored under on a relay: our
+ * address, and our routing tokens (routing.js ownRoutingTokens)
+ * @param {Identity} identity - Our identity, primary or linked device
+ * @param {Object} context - {relay: peer ID, challenge, action}
+ * @returns {Object[]} - Proofs
+ */
+export function signMailboxProofs(identity, context, timestamp = Date.now()) {
+  return ownMailboxes(identity, timestamp)
+    .map(mailbox => signAs(mailbox, mailboxAuthHash(mailbox.mailbox, context)));
+}
+
+/**
+ * Ack records fetched from one of our mailboxes
+ * @param {Identity} identity - Our identity, primary or linked device
+ * @param {string} mailbox - Address or routing token the records were stored under
+ * @param {string[]} ids - Record IDs
+ * @returns {Object|null} - null if the mailbox is not one of ours (any more)
+ */
+export function signMailboxAck(identity, mailbox, ids, timestamp = Date.now()) {
+  const own = ownMailboxes(identity, timestamp).find(candidate => candidate.mailbox === mailbox);
+  if (!own || ids.length === 0 || ids.length > MAX_ACK_IDS) {
+    return null;
+  }
+  return { type: MAILBOX_ACK_TYPE, ...signAs(own, mailboxAckHash({ mailbox, ids, timestamp })), ids, timestamp };
+}
+
+/**
+ * Key a proof must be signed by, if it names its mailbox
+ * @returns {Uint8Array|null}
+ */
+function mailboxKey(proof) {
+  switch (proof.kind) {
+    case MAILBOX_KIND.ADDRESS:
+      if (proof.mailbox !== proof.address && proof.mailbox !== addressRoutingToken(proof.address)) return null;
+      return addressToPublicKey(proof.address);
+    case MAILBOX_KIND.DEVICE: {
+      const key = new Uint8Array(Buffer.from(proof.key, 'base64'));
+      return proof.mailbox === deviceRoutingToken(proof.account, deviceIdFor(key)) ? key : null;
+    }
+    case MAILBOX_KIND.CONTACT: {
+      const key = new Uint8Array(Buffer.from(proof.key, 'base64'));
+      return proof.mailbox === mailboxKeyToken(key) ? key : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Verify a proof that the requester owns a mailbox
+ * @param {Object} proof
+ * @param {Object} context - {relay: our peer ID, challenge we issued, action}
+ * @returns {boolean}
+ */
+export function verifyMailboxProof(proof, context) {
+  if (!proof || typeof proof.mailbox !== 'string' || typeof proof.signature !== 'string') {
+    return false;
+  }
+  try {
+    const key = mailboxKey(proof);
+    if (!key) return false;
+    const signature = new Uint8Array(Buffer.from(proof.signature, 'base64'));
+    return verifySignature(mailboxAuthHash(proof.mailbox, context), signature, key);
+  } catch (e) {
+    // Malformed address or key
+    return false;
+  }
+}
+
+/**
+ * Verify an ack was signed by the owner of its mailbox, within the time
+ * relays keep records
+ * @param {Object} ack
+ * @param {number} maxAgeMs - How long records are kept
+ * @returns {boolean}
+ */
+export function verifyMailboxAck(ack, maxAgeMs) {
+  if (!ack || ack.type !== MAILBOX_ACK_TYPE || !Array.isArray(ack.ids) || !Number.isInteger(ack.timestamp)) {
+    return false;
+  }
+  if (ack.ids.length === 0 || ack.ids.length > MAX_ACK_IDS || ack.ids.some(id => typeof id !== 'string')) {
+    return false;
+  }
+  const now = Date.now();
+  if (ack.timestamp > now + MAX_CLOCK_SKEW_MS || ack.timestamp < now - maxAgeMs) {
+    return false;
+  }
+  if (typeof ack.mailbox !== 'string' || typeof ack.signature !== 'string') {
+    return false;
+  }
+  try {
+    const key = mailboxKey(ack);
+    if (!key) return false;
+    const signature = new Uint8Array(Buffer.from(ack.signature, 'base64'));
+    return verifySignature(mailboxAckHash(ack), signature, key);
+  } catch (e) {
+    // Malformed address or key
+    return false;
+  }
+}
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Identity } from './identity.js';
+import { signAsContactMailbox, routingEpoch, contactRoutingToken, routingKeyFor } from './routing.js';
+import { MAILBOX_KIND, signMailboxProofs, verifyMailboxProof, signMailboxAck, verifyMailboxAck } from './mailbox.js';
+
+describe('mailbox proofs', () => {
+  const identity = Identity.generate();
+  const other = Identity.generate();
+  const context = { relay: '12D3KooWRelay', challenge: 'c2hhbGxlbmdl', action: 'fetch' };
+
+  it('proves every mailbox our mail can be stored under', () => {
+    const proofs = signMailboxProofs(identity, context);
+    assert.ok(proofs.some(proof => proof.mailbox === identity.address));
+    assert.ok(proofs.some(proof => proof.kind === MAILBOX_KIND.CONTACT));
+    for (const proof of proofs) {
+      assert.ok(verifyMailboxProof(proof, context), proof.kind);
+    }
+  });
+
+  it('proves a linked device\'s mailbox with the device key', () => {
+    const device = Identity.generateDevice(identity.address);
+    const [proof] = signMailboxProofs(device, context);
+    assert.equal(proof.kind, MAILBOX_KIND.DEVICE);
+    assert.ok(verifyMailboxProof(proof, context));
+    assert.ok(!verifyMailboxProof({ ...proof, account: other.address }, context));
+  });
+
+  it('rejects proofs for another relay, challenge or action', () => {
+    for (const proof of signMailboxProofs(identity, context)) {
+      assert.ok(!verifyMailboxProof(proof, { ...context, relay: '12D3KooWOther' }));
+      assert.ok(!verifyMailboxProof(proof, { ...context, challenge: 'b3RoZXI=' }));
+      assert.ok(!verifyMailboxProof(proof, { ...context, action: 'sync' }));
+    }
+  });
+
+  it('rejects proofs signed with the wrong key', () => {
+    const [ownProof] = signMailboxProofs(identity, context).filter(proof => proof.mailbox === identity.address);
+    const [otherProof] = signMailboxProofs(other, context).filter(proof => proof.mailbox === other.address);
+
+    // Another address's signature, or a claim to someone else's mailbox
+    assert.ok(!verifyMailboxProof({ ...ownProof, signature: otherProof.signature }, context));
+    assert.ok(!verifyMailboxProof({ ...otherProof, mailbox: identity.address }, context));
+    assert.ok(!verifyMailboxProof({ ...otherProof, mailbox: identity.address, address: identity.address }, context));
+  });
+
+  it('rejects contact proofs signed with a key that is not the token\'s', () => {
+    const epoch = routingEpoch();
+    const mailbox = contactRoutingToken(identity.address, routingKeyFor(identity), epoch);
+    const proof = signMailboxProofs(identity, context).find(candidate => candidate.mailbox === mailbox);
+    assert.ok(verifyMailboxProof(proof, context));
+
+    // Other's blinded key signs correctly for itself, but does not hash to the token
+    const [otherContact] = signMailboxProofs(other, context).filter(candidate => candidate.kind === MAILBOX_KIND.CONTACT);
+    assert.ok(!verifyMailboxProof({ ...otherContact, mailbox }, context));
+    assert.ok(!verifyMailboxProof({ ...proof, key: otherContact.key }, context));
+
+    // The right key, but a signature by another
+    const forged = signAsContactMailbox(other, epoch, new TextEncoder().encode('anything'));
+    assert.ok(!verifyMailboxProof({ ...proof, signature: Buffer.from(forged.signature).toString('base64') }, context));
+  });
+
+  it('rejects malformed proofs', () => {
+    assert.ok(!verifyMailboxProof(null, context));
+    assert.ok(!verifyMailboxProof({ mailbox: identity.address, kind: 'unknown', signature: 'AA==' }, context));
+    assert.ok(!verifyMailboxProof({ mailbox: identity.address, kind: MAILBOX_KIND.ADDRESS, address: 'nope', signature: 'AA==' }, context));
+  });
+});
+
+describe('mailbox acks', () => {
+  const identity = Identity.generate();
+  const other = Identity.generate();
+  const maxAge = 7 * 24 * 60 * 60 * 1000;
+
+  it('verifies an ack signed by the owner of the mailbox', () => {
+    const ack = signMailboxAck(identity, identity.address, ['a1', 'b2']);
+    assert.ok(verifyMailboxAck(ack, maxAge));
+
+    // Any of our mailboxes, a routing token too
+    const [contact] = signMailboxProofs(identity, { relay: 'r', challenge: 'c', action: 'ack' })
+      .filter(proof => proof.kind === MAILBOX_KIND.CONTACT);
+    assert.ok(verifyMailboxAck(signMailboxAck(identity, contact.mailbox, ['a1']), maxAge));
+  });
+
+  it('does not sign for a mailbox that is not ours', () => {
+    assert.equal(signMailboxAck(identity, other.address, ['a1']), null);
+    assert.equal(signMailboxAck(identity, identity.address, []), null);
+  });
+
+  it('rejects acks that were changed, forged or are too old', () => {
+    const ack = signMailboxAck(identity, identity.address, ['a1']);
+    const forged = signMailboxAck(other, other.address, ['a1']);
+
+    assert.ok(!verifyMailboxAck({ ...ack, ids: ['a1', 'c3'] }, maxAge));
+    assert.ok(!verifyMailboxAck({ ...ack, timestamp: ack.timestamp + 1 }, maxAge));
+    assert.ok(!verifyMailboxAck({ ...forged, mailbox: identity.address, address: identity.address }, maxAge));
+    assert.ok(!verifyMailboxAck({ ...ack, signature: forged.signature }, maxAge));
+
+    const old = signMailboxAck(identity, identity.address, ['a1'], Date.now() - maxAge - 1000);
+    assert.ok(!verifyMailboxAck(old, maxAge));
+    assert.ok(!verifyMailboxAck(null, maxAge));
+  });
+});
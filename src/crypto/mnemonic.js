@@ -0,0 +1,86 @@
+/**
+ * BIP39 Mnemonic Seed Phrases for dMail
+ *
+ * A 24-word phrase (plus an optional passphrase) is the human-transcribable
+ * root of an identity. The BIP39 seed is never used directly as a key:
+ * every key is derived from it with HKDF under its own purpose label, so
+ * the same phrase can rebuild each subkey independently.
+ *
+ *   seed      = BIP39(mnemonic, passphrase)          (64 bytes)
+ *   key(p)    = HKDF-SHA256(seed, salt 'dmail-mnemonic-v1', info 'dmail/<p>/v1')
+ *
+ * The Ed25519 identity key is key('identity'); 'signing', 'encryption' and
+ * 'storage' are reserved for per-purpose subkeys.
+ */
+
+import { generateMnemonic as bip39Generate, validateMnemonic as bip39Validate, mnemonicToSeedSync } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+
+export const MNEMONIC_STRENGTH = 256; // 24 words
+export const KEY_PURPOSES = ['identity', 'signing', 'encryption', 'storage'];
+
+const SEED_SALT = 'dmail-mnemonic-v1';
+
+/**
+ * Normalize a phrase as typed by a user (case, extra whitespace)
+ */
+export function normalizeMnemonic(mnemonic) {
+  return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Generate a new mnemonic phrase
+ * @returns {string} - 24 space-separated English words
+ */
+export function generateMnemonic() {
+  return bip39Generate(wordlist, MNEMONIC_STRENGTH);
+}
+
+/**
+ * Check a phrase against the wordlist and its checksum
+ */
+export function validateMnemonic(mnemonic) {
+  return bip39Validate(normalizeMnemonic(mnemonic), wordlist);
+}
+
+/**
+ * Compute the BIP39 seed for a phrase
+ * @param {string} mnemonic - Mnemonic phrase
+ * @param {string} passphrase - Optional BIP39 passphrase ("25th word")
+ * @returns {Uint8Array} - 64-byte seed
+ */
+export function mnemonicToSeed(mnemonic, passphrase = '') {
+  if (!validateMnemonic(mnemonic)) {
+    throw new Error('Invalid mnemonic phrase');
+  }
+  return mnemonicToSeedSync(normalizeMnemonic(mnemonic), passphrase);
+}
+
+/**
+ * Derive a 32-byte key for one purpose from a BIP39 seed
+ * @param {Uint8Array} seed - Output of mnemonicToSeed
+ * @param {string} purpose - One of KEY_PURPOSES
+ * @returns {Uint8Array}
+ */
+export function deriveSeedKey(seed, purpose) {
+  if (!KEY_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown key purpose: ${purpose}`);
+  }
+  return hkdf(sha256, seed, SEED_SALT, `dmail/${purpose}/v1`, 32);
+}
+
+/**
+ * Derive every purpose key from a phrase
+ * @returns {Object} - {identity, signing, encryption, storage}
+ */
+export function deriveMnemonicKeys(mnemonic, passphrase = '') {
+  const seed = mnemonicToSeed(mnemonic, passphrase);
+  const keys = {};
+  for (const purpose of KEY_PURPOSES) {
+    keys[purpose] = deriveSeedKey(seed, purpose);
+  }
+  return keys;
+}
+
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Identity } from './identity.js';
+import { routingKeyFor } from './routing.js';
+import {
+  KEY_PURPOSES,
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  deriveSeedKey,
+  deriveMnemonicKeys
+} from './mnemonic.js';
+
+const vectors = JSON.parse(readFileSync(new URL('../../docs/test-vectors/mnemonic-v1.json', import.meta.url), 'utf-8'));
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+describe('mnemonic vectors', () => {
+  for (const vector of vectors.vectors) {
+    it(`derives the identity for ${vector.name}`, () => {
+      assert.equal(hex(mnemonicToSeed(vector.mnemonic, vector.passphrase)), vector.seed);
+
+      const keys = deriveMnemonicKeys(vector.mnemonic, vector.passphrase);
+      assert.deepEqual(Object.fromEntries(Object.entries(keys).map(([purpose, key]) => [purpose, hex(key)])), vector.keys);
+
+      const identity = Identity.fromMnemonic(vector.mnemonic, vector.passphrase);
+      assert.equal(identity.address, vector.address);
+      assert.equal(hex(identity.encryptionPublicKey), vector.encryptionPublicKey);
+      assert.equal(hex(routingKeyFor(identity)), vector.routingKey);
+    });
+  }
+
+  it('reads a phrase however it was typed', () => {
+    const [vector] = vectors.vectors;
+    const typed = `  ${vector.mnemonic.toUpperCase().split(' ').join('   ')}\n`;
+    assert.equal(Identity.fromMnemonic(typed, vector.passphrase).address, vector.address);
+  });
+});
+
+describe('mnemonic key derivation', () => {
+  const mnemonic = generateMnemonic();
+
+  it('generates 24 words that validate', () => {
+    assert.equal(mnemonic.split(' ').length, 24);
+    assert.ok(validateMnemonic(mnemonic));
+
+    // A word swapped for another breaks the checksum
+    const words = mnemonic.split(' ');
+    words[0] = words[0] === 'abandon' ? 'ability' : 'abandon';
+    assert.ok(!validateMnemonic(words.join(' ')));
+    assert.throws(() => mnemonicToSeed(words.join(' ')), /Invalid mnemonic/);
+  });
+
+  it('gives every purpose a key of its own', () => {
+    const seed = mnemonicToSeed(mnemonic);
+    const keys = KEY_PURPOSES.map(purpose => hex(deriveSeedKey(seed, purpose)));
+    assert.equal(new Set(keys).size, KEY_PURPOSES.length);
+    for (const key of keys) {
+      assert.ok(!hex(seed).includes(key));
+    }
+    assert.throws(() => deriveSeedKey(seed, 'other'), /Unknown key purpose/);
+  });
+
+  it('derives different keys under another passphrase', () => {
+    const keys = deriveMnemonicKeys(mnemonic);
+    const other = deriveMnemonicKeys(mnemonic, 'passphrase');
+    for (const purpose of KEY_PURPOSES) {
+      assert.notEqual(hex(keys[purpose]), hex(other[purpose]));
+    }
+    assert.notEqual(Identity.fromMnemonic(mnemonic).address, Identity.fromMnemonic(mnemonic, 'passphrase').address);
+    assert.equal(Identity.fromMnemonic(mnemonic).address, Identity.fromMnemonic(mnemonic).address);
+  });
+
+  it('keeps the encryption and routing keys apart from the signing key', () => {
+    const identity = Identity.fromMnemonic(mnemonic);
+    const derived = [identity.privateKey, identity.encryptionPrivateKey, routingKeyFor(identity)].map(hex);
+    assert.equal(new Set(derived).size, derived.length);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Read Receipts for dMail
+ *
+ * A sender asks for a read receipt with a flag in the signed inner envelope
+ * (readReceipt). When the recipient opens the message, their client mails
+ * back a sealed message carrying a receipt signed by their address:
+ *
+ *   { version, type, messageId, reader, sender, readAt, signature }
+ *
+ * messageId is the ID every recipient of the original message sees, so the
+ * sender can file the receipt with its sent copy. Naming the sender keeps a
+ * receipt from being replayed to anyone else.
+ *
+ * Whether receipts are sent is the reader's choice, per contact with a
+ * default (ContactBook.readReceiptsEnabled). Delivery receipts are signed by
+ * relays instead, see verifyDeliveryReceipt in storage/dht-storage.js.
+ */
+
+import { addressToPublicKey, verifySignature } from './identity.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+const READ_RECEIPT_VERSION = 1;
+const READ_RECEIPT_TYPE = 'dmail-read-receipt';
+const READ_RECEIPT_FILENAME = 'dmail-read-receipt.json';
+
+/**
+ * Signed confirmation that a message was read
+ */
+export class ReadReceipt {
+  constructor(options) {
+    this.version = options.version || READ_RECEIPT_VERSION;
+    this.type = READ_RECEIPT_TYPE;
+    this.canonical = options.canonical; // Encoding the signature covers, see canonical.js
+    this.messageId = options.messageId;
+    this.reader = options.reader; // Address that read the message
+    this.sender = options.sender; // Address the message was from
+    this.readAt = options.readAt;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Create a signed receipt for a message we read
+   * @param {Identity} identity - Reader identity
+   * @param {string} messageId - Message ID from the signed inner envelope
+   * @param {string} sender - Address of the message's sender
+   * @returns {ReadReceipt}
+   */
+  static create(identity, messageId, sender) {
+    const receipt = new ReadReceipt({
+      canonical: CANONICAL_VERSION,
+      messageId,
+      reader: identity.address,
+      sender,
+      readAt: Date.now()
+    });
+    receipt.signature = Buffer.from(identity.sign(receipt.hash())).toString('base64');
+    return receipt;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      messageId: this.messageId,
+      reader: this.reader,
+      sender: this.sender,
+      readAt: this.readAt
+    });
+  }
+
+  /**
+   * Verify the receipt is signed by its reader and meant for us
+   * @param {string} expectedSender - Our address
+   * @returns {boolean}
+   */
+  verify(expectedSender) {
+    try {
+      if (this.version !== READ_RECEIPT_VERSION) return false;
+      if (this.sender !== expectedSender) return false;
+      if (typeof this.messageId !== 'string' || !Number.isInteger(this.readAt) || !this.signature) return false;
+
+      const signingKey = addressToPublicKey(this.reader);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Attachment carrying this receipt in a sealed message
+   */
+  toAttachment() {
+    const data = Buffer.from(JSON.stringify(this.toJSON()));
+    return {
+      filename: READ_RECEIPT_FILENAME,
+      data: data.toString('base64'),
+      size: data.length
+    };
+  }
+
+  /**
+   * Find a read receipt among a parsed message's attachments
+   * @returns {ReadReceipt|null}
+   */
+  static fromAttachments(attachments = []) {
+    const attachment = attachments.find(a => a.filename === READ_RECEIPT_FILENAME);
+    if (!attachment) return null;
+
+    try {
+      const json = JSON.parse(Buffer.from(attachment.data, 'base64').toString('utf-8'));
+      if (json.type !== READ_RECEIPT_TYPE) return null;
+      return ReadReceipt.fromJSON(json);
+    } catch (e) {
+      // Not a receipt
+      return null;
+    }
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      messageId: this.messageId,
+      reader: this.reader,
+      sender: this.sender,
+      readAt: this.readAt,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new ReadReceipt(json);
+  }
+}
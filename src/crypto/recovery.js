@@ -0,0 +1,300 @@
+/**
+ * Social Recovery for dMail identities
+ *
+ * The owner splits their private key into N Shamir shares, any T of which
+ * rebuild it, and mails one to each trusted contact (a "trustee") as a
+ * sealed message. Each share is signed by the key being split:
+ *
+ *   { version, type, setId, address, threshold, total, index, trustee, share, created, signature }
+ *
+ * The address is all a collector needs to check a share, so a tampered or
+ * mixed-up share is rejected before reconstruction. After reconstruction
+ * the key must reproduce the address.
+ */
+
+import { randomBytes } from 'crypto';
+import { Identity, addressToPublicKey, verifySignature } from './identity.js';
+import { splitSecret, combineShares } from './shamir.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+const RECOVERY_SHARE_VERSION = 1;
+const RECOVERY_SHARE_TYPE = 'dmail-recovery-share';
+const RECOVERY_SHARE_FILENAME = 'dmail-recovery-share.json';
+
+/**
+ * One signed share of an identity key
+ */
+export class RecoveryShare {
+  constructor(options) {
+    this.version = options.version || RECOVERY_SHARE_VERSION;
+    this.type = RECOVERY_SHARE_TYPE;
+    this.canonical = options.canonical; // Encoding the signature covers, see canonical.js
+    this.setId = options.setId; // Hex, shared by all shares of one split
+    this.address = options.address; // Owner
+    this.threshold = options.threshold;
+    this.total = options.total;
+    this.index = options.index;
+    this.trustee = options.trustee; // Address the share was given to
+    this.share = options.share; // Base64 share bytes
+    this.created = options.created;
+    this.signature = options.signature || null;
+  }
+
+  /**
+   * Hash of the signed fields
+   */
+  hash() {
+    return hashSignedFields({
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      setId: this.setId,
+      address: this.address,
+      threshold: this.threshold,
+      total: this.total,
+      index: this.index,
+      trustee: this.trustee,
+      share: this.share,
+      created: this.created
+    });
+  }
+
+  /**
+   * Verify the share is well-formed and signed by the owner of its address
+   * @param {string} expectedAddress - Identity being recovered (optional)
+   * @returns {boolean}
+   */
+  verify(expectedAddress = null) {
+    try {
+      if (this.version !== RECOVERY_SHARE_VERSION) return false;
+      if (expectedAddress && this.address !== expectedAddress) return false;
+      if (!this.signature || typeof this.share !== 'string') return false;
+      if (!Number.isInteger(this.threshold) || this.threshold < 2) return false;
+      if (!Number.isInteger(this.total) || this.total < this.threshold) return false;
+      if (!Number.isInteger(this.index) || this.index < 1 || this.index > this.total) return false;
+      if (this.getShareBytes().length !== 32) return false;
+
+      const signingKey = addressToPublicKey(this.address);
+      const signature = new Uint8Array(Buffer.from(this.signature, 'base64'));
+      return verifySignature(this.hash(), signature, signingKey);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  getShareBytes() {
+    return new Uint8Array(Buffer.from(this.share, 'base64'));
+  }
+
+  /**
+   * Attachment carrying this share in a sealed message
+   */
+  toAttachment() {
+    const data = Buffer.from(JSON.stringify(this.toJSON()));
+    return {
+      filename: RECOVERY_SHARE_FILENAME,
+      data: data.toString('base64'),
+      size: data.length
+    };
+  }
+
+  /**
+   * Find a recovery share among a parsed message's attachments
+   * @returns {RecoveryShare|null}
+   */
+  static fromAttachments(attachments = []) {
+    const attachment = attachments.find(a => a.filename === RECOVERY_SHARE_FILENAME);
+    if (!attachment) return null;
+
+    try {
+      const json = JSON.parse(Buffer.from(attachment.data, 'base64').toString('utf-8'));
+      if (json.type !== RECOVERY_SHARE_TYPE) return null;
+      return RecoveryShare.fromJSON(json);
+    } catch (e) {
+      // Not a share
+      return null;
+    }
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      type: this.type,
+      canonical: this.canonical,
+      setId: this.setId,
+      address: this.address,
+      threshold: this.threshold,
+      total: this.total,
+      index: this.index,
+      trustee: this.trustee,
+      share: this.share,
+      created: this.created,
+      signature: this.signature
+    };
+  }
+
+  static fromJSON(json) {
+    return new RecoveryShare(json);
+  }
+}
+
+/**
+ * Split an identity's private key into signed shares, one per trustee
+ * @param {Identity} identity - Identity to protect
+ * @param {string[]} trustees - Trustee addresses (N)
+ * @param {number} threshold - Shares needed to recover (T)
+ * @returns {RecoveryShare[]}
+ */
+export function createRecoveryShares(identity, trustees, threshold) {
+  if (new Set(trustees).size !== trustees.length) {
+    throw new Error('Each trustee can only hold one share');
+  }
+  if (trustees.includes(identity.address)) {
+    throw new Error('Cannot be your own trustee');
+  }
+
+  const setId = Buffer.from(randomBytes(16)).toString('hex');
+  const created = Date.now();
+  const parts = splitSecret(identity.privateKey, threshold, trustees.length);
+
+  return parts.map((part, i) => {
+    const share = new RecoveryShare({
+      canonical: CANONICAL_VERSION,
+      setId,
+      address: identity.address,
+      threshold,
+      total: trustees.length,
+      index: part.index,
+      trustee: trustees[i],
+      share: Buffer.from(part.data).toString('base64'),
+      created
+    });
+    share.signature = Buffer.from(identity.sign(share.hash())).toString('base64');
+    return share;
+  });
+}
+
+/**
+ * Rebuild an identity from collected shares
+ *
+ * Shares that fail verification, belong to another split or repeat an
+ * index are rejected before any interpolation.
+ * @param {Object[]} shares - RecoveryShare or JSON
+ * @param {string} address - Address being recovered
+ * @returns {Identity}
+ */
+export function recoverIdentity(shares, address) {
+  const verified = [];
+  for (const json of shares) {
+    const share = json instanceof RecoveryShare ? json : RecoveryShare.fromJSON(json);
+    if (!share.verify(address)) {
+      throw new Error(`Invalid recovery share #${share.index} for ${address}`);
+    }
+    verified.push(share);
+  }
+
+  if (verified.length === 0) {
+    throw new Error('No recovery shares');
+  }
+
+  const { setId, threshold } = verified[0];
+  if (verified.some(share => share.setId !== setId)) {
+    throw new Error('Recovery shares come from different setups');
+  }
+
+  const unique = new Map(verified.map(share => [share.index, share]));
+  if (unique.size < threshold) {
+    throw new Error(`Need ${threshold} shares, have ${unique.size}`);
+  }
+
+  const privateKey = combineShares([...unique.values()].slice(0, threshold).map(share => ({
+    index: share.index,
+    data: share.getShareBytes()
+  })));
+
+  const identity = Identity.fromPrivateKey(privateKey);
+  if (identity.address !== address) {
+    throw new Error('Recovered key does not match the address');
+  }
+  return identity;
+}
+
+/**
+ * Group shares by setup, newest first, keeping only verified ones
+ * @returns {Object[]} - [{setId, address, threshold, total, created, shares}]
+ */
+export function groupRecoveryShares(shares, address = null) {
+  const sets = new Map();
+  for (const json of shares) {
+    const share = json instanceof RecoveryShare ? json : RecoveryShare.fromJSON(json);
+    if (!share.verify(address)) continue;
+
+    if (!sets.has(share.setId)) {
+      sets.set(share.setId, {
+        setId: share.setId,
+        address: share.address,
+        threshold: share.threshold,
+        total: share.total,
+        created: share.created,
+        shares: new Map()
+      });
+    }
+    sets.get(share.setId).shares.set(share.index, share);
+  }
+
+  return [...sets.values()]
+    .map(set => ({ ...set, shares: [...set.shares.values()] }))
+    .sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Shares collected for recovery, kept in an encrypted SecureKeyStore
+ */
+export class RecoveryShareStore {
+  /**
+   * @param {SecureKeyStore} store - Per-identity store ('recovery' purpose)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Store a verified share
+   * @returns {boolean} - false if the share is invalid or already stored
+   */
+  async add(share) {
+    if (!share.verify()) {
+      return false;
+    }
+    const name = `share:${share.address}:${share.setId}:${share.index}`;
+    if (await this.store.getRecord(name)) {
+      return false;
+    }
+    await this.store.putRecord(name, share.toJSON());
+    return true;
+  }
+
+  /**
+   * All stored shares for an address
+   * @returns {Promise<RecoveryShare[]>}
+   */
+  async list(address) {
+    const shares = [];
+    for (const name of await this.store.listRecords(`share:${address}:`)) {
+      shares.push(RecoveryShare.fromJSON(await this.store.getRecord(name)));
+    }
+    return shares;
+  }
+
+  /**
+   * Forget the shares for an address (after a successful restore)
+   */
+  async clear(address) {
+    const names = await this.store.listRecords(`share:${address}:`);
+    if (names.length > 0) {
+      await this.store.batchRecords(names.map(name => ({ type: 'del', name })));
+    }
+  }
+}
+
+export { RECOVERY_SHARE_VERSION, RECOVERY_SHARE_FILENAME };
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Identity } from './identity.js';
+import { createRecoveryShares, recoverIdentity } from './recovery.js';
+
+describe('social recovery', () => {
+  const identity = Identity.generate();
+  const trustees = [Identity.generate(), Identity.generate(), Identity.generate()].map(t => t.address);
+
+  it('recovers the identity from threshold signed shares', () => {
+    const shares = createRecoveryShares(identity, trustees, 2);
+    assert.ok(shares.every(share => share.verify(identity.address)));
+
+    const recovered = recoverIdentity([shares[2].toJSON(), shares[0].toJSON()], identity.address);
+    assert.equal(recovered.address, identity.address);
+    assert.deepEqual(Buffer.from(recovered.privateKey), Buffer.from(identity.privateKey));
+  });
+
+  it('rejects too few shares', () => {
+    const shares = createRecoveryShares(identity, trustees, 3);
+    assert.throws(() => recoverIdentity(shares.slice(0, 2), identity.address), /Need 3 shares, have 2/);
+    // A repeated share does not count twice
+    assert.throws(() => recoverIdentity([shares[0], shares[0], shares[1]], identity.address), /Need 3 shares/);
+    assert.throws(() => recoverIdentity([], identity.address), /No recovery shares/);
+  });
+
+  it('rejects tampered shares and shares from another split', () => {
+    const shares = createRecoveryShares(identity, trustees, 2);
+    const tampered = { ...shares[0].toJSON(), threshold: 3 };
+    assert.throws(() => recoverIdentity([tampered, shares[1]], identity.address), /Invalid recovery share/);
+
+    const other = createRecoveryShares(identity, trustees, 2);
+    assert.throws(() => recoverIdentity([shares[0], other[1]], identity.address), /different setups/);
+
+    assert.throws(() => recoverIdentity(shares, trustees[0]), /Invalid recovery share/);
+  });
+
+  it('refuses trustees that repeat or are the identity itself', () => {
+    assert.throws(() => createRecoveryShares(identity, [trustees[0], trustees[0]], 2), /one share/);
+    assert.throws(() => createRecoveryShares(identity, [identity.address, trustees[0]], 2), /own trustee/);
+  });
+});
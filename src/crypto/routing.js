@@ -0,0 +1,211 @@
+/**
+ * Routing Tokens for dMail
+ *
+ * Relays store and gossip sealed envelopes under a routing token instead of
+ * the recipient's address. There are three kinds:
+ *
+ * - Contact tokens: the hash of the recipient's address key blinded with a
+ *   scalar derived from their routing key and the epoch (one day), so they
+ *   change daily and do not link to each other or to the address. The
+ *   routing key is a secret derived from the recipient's private key;
+ *   recipients hand it to the people they write to in the signed inner
+ *   envelope (`routingKey`), and the contact book keeps it. Only the
+ *   recipient can sign with the blinded key, which is how they prove to a
+ *   relay that the mailbox is theirs (mailbox.js).
+ * - Address tokens: HKDF of the address alone. Anyone who knows an address
+ *   can compute its token, so they are only used for a first message, before
+ *   the sender has the recipient's routing key, and by older clients.
+ * - Device and group tokens, for the copies sent to linked devices and for
+ *   group posts, which are not rotated yet.
+ *
+ * Recipients listen for and fetch the contact tokens of a window of epochs,
+ * long enough to cover what relays keep (DHTMessageStorage), and their
+ * address token.
+ */
+
+import { ed25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { sha512 } from '@noble/hashes/sha512';
+import { hkdf } from '@noble/hashes/hkdf';
+import { addressToPublicKey } from './identity.js';
+
+export const ROUTING_EPOCH_MS = 24 * 60 * 60 * 1000; // 1 day
+// Epochs fetched back from the current one: relays keep mail for 7 days
+export const ROUTING_EPOCH_WINDOW = 8;
+
+const ROUTING_KEY_LENGTH = 32;
+const TOKEN_LENGTH = 16;
+const INFO_ROUTING_KEY = new TextEncoder().encode('dmail-routing-key-v1');
+const INFO_CONTACT = new TextEncoder().encode('dmail-routing-v3');
+const INFO_ADDRESS = new TextEncoder().encode('dmail-routing-v2');
+const INFO_DEVICE = new TextEncoder().encode('dmail-device-routing-v1');
+const INFO_MAILBOX = new TextEncoder().encode('dmail-mailbox-v1');
+const CURVE_ORDER = ed25519.CURVE.n;
+
+function hex(bytes) {
+  return Buffer.from(bytes).toString('hex');
+}
+
+// Little-endian scalars, as in Ed25519
+function bytesToScalar(bytes) {
+  return BigInt('0x' + hex(Uint8Array.from(bytes).reverse())) % CURVE_ORDER;
+}
+
+function scalarToBytes(scalar) {
+  return Uint8Array.from(Buffer.from(scalar.toString(16).padStart(64, '0'), 'hex')).reverse();
+}
+
+/**
+ * Scalar an address key is blinded with for one epoch
+ */
+function blindingScalar(routingKey, epoch) {
+  const salt = Buffer.alloc(8);
+  salt.writeBigUInt64BE(BigInt(epoch));
+  // 64 bytes reduce to a uniform scalar, zero is as likely as guessing the key
+  return bytesToScalar(hkdf(sha256, routingKey, salt, INFO_CONTACT, 64)) || 1n;
+}
+
+/**
+ * Epoch a time falls in
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number}
+ */
+export function routingEpoch(timestamp = Date.now()) {
+  return Math.floor(timestamp / ROUTING_EPOCH_MS);
+}
+
+/**
+ * Routing key of an identity, handed to the people it writes to
+ * @param {Identity} identity - Primary identity
+ * @returns {Uint8Array} - 32 bytes
+ */
+export function routingKeyFor(identity) {
+  return hkdf(sha256, identity.privateKey, undefined, INFO_ROUTING_KEY, ROUTING_KEY_LENGTH);
+}
+
+/**
+ * Check a routing key received from a contact
+ * @param {string} routingKey - Base64
+ * @returns {boolean}
+ */
+export function isRoutingKey(routingKey) {
+  return typeof routingKey === 'string'
+    && Buffer.from(routingKey, 'base64').length === ROUTING_KEY_LENGTH
+    && Buffer.from(routingKey, 'base64').toString('base64') === routingKey;
+}
+
+/**
+ * Epochs mail can be stored under now: the window of past epochs, and the
+ * next one for senders whose clock runs ahead
+ * @returns {number[]} - Newest first
+ */
+export function routingEpochs(timestamp = Date.now()) {
+  const current = routingEpoch(timestamp);
+  const epochs = [];
+  for (let epoch = current + 1; epoch >= current - ROUTING_EPOCH_WINDOW; epoch--) {
+    epochs.push(epoch);
+  }
+  return epochs;
+}
+
+/**
+ * Token of the mailbox a key owns: the hash of the key
+ * @param {Uint8Array} publicKey - Blinded Ed25519 key
+ * @returns {string} - 32 hex chars
+ */
+export function mailboxKeyToken(publicKey) {
+  return hex(sha256(new Uint8Array([...INFO_MAILBOX, ...publicKey])).slice(0, TOKEN_LENGTH));
+}
+
+/**
+ * Blinded key of a recipient's mailbox for one epoch
+ * @param {string} address - Recipient address
+ * @param {Uint8Array} routingKey - Their routing key
+ * @param {number} epoch - See routingEpoch
+ * @returns {Uint8Array} - Ed25519 public key
+ */
+export function contactMailboxKey(address, routingKey, epoch = routingEpoch()) {
+  const addressKey = ed25519.ExtendedPoint.fromHex(addressToPublicKey(address));
+  return addressKey.multiply(blindingScalar(routingKey, epoch)).toRawBytes();
+}
+
+/**
+ * Contact token of a recipient for one epoch
+ * @param {string} address - Recipient address
+ * @param {Uint8Array} routingKey - Their routing key
+ * @param {number} epoch - See routingEpoch
+ * @returns {string} - 32 hex chars
+ */
+export function contactRoutingToken(address, routingKey, epoch = routingEpoch()) {
+  return mailboxKeyToken(contactMailboxKey(address, routingKey, epoch));
+}
+
+/**
+ * Sign as the blinded key of one of our contact tokens
+ * A standard Ed25519 signature by the blinded key, made with our scalar
+ * times the blinding scalar; ed25519.verify checks it.
+ * @param {Identity} identity - Primary identity
+ * @param {number} epoch - Epoch of the token
+ * @param {Uint8Array} message
+ * @returns {{publicKey: Uint8Array, signature: Uint8Array}}
+ */
+export function signAsContactMailbox(identity, epoch, message) {
+  const { scalar, prefix } = ed25519.utils.getExtendedPublicKey(identity.privateKey);
+  const blinding = blindingScalar(routingKeyFor(identity), epoch);
+  const secret = (scalar * blinding) % CURVE_ORDER;
+  const publicKey = ed25519.ExtendedPoint.BASE.multiply(secret).toRawBytes();
+
+  const nonce = bytesToScalar(sha512(new Uint8Array([...prefix, ...scalarToBytes(blinding), ...message]))) || 1n;
+  const R = ed25519.ExtendedPoint.BASE.multiply(nonce).toRawBytes();
+  const challenge = bytesToScalar(sha512(new Uint8Array([...R, ...publicKey, ...message])));
+  const S = (nonce + challenge * secret) % CURVE_ORDER;
+  return { publicKey, signature: new Uint8Array([...R, ...scalarToBytes(S)]) };
+}
+
+/**
+ * Address token: public, for first contact and older clients
+ * Also the routing token of group posts, with the group address.
+ * @param {string} address - dm1 or group address
+ * @returns {string} - 32 hex chars
+ */
+export function addressRoutingToken(address) {
+  return hex(hkdf(sha256, new TextEncoder().encode(address), undefined, INFO_ADDRESS, TOKEN_LENGTH));
+}
+
+/**
+ * Routing token relays store a linked device's copies under
+ * Unlinkable to the account's own token without the device ID.
+ * @param {string} address - Account address
+ * @param {string} deviceId - Device ID
+ * @returns {string} - 32 hex chars
+ */
+export function deviceRoutingToken(address, deviceId) {
+  return hex(hkdf(sha256, new TextEncoder().encode(address), Buffer.from(deviceId, 'hex'), INFO_DEVICE, TOKEN_LENGTH));
+}
+
+/**
+ * Routing token to send to a recipient under
+ * @param {string} address - Recipient address
+ * @param {Uint8Array|null} routingKey - Their routing key, if we have it
+ * @returns {string}
+ */
+export function recipientRoutingToken(address, routingKey = null) {
+  return routingKey ? contactRoutingToken(address, routingKey) : addressRoutingToken(address);
+}
+
+/**
+ * Every routing token an identity's mail can arrive under now, the address
+ * or device token first
+ * @param {Identity} identity - Our identity, primary or linked device
+ * @returns {string[]}
+ */
+export function ownRoutingTokens(identity, timestamp = Date.now()) {
+  if (identity.isLinkedDevice) {
+    return [deviceRoutingToken(identity.account, identity.deviceId)];
+  }
+  const routingKey = routingKeyFor(identity);
+  return [
+    addressRoutingToken(identity.address),
+    ...routingEpochs(timestamp).map(epoch => contactRoutingToken(identity.address, routingKey, epoch))
+  ];
+}
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ed25519 } from '@noble/curves/ed25519';
+import { Identity } from './identity.js';
+import {
+  ROUTING_EPOCH_MS,
+  ROUTING_EPOCH_WINDOW,
+  routingEpoch,
+  routingEpochs,
+  routingKeyFor,
+  isRoutingKey,
+  contactMailboxKey,
+  contactRoutingToken,
+  addressRoutingToken,
+  deviceRoutingToken,
+  recipientRoutingToken,
+  mailboxKeyToken,
+  signAsContactMailbox,
+  ownRoutingTokens
+} from './routing.js';
+
+describe('routing tokens', () => {
+  const identity = Identity.generate();
+  const routingKey = routingKeyFor(identity);
+  const now = Date.now();
+  const current = routingEpoch(now);
+
+  it('covers the epoch window and the next epoch', () => {
+    const epochs = routingEpochs(now);
+    assert.equal(epochs[0], current + 1);
+    assert.equal(epochs[epochs.length - 1], current - ROUTING_EPOCH_WINDOW);
+    assert.equal(epochs.length, ROUTING_EPOCH_WINDOW + 2);
+  });
+
+  it('accepts contact tokens of every epoch in the window', () => {
+    const own = ownRoutingTokens(identity, now);
+    for (let epoch = current + 1; epoch >= current - ROUTING_EPOCH_WINDOW; epoch--) {
+      assert.ok(own.includes(contactRoutingToken(identity.address, routingKey, epoch)), `epoch ${epoch - current}`);
+    }
+    assert.ok(own.includes(addressRoutingToken(identity.address)));
+    assert.ok(own.includes(recipientRoutingToken(identity.address, routingKey)));
+  });
+
+  it('rejects contact tokens outside the window', () => {
+    const own = ownRoutingTokens(identity, now);
+    assert.ok(!own.includes(contactRoutingToken(identity.address, routingKey, current + 2)));
+    assert.ok(!own.includes(contactRoutingToken(identity.address, routingKey, current - ROUTING_EPOCH_WINDOW - 1)));
+    // A day later, the oldest epoch drops out
+    const later = ownRoutingTokens(identity, now + ROUTING_EPOCH_MS);
+    assert.ok(!later.includes(contactRoutingToken(identity.address, routingKey, current - ROUTING_EPOCH_WINDOW)));
+  });
+
+  it('changes tokens every epoch and per routing key', () => {
+    const today = contactRoutingToken(identity.address, routingKey, current);
+    assert.notEqual(today, contactRoutingToken(identity.address, routingKey, current + 1));
+    assert.notEqual(today, contactRoutingToken(identity.address, routingKeyFor(Identity.generate()), current));
+    assert.notEqual(today, addressRoutingToken(identity.address));
+    assert.match(today, /^[0-9a-f]{32}$/);
+  });
+
+  it('lets only the recipient sign for a contact token', () => {
+    const message = new TextEncoder().encode('challenge');
+    const { publicKey, signature } = signAsContactMailbox(identity, current, message);
+    assert.deepEqual(publicKey, contactMailboxKey(identity.address, routingKey, current));
+    assert.equal(mailboxKeyToken(publicKey), contactRoutingToken(identity.address, routingKey, current));
+    assert.ok(ed25519.verify(signature, message, publicKey));
+    assert.ok(!ed25519.verify(signature, new TextEncoder().encode('other'), publicKey));
+  });
+
+  it('gives linked devices their device token only', () => {
+    const device = Identity.generateDevice(identity.address);
+    assert.deepEqual(ownRoutingTokens(device), [deviceRoutingToken(identity.address, device.deviceId)]);
+  });
+
+  it('checks routing keys received from contacts', () => {
+    assert.ok(isRoutingKey(Buffer.from(routingKey).toString('base64')));
+    assert.ok(!isRoutingKey(Buffer.from(routingKey.subarray(1)).toString('base64')));
+    assert.ok(!isRoutingKey('not a key'));
+    assert.ok(!isRoutingKey(null));
+  });
+});
@@ -68,16 +68,46 @@ export function decryptData(encrypted, key) {
   return cipher.decrypt(ciphertext);
 }
 
+/**
+ * Derive a storage key from an identity's private key material
+ * Used for per-identity state such as ratchet sessions
+ */
+export function deriveKeyFromIdentity(identity, purpose) {
+  return hkdf(
+    sha256,
+    identity.encryptionPrivateKey,
+    undefined,
+    new TextEncoder().encode(`dmail-${purpose}-storage-v1`),
+    KEY_LENGTH
+  );
+}
+
 /**
  * Secure key storage that encrypts private keys at rest
  */
 export class SecureKeyStore {
-  constructor(storageKey) {
-    this.db = new Level(join(DMAIL_DIR, 'secure-keys'), { valueEncoding: 'buffer' });
+  /**
+   * @param {Uint8Array} storageKey - Key used once unlocked
+   * @param {Object} options - {dbPath} to use a store other than ~/.dmail/secure-keys
+   */
+  constructor(storageKey, options = {}) {
+    const dbPath = options.dbPath || join(DMAIL_DIR, 'secure-keys');
+    this.db = new Level(dbPath, { valueEncoding: 'buffer' });
     this.storageKey = storageKey;
     this.unlocked = false;
   }
 
+  /**
+   * Open an unlocked per-identity store, e.g. ~/.dmail/sessions/<address prefix>
+   */
+  static forIdentity(identity, purpose) {
+    const store = new SecureKeyStore(null, {
+      dbPath: join(DMAIL_DIR, purpose, identity.address.slice(0, 16))
+    });
+    store.unlock(deriveKeyFromIdentity(identity, purpose));
+    return store;
+  }
+
   /**
    * Unlock the store with a derived key
    */
@@ -147,6 +177,68 @@ export class SecureKeyStore {
     return names;
   }
 
+  /**
+   * Store an encrypted JSON record
+   */
+  async putRecord(name, value) {
+    await this.batchRecords([{ type: 'put', name, value }]);
+  }
+
+  /**
+   * Retrieve and decrypt a JSON record
+   */
+  async getRecord(name) {
+    if (!this.unlocked) {
+      throw new Error('Key store is locked');
+    }
+
+    try {
+      const encrypted = await this.db.get(`record:${name}`);
+      const decrypted = decryptData(new Uint8Array(encrypted), this.storageKey);
+      return JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (e) {
+      if (e.code === 'LEVEL_NOT_FOUND') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Delete a record
+   */
+  async deleteRecord(name) {
+    await this.batchRecords([{ type: 'del', name }]);
+  }
+
+  /**
+   * Apply several record writes atomically
+   * @param {Object[]} ops - [{type: 'put', name, value}] or [{type: 'del', name}]
+   */
+  async batchRecords(ops) {
+    if (!this.unlocked) {
+      throw new Error('Key store is locked');
+    }
+
+    await this.db.batch(ops.map(op => op.type === 'put'
+      ? {
+        type: 'put',
+        key: `record:${op.name}`,
+        value: Buffer.from(encryptData(JSON.stringify(op.value), this.storageKey))
+      }
+      : { type: 'del', key: `record:${op.name}` }
+    ));
+  }
+
+  /**
+   * List record names with a prefix (not the records themselves)
+   */
+  async listRecords(prefix = '') {
+    const names = [];
+    for await (const key of this.db.keys({ gte: `record:${prefix}`, lt: `record:${prefix}\xff` })) {
+      names.push(key.slice('record:'.length));
+    }
+    return names;
+  }
+
   async close() {
     this.lock();
     await this.db.close();
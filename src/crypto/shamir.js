@@ -0,0 +1,140 @@
+/**
+ * Shamir Secret Sharing over GF(256) for dMail
+ *
+ * Splits a secret into N shares so that any T of them rebuild it and
+ * fewer than T reveal nothing. Each byte of the secret is the constant
+ * term of its own random polynomial of degree T-1; share i holds every
+ * polynomial evaluated at x = i.
+ *
+ * Field: GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1 (0x11b).
+ */
+
+import { randomBytes } from 'crypto';
+
+const MAX_SHARES = 255; // x = 1..255, x = 0 is the secret
+
+// Log/antilog tables with generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = x;
+    LOG[x] = i;
+    // x *= 3, i.e. x ^ (x * 2) reduced by 0x11b
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  // Doubled so mul() can skip the modulo
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+function mul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  if (a === 0) return 0;
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Evaluate a polynomial (coefficients lowest degree first) at x
+ */
+function evaluate(coefficients, x) {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = mul(result, x) ^ coefficients[i];
+  }
+  return result;
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} threshold - Shares needed to rebuild (T)
+ * @param {number} total - Shares to create (N)
+ * @returns {Object[]} - [{index, data: Uint8Array}], index 1..N
+ */
+export function splitSecret(secret, threshold, total) {
+  if (!Number.isInteger(threshold) || !Number.isInteger(total)) {
+    throw new Error('Threshold and share count must be integers');
+  }
+  if (threshold < 2) {
+    throw new Error('Threshold must be at least 2');
+  }
+  if (total < threshold) {
+    throw new Error('Share count must be at least the threshold');
+  }
+  if (total > MAX_SHARES) {
+    throw new Error(`At most ${MAX_SHARES} shares are supported`);
+  }
+
+  const shares = [];
+  for (let index = 1; index <= total; index++) {
+    shares.push({ index, data: new Uint8Array(secret.length) });
+  }
+
+  const coefficients = new Uint8Array(threshold);
+  for (let byte = 0; byte < secret.length; byte++) {
+    coefficients[0] = secret[byte];
+    coefficients.set(randomBytes(threshold - 1), 1);
+    for (const share of shares) {
+      share.data[byte] = evaluate(coefficients, share.index);
+    }
+  }
+  coefficients.fill(0);
+
+  return shares;
+}
+
+/**
+ * Rebuild a secret from shares (Lagrange interpolation at x = 0)
+ *
+ * Any set of at least T distinct shares gives the secret. With fewer, the
+ * result is a wrong value, not an error, so callers must check it.
+ * @param {Object[]} shares - [{index, data: Uint8Array}]
+ * @returns {Uint8Array}
+ */
+export function combineShares(shares) {
+  if (shares.length < 2) {
+    throw new Error('At least 2 shares are required');
+  }
+
+  const indices = shares.map(share => share.index);
+  if (new Set(indices).size !== indices.length) {
+    throw new Error('Duplicate share index');
+  }
+  for (const index of indices) {
+    if (!Number.isInteger(index) || index < 1 || index > MAX_SHARES) {
+      throw new Error(`Invalid share index: ${index}`);
+    }
+  }
+
+  const length = shares[0].data.length;
+  if (shares.some(share => share.data.length !== length)) {
+    throw new Error('Shares have different lengths');
+  }
+
+  // Lagrange basis at 0: prod(x_j / (x_j - x_i)); subtraction is XOR
+  const basis = indices.map((xi, i) => {
+    let value = 1;
+    indices.forEach((xj, j) => {
+      if (i !== j) value = mul(value, div(xj, xj ^ xi));
+    });
+    return value;
+  });
+
+  const secret = new Uint8Array(length);
+  for (let byte = 0; byte < length; byte++) {
+    let value = 0;
+    shares.forEach((share, i) => {
+      value ^= mul(share.data[byte], basis[i]);
+    });
+    secret[byte] = value;
+  }
+  return secret;
+}
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { splitSecret, combineShares } from './shamir.js';
+
+// Every way of picking k of the items
+function subsets(items, k) {
+  if (k === 0) return [[]];
+  if (items.length < k) return [];
+  const [first, ...rest] = items;
+  return [...subsets(rest, k - 1).map(subset => [first, ...subset]), ...subsets(rest, k)];
+}
+
+describe('Shamir secret sharing', () => {
+  const secret = new Uint8Array(randomBytes(32));
+
+  it('rebuilds the secret from every set of threshold shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+    assert.equal(shares.length, 5);
+    assert.deepEqual(shares.map(share => share.index), [1, 2, 3, 4, 5]);
+
+    for (const subset of subsets(shares, 3)) {
+      assert.deepEqual(combineShares(subset), secret);
+    }
+    assert.deepEqual(combineShares(shares), secret);
+  });
+
+  it('rebuilds with shares in any order', () => {
+    const shares = splitSecret(secret, 2, 3);
+    assert.deepEqual(combineShares([shares[2], shares[0]]), secret);
+  });
+
+  it('does not give the secret from fewer than threshold shares', () => {
+    const shares = splitSecret(secret, 3, 5);
+    for (const subset of subsets(shares, 2)) {
+      assert.notDeepEqual(combineShares(subset), secret);
+    }
+  });
+
+  it('rejects a single share', () => {
+    const shares = splitSecret(secret, 2, 3);
+    assert.throws(() => combineShares([shares[0]]), /At least 2 shares/);
+  });
+
+  it('rejects duplicate, invalid and mismatched shares', () => {
+    const shares = splitSecret(secret, 2, 3);
+    assert.throws(() => combineShares([shares[0], shares[0]]), /Duplicate share index/);
+    assert.throws(() => combineShares([shares[0], { index: 0, data: shares[1].data }]), /Invalid share index/);
+    assert.throws(() => combineShares([shares[0], { index: 2, data: shares[1].data.subarray(1) }]), /different lengths/);
+  });
+
+  it('rejects invalid thresholds and share counts', () => {
+    assert.throws(() => splitSecret(secret, 1, 3), /at least 2/);
+    assert.throws(() => splitSecret(secret, 4, 3), /at least the threshold/);
+    assert.throws(() => splitSecret(secret, 2, 256), /At most 255/);
+    assert.throws(() => splitSecret(secret, 2.5, 3), /integers/);
+  });
+});
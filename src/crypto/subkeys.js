@@ -0,0 +1,269 @@
+/**
+ * Encryption Subkeys for dMail
+ *
+ * The Ed25519 key behind a dm1 address is the master key. It never encrypts
+ * anything itself; it signs dated X25519 encryption subkeys, published as
+ * key records (see key-directory.js), so the encryption key can be rotated
+ * or revoked without changing the address.
+ *
+ * Subkeys are derived from the master key, so any restore of the identity
+ * (backup, recovery phrase, social recovery) can rebuild them:
+ *
+ *   subkey(n) = HKDF-SHA256(master, salt 'dmail-encryption-subkey-v1', info n)   n >= 1
+ *
+ * Subkey 0 is the address-derived key every identity had before subkeys
+ * (Identity.encryptionPublicKey). It stays current until the first rotation.
+ *
+ * Each subkey has an ML-KEM-768 keypair derived from it (encryption.js) for
+ * hybrid post-quantum mail, published in a KemKeyRecord.
+ */
+
+import { x25519 } from '@noble/curves/ed25519';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+import { KeyRecord, KeyRevocation, KemKeyRecord, keyIdFor, DEFAULT_KEY_RECORD_TTL_MS } from './key-directory.js';
+import { deriveKemKeyPair } from './encryption.js';
+
+const SUBKEY_SALT = 'dmail-encryption-subkey-v1';
+const DEFAULT_SUBKEY_LIFETIME_MS = 180 * 24 * 60 * 60 * 1000; // 180 days
+const SUBKEY_RENEW_BEFORE_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+const MAX_SUBKEY_SCAN = 256; // Indices tried when adopting a published key
+
+/**
+ * Derive encryption subkey n of an identity
+ * @param {Identity} identity - Master identity
+ * @param {number} index - Subkey index (0 = address-derived key)
+ * @returns {{index, keyId, privateKey: Uint8Array, publicKey: Uint8Array}}
+ */
+export function deriveSubkey(identity, index) {
+  let privateKey;
+  let publicKey;
+  if (index === 0) {
+    privateKey = identity.encryptionPrivateKey;
+    publicKey = identity.encryptionPublicKey;
+  } else {
+    privateKey = hkdf(sha256, identity.privateKey, SUBKEY_SALT, String(index), 32);
+    publicKey = x25519.getPublicKey(privateKey);
+  }
+  return { index, keyId: keyIdFor(publicKey), privateKey, publicKey };
+}
+
+/**
+ * Add the ML-KEM-768 keypair paired with a subkey
+ * @param {Object} subkey - Output of deriveSubkey
+ * @returns {Object} - subkey with kemPublicKey and kemSecretKey
+ */
+export function withKemKey(subkey) {
+  const { publicKey, secretKey } = deriveKemKeyPair(subkey.privateKey);
+  return { ...subkey, kemPublicKey: publicKey, kemSecretKey: secretKey };
+}
+
+/**
+ * Key ID blinded with a message's ephemeral key
+ *
+ * Lets a recipient pick the right subkey without putting a stable key ID on
+ * the wire, which would link every message sent to that key.
+ * @returns {string} - 8 hex chars
+ */
+export function blindKeyId(keyId, ephemeralKey) {
+  const data = new Uint8Array([...ephemeralKey, ...Buffer.from(keyId, 'hex')]);
+  return Buffer.from(sha256(data).slice(0, 4)).toString('hex');
+}
+
+/**
+ * An identity's encryption subkeys, with their validity kept in a SecureKeyStore
+ *
+ * Records: subkey:<index> = {index, keyId, created, expires, revocation},
+ * subkey:current = index
+ */
+export class Keyring {
+  /**
+   * @param {Identity} identity - Master identity
+   * @param {SecureKeyStore} store - Per-identity encrypted store
+   */
+  constructor(identity, store) {
+    this.identity = identity;
+    this.store = store;
+  }
+
+  async currentIndex() {
+    return (await this.store.getRecord('subkey:current')) || 0;
+  }
+
+  /**
+   * Metadata of subkey n (subkey 0 has no expiry)
+   */
+  async getInfo(index) {
+    const info = await this.store.getRecord(`subkey:${index}`);
+    if (info) return info;
+    if (index === 0) {
+      return { index: 0, keyId: deriveSubkey(this.identity, 0).keyId, created: null, expires: null, revocation: null };
+    }
+    return null;
+  }
+
+  /**
+   * All known subkeys, current first
+   * @returns {Promise<Object[]>} - [{index, keyId, created, expires, revocation, current}]
+   */
+  async list() {
+    const current = await this.currentIndex();
+    const infos = [await this.getInfo(0)];
+    for (const name of await this.store.listRecords('subkey:')) {
+      const index = Number(name.slice('subkey:'.length));
+      if (Number.isInteger(index) && index > 0) {
+        infos.push(await this.store.getRecord(name));
+      }
+    }
+    return infos
+      .map(info => ({ ...info, current: info.index === current }))
+      .sort((a, b) => (b.current - a.current) || (b.index - a.index));
+  }
+
+  /**
+   * The subkey new mail should be encrypted to
+   * @returns {Promise<Object>} - {index, keyId, privateKey, publicKey, kemPublicKey, kemSecretKey, created, expires}
+   */
+  async current() {
+    const index = await this.currentIndex();
+    const info = await this.getInfo(index);
+    return { ...withKemKey(deriveSubkey(this.identity, index)), created: info.created, expires: info.expires };
+  }
+
+  /**
+   * Rotate to the next subkey index
+   * @param {number} lifetimeMs - Validity of the new subkey
+   * @returns {Promise<Object>} - Metadata of the new subkey
+   */
+  async rotate(lifetimeMs = DEFAULT_SUBKEY_LIFETIME_MS) {
+    const infos = await this.list();
+    const index = Math.max(...infos.map(info => info.index)) + 1;
+    const created = Date.now();
+    const info = {
+      index,
+      keyId: deriveSubkey(this.identity, index).keyId,
+      created,
+      expires: created + lifetimeMs,
+      revocation: null
+    };
+
+    await this.store.batchRecords([
+      { type: 'put', name: `subkey:${index}`, value: info },
+      { type: 'put', name: 'subkey:current', value: index }
+    ]);
+    return info;
+  }
+
+  /**
+   * Rotate if the current subkey is revoked, expired or about to expire
+   * @returns {Promise<boolean>} - Whether a new subkey was created
+   */
+  async renew() {
+    const info = await this.getInfo(await this.currentIndex());
+    const due = info.revocation || (info.expires && info.expires - Date.now() < SUBKEY_RENEW_BEFORE_MS);
+    if (!due) return false;
+    await this.rotate();
+    return true;
+  }
+
+  /**
+   * Revoke a subkey, rotating away from it if it is current
+   * The private key is kept so mail already sent to it stays readable.
+   * @returns {Promise<KeyRevocation>}
+   */
+  async revoke(keyId, reason = 'compromised') {
+    const info = (await this.list()).find(entry => entry.keyId === keyId);
+    if (!info) {
+      throw new Error(`Unknown key ID: ${keyId}`);
+    }
+
+    const revocation = KeyRevocation.create(this.identity, keyId, reason);
+    const { current, ...stored } = info;
+    await this.store.putRecord(`subkey:${info.index}`, { ...stored, revocation: revocation.toJSON() });
+
+    if (current) {
+      await this.rotate();
+    }
+    return revocation;
+  }
+
+  /**
+   * Revocation certificates for our subkeys, to publish alongside the key record
+   * @returns {Promise<KeyRevocation[]>}
+   */
+  async revocations() {
+    return (await this.list())
+      .filter(info => info.revocation)
+      .map(info => KeyRevocation.fromJSON(info.revocation));
+  }
+
+  /**
+   * Signed key record for the current subkey
+   * @returns {Promise<KeyRecord>}
+   */
+  async keyRecord(ttlMs = DEFAULT_KEY_RECORD_TTL_MS) {
+    const subkey = await this.current();
+    return KeyRecord.create(this.identity, ttlMs, subkey.index === 0 ? null : subkey);
+  }
+
+  /**
+   * Signed ML-KEM-768 record for the current subkey, published with its key record
+   * @param {KeyRecord} keyRecord - Output of keyRecord()
+   * @returns {Promise<KemKeyRecord>}
+   */
+  async kemRecord(keyRecord) {
+    const subkey = await this.current();
+    return KemKeyRecord.create(this.identity, keyRecord, subkey.kemPublicKey);
+  }
+
+  /**
+   * Private keys to try when opening mail, including revoked and expired
+   * subkeys so older messages stay readable
+   * ML-KEM keys are left to the caller (withKemKey), only hybrid mail needs them.
+   * @returns {Promise<Object[]>} - [{index, keyId, privateKey, publicKey}]
+   */
+  async decryptionKeys() {
+    return (await this.list()).map(info => deriveSubkey(this.identity, info.index));
+  }
+
+  /**
+   * Adopt a subkey published by another copy of this identity (e.g. before a
+   * restore) by finding its index
+   * It keeps the dates of the subkey's certificate. Records without one
+   * only tell how long the record is valid, so the dates stay unknown, as
+   * they do for the lower indices filled in.
+   * @param {KeyRecord} record - Verified key record for our address
+   * @returns {Promise<boolean>} - Whether the keyring changed
+   */
+  async adopt(record) {
+    const keyId = record.keyId;
+    if ((await this.list()).some(info => info.keyId === keyId)) {
+      return false;
+    }
+    const validity = record.subkeyValidity() || { created: null, expires: null };
+
+    for (let index = 1; index <= MAX_SUBKEY_SCAN; index++) {
+      if (deriveSubkey(this.identity, index).keyId !== keyId) continue;
+
+      // Every lower index may have received mail too
+      const ops = [];
+      for (let i = 1; i <= index; i++) {
+        if (await this.store.getRecord(`subkey:${i}`)) continue;
+        const dates = i === index ? validity : { created: null, expires: null };
+        ops.push({
+          type: 'put',
+          name: `subkey:${i}`,
+          value: { index: i, keyId: deriveSubkey(this.identity, i).keyId, ...dates, revocation: null }
+        });
+      }
+      if (index > await this.currentIndex()) {
+        ops.push({ type: 'put', name: 'subkey:current', value: index });
+      }
+      await this.store.batchRecords(ops);
+      return true;
+    }
+    return false;
+  }
+}
+
+export { DEFAULT_SUBKEY_LIFETIME_MS, SUBKEY_RENEW_BEFORE_MS };
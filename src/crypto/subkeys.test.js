@@ -0,0 +1,128 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import { KeyRecord, KeyRevocation } from './key-directory.js';
+import { Keyring, deriveSubkey, DEFAULT_SUBKEY_LIFETIME_MS, SUBKEY_RENEW_BEFORE_MS } from './subkeys.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Keyring', () => {
+  const identity = Identity.generate();
+  const stores = [];
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'subkeys-'));
+  });
+
+  after(async () => {
+    for (const store of stores) {
+      await store.close();
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // A keyring of its own, as on another device or after a restore
+  function keyring() {
+    const store = new SecureKeyStore(null, { dbPath: join(dir, `store-${stores.length}`) });
+    store.unlock(new Uint8Array(randomBytes(32)));
+    stores.push(store);
+    return new Keyring(identity, store);
+  }
+
+  it('rotates to a dated subkey and keeps the old ones for decryption', async () => {
+    const keys = keyring();
+    assert.equal((await keys.current()).keyId, deriveSubkey(identity, 0).keyId);
+
+    const before = Date.now();
+    const info = await keys.rotate();
+    assert.equal(info.index, 1);
+    assert.ok(info.created >= before);
+    assert.equal(info.expires, info.created + DEFAULT_SUBKEY_LIFETIME_MS);
+
+    const current = await keys.current();
+    assert.equal(current.keyId, deriveSubkey(identity, 1).keyId);
+    assert.deepEqual((await keys.decryptionKeys()).map(key => key.index), [1, 0]);
+
+    // The record never outlives the subkey, and carries its dates
+    const record = await keys.keyRecord(DEFAULT_SUBKEY_LIFETIME_MS * 2);
+    assert.ok(record.verify(identity.address));
+    assert.equal(record.keyId, current.keyId);
+    assert.equal(record.expires, info.expires);
+    assert.deepEqual(record.subkeyValidity(), { created: info.created, expires: info.expires });
+  });
+
+  it('renews only a subkey about to expire', async () => {
+    const keys = keyring();
+    await keys.rotate();
+    assert.equal(await keys.renew(), false);
+
+    await keys.rotate(SUBKEY_RENEW_BEFORE_MS - DAY);
+    assert.equal(await keys.renew(), true);
+    assert.equal(await keys.currentIndex(), 3);
+  });
+
+  it('adopts a published subkey with its own dates', async () => {
+    const published = keyring();
+    await published.rotate();
+    const info = await published.rotate(90 * DAY);
+    const record = KeyRecord.fromJSON(JSON.parse(JSON.stringify(await published.keyRecord())));
+
+    const restored = keyring();
+    assert.equal(await restored.adopt(record), true);
+    assert.equal(await restored.currentIndex(), 2);
+    const adopted = await restored.getInfo(2);
+    assert.equal(adopted.created, info.created);
+    assert.equal(adopted.expires, info.expires);
+    assert.notEqual(adopted.expires, record.expires);
+
+    // Lower indices may have received mail too; their dates are unknown
+    assert.deepEqual(await restored.getInfo(1), {
+      index: 1, keyId: deriveSubkey(identity, 1).keyId, created: null, expires: null, revocation: null
+    });
+    assert.equal(await restored.adopt(record), false);
+  });
+
+  it('does not take dates it cannot verify', async () => {
+    const published = keyring();
+    await published.rotate();
+    const record = await published.keyRecord();
+
+    // An older record without a certificate, and one with changed dates
+    const bare = KeyRecord.fromJSON({ ...record.toJSON(), subkey: undefined });
+    const forged = KeyRecord.fromJSON({
+      ...record.toJSON(),
+      subkey: { ...record.subkey, expires: record.subkey.expires + DAY }
+    });
+    assert.equal(forged.verify(identity.address), true);
+    assert.equal(forged.subkeyValidity(), null);
+
+    for (const candidate of [bare, forged]) {
+      const restored = keyring();
+      assert.equal(await restored.adopt(candidate), true);
+      const adopted = await restored.getInfo(1);
+      assert.equal(adopted.created, null);
+      assert.equal(adopted.expires, null);
+    }
+  });
+
+  it('revokes a subkey, moving off it, and keeps it for old mail', async () => {
+    const keys = keyring();
+    const { keyId } = await keys.rotate();
+
+    const revocation = await keys.revoke(keyId);
+    assert.ok(revocation instanceof KeyRevocation);
+    assert.ok(revocation.verify(identity.address));
+    assert.equal(revocation.keyId, keyId);
+
+    assert.notEqual((await keys.current()).keyId, keyId);
+    assert.deepEqual((await keys.revocations()).map(entry => entry.keyId), [keyId]);
+    assert.ok((await keys.decryptionKeys()).some(key => key.keyId === keyId));
+    await assert.rejects(() => keys.revoke('0000000000000000'), /Unknown key ID/);
+  });
+});
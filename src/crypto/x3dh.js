@@ -0,0 +1,480 @@
+/**
+ * X3DH Key Agreement for dMail
+ *
+ * Bootstraps Double Ratchet sessions between two identities without both
+ * being online, following Signal's X3DH protocol:
+ *
+ * - Each identity uploads a prekey bundle to relays: its X25519 identity key,
+ *   a signed prekey (rotated weekly) and a batch of one-time prekeys
+ * - A sender fetches a bundle, runs four DHs and derives the shared secret
+ *   that seeds DoubleRatchetSession.initAsInitiator
+ * - The first ratchet message carries an X3DH header so the recipient can
+ *   derive the same secret and call initAsResponder
+ *
+ *   DH1 = DH(IK_A, SPK_B)   DH2 = DH(EK_A, IK_B)
+ *   DH3 = DH(EK_A, SPK_B)   DH4 = DH(EK_A, OPK_B)
+ *   SK  = HKDF(F || DH1 || DH2 || DH3 [|| DH4])
+ */
+
+import { x25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { hkdf } from '@noble/hashes/hkdf';
+import { randomBytes } from 'crypto';
+import { addressToPublicKey, verifySignature } from './identity.js';
+import { DoubleRatchetSession, MessageHeader } from './double-ratchet.js';
+import { CANONICAL_VERSION, hashSignedFields } from './canonical.js';
+
+const PREKEY_BUNDLE_VERSION = 1;
+const INFO_X3DH = new TextEncoder().encode('dmail-x3dh-v1');
+const SIGNED_PREKEY_ROTATION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SIGNED_PREKEY_GRACE_MS = 30 * 24 * 60 * 60 * 1000; // Keep old signed prekeys for late messages
+const MAX_UPLOAD_AGE_MS = 5 * 60 * 1000; // 5 minutes
+
+function toBase64(bytes) {
+  return Buffer.from(bytes).toString('base64');
+}
+
+function fromBase64(str) {
+  return new Uint8Array(Buffer.from(str, 'base64'));
+}
+
+/**
+ * Hash covered by a signed prekey signature
+ * Binds the identity's X25519 key and the prekey to the dm1 address
+ */
+function signedPrekeyHash(address, identityKey, signedPrekey) {
+  return hashSignedFields({
+    domain: 'dmail-signed-prekey-v1',
+    canonical: signedPrekey.canonical,
+    address,
+    identityKey,
+    id: signedPrekey.id,
+    publicKey: signedPrekey.publicKey
+  });
+}
+
+/**
+ * Hash covered by a prekey upload signature
+ */
+function uploadHash(upload) {
+  return hashSignedFields({
+    domain: 'dmail-prekey-upload-v1',
+    version: upload.version,
+    canonical: upload.canonical,
+    address: upload.address,
+    identityKey: upload.identityKey,
+    signedPrekey: upload.signedPrekey,
+    oneTimePrekeys: upload.oneTimePrekeys,
+    timestamp: upload.timestamp
+  });
+}
+
+/**
+ * Create a signed prekey upload for relays
+ * @param {Identity} identity - Identity uploading prekeys
+ * @param {Object} signedPrekey - {id, publicKey, signature} (base64)
+ * @param {Object[]} oneTimePrekeys - [{id, publicKey}] (base64)
+ */
+export function createPrekeyUpload(identity, signedPrekey, oneTimePrekeys = []) {
+  const upload = {
+    version: PREKEY_BUNDLE_VERSION,
+    canonical: CANONICAL_VERSION,
+    address: identity.address,
+    identityKey: toBase64(identity.encryptionPublicKey),
+    signedPrekey,
+    oneTimePrekeys,
+    timestamp: Date.now()
+  };
+  upload.signature = toBase64(identity.sign(uploadHash(upload)));
+  return upload;
+}
+
+/**
+ * Verify a prekey upload (used by relays before storing)
+ */
+export function verifyPrekeyUpload(upload) {
+  try {
+    if (upload.version !== PREKEY_BUNDLE_VERSION) return false;
+    if (Math.abs(Date.now() - upload.timestamp) > MAX_UPLOAD_AGE_MS) return false;
+    if (!Array.isArray(upload.oneTimePrekeys)) return false;
+    if (!verifyPrekeyBundle(upload)) return false;
+
+    const signingKey = addressToPublicKey(upload.address);
+    return verifySignature(uploadHash(upload), fromBase64(upload.signature), signingKey);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Verify the signed prekey in a bundle belongs to the bundle's address
+ * @param {Object} bundle - {address, identityKey, signedPrekey, oneTimePrekey?}
+ * @param {string} expectedAddress - Address the caller asked for (optional)
+ */
+export function verifyPrekeyBundle(bundle, expectedAddress = null) {
+  try {
+    if (expectedAddress && bundle.address !== expectedAddress) return false;
+    if (!bundle.signedPrekey || !bundle.identityKey) return false;
+
+    const signingKey = addressToPublicKey(bundle.address);
+    return verifySignature(
+      signedPrekeyHash(bundle.address, bundle.identityKey, bundle.signedPrekey),
+      fromBase64(bundle.signedPrekey.signature),
+      signingKey
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Derive the X3DH shared secret from the DH outputs
+ */
+function kdfX3DH(dhOutputs) {
+  // F: 32 0xFF bytes for domain separation from other X25519 uses
+  const input = new Uint8Array(32 + dhOutputs.length * 32).fill(0xff, 0, 32);
+  dhOutputs.forEach((dh, i) => input.set(dh, 32 + i * 32));
+  return hkdf(sha256, input, new Uint8Array(32), INFO_X3DH, 32);
+}
+
+/**
+ * Run X3DH as the initiator against a fetched prekey bundle
+ * @param {Identity} identity - Our identity
+ * @param {Object} bundle - Verified prekey bundle of the recipient
+ * @returns {{sharedSecret: Uint8Array, remotePrekey: Uint8Array, header: Object}}
+ */
+export function x3dhInitiate(identity, bundle) {
+  if (!verifyPrekeyBundle(bundle)) {
+    throw new Error('Invalid prekey bundle signature');
+  }
+
+  const identityKeyB = fromBase64(bundle.identityKey);
+  const signedPrekeyB = fromBase64(bundle.signedPrekey.publicKey);
+  const ephemeralPrivate = randomBytes(32);
+  const ephemeralPublic = x25519.getPublicKey(ephemeralPrivate);
+
+  const dhOutputs = [
+    x25519.getSharedSecret(identity.encryptionPrivateKey, signedPrekeyB),
+    x25519.getSharedSecret(ephemeralPrivate, identityKeyB),
+    x25519.getSharedSecret(ephemeralPrivate, signedPrekeyB)
+  ];
+  if (bundle.oneTimePrekey) {
+    dhOutputs.push(x25519.getSharedSecret(ephemeralPrivate, fromBase64(bundle.oneTimePrekey.publicKey)));
+  }
+
+  return {
+    sharedSecret: kdfX3DH(dhOutputs),
+    remotePrekey: signedPrekeyB,
+    header: {
+      identityKey: toBase64(identity.encryptionPublicKey),
+      ephemeralKey: toBase64(ephemeralPublic),
+      signedPrekeyId: bundle.signedPrekey.id,
+      oneTimePrekeyId: bundle.oneTimePrekey ? bundle.oneTimePrekey.id : null
+    }
+  };
+}
+
+/**
+ * Run X3DH as the responder using the header from a first ratchet message
+ * @param {Identity} identity - Our identity
+ * @param {Object} header - X3DH header from the initiator
+ * @param {Object} signedPrekey - Our signed prekey pair {privateKey, publicKey}
+ * @param {Object|null} oneTimePrekey - Our one-time prekey pair, if one was used
+ * @returns {Uint8Array} - Shared secret
+ */
+export function x3dhRespond(identity, header, signedPrekey, oneTimePrekey = null) {
+  const identityKeyA = fromBase64(header.identityKey);
+  const ephemeralKeyA = fromBase64(header.ephemeralKey);
+
+  const dhOutputs = [
+    x25519.getSharedSecret(signedPrekey.privateKey, identityKeyA),
+    x25519.getSharedSecret(identity.encryptionPrivateKey, ephemeralKeyA),
+    x25519.getSharedSecret(signedPrekey.privateKey, ephemeralKeyA)
+  ];
+  if (oneTimePrekey) {
+    dhOutputs.push(x25519.getSharedSecret(oneTimePrekey.privateKey, ephemeralKeyA));
+  }
+
+  return kdfX3DH(dhOutputs);
+}
+
+/**
+ * Local storage for our own prekey private keys
+ */
+export class PrekeyStore {
+  /**
+   * @param {SecureKeyStore} store - Encrypted store, shared with the SessionManager
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  async get(name) {
+    return this.store.getRecord(name);
+  }
+
+  async put(name, value) {
+    await this.store.putRecord(name, value);
+  }
+
+  async del(name) {
+    await this.store.deleteRecord(name);
+  }
+
+  async nextId() {
+    const id = (await this.get('prekey:nextId')) || 1;
+    await this.put('prekey:nextId', id + 1);
+    return id;
+  }
+
+  /**
+   * Get the current signed prekey, rotating it if it is too old
+   * @param {Identity} identity - Identity that signs the prekey
+   * @returns {{id, publicKey, signature}} - Public part (base64)
+   */
+  async getSignedPrekey(identity) {
+    const currentId = await this.get('prekey:signed:current');
+    const current = currentId ? await this.get(`prekey:signed:${currentId}`) : null;
+
+    if (current && Date.now() - current.created < SIGNED_PREKEY_ROTATION_MS) {
+      return {
+        id: current.id,
+        canonical: current.canonical,
+        publicKey: current.publicKey,
+        signature: current.signature
+      };
+    }
+
+    return this.rotateSignedPrekey(identity);
+  }
+
+  /**
+   * Generate a new signed prekey and retire expired old ones
+   */
+  async rotateSignedPrekey(identity) {
+    const id = await this.nextId();
+    const privateKey = randomBytes(32);
+    const signedPrekey = {
+      id,
+      canonical: CANONICAL_VERSION,
+      publicKey: toBase64(x25519.getPublicKey(privateKey))
+    };
+    const identityKey = toBase64(identity.encryptionPublicKey);
+    signedPrekey.signature = toBase64(
+      identity.sign(signedPrekeyHash(identity.address, identityKey, signedPrekey))
+    );
+
+    await this.put(`prekey:signed:${id}`, {
+      ...signedPrekey,
+      privateKey: toBase64(privateKey),
+      created: Date.now()
+    });
+
+    const previousIds = (await this.get('prekey:signed:previous')) || [];
+    const currentId = await this.get('prekey:signed:current');
+    if (currentId) previousIds.push({ id: currentId, retired: Date.now() });
+
+    // Drop signed prekeys retired longer than the grace period
+    const kept = [];
+    for (const entry of previousIds) {
+      if (Date.now() - entry.retired > SIGNED_PREKEY_GRACE_MS) {
+        await this.del(`prekey:signed:${entry.id}`);
+      } else {
+        kept.push(entry);
+      }
+    }
+
+    await this.put('prekey:signed:previous', kept);
+    await this.put('prekey:signed:current', id);
+    return signedPrekey;
+  }
+
+  /**
+   * Get a signed prekey pair by ID (current or recently retired)
+   */
+  async getSignedPrekeyPair(id) {
+    const stored = await this.get(`prekey:signed:${id}`);
+    if (!stored) return null;
+    return {
+      privateKey: fromBase64(stored.privateKey),
+      publicKey: fromBase64(stored.publicKey)
+    };
+  }
+
+  /**
+   * Generate one-time prekeys
+   * @returns {Object[]} - Public parts [{id, publicKey}] to upload
+   */
+  async generateOneTimePrekeys(count) {
+    const prekeys = [];
+    for (let i = 0; i < count; i++) {
+      const id = await this.nextId();
+      const privateKey = randomBytes(32);
+      const publicKey = toBase64(x25519.getPublicKey(privateKey));
+      await this.put(`prekey:otk:${id}`, { id, publicKey, privateKey: toBase64(privateKey) });
+      prekeys.push({ id, publicKey });
+    }
+    return prekeys;
+  }
+
+  /**
+   * Get a one-time prekey pair by ID
+   */
+  async getOneTimePrekeyPair(id) {
+    const stored = await this.get(`prekey:otk:${id}`);
+    if (!stored) return null;
+    return {
+      privateKey: fromBase64(stored.privateKey),
+      publicKey: fromBase64(stored.publicKey)
+    };
+  }
+}
+
+/**
+ * Ratchet sessions keyed by remote dMail address
+ *
+ * Wraps SessionManager and PrekeyStore: creates sessions via X3DH on first
+ * contact and keeps sending the X3DH header until the peer has replied.
+ * Both must share one SecureKeyStore so prekey and session changes are
+ * committed in the same batch.
+ */
+export class RatchetSessions {
+  /**
+   * @param {Identity} identity - Our identity
+   * @param {SessionManager} sessionManager - Ratchet session storage
+   * @param {PrekeyStore} prekeyStore - Our prekey private keys
+   * @param {Object} options - {fetchBundle: async (address) => bundle|null}
+   */
+  constructor(identity, sessionManager, prekeyStore, options = {}) {
+    this.identity = identity;
+    this.sessionManager = sessionManager;
+    this.prekeyStore = prekeyStore;
+    this.fetchBundle = options.fetchBundle || null;
+  }
+
+  associatedData(from, to) {
+    return new TextEncoder().encode(`dmail-ratchet-v1:${from}:${to}`);
+  }
+
+  /**
+   * Encrypt for a remote address, creating a session via X3DH if needed
+   * @returns {Object|null} - Ratchet message, or null if no session can be created
+   */
+  async encrypt(remoteAddress, plaintext) {
+    if (remoteAddress === this.identity.address) {
+      return null;
+    }
+
+    let session = await this.sessionManager.getSession(remoteAddress);
+    let x3dh = await this.prekeyStore.get(`x3dh:pending:${remoteAddress}`);
+    const extraOps = [];
+
+    if (!session) {
+      const bundle = this.fetchBundle ? await this.fetchBundle(remoteAddress) : null;
+      if (!bundle || !verifyPrekeyBundle(bundle, remoteAddress)) {
+        return null;
+      }
+
+      const result = x3dhInitiate(this.identity, bundle);
+      session = new DoubleRatchetSession();
+      session.initAsInitiator(result.sharedSecret, result.remotePrekey);
+      x3dh = result.header;
+      extraOps.push({ type: 'put', name: `x3dh:pending:${remoteAddress}`, value: x3dh });
+    }
+
+    const encrypted = await this.sessionManager.encrypt(
+      remoteAddress,
+      plaintext,
+      this.associatedData(this.identity.address, remoteAddress),
+      { session, extraOps }
+    );
+
+    return {
+      type: 'ratchet',
+      from: this.identity.address,
+      header: encrypted.header.serialize(),
+      nonce: encrypted.nonce,
+      ciphertext: encrypted.ciphertext,
+      x3dh: x3dh || null
+    };
+  }
+
+  /**
+   * Decrypt a ratchet message, answering X3DH if it starts a new session
+   *
+   * The session (and any one-time prekey use) is only committed once
+   * `verify` accepts the plaintext, so a forged message cannot advance or
+   * replace it.
+   * @param {Object} message - Ratchet message from inside the sealed layer
+   * @param {Function} verify - async (plaintext) => void, throws to reject
+   * @returns {Uint8Array} - Plaintext
+   */
+  async decrypt(message, verify = async () => {}) {
+    const remoteAddress = message.from;
+    const header = MessageHeader.deserialize(message.header);
+    const ad = this.associatedData(remoteAddress, this.identity.address);
+
+    // The peer has our ratchet key once we can read its reply,
+    // so stop sending the X3DH header
+    const clearPending = { type: 'del', name: `x3dh:pending:${remoteAddress}` };
+
+    const existing = await this.sessionManager.getSession(remoteAddress);
+    if (existing) {
+      try {
+        return await this.sessionManager.decrypt(
+          remoteAddress, header, message.nonce, message.ciphertext, ad,
+          { verify, extraOps: [clearPending] }
+        );
+      } catch (e) {
+        if (!message.x3dh) throw e;
+        // Peer started a fresh session, fall through to X3DH
+      }
+    }
+
+    if (!message.x3dh) {
+      throw new Error('No ratchet session for sender');
+    }
+
+    const signedPrekey = await this.prekeyStore.getSignedPrekeyPair(message.x3dh.signedPrekeyId);
+    if (!signedPrekey) {
+      throw new Error('Unknown signed prekey');
+    }
+
+    const extraOps = [clearPending];
+    let oneTimePrekey = null;
+    if (message.x3dh.oneTimePrekeyId) {
+      oneTimePrekey = await this.prekeyStore.getOneTimePrekeyPair(message.x3dh.oneTimePrekeyId);
+      if (!oneTimePrekey) {
+        throw new Error('One-time prekey already used');
+      }
+      extraOps.push({ type: 'del', name: `prekey:otk:${message.x3dh.oneTimePrekeyId}` });
+    }
+
+    const sharedSecret = x3dhRespond(this.identity, message.x3dh, signedPrekey, oneTimePrekey);
+    const session = new DoubleRatchetSession();
+    session.initAsResponder(sharedSecret, signedPrekey);
+
+    return this.sessionManager.decrypt(
+      remoteAddress, header, message.nonce, message.ciphertext, ad,
+      { session, verify, extraOps }
+    );
+  }
+
+  /**
+   * List ratchet sessions
+   */
+  async listSessions() {
+    return this.sessionManager.listSessions();
+  }
+
+  /**
+   * Delete the session with a remote address; the next message starts a new one via X3DH
+   */
+  async deleteSession(remoteAddress) {
+    await this.sessionManager.deleteSession(remoteAddress, [
+      { type: 'del', name: `x3dh:pending:${remoteAddress}` }
+    ]);
+  }
+}
+
+export { PREKEY_BUNDLE_VERSION, SIGNED_PREKEY_ROTATION_MS };
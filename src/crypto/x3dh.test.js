@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'crypto';
+import { Identity } from './identity.js';
+import { SecureKeyStore } from './secure-storage.js';
+import { SessionManager } from './double-ratchet.js';
+import {
+  createPrekeyUpload,
+  verifyPrekeyUpload,
+  verifyPrekeyBundle,
+  PrekeyStore,
+  RatchetSessions
+} from './x3dh.js';
+import { sealEnvelope, openEnvelope } from '../protocol/envelope.js';
+
+const text = bytes => new TextDecoder().decode(bytes);
+const bytes = value => new TextEncoder().encode(value);
+
+describe('X3DH and ratchet sessions', () => {
+  let dir;
+  const stores = [];
+  const alice = { identity: Identity.generate() };
+  const bob = { identity: Identity.generate() };
+
+  // Bob's bundle as a relay hands it out: the upload with one one-time prekey
+  async function bundleOf(party) {
+    const signedPrekey = await party.prekeys.getSignedPrekey(party.identity);
+    const oneTimePrekeys = await party.prekeys.generateOneTimePrekeys(2);
+    const upload = createPrekeyUpload(party.identity, signedPrekey, oneTimePrekeys);
+    assert.ok(verifyPrekeyUpload(upload));
+    const { oneTimePrekeys: uploaded, signature, timestamp, ...bundle } = upload;
+    return { ...bundle, oneTimePrekey: uploaded[0] };
+  }
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'dmail-x3dh-'));
+    for (const [name, party] of [['alice', alice], ['bob', bob]]) {
+      const store = new SecureKeyStore(null, { dbPath: join(dir, name) });
+      store.unlock(new Uint8Array(randomBytes(32)));
+      stores.push(store);
+      party.prekeys = new PrekeyStore(store);
+      party.sessions = new RatchetSessions(party.identity, new SessionManager(store), party.prekeys, {
+        fetchBundle: async (address) => (address === bob.identity.address ? bundleOf(bob) : bundleOf(alice))
+      });
+    }
+  });
+
+  after(async () => {
+    for (const store of stores) await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('verifies bundles against their address', async () => {
+    const bundle = await bundleOf(bob);
+    assert.ok(verifyPrekeyBundle(bundle, bob.identity.address));
+    assert.ok(!verifyPrekeyBundle(bundle, alice.identity.address));
+    assert.ok(!verifyPrekeyBundle({ ...bundle, address: alice.identity.address }));
+    assert.ok(!verifyPrekeyUpload({ ...createPrekeyUpload(bob.identity, bundle.signedPrekey), timestamp: 0 }));
+  });
+
+  it('starts a session with X3DH and ratchets both ways', async () => {
+    const first = await alice.sessions.encrypt(bob.identity.address, bytes('hello bob'));
+    assert.equal(first.type, 'ratchet');
+    assert.ok(first.x3dh?.oneTimePrekeyId);
+    assert.equal(text(await bob.sessions.decrypt(first)), 'hello bob');
+
+    // Alice keeps sending the X3DH header until Bob replies
+    const second = await alice.sessions.encrypt(bob.identity.address, bytes('still there?'));
+    assert.ok(second.x3dh);
+    assert.equal(text(await bob.sessions.decrypt(second)), 'still there?');
+
+    const reply = await bob.sessions.encrypt(alice.identity.address, bytes('hi alice'));
+    assert.equal(reply.x3dh, null);
+    assert.equal(text(await alice.sessions.decrypt(reply)), 'hi alice');
+
+    const third = await alice.sessions.encrypt(bob.identity.address, bytes('got it'));
+    assert.equal(third.x3dh, null);
+    assert.equal(text(await bob.sessions.decrypt(third)), 'got it');
+  });
+
+  it('decrypts out of order and refuses replays', async () => {
+    const one = await alice.sessions.encrypt(bob.identity.address, bytes('one'));
+    const two = await alice.sessions.encrypt(bob.identity.address, bytes('two'));
+    assert.equal(text(await bob.sessions.decrypt(two)), 'two');
+    assert.equal(text(await bob.sessions.decrypt(one)), 'one');
+    await assert.rejects(() => bob.sessions.decrypt(one));
+  });
+
+  it('does not commit a message the verifier rejects', async () => {
+    const message = await alice.sessions.encrypt(bob.identity.address, bytes('forged?'));
+    await assert.rejects(
+      () => bob.sessions.decrypt(message, async () => { throw new Error('Bad signature'); }),
+      /Bad signature/
+    );
+    assert.equal(text(await bob.sessions.decrypt(message)), 'forged?');
+  });
+
+  it('opens ratchet-sealed envelopes', async () => {
+    const envelope = await sealEnvelope(alice.identity)
+      .to(bob.identity.address, { encryptionKey: bob.identity.encryptionPublicKey })
+      .ratchet(alice.sessions)
+      .subject('Ratchet')
+      .body('Forward secret')
+      .build();
+    const message = await openEnvelope(bob.identity, envelope, { sessions: bob.sessions });
+    assert.equal(message.body, 'Forward secret');
+    assert.ok(message.forwardSecret);
+    assert.ok(message.verified);
+  });
+});
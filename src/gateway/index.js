@@ -16,14 +16,15 @@
  */
 
 import { SMTPGateway } from './smtp-gateway.js';
-import { Identity, IdentityStore } from '../crypto/identity.js';
+import { Identity, openIdentityStore } from '../crypto/identity.js';
 import { DMailNode } from '../network/node.js';
 
 async function main() {
   console.log('Starting dMail SMTP Gateway...\n');
 
   // Load or create gateway identity
-  const store = new IdentityStore();
+  // Unlocked with DMAIL_PASSWORD
+  const store = await openIdentityStore();
   let identity = await store.getIdentity('gateway');
 
   if (!identity) {
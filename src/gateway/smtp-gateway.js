@@ -19,7 +19,7 @@
 import { SMTPServer } from 'smtp-server';
 import { simpleParser } from 'mailparser';
 import nodemailer from 'nodemailer';
-import { createMessage } from '../protocol/message.js';
+import { sealEnvelope } from '../protocol/envelope.js';
 import { addressToPublicKey, Identity } from '../crypto/identity.js';
 import { Level } from 'level';
 import { join } from 'path';
@@ -181,20 +181,20 @@ export class SMTPGateway {
     }
 
     try {
-      // Get recipient's public key
-      const recipientPublicKey = addressToPublicKey(recipient.dmailAddress);
+      // Get recipient's keys and linked devices from the key directory
+      const recipientKeys = await this.dmailNode.resolveRecipient(recipient.dmailAddress);
 
       // Create dMail message
-      const builder = createMessage(this.gatewayIdentity)
-        .to(recipient.dmailAddress)
+      const builder = sealEnvelope(this.gatewayIdentity)
+        .to(recipient.dmailAddress, recipientKeys)
         .subject(`[Gateway] ${parsed.subject || '(no subject)'}`)
         .body(`From: ${from}\n\n${parsed.text || ''}`);
 
-      // Build encrypted envelope
-      const envelope = await builder.build(recipientPublicKey);
+      // Build encrypted envelope, with copies for linked devices
+      const [envelope, ...deviceCopies] = await builder.buildAll();
 
       // Send via P2P network
-      await this.dmailNode.sendMessage(envelope);
+      await this.dmailNode.sendMessage(envelope, deviceCopies);
 
       console.log(`Forwarded to dMail: ${recipient.dmailAddress}`);
     } catch (error) {
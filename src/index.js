@@ -18,12 +18,12 @@ export * from './storage/index.js';
 
 // Quick start example
 export async function quickStart() {
-  const { Identity, IdentityStore } = await import('./crypto/index.js');
+  const { Identity, openIdentityStore } = await import('./crypto/index.js');
   const { DMailNode } = await import('./network/index.js');
-  const { createMessage, parseMessage } = await import('./protocol/index.js');
+  const { openEnvelope, sealEnvelope } = await import('./protocol/index.js');
 
   // Create or load identity
-  const store = new IdentityStore();
+  const store = await openIdentityStore();
   let identity = await store.getDefaultIdentity();
 
   if (!identity) {
@@ -41,7 +41,7 @@ export async function quickStart() {
   // Handle incoming messages
   node.onMessage('main', async (envelope) => {
     try {
-      const message = await parseMessage(identity, envelope);
+      const message = await openEnvelope(identity, envelope, { keys: node.keyring });
       console.log('New message from:', message.from);
       console.log('Subject:', message.subject);
       console.log('Body:', message.body);
@@ -50,5 +50,5 @@ export async function quickStart() {
     }
   });
 
-  return { identity, node, store, createMessage, parseMessage };
+  return { identity, node, store, sealEnvelope, openEnvelope };
 }
@@ -12,13 +12,44 @@ import { mdns } from '@libp2p/mdns';
 import { gossipsub } from '@chainsafe/libp2p-gossipsub';
 import { identify } from '@libp2p/identify';
 import { bootstrap } from '@libp2p/bootstrap';
-import { sha256 } from '@noble/hashes/sha256';
-import { hkdf } from '@noble/hashes/hkdf';
 import { Level } from 'level';
 import { join } from 'path';
 import { pipe } from 'it-pipe';
 import * as lp from 'it-length-prefixed';
 import { DMAIL_DIR } from '../crypto/identity.js';
+import { KeyRecord, KeyRevocation, selectKeyRecord, selectKemKeyRecord } from '../crypto/key-directory.js';
+import { KEYS_PROTOCOL } from '../storage/key-directory.js';
+import { SessionManager } from '../crypto/double-ratchet.js';
+import { SecureKeyStore } from '../crypto/secure-storage.js';
+import { Keyring } from '../crypto/subkeys.js';
+import { ContactBook } from '../crypto/contacts.js';
+import { LinkedDevices, DeviceLinkRequest, selectDeviceList } from '../crypto/devices.js';
+import { routingKeyFor, routingEpoch, addressRoutingToken, ownRoutingTokens } from '../crypto/routing.js';
+import { signMailboxProofs, signMailboxAck, MAX_ACK_IDS } from '../crypto/mailbox.js';
+import { Groups, GroupUpdate } from '../crypto/groups.js';
+import { ReadReceipt } from '../crypto/receipts.js';
+import { canonicalHash } from '../crypto/canonical.js';
+import {
+  PrekeyStore,
+  RatchetSessions,
+  createPrekeyUpload,
+  verifyPrekeyBundle
+} from '../crypto/x3dh.js';
+import { PREKEYS_PROTOCOL } from '../storage/prekey-storage.js';
+import {
+  verifyDeliveryReceipt,
+  storageRequest,
+  storageStream,
+  MessageRecord,
+  STORE_PROTOCOL,
+  SYNC_PROTOCOL,
+  MESSAGE_TTL_MS,
+  MAX_ACKS_PER_REQUEST
+} from '../storage/dht-storage.js';
+import { SealedEnvelopeParser, createSealedMessage } from '../protocol/sealed-envelope.js';
+import { stampEnvelope, DEFAULT_STAMP_DIFFICULTY, MAX_STAMP_DIFFICULTY } from '../protocol/envelope.js';
+import { encodeEnvelope, decodeEnvelope } from '../protocol/wire.js';
+import { AnonymousMessageSender, ONION_PROTOCOL } from './onion-routing.js';
 import { multiaddr } from '@multiformats/multiaddr';
 
 // Bootstrap relay nodes (Docker internal network) - requires full multiaddr with peer ID
@@ -35,20 +66,106 @@ const RELAY_HOSTS = process.env.RELAY_HOSTS
 const FETCH_PROTOCOL = '/dmail/fetch/1.0.0'; // Legacy
 const DHT_FETCH_PROTOCOL = '/dmail/storage/1.0.0/fetch'; // DHT-based
 
+// Replenish one-time prekeys on a relay when it is running low
+const ONE_TIME_PREKEY_LOW_WATER = 10;
+const ONE_TIME_PREKEY_BATCH = 25;
+
 // Single global topic for all messages (messages are encrypted, so this is safe)
 const GLOBAL_MAIL_TOPIC = '/dmail/1.0.0/mail';
 
+// Expired mail is purged this often while the node runs
+const PURGE_INTERVAL_MS = 60 * 1000;
+// Tombstones of purged mail are kept as long as relays that ignore expiry hints keep a copy
+const EXPIRED_TOMBSTONE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// How long a relay's advertised stamp difficulty is trusted before asking again
+const RELAY_POLICY_TTL_MS = 10 * 60 * 1000;
+
+// Relays are synced this often while the node runs, in pages of this many records
+const SYNC_INTERVAL_MS = 30 * 1000;
+const SYNC_PAGE_SIZE = 50;
+
+// Fields we keep with stored mail; envelopes from the network lose them
+const LOCAL_FIELDS = ['forwardSecret', 'receivedAt', 'read', 'expiresAt', 'group'];
+
+/**
+ * An envelope as received, without fields only we may set on stored mail:
+ * a sender or relay could otherwise mark mail read, or forward secret so it
+ * is never resealed
+ */
+function receivedEnvelope(envelope) {
+  const received = { ...envelope };
+  for (const field of LOCAL_FIELDS) {
+    delete received[field];
+  }
+  return received;
+}
+
+/**
+ * Sent folder entry, with the receipt fields sent copies from before
+ * receipts lack
+ */
+function sentMessage(id, stored) {
+  return {
+    id,
+    ...stored,
+    threadMessageId: stored.threadMessageId || null,
+    recipients: stored.recipients || [],
+    readReceipt: stored.readReceipt || false,
+    expiresAt: stored.expiresAt || null,
+    deliveries: stored.deliveries || [],
+    reads: stored.reads || []
+  };
+}
+
 export class DMailNode {
   constructor(identity) {
     this.identity = identity;
     this.node = null;
     this.messageHandlers = new Map();
+    this.syncHandlers = new Map();
+    // Syncs running now, by relay peer ID, so a relay is not synced twice at once
+    this.relaySyncs = new Map();
+    // Messages being stored, by message ID, so gossip and a sync do not open one twice
+    this.storing = new Map();
     // Use unique database path per identity to avoid conflicts when multiple users run on same server
     const dbPath = join(DMAIL_DIR, 'messages', identity.address.slice(0, 16));
     this.db = new Level(dbPath, { valueEncoding: 'json' });
+
+    // Double Ratchet sessions, bootstrapped with X3DH prekeys from relays.
+    // Session and prekey secrets are kept encrypted, never in the message db.
+    this.sessionStore = SecureKeyStore.forIdentity(identity, 'sessions');
+    this.ratchet = new RatchetSessions(
+      identity,
+      new SessionManager(this.sessionStore),
+      new PrekeyStore(this.sessionStore),
+      { fetchBundle: (address) => this.fetchPrekeyBundle(address) }
+    );
+
+    // Encryption subkeys signed by the identity key (validity kept in the same store)
+    this.keyring = new Keyring(identity, this.sessionStore);
+
+    // Devices linked to this identity, signed by the identity key
+    this.devices = new LinkedDevices(identity, this.sessionStore);
+
+    // Pinned keys of the people we correspond with
+    this.contactStore = SecureKeyStore.forIdentity(identity, 'contacts');
+    this.contacts = new ContactBook(identity, this.contactStore);
+
+    // Groups we are in: rosters next to the inbox, sender keys in the encrypted store
+    this.groups = new Groups(identity, this.db, this.sessionStore);
+
+    // Our routing tokens of the current epoch: {epoch, tokens}
+    this.routingTokens = null;
+    // Storage policies relays advertised, by peer ID: {minPowDifficulty, fetchedAt}
+    this.relayPolicies = new Map();
+    // Onion routing keys relays handed out, by peer ID (base64 X25519)
+    this.onionKeys = new Map();
   }
 
   async start(port = 0) {
+    await this.migratePlaintextSessions();
+
     // Configure peer discovery
     const peerDiscovery = [mdns()];
     if (BOOTSTRAP_NODES.length > 0) {
@@ -99,8 +216,18 @@ export class DMailNode {
     // Only log minimal startup info
     console.log('dMail node started');
 
-    // Connect to relay hosts and fetch stored messages
+    // Delete mail whose sender set an expiry
+    await this.purgeExpired();
+    this.purgeInterval = setInterval(() => {
+      this.purgeExpired().catch(e => console.log(`Purge failed: ${e.message}`));
+    }, PURGE_INTERVAL_MS);
+
+    // Connect to relay hosts and fetch stored messages, then keep syncing
+    // in the background: the inbox is read from the database only
     this.connectToRelaysAndFetch();
+    this.syncInterval = setInterval(() => {
+      this.fetchStoredMessages().catch(e => console.log(`Sync failed: ${e.message}`));
+    }, SYNC_INTERVAL_MS);
 
     return this;
   }
@@ -129,12 +256,31 @@ export class DMailNode {
         const connection = await this.node.dial(ma);
         console.log(`Connected to relay: ${connection.remotePeer.toString().slice(0, 16)}...`);
 
-        // Fetch stored messages from this relay
-        try {
-          await this.fetchFromPeer(connection.remotePeer);
-        } catch (e) {
-          console.log(`Fetch from relay failed: ${e.message}`);
+        if (this.identity.isLinkedDevice) {
+          // Keys and prekeys are published by the primary device
+          try {
+            await this.checkDeviceLink(connection.remotePeer);
+          } catch (e) {
+            console.log(`Device list lookup failed: ${e.message}`);
+          }
+        } else {
+          // Publish our encryption key so senders can find it
+          try {
+            await this.publishKeyRecordTo(connection.remotePeer);
+          } catch (e) {
+            console.log(`Key publish to relay failed: ${e.message}`);
+          }
+
+          // Keep prekeys available so senders can start ratchet sessions
+          try {
+            await this.uploadPrekeysTo(connection.remotePeer);
+          } catch (e) {
+            console.log(`Prekey upload to relay failed: ${e.message}`);
+          }
         }
+
+        // Fetch stored messages and group posts from this relay
+        await this.syncRelay(connection.remotePeer);
       } catch (e) {
         console.error(`Failed to connect to relay ${hostPort}: ${e.message}`);
       }
@@ -142,94 +288,345 @@ export class DMailNode {
   }
 
   /**
-   * Fetch stored messages from connected relay nodes
-   * Uses DHT-style fetch from all peers for redundancy
+   * Sync every connected relay once (syncRelay)
+   * The background loop calls this; peers that are not relays are skipped.
+   * @returns {Promise<number>} - Messages received
    */
   async fetchStoredMessages() {
-    const peers = this.node.getConnections();
-    if (peers.length === 0) {
-      console.log('No relay peers connected, skipping fetch');
-      return;
+    let received = 0;
+    for (const peerId of this.node?.getPeers() || []) {
+      if (await this.isRelay(peerId)) {
+        received += await this.syncRelay(peerId);
+      }
+    }
+    return received;
+  }
+
+  /**
+   * Whether a peer serves stored mail, as far as identify told us
+   */
+  async isRelay(peerId) {
+    try {
+      const { protocols } = await this.node.peerStore.get(peerId);
+      return [SYNC_PROTOCOL, DHT_FETCH_PROTOCOL, FETCH_PROTOCOL].some(protocol => protocols.includes(protocol));
+    } catch (e) {
+      // Not identified yet
+      return false;
+    }
+  }
+
+  /**
+   * Sync stored messages from one relay, from our cursor for it
+   * (syncFromPeer), or fetch everything from relays without the sync
+   * protocol. Then the posts of our groups (syncGroupMail), whose sender
+   * keys came with our own mail. Sync handlers (onSync) get {relay,
+   * received} or {relay, error}.
+   * A sync of the relay already running is joined, not started again.
+   * @returns {Promise<number>} - Messages received
+   */
+  async syncRelay(peerId) {
+    const relay = peerId.toString();
+    if (this.relaySyncs.has(relay)) {
+      return this.relaySyncs.get(relay);
+    }
+
+    const sync = (async () => {
+      try {
+        let received;
+        try {
+          received = await this.syncFromPeer(peerId);
+        } catch (e) {
+          // Relays from before sync only fetch
+          received = await this.fetchFromPeer(peerId);
+        }
+        try {
+          await this.syncGroupMail(peerId);
+        } catch (e) {
+          console.log(`Group sync from relay failed: ${e.message}`);
+        }
+        this.emitSync({ relay, received });
+        return received;
+      } catch (e) {
+        console.log(`Fetch from relay failed: ${e.message}`);
+        this.emitSync({ relay, error: e.message });
+        return 0;
+      }
+    })().finally(() => this.relaySyncs.delete(relay));
+
+    this.relaySyncs.set(relay, sync);
+    return sync;
+  }
+
+  /**
+   * Sync the records a relay stored for us after our cursor for it
+   * (cursor:<peer ID>). They arrive in pages; each one is stored and acked,
+   * then the cursor moves past it, so an interrupted sync resumes where it
+   * stopped. Records we failed to store hold the cursor back.
+   * @returns {Promise<number>} - Messages received
+   */
+  async syncFromPeer(peerId) {
+    const { challenge, proofs } = await this.proveMailboxes(peerId, 'sync');
+    const request = {
+      recipient: this.identity.address,
+      routingTokens: this.getRoutingTokens(),
+      challenge,
+      proofs
+    };
+
+    const received = await this.syncPages(peerId, `cursor:${peerId.toString()}`, request, async (records) => {
+      const { acked, failed, stored } = await this.receiveRecords(records);
+      await this.acknowledge(peerId, acked);
+      return { failed, stored };
+    });
+
+    if (received > 0) {
+      console.log(`Synced ${received} messages from relay`);
+    }
+    return received;
+  }
+
+  /**
+   * Sync the posts of the groups we are in from a relay, each group from
+   * our cursor for it there (groupcursor:<peer ID>:<group>), as for our own
+   * mail (syncFromPeer). Posts need no mailbox proof and are not acked,
+   * since every member fetches them. Relays without the sync protocol are
+   * fetched from (fetchGroupMail).
+   * @returns {Promise<number>} - Posts received
+   */
+  async syncGroupMail(peerId) {
+    let received = 0;
+    for (const { address, role } of await this.groups.list()) {
+      if (!role) continue;
+
+      const key = `groupcursor:${peerId.toString()}:${address}`;
+      const request = { routingTokens: [addressRoutingToken(address)] };
+      try {
+        received += await this.syncPages(peerId, key, request, records => this.receiveGroupRecords(address, records));
+      } catch (e) {
+        // Relays from before sync only fetch
+        received += await this.fetchGroupMail(peerId, address);
+      }
+    }
+    return received;
+  }
+
+  /**
+   * Sync records from a relay after the cursor stored under a key. They
+   * arrive in pages; each one is handed to receive, then the cursor moves
+   * past it, so an interrupted sync resumes where it stopped. Records
+   * receive failed to store hold the cursor back.
+   * @param {PeerId} peerId - Relay
+   * @param {string} key - Where the cursor is kept
+   * @param {Object} request - Mailboxes to sync, and their proofs
+   * @param {Function} receive - async (records) => {failed: records, stored: count}
+   * @returns {Promise<number>} - Records stored
+   */
+  async syncPages(peerId, key, request, receive) {
+    let since = 0;
+    try {
+      since = await this.db.get(key);
+    } catch (e) {
+      // First sync of these mailboxes with this relay
+    }
+
+    const frames = storageStream(this.node, peerId, SYNC_PROTOCOL, {
+      action: 'sync',
+      ...request,
+      since,
+      limit: SYNC_PAGE_SIZE
+    });
+
+    let received = 0;
+    let retryFrom = null;
+    for await (const page of frames) {
+      const { failed, stored } = await receive(page.messages || []);
+      received += stored;
+
+      if (failed.length > 0 && retryFrom === null) {
+        retryFrom = Math.min(...failed.map(record => record.sequence || 0)) - 1;
+      }
+      const cursor = retryFrom ?? page.cursor;
+      if (Number.isSafeInteger(cursor) && cursor > since) {
+        since = cursor;
+        await this.db.put(key, since);
+      }
+    }
+    return received;
+  }
+
+  /**
+   * Store fetched records in the inbox and notify message handlers
+   * @param {Object[]} records - Records from a fetch or sync response
+   * @returns {Promise<Object>} - {acked: [{id, mailbox}] to ack, failed:
+   *   records we could not store, stored: new messages}
+   */
+  async receiveRecords(records) {
+    const acked = [];
+    const failed = [];
+    let stored = 0;
+
+    for (const record of records) {
+      let envelope;
+      try {
+        envelope = MessageRecord.fromJSON(record).envelope();
+      } catch (e) {
+        console.error('Skipped unreadable stored message:', e.message);
+        continue;
+      }
+
+      try {
+        const messageId = this.getMessageId(envelope);
+
+        // Store in inbox with replication info
+        const message = await this.storeMessage(messageId, {
+          ...envelope,
+          dhtReplicationCount: record.replicationCount
+        });
+        acked.push({ id: record.id, mailbox: record.recipient });
+        if (!message) continue;
+
+        stored++;
+        for (const handler of this.messageHandlers.values()) {
+          handler(message, messageId);
+        }
+      } catch (e) {
+        console.error('Failed to process stored message:', e.message);
+        failed.push(record);
+      }
     }
 
-    // Use DHT-style fetch from all peers
-    await this.fetchFromAllPeers();
+    return { acked, failed, stored };
   }
 
   /**
    * Fetch stored messages from a specific peer
    * Tries DHT protocol first, falls back to legacy
+   * @returns {Promise<number>} - Messages received
    */
   async fetchFromPeer(peerId) {
     // Try DHT fetch protocol first
     try {
-      await this.fetchFromPeerDHT(peerId);
-      return;
+      return await this.fetchFromPeerDHT(peerId);
     } catch (e) {
       console.log(`DHT fetch not available, trying legacy protocol...`);
     }
 
     // Fall back to legacy protocol
-    await this.fetchFromPeerLegacy(peerId);
+    return this.fetchFromPeerLegacy(peerId);
   }
 
   /**
    * Fetch using DHT storage protocol
    */
   async fetchFromPeerDHT(peerId) {
-    const stream = await this.node.dialProtocol(peerId, DHT_FETCH_PROTOCOL);
+    const response = await this.fetchMailboxes(peerId);
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
 
-    // Send fetch request with both address and routing token
+    if (response.messages && response.messages.length > 0) {
+      console.log(`Received ${response.messages.length} stored messages (DHT)`);
+    }
+
+    const { acked, stored } = await this.receiveRecords(response.messages || []);
+    await this.acknowledge(peerId, acked);
+    return stored;
+  }
+
+  /**
+   * Fetch our mailboxes on a relay: our address and routing tokens, each
+   * with a proof that it is ours (crypto/mailbox.js), signed for a challenge
+   * the relay issued. Relays from before mailbox authentication issue none
+   * and take the request without proofs.
+   * @returns {Promise<Object>} - Fetch response
+   */
+  async fetchMailboxes(peerId) {
     // Relay stores by routing token for sealed envelopes, by address for plain
-    const request = JSON.stringify({
+    const request = {
       action: 'fetch',
       recipient: this.identity.address,
-      routingToken: this.generateRoutingToken(this.identity.address)
-    });
+      routingToken: this.getRoutingToken(),
+      routingTokens: this.getRoutingTokens(),
+      ...await this.proveMailboxes(peerId, 'fetch')
+    };
 
-    await pipe(
-      [new TextEncoder().encode(request)],
-      (source) => lp.encode(source),
-      stream.sink
-    );
+    return storageRequest(this.node, peerId, DHT_FETCH_PROTOCOL, request);
+  }
 
-    // Read response
-    let responseData = '';
-    for await (const msg of lp.decode(stream.source)) {
-      responseData = new TextDecoder().decode(msg.subarray());
-      break;
+  /**
+   * Proofs for our mailboxes, signed for a challenge from the relay
+   * @param {string} action - 'fetch' or 'sync'
+   * @returns {Promise<Object>} - {challenge, proofs}, empty from relays that
+   *   predate mailbox authentication
+   */
+  async proveMailboxes(peerId, action) {
+    const { challenge } = await storageRequest(this.node, peerId, DHT_FETCH_PROTOCOL, { action: 'challenge' });
+    if (!challenge) {
+      return {};
     }
+    return {
+      challenge,
+      proofs: signMailboxProofs(this.identity, { relay: peerId.toString(), challenge, action })
+    };
+  }
 
-    const response = JSON.parse(responseData);
-
-    if (response.error) {
-      throw new Error(response.error);
+  /**
+   * Ack records that are in our inbox to the relay we fetched them from. It
+   * deletes them and has the relays holding copies delete theirs. Acks are
+   * logged per relay (acks:<peer ID>) until the relay takes them, so acks
+   * that did not get through are sent again with the next ones.
+   * Group posts are not acked: they are not ours to delete.
+   * @param {PeerId} peerId - Relay
+   * @param {Object[]} records - [{id, mailbox}], record IDs and the mailbox
+   *   they were stored under
+   */
+  async acknowledge(peerId, records) {
+    const byMailbox = new Map();
+    for (const { id, mailbox } of records) {
+      if (!id || !mailbox) continue;
+      if (!byMailbox.has(mailbox)) {
+        byMailbox.set(mailbox, []);
+      }
+      byMailbox.get(mailbox).push(id);
     }
 
-    if (response.messages && response.messages.length > 0) {
-      console.log(`Received ${response.messages.length} stored messages (DHT)`);
+    const acks = [];
+    for (const [mailbox, ids] of byMailbox) {
+      for (let i = 0; i < ids.length; i += MAX_ACK_IDS) {
+        const ack = signMailboxAck(this.identity, mailbox, ids.slice(i, i + MAX_ACK_IDS));
+        if (ack) acks.push(ack);
+      }
+    }
 
-      for (const record of response.messages) {
-        try {
-          // Decode base64 data and parse envelope
-          const data = Buffer.from(record.data, 'base64').toString();
-          const envelope = JSON.parse(data);
-          const messageId = this.getMessageId(envelope);
-
-          // Store in inbox with replication info
-          await this.storeMessage(messageId, {
-            ...envelope,
-            dhtReplicationCount: record.replicationCount
-          });
+    const key = `acks:${peerId.toString()}`;
+    let pending = [];
+    try {
+      pending = await this.db.get(key);
+    } catch (e) {
+      // No acks waiting for this relay
+    }
+    // Relays have dropped records this old themselves
+    pending = [...pending, ...acks].filter(ack => ack.timestamp > Date.now() - MESSAGE_TTL_MS);
 
-          // Notify handlers
-          for (const handler of this.messageHandlers.values()) {
-            handler(envelope);
-          }
-        } catch (e) {
-          console.error('Failed to process stored message:', e.message);
-        }
+    while (pending.length > 0) {
+      try {
+        const response = await storageRequest(this.node, peerId, STORE_PROTOCOL, {
+          action: 'ack',
+          acks: pending.slice(0, MAX_ACKS_PER_REQUEST)
+        });
+        if (!response.success) break;
+      } catch (e) {
+        // Relay unreachable, sent again after the next fetch
+        break;
       }
+      pending = pending.slice(MAX_ACKS_PER_REQUEST);
+    }
+
+    if (pending.length > 0) {
+      await this.db.put(key, pending);
+    } else {
+      await this.db.del(key);
     }
   }
 
@@ -258,186 +655,804 @@ export class DMailNode {
 
     if (response.error) {
       console.error('Fetch error:', response.error);
-      return;
+      return 0;
     }
 
     if (response.messages && response.messages.length > 0) {
       console.log(`Received ${response.messages.length} stored messages (legacy)`);
+    }
 
-      for (const msg of response.messages) {
-        try {
-          // Decode base64 data and parse envelope
-          const data = Buffer.from(msg.data, 'base64').toString();
-          const envelope = JSON.parse(data);
-          const messageId = this.getMessageId(envelope);
+    // Records with the envelope as base64 and no ID: the relay deleted them already
+    const { stored } = await this.receiveRecords(response.messages || []);
+    return stored;
+  }
 
-          // Store in inbox
-          await this.storeMessage(messageId, envelope);
+  /**
+   * Send a single JSON request over a protocol and read the JSON response
+   */
+  async sendRequest(peerId, protocol, request) {
+    const stream = await this.node.dialProtocol(peerId, protocol);
 
-          // Notify handlers
-          for (const handler of this.messageHandlers.values()) {
-            handler(envelope);
-          }
-        } catch (e) {
-          console.error('Failed to process stored message:', e.message);
-        }
-      }
+    await pipe(
+      [new TextEncoder().encode(JSON.stringify(request))],
+      (source) => lp.encode(source),
+      stream.sink
+    );
+
+    let responseData = '';
+    for await (const msg of lp.decode(stream.source)) {
+      responseData = new TextDecoder().decode(msg.subarray());
+      break;
     }
+
+    return JSON.parse(responseData);
   }
 
   /**
-   * Fetch messages from ALL connected peers (DHT-style)
-   * This ensures we get messages even if some relays are down
+   * Publish our signed encryption key record, its ML-KEM-768 record, any
+   * revocations and our device list to a relay
    */
-  async fetchFromAllPeers() {
-    const peers = this.node.getConnections();
-    if (peers.length === 0) {
-      console.log('No peers connected');
-      return;
+  async publishKeyRecordTo(peerId) {
+    // A restored identity may not know the subkey or devices its previous copy published
+    const { record: published, devices: publishedDevices } = await this.sendRequest(peerId, KEYS_PROTOCOL, {
+      action: 'lookup',
+      address: this.identity.address
+    });
+    if (published) {
+      const current = KeyRecord.fromJSON(published);
+      if (current.verify(this.identity.address) && await this.keyring.adopt(current)) {
+        console.log('Adopted published encryption subkey');
+      }
+    }
+    const publishedList = selectDeviceList([publishedDevices], this.identity.address);
+    if (publishedList && await this.devices.adopt(publishedList)) {
+      console.log('Adopted published device list');
+    }
+
+    if (await this.keyring.renew()) {
+      console.log('Encryption subkey rotated before expiry');
+    }
+
+    const record = await this.keyring.keyRecord();
+    const kemRecord = await this.keyring.kemRecord(record);
+    const revocations = await this.keyring.revocations();
+    const devices = await this.devices.current();
+    const response = await this.sendRequest(peerId, KEYS_PROTOCOL, {
+      action: 'publish',
+      record: record.toJSON(),
+      revocations: revocations.map(revocation => revocation.toJSON()),
+      devices: devices ? devices.toJSON() : null,
+      kemRecord: kemRecord.toJSON()
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
     }
+    return response;
+  }
 
-    console.log(`Fetching from ${peers.length} peers...`);
-    const seenMessages = new Set();
+  /**
+   * Publish our signed encryption key record to all connected relays
+   */
+  async publishKeyRecord() {
+    let published = 0;
+    if (this.identity.isLinkedDevice) {
+      // Only the account key can sign key records
+      return published;
+    }
 
-    for (const connection of peers) {
+    for (const connection of this.node.getConnections()) {
       try {
-        // Temporarily collect messages before storing
-        const messages = await this.fetchMessagesFromPeer(connection.remotePeer);
-
-        for (const msg of messages) {
-          const id = msg.id || this.getMessageId(msg.envelope);
-          if (!seenMessages.has(id)) {
-            seenMessages.add(id);
-            await this.storeMessage(id, msg.envelope);
-            for (const handler of this.messageHandlers.values()) {
-              handler(msg.envelope);
-            }
-          }
-        }
+        const response = await this.publishKeyRecordTo(connection.remotePeer);
+        if (response.success) published++;
       } catch (e) {
-        // Peer may not support fetch protocol
+        // Peer may not support the key directory protocol
       }
     }
 
-    console.log(`Found ${seenMessages.size} unique messages from network`);
+    return published;
   }
 
   /**
-   * Fetch messages from a peer without storing (for deduplication)
+   * Resolve the X25519 encryption key for a dMail address
+   * @param {string} address - Recipient dMail address
+   * @returns {Promise<Uint8Array>}
    */
-  async fetchMessagesFromPeer(peerId) {
-    const messages = [];
+  async resolveEncryptionKey(address) {
+    return (await this.resolveRecipient(address)).encryptionKey;
+  }
+
+  /**
+   * Resolve the keys mail for a dMail address is sealed to
+   *
+   * Looks up signed key records on connected relays and only accepts records
+   * signed by the Ed25519 key encoded in the address itself. The newest
+   * unexpired subkey without a revocation certificate wins. Device lists are
+   * checked the same way; the highest sequence ever seen is cached so a relay
+   * cannot bring back a revoked device. The ML-KEM-768 record must belong to
+   * the selected subkey; without one (an older client) mail falls back to
+   * the classical sealed layer. The routing key is the one the recipient
+   * handed us in their mail, if they have written to us.
+   * @param {string} address - Recipient dMail address
+   * @returns {Promise<{encryptionKey: Uint8Array, kemKey: Uint8Array|null, devices: Object[],
+   *   routingKey: Uint8Array|null}>} - devices as [{deviceId, encryptionKey, kemKey}]
+   */
+  async resolveRecipient(address) {
+    if (address === this.identity.address) {
+      const current = await this.keyring.current();
+      const devices = await this.devices.current();
+      return {
+        encryptionKey: current.publicKey,
+        kemKey: current.kemPublicKey,
+        devices: devices ? devices.recipients() : [],
+        routingKey: routingKeyFor(this.identity)
+      };
+    }
 
+    // Cached record, re-verified so expiry is honoured
+    let cached = null;
     try {
-      const stream = await this.node.dialProtocol(peerId, DHT_FETCH_PROTOCOL);
+      cached = KeyRecord.fromJSON(await this.db.get(`keys:${address}`));
+    } catch (e) {
+      // Not cached yet
+    }
 
-      // Send both address and routing token for full coverage
-      const request = JSON.stringify({
-        action: 'fetch',
-        recipient: this.identity.address,
-        routingToken: this.generateRoutingToken(this.identity.address)
-      });
+    // Revocations are kept for good, a relay forgetting one must not revive the key
+    let revocations = [];
+    try {
+      revocations = await this.db.get(`revocations:${address}`);
+    } catch (e) {
+      // None seen yet
+    }
+    const knownRevocations = revocations.length;
 
-      await pipe(
-        [new TextEncoder().encode(request)],
-        (source) => lp.encode(source),
-        stream.sink
-      );
+    let knownDevices = null;
+    try {
+      knownDevices = await this.db.get(`devices:${address}`);
+    } catch (e) {
+      // No device list seen yet
+    }
+    const deviceLists = [knownDevices];
 
-      let responseData = '';
-      for await (const msg of lp.decode(stream.source)) {
-        responseData = new TextDecoder().decode(msg.subarray());
-        break;
-      }
+    // A relay dropping the ML-KEM record must not downgrade a known recipient
+    const kemRecords = [];
+    try {
+      kemRecords.push(await this.db.get(`kem:${address}`));
+    } catch (e) {
+      // No ML-KEM key seen yet
+    }
 
-      const response = JSON.parse(responseData);
+    const records = cached ? [cached] : [];
 
-      if (response.messages) {
-        for (const record of response.messages) {
-          const data = Buffer.from(record.data, 'base64').toString();
-          const envelope = JSON.parse(data);
-          messages.push({
-            id: record.id,
-            envelope,
-            replicationCount: record.replicationCount
+    if (this.node) {
+      for (const connection of this.node.getConnections()) {
+        try {
+          const response = await this.sendRequest(connection.remotePeer, KEYS_PROTOCOL, {
+            action: 'lookup',
+            address
           });
-        }
-      }
-    } catch (e) {
-      // Try legacy protocol
-      try {
-        const stream = await this.node.dialProtocol(peerId, FETCH_PROTOCOL);
-        const request = JSON.stringify({ address: this.identity.address });
-
-        await pipe(
-          [new TextEncoder().encode(request)],
-          (source) => lp.encode(source),
-          stream.sink
-        );
-
-        let responseData = '';
-        for await (const msg of lp.decode(stream.source)) {
-          responseData = new TextDecoder().decode(msg.subarray());
-          break;
-        }
-
-        const response = JSON.parse(responseData);
-        if (response.messages) {
-          for (const msg of response.messages) {
-            const data = Buffer.from(msg.data, 'base64').toString();
-            const envelope = JSON.parse(data);
-            messages.push({ envelope });
+          if (response.record) {
+            records.push(response.record);
+          }
+          if (response.devices) {
+            deviceLists.push(response.devices);
+          }
+          if (response.kemRecord) {
+            kemRecords.push(response.kemRecord);
           }
+          for (const json of response.revocations || []) {
+            const revocation = KeyRevocation.fromJSON(json);
+            if (revocation.verify(address) && !revocations.some(known => known.keyId === revocation.keyId)) {
+              revocations.push(revocation.toJSON());
+            }
+          }
+        } catch (e) {
+          // Peer may not support the key directory protocol
         }
-      } catch (e2) {
-        // Neither protocol supported
       }
     }
 
-    return messages;
-  }
-
-  async stop() {
-    if (this.node) {
-      await this.node.stop();
-      await this.db.close();
+    if (revocations.length > knownRevocations) {
+      await this.db.put(`revocations:${address}`, revocations);
     }
-  }
 
-  getAddressTopic(address) {
-    return `/dmail/1.0.0/inbox/${address}`;
-  }
+    const record = selectKeyRecord(records, address, revocations);
+    if (!record) {
+      throw new Error('No valid encryption key published for recipient');
+    }
 
-  async sendMessage(envelope) {
-    // Use global topic - messages are encrypted so this is safe
-    const data = new TextEncoder().encode(JSON.stringify(envelope));
-    await this.node.services.pubsub.publish(GLOBAL_MAIL_TOPIC, data);
+    await this.db.put(`keys:${address}`, record.toJSON());
 
-    const messageId = this.getMessageId(envelope);
-    await this.db.put(`sent:${messageId}`, { ...envelope, sentAt: Date.now() });
+    const devices = selectDeviceList(deviceLists, address);
+    if (devices && devices.sequence > (knownDevices?.sequence || 0)) {
+      await this.db.put(`devices:${address}`, devices.toJSON());
+    }
 
-    // Self-delivery: if sending to yourself, also store in inbox
-    if (envelope.to === this.identity.address) {
-      await this.storeMessage(messageId, envelope);
+    const kemRecord = selectKemKeyRecord(kemRecords, record);
+    if (kemRecord) {
+      await this.db.put(`kem:${address}`, kemRecord.toJSON());
     }
 
-    // Direct store to relays for reliable delivery (gossipsub mesh may not be formed yet)
-    await this.storeOnRelays(envelope);
+    let routingKey = null;
+    try {
+      routingKey = await this.contacts.routingKey(address);
+    } catch (e) {
+      // Contacts locked, send under the address token
+    }
 
-    // SECURITY: Don't log recipient addresses
-    console.log('Message sent to global topic');
+    return {
+      encryptionKey: record.getEncryptionKey(),
+      kemKey: kemRecord ? kemRecord.getKemKey() : null,
+      devices: devices ? devices.recipients() : [],
+      routingKey
+    };
+  }
+
+  /**
+   * Check that this linked device is still on its account's device list
+   * @returns {Promise<boolean|null>} - null if the relay has no list
+   */
+  async checkDeviceLink(peerId) {
+    const { devices } = await this.sendRequest(peerId, KEYS_PROTOCOL, {
+      action: 'lookup',
+      address: this.identity.account
+    });
+    const list = selectDeviceList([devices], this.identity.account);
+    if (!list) return null;
+
+    const deviceId = this.identity.deviceId;
+    if (list.isRevoked(deviceId)) {
+      console.log('This device has been unlinked from its account');
+      return false;
+    }
+    if (!list.active().some(device => device.deviceId === deviceId)) {
+      console.log('This device is not linked yet, link it from the primary device');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Upload our signed prekey to a relay, topping up one-time prekeys
+   */
+  async uploadPrekeysTo(peerId) {
+    const { count, error } = await this.sendRequest(peerId, PREKEYS_PROTOCOL, {
+      action: 'count',
+      address: this.identity.address
+    });
+    if (error) {
+      throw new Error(error);
+    }
+
+    const prekeyStore = this.ratchet.prekeyStore;
+    const signedPrekey = await prekeyStore.getSignedPrekey(this.identity);
+    const oneTimePrekeys = count < ONE_TIME_PREKEY_LOW_WATER
+      ? await prekeyStore.generateOneTimePrekeys(ONE_TIME_PREKEY_BATCH)
+      : [];
+
+    const response = await this.sendRequest(peerId, PREKEYS_PROTOCOL, {
+      action: 'upload',
+      upload: createPrekeyUpload(this.identity, signedPrekey, oneTimePrekeys)
+    });
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response;
+  }
+
+  /**
+   * Fetch a verified prekey bundle for an address from connected relays
+   * @param {string} address - Recipient dMail address
+   * @returns {Promise<Object|null>}
+   */
+  async fetchPrekeyBundle(address) {
+    if (!this.node) return null;
+
+    for (const connection of this.node.getConnections()) {
+      try {
+        const response = await this.sendRequest(connection.remotePeer, PREKEYS_PROTOCOL, {
+          action: 'fetch',
+          address
+        });
+        if (response.bundle && verifyPrekeyBundle(response.bundle, address)) {
+          return response.bundle;
+        }
+      } catch (e) {
+        // Peer may not support the prekey protocol
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Move ratchet state written in plaintext by older versions into the
+   * encrypted session store
+   */
+  async migratePlaintextSessions() {
+    const ops = [];
+    const legacyKeys = [];
+
+    for await (const [key, value] of this.db.iterator()) {
+      if (key.startsWith('session:')) {
+        ops.push({ type: 'put', name: key, value: { state: value, created: Date.now(), updated: Date.now() } });
+      } else if (key.startsWith('prekey:') || key.startsWith('x3dh:')) {
+        ops.push({ type: 'put', name: key, value });
+      } else {
+        continue;
+      }
+      legacyKeys.push(key);
+    }
+
+    if (ops.length === 0) return;
+
+    await this.sessionStore.batchRecords(ops);
+    await this.db.batch(legacyKeys.map(key => ({ type: 'del', key })));
+    console.log(`Migrated ${legacyKeys.length} ratchet entries to encrypted storage`);
+  }
+
+  /**
+   * List our encryption subkeys, current first
+   * @returns {Promise<Object[]>} - [{index, keyId, created, expires, revocation, current}]
+   */
+  async listKeys() {
+    return this.keyring.list();
+  }
+
+  /**
+   * Rotate to a new encryption subkey and publish it
+   * @param {number} lifetimeMs - Validity of the new subkey
+   * @returns {Promise<Object>} - New subkey metadata
+   */
+  async rotateKey(lifetimeMs) {
+    const info = await this.keyring.rotate(lifetimeMs);
+    if (this.node) {
+      await this.publishKeyRecord();
+    }
+    return info;
+  }
+
+  /**
+   * Revoke an encryption subkey and publish the revocation
+   * @returns {Promise<KeyRevocation>}
+   */
+  async revokeKey(keyId, reason) {
+    const revocation = await this.keyring.revoke(keyId, reason);
+    if (this.node) {
+      await this.publishKeyRecord();
+    }
+    return revocation;
+  }
+
+  /**
+   * List devices linked to this identity
+   * @returns {Promise<Object[]>} - [{deviceId, name, linked, revoked}]
+   */
+  async listDevices() {
+    return this.devices.list();
+  }
+
+  /**
+   * Link a device from the code it printed, and publish the new device list
+   * @param {string} code - Device link code
+   * @returns {Promise<Object>} - {deviceId, name}
+   */
+  async linkDevice(code) {
+    const request = DeviceLinkRequest.fromCode(code);
+    await this.devices.link(request);
+    if (this.node) {
+      await this.publishKeyRecord();
+    }
+    return { deviceId: request.deviceId, name: request.name };
+  }
+
+  /**
+   * Revoke a linked device and publish the new device list
+   * @returns {Promise<DeviceList>}
+   */
+  async revokeDevice(deviceId) {
+    const list = await this.devices.revoke(deviceId);
+    if (this.node) {
+      await this.publishKeyRecord();
+    }
+    return list;
+  }
+
+  /**
+   * List forward-secret ratchet sessions
+   * @returns {Promise<Object[]>} - [{address, created, updated, skippedKeys}]
+   */
+  async listSessions() {
+    return this.ratchet.listSessions();
+  }
+
+  /**
+   * Delete the ratchet session with an address
+   */
+  async deleteSession(address) {
+    await this.ratchet.deleteSession(address);
+  }
+
+  /**
+   * Apply a group update mailed to us: a newer roster chain and the
+   * sender's chain for the current epoch
+   */
+  async applyGroupUpdate(sender, update) {
+    try {
+      if (update.rosters.length > 0 && await this.groups.applyRosters(update.group, update.rosters)) {
+        console.log('Group roster updated');
+      }
+      if (update.senderKey) {
+        await this.groups.acceptSenderKey(sender, update);
+      }
+    } catch (e) {
+      console.log(`Ignored group update: ${e.message}`);
+    }
+  }
+
+  /**
+   * Mail a group update to members as one multi-recipient message
+   * Members whose key cannot be resolved are skipped.
+   * @returns {Promise<string[]>} - Members it was sent to
+   */
+  async sendGroupUpdate(update, members) {
+    const builder = createSealedMessage(this.identity)
+      .ratchet(this.ratchet)
+      .subject('Group update')
+      .attachment(update.toAttachment());
+
+    const sent = [];
+    for (const member of members) {
+      try {
+        const { encryptionKey, kemKey, routingKey } = await this.resolveRecipient(member);
+        builder.bcc(member, encryptionKey, kemKey).routeWith(routingKey);
+        sent.push(member);
+      } catch (e) {
+        console.log(`No encryption key for group member ${member.slice(0, 16)}...`);
+      }
+    }
+    if (sent.length === 0) return sent;
+
+    const [envelope, ...copies] = await builder.buildAll();
+    await this.sendMessage(envelope, copies);
+    return sent;
+  }
+
+  /**
+   * Mail a group's roster chain to members
+   */
+  async announceRoster(address, members) {
+    const { rosters } = await this.groups.get(address);
+    const update = new GroupUpdate({ group: address, rosters: rosters.map(roster => roster.toJSON()) });
+    return this.sendGroupUpdate(update, members.filter(member => member !== this.identity.address));
+  }
+
+  /**
+   * Add a member to a group we administer and mail the new roster to everyone in it
+   * @returns {Promise<GroupRoster>}
+   */
+  async addGroupMember(address, member, role) {
+    const roster = await this.groups.addMember(address, member, role);
+    await this.announceRoster(address, roster.addresses());
+    return roster;
+  }
+
+  /**
+   * Remove a member, starting a new epoch, and mail the new roster to the
+   * remaining members and the removed one
+   * @returns {Promise<GroupRoster>}
+   */
+  async removeGroupMember(address, member) {
+    const roster = await this.groups.removeMember(address, member);
+    await this.announceRoster(address, [...roster.addresses(), member]);
+    return roster;
+  }
+
+  /**
+   * Post to a group
+   * Members without our current sender key get it first, over pairwise
+   * sealed mail; the post itself is one envelope for the whole group.
+   * @param {string} address - Group address
+   * @param {Object} content - {subject, body, attachments}
+   * @returns {Promise<{messageId: string, threadMessageId: string}>}
+   */
+  async sendGroupMessage(address, { subject = '', body = '', attachments = [] }) {
+    const { update, recipients } = await this.groups.pendingDistribution(address);
+    if (recipients.length > 0) {
+      await this.groups.markDistributed(address, await this.sendGroupUpdate(update, recipients));
+    }
+
+    const builder = createSealedMessage(this.identity)
+      .group(address, await this.groups.nextMessageKey(address))
+      .subject(subject)
+      .body(body);
+    for (const attachment of attachments) {
+      builder.attachment(attachment);
+    }
+
+    const envelope = await builder.build();
+    const messageId = await this.sendMessage(envelope);
+    return { messageId, threadMessageId: builder.messageId };
+  }
+
+  /**
+   * Group whose posts are stored under a routing token
+   * @returns {Promise<string|null>}
+   */
+  async groupForRoutingToken(token) {
+    for (const address of await this.groups.addresses()) {
+      if (addressRoutingToken(address) === token) {
+        return address;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store a group post, resealed to our own key if its sender key is known
+   * Posts that arrive before their sender key are resealed by getGroupMessages.
+   * @returns {Promise<Object|null>} - null for our own posts
+   */
+  async storeGroupMessage(address, envelope) {
+    envelope = receivedEnvelope(envelope);
+    const messageId = this.getMessageId(envelope);
+    const key = `groupmail:${address}:${messageId}`;
+    try {
+      return await this.db.get(key);
+    } catch (e) {
+      // Not stored yet
+    }
+
+    // Our own posts come back through gossip and relays
+    if (envelope.senderKey && await this.groups.isOwnSenderKey(address, envelope.senderKey.keyId)) {
+      return null;
+    }
+
+    const stored = {
+      ...(await this.resealGroupMessage(envelope) || envelope),
+      group: address,
+      receivedAt: Date.now(),
+      read: false
+    };
+    await this.db.put(key, stored);
+    return stored;
+  }
+
+  /**
+   * A group post resealed to our own key, marked forward secret for our
+   * storage; null while its sender key has not arrived
+   */
+  async resealGroupMessage(envelope) {
+    try {
+      const parser = new SealedEnvelopeParser(this.identity, { keys: this.keyring, groups: this.groups });
+      const resealed = await parser.reseal(envelope);
+      return resealed ? { ...resealed, forwardSecret: true } : null;
+    } catch (e) {
+      // Sender key not received yet
+      return null;
+    }
+  }
+
+  /**
+   * Store synced or fetched posts of a group
+   * @param {string} address - Group address
+   * @param {Object[]} records - Records from a sync or fetch response
+   * @returns {Promise<Object>} - {failed: records we could not store,
+   *   stored: new posts}
+   */
+  async receiveGroupRecords(address, records) {
+    const failed = [];
+    let stored = 0;
+
+    for (const record of records) {
+      let envelope;
+      try {
+        envelope = MessageRecord.fromJSON(record).envelope();
+      } catch (e) {
+        console.error('Skipped unreadable group message:', e.message);
+        continue;
+      }
+
+      try {
+        if (await this.getGroupMessage(address, this.getMessageId(envelope))) {
+          continue;
+        }
+        if (await this.storeGroupMessage(address, envelope)) {
+          stored++;
+        }
+      } catch (e) {
+        console.error('Failed to process group message:', e.message);
+        failed.push(record);
+      }
+    }
+
+    return { failed, stored };
+  }
+
+  /**
+   * Fetch all posts of a group from a relay without the sync protocol
+   * @returns {Promise<number>} - Posts received
+   */
+  async fetchGroupMail(peerId, address) {
+    const response = await storageRequest(this.node, peerId, DHT_FETCH_PROTOCOL, {
+      action: 'fetch',
+      routingToken: addressRoutingToken(address)
+    });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    const { stored } = await this.receiveGroupRecords(address, response.messages || []);
+    return stored;
+  }
+
+  /**
+   * Posts of a group, newest first, as synced from relays in the background
+   * @returns {Promise<Object[]>}
+   */
+  async getGroupMessages(address) {
+    const prefix = `groupmail:${address}:`;
+    const messages = [];
+    for await (const [key, value] of this.db.iterator({ gt: prefix, lt: `${prefix}\xff` })) {
+      let message = value;
+      if (!message.forwardSecret) {
+        // Its sender key may have arrived since
+        const resealed = await this.resealGroupMessage(message);
+        if (resealed) {
+          message = resealed;
+          await this.db.put(key, message);
+        }
+      }
+      messages.push({ id: key.slice(prefix.length), ...message });
+    }
+    return messages.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async getGroupMessage(address, messageId) {
+    try {
+      return await this.db.get(`groupmail:${address}:${messageId}`);
+    } catch {
+      return null;
+    }
+  }
+
+  async markGroupMessageRead(address, messageId) {
+    const msg = await this.getGroupMessage(address, messageId);
+    if (msg) {
+      msg.read = true;
+      await this.db.put(`groupmail:${address}:${messageId}`, msg);
+    }
+  }
+
+  async stop() {
+    if (this.purgeInterval) {
+      clearInterval(this.purgeInterval);
+    }
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+    }
+    if (this.node) {
+      await this.node.stop();
+      await this.db.close();
+    }
+    await this.sessionStore.close();
+    await this.contactStore.close();
+  }
+
+  getAddressTopic(address) {
+    return `/dmail/1.0.0/inbox/${address}`;
+  }
+
+  /**
+   * Send an envelope, and its copies for other recipients and linked
+   * devices (SealedEnvelopeBuilder.buildAll)
+   *
+   * The sent folder keeps the envelope with the delivery receipts relays
+   * signed for every copy; read receipts are filed with it as they arrive.
+   * @param {Object} sent - {threadMessageId, recipients, readReceipt,
+   *   expiresAt, anonymous}: the message ID recipients see, their addresses,
+   *   whether a read receipt was asked for, when recipients delete it and
+   *   whether to send through an onion circuit (sendAnonymously)
+   * @returns {Promise<string>} - Message ID of the primary envelope
+   */
+  async sendMessage(envelope, deviceCopies = [], sent = {}) {
+    if (sent.anonymous && [envelope, ...deviceCopies].some(copy => copy.type !== 'sealed')) {
+      throw new Error('Anonymous sending needs a sealed envelope');
+    }
+
+    // Relays only store mail stamped with the proof of work they ask for
+    const difficulty = await this.stampDifficulty();
+    envelope = stampEnvelope(envelope, difficulty);
+    deviceCopies = deviceCopies.map(copy => stampEnvelope(copy, difficulty));
+
+    const deliveries = [];
+    for (const copy of deviceCopies) {
+      if (sent.anonymous) {
+        deliveries.push(...await this.sendAnonymously(copy));
+        continue;
+      }
+      await this.node.services.pubsub.publish(GLOBAL_MAIL_TOPIC, encodeEnvelope(copy));
+      deliveries.push(...await this.storeOnRelays(copy));
+    }
+
+    // Use global topic - messages are encrypted so this is safe. Anonymous
+    // mail is published by the exit relay of its circuit instead.
+    const data = encodeEnvelope(envelope);
+    if (!sent.anonymous) {
+      await this.node.services.pubsub.publish(GLOBAL_MAIL_TOPIC, data);
+    }
+
+    const messageId = this.getMessageId(envelope);
+
+    // Self-delivery: if sending to yourself, also store in inbox
+    if (envelope.to === this.identity.address) {
+      await this.storeMessage(messageId, envelope);
+    }
+
+    // Direct store to relays for reliable delivery (gossipsub mesh may not be formed yet)
+    deliveries.push(...(sent.anonymous
+      ? await this.sendAnonymously(envelope)
+      : await this.storeOnRelays(envelope)));
+
+    await this.db.put(`sent:${messageId}`, {
+      ...envelope,
+      sentAt: Date.now(),
+      threadMessageId: sent.threadMessageId || null,
+      recipients: sent.recipients || [],
+      readReceipt: sent.readReceipt || false,
+      expiresAt: sent.expiresAt || null,
+      deliveries,
+      reads: []
+    });
+    if (sent.threadMessageId) {
+      await this.db.put(`sentref:${sent.threadMessageId}`, messageId);
+    }
+
+    // SECURITY: Don't log recipient addresses
+    console.log(`Message sent to global topic (${deliveries.length} delivery receipts)`);
     return messageId;
   }
 
+  /**
+   * Proof-of-work difficulty to stamp outgoing mail with: the highest
+   * minimum the connected relays advertise, at least
+   * DEFAULT_STAMP_DIFFICULTY and at most MAX_STAMP_DIFFICULTY
+   * @returns {Promise<number>}
+   */
+  async stampDifficulty() {
+    let difficulty = DEFAULT_STAMP_DIFFICULTY;
+    for (const connection of this.node?.getConnections() || []) {
+      const peer = connection.remotePeer.toString();
+      let policy = this.relayPolicies.get(peer);
+      if (!policy || Date.now() - policy.fetchedAt > RELAY_POLICY_TTL_MS) {
+        let minPowDifficulty = 0;
+        try {
+          const response = await storageRequest(this.node, connection.remotePeer, STORE_PROTOCOL, { action: 'policy' });
+          if (Number.isInteger(response.minPowDifficulty)) {
+            minPowDifficulty = response.minPowDifficulty;
+          }
+        } catch (e) {
+          // Not a relay
+        }
+        policy = { minPowDifficulty, fetchedAt: Date.now() };
+        this.relayPolicies.set(peer, policy);
+      }
+      difficulty = Math.max(difficulty, policy.minPowDifficulty);
+    }
+    return Math.min(difficulty, MAX_STAMP_DIFFICULTY);
+  }
+
   /**
    * Store message directly on connected relay nodes
    * This ensures reliable delivery even when gossipsub mesh isn't formed
+   * @returns {Promise<Object[]>} - Verified delivery receipts, one per relay that signed one
    */
   async storeOnRelays(envelope) {
+    const receipts = [];
     const connections = this.node.getConnections();
     if (connections.length === 0) {
       console.log('No relay connections for direct store');
-      return;
+      return receipts;
     }
 
     // Get the storage key (routing token for sealed, address for plain)
@@ -447,62 +1462,122 @@ export class DMailNode {
 
     if (!storageKey) {
       console.log('No storage key for direct store');
-      return;
+      return receipts;
     }
 
-    const base64Data = Buffer.from(JSON.stringify(envelope)).toString('base64');
+    const data = encodeEnvelope(envelope);
     const storeProtocol = '/dmail/storage/1.0.0/store';
 
     for (const connection of connections) {
       try {
-        const stream = await this.node.dialProtocol(connection.remotePeer, storeProtocol);
-
-        const request = JSON.stringify({
+        const response = await storageRequest(this.node, connection.remotePeer, storeProtocol, {
           action: 'store',
           record: {
             recipient: storageKey,
-            data: base64Data,
+            data,
             timestamp: Date.now()
           }
         });
-
-        await pipe(
-          [new TextEncoder().encode(request)],
-          (source) => lp.encode(source),
-          stream.sink
-        );
-
-        // Read response
-        let responseData = '';
-        for await (const msg of lp.decode(stream.source)) {
-          responseData = new TextDecoder().decode(msg.subarray());
-          break;
-        }
-
-        const response = JSON.parse(responseData);
         if (response.success) {
           console.log(`Direct store to relay: ${connection.remotePeer.toString().slice(0, 16)}...`);
+          if (await verifyDeliveryReceipt(response.receipt, data, connection.remotePeer.toString())) {
+            receipts.push(response.receipt);
+          }
+        } else if (response.error) {
+          console.log(`Direct store refused: ${response.error}`);
         }
       } catch (e) {
         // Relay may not support store protocol
         console.log(`Direct store failed: ${e.message}`);
       }
     }
+    return receipts;
+  }
+
+  /**
+   * Send an envelope through an onion circuit of connected relays
+   * (network/onion-routing.js) instead of publishing and storing it
+   * ourselves. The exit relay stores and publishes it under its routing
+   * token: the entry relay sees us but not the mailbox, the exit relay the
+   * mailbox but not us.
+   * @returns {Promise<Object[]>} - The exit relay's delivery receipt, if it verifies
+   */
+  async sendAnonymously(envelope) {
+    const sender = new AnonymousMessageSender({
+      sendFunction: (address, packet) => this.sendOnionPacket(address, packet)
+    });
+    for (const relay of await this.onionRelays()) {
+      sender.addRelay(relay.peerId, relay.publicKey, relay.multiaddr);
+    }
+
+    // No destination key: the exit relay opens the last layer and stores the envelope
+    const data = encodeEnvelope(envelope);
+    const { delivery, exitNode } = await sender.sendAnonymous(data, envelope.routingToken, null);
+    if (delivery.error) {
+      throw new Error(`Anonymous delivery failed: ${delivery.error}`);
+    }
+    return await verifyDeliveryReceipt(delivery.receipt, data, exitNode) ? [delivery.receipt] : [];
+  }
+
+  /**
+   * Connected relays that route onion packets, with their onion keys
+   * @returns {Promise<Object[]>} - [{peerId, publicKey, multiaddr}]
+   */
+  async onionRelays() {
+    const relays = [];
+    for (const connection of this.node?.getConnections() || []) {
+      const peer = connection.remotePeer.toString();
+      if (relays.some(relay => relay.peerId === peer)) continue;
+
+      let publicKey = this.onionKeys.get(peer);
+      if (!publicKey) {
+        try {
+          ({ publicKey } = await storageRequest(this.node, connection.remotePeer, ONION_PROTOCOL, { action: 'key' }));
+        } catch (e) {
+          // Not a relay, or one from before onion routing
+          continue;
+        }
+        if (typeof publicKey !== 'string') continue;
+        this.onionKeys.set(peer, publicKey);
+      }
+
+      const address = connection.remoteAddr.getPeerId()
+        ? connection.remoteAddr
+        : connection.remoteAddr.encapsulate(`/p2p/${peer}`);
+      relays.push({ peerId: peer, publicKey, multiaddr: address.toString() });
+    }
+    return relays;
+  }
+
+  /**
+   * sendFunction of the anonymous sender: dial the entry relay of a circuit
+   * and hand it the packet. The response comes back along the circuit.
+   * @param {string} address - Multiaddr of the relay, with its peer ID
+   * @param {Object} packet - Serialized OnionPacket
+   * @returns {Promise<Object>} - The exit relay's store response
+   */
+  async sendOnionPacket(address, packet) {
+    return storageRequest(this.node, multiaddr(address), ONION_PROTOCOL, { action: 'relay', packet });
   }
 
   async handleIncomingMessage(message) {
     try {
-      const data = new TextDecoder().decode(message.data);
-      const envelope = JSON.parse(data);
+      const envelope = decodeEnvelope(message.data);
 
       // Check if message is for us using routing token (sealed envelope) or direct address
       let isForUs = false;
 
       if (envelope.type === 'sealed' && envelope.routingToken) {
         // Sealed envelope - check routing token
-        const myRoutingToken = this.generateRoutingToken(this.identity.address);
-        isForUs = envelope.routingToken === myRoutingToken;
+        isForUs = this.getRoutingTokens().includes(envelope.routingToken);
         console.log('Sealed envelope, routing token match:', isForUs);
+
+        const group = isForUs ? null : await this.groupForRoutingToken(envelope.routingToken);
+        if (group) {
+          await this.storeGroupMessage(group, envelope);
+          console.log('Received and stored group message');
+          return;
+        }
       } else if (envelope.to === this.identity.address) {
         // Plain envelope - check direct address
         isForUs = true;
@@ -512,10 +1587,14 @@ export class DMailNode {
       if (isForUs) {
         const messageId = this.getMessageId(envelope);
         console.log('Storing message with ID:', messageId);
-        await this.storeMessage(messageId, envelope);
+        const stored = await this.storeMessage(messageId, envelope);
+        if (!stored) {
+          console.log('Already stored, applied group update or read receipt, or dropped expired mail');
+          return;
+        }
 
         for (const handler of this.messageHandlers.values()) {
-          handler(envelope);
+          handler(stored, messageId);
         }
         console.log('Received and stored message for us');
       }
@@ -525,67 +1604,312 @@ export class DMailNode {
   }
 
   /**
-   * Generate routing token from address (must match sealed-envelope.js implementation)
+   * Routing token relays from before contact tokens fetch for us: the
+   * address token, or the device token for a linked device
    */
-  generateRoutingToken(address) {
-    const addressBytes = new TextEncoder().encode(address);
-    const token = hkdf(sha256, addressBytes, undefined, new TextEncoder().encode('dmail-routing-v2'), 16);
-    return Buffer.from(token).toString('hex');
+  getRoutingToken() {
+    return ownRoutingTokens(this.identity)[0];
   }
 
+  /**
+   * Every routing token our mail can be stored under now: the address
+   * token and our contact tokens of the fetch window (crypto/routing.js)
+   */
+  getRoutingTokens() {
+    // Contact tokens cost a scalar multiplication each, so keep them for the epoch
+    const epoch = routingEpoch();
+    if (this.routingTokens?.epoch !== epoch) {
+      this.routingTokens = { epoch, tokens: ownRoutingTokens(this.identity) };
+    }
+    return this.routingTokens.tokens;
+  }
+
+  /**
+   * Store a message in the inbox, resealing ratchet messages
+   * Group updates and read receipts (GroupUpdate and ReadReceipt
+   * attachments) are applied instead of stored, expired mail is dropped.
+   * The envelope comes from gossip or a relay: fields we keep with stored
+   * mail, such as forwardSecret, are ours to set and dropped from it.
+   *
+   * Gossip and a relay sync can deliver the same message at once. Deliveries
+   * of one message ID run one after the other, and only the first stores it:
+   * opening a ratchet message twice would fail, its message key is gone.
+   * @returns {Promise<Object|null>} - Stored envelope, null if nothing was
+   *   stored (already in the inbox, applied or expired)
+   */
   async storeMessage(messageId, envelope) {
-    await this.db.put(`inbox:${messageId}`, {
+    while (this.storing.has(messageId)) {
+      try {
+        await this.storing.get(messageId);
+      } catch (e) {
+        // The other delivery failed, this one may still store it
+      }
+    }
+
+    const storing = this.storeNewMessage(messageId, envelope)
+      .finally(() => this.storing.delete(messageId));
+    this.storing.set(messageId, storing);
+    return storing;
+  }
+
+  /**
+   * Store a message no other delivery is storing (see storeMessage)
+   * @returns {Promise<Object|null>}
+   */
+  async storeNewMessage(messageId, envelope) {
+    envelope = receivedEnvelope(envelope);
+    if (await this.getMessage(messageId)) {
+      return null;
+    }
+    try {
+      await this.db.get(`control:${messageId}`);
+      return null;
+    } catch (e) {
+      // Not a group update or receipt we applied
+    }
+    try {
+      await this.db.get(`expired:${messageId}`);
+      return null;
+    } catch (e) {
+      // Not purged, or purged long enough ago that relays dropped it too
+    }
+
+    let expiresAt = null;
+    let resealed = null;
+    if (envelope.type === 'sealed') {
+      const parser = new SealedEnvelopeParser(this.identity, { sessions: this.ratchet, keys: this.keyring });
+      try {
+        resealed = await parser.reseal(envelope);
+        envelope = resealed || envelope;
+      } catch (e) {
+        // Keep the original, parsing will report it as unreadable
+      }
+
+      try {
+        const message = await parser.parse(envelope);
+        const update = GroupUpdate.fromAttachments(message.attachments);
+        const receipt = ReadReceipt.fromAttachments(message.attachments);
+        if (update || receipt) {
+          if (update) {
+            await this.applyGroupUpdate(message.from, update);
+          }
+          if (receipt) {
+            await this.applyReadReceipt(message.from, receipt);
+          }
+          await this.db.put(`control:${messageId}`, Date.now());
+          return null;
+        }
+
+        expiresAt = message.expiresAt;
+        if (expiresAt && expiresAt <= Date.now()) {
+          await this.db.put(`expired:${messageId}`, expiresAt);
+          console.log('Dropped expired message');
+          return null;
+        }
+      } catch (e) {
+        // Unreadable or an invalid update, kept as mail
+      }
+    }
+
+    const stored = {
       ...envelope,
       receivedAt: Date.now(),
-      read: false
-    });
+      read: false,
+      ...(resealed ? { forwardSecret: true } : {}),
+      ...(expiresAt ? { expiresAt } : {})
+    };
+    await this.db.put(`inbox:${messageId}`, stored);
+    return stored;
   }
 
+  /**
+   * ID of an envelope in our inbox
+   * Hashed in canonical form, so every node gets the same ID however the
+   * envelope was serialized on the way.
+   */
   getMessageId(envelope) {
     // SECURITY: Only use encrypted data for ID generation
     // Never include plaintext subject or other sensitive data
-    const data = JSON.stringify({
+    const hash = canonicalHash({
       // Use routing token if available (sealed envelope)
       routingToken: envelope.routingToken,
-      // Use encrypted payload hash
-      payloadHash: envelope.payload
-        ? sha256(new TextEncoder().encode(JSON.stringify(envelope.payload)))
-        : envelope.encrypted
-          ? sha256(new TextEncoder().encode(JSON.stringify(envelope.encrypted)))
-          : null,
+      // Sealed layer, else the content of a group post, else a plain envelope's ciphertext
+      encrypted: envelope.payload || envelope.content || envelope.encrypted || null,
       timestamp: envelope.timestamp
     });
-    const hash = sha256(new TextEncoder().encode(data));
     return Buffer.from(hash).toString('hex').slice(0, 32);
   }
 
+  /**
+   * Messages in the local inbox, newest first
+   * Only reads the database: relays are synced in the background
+   * (fetchStoredMessages), and expired mail is left out until it is purged.
+   * @returns {Promise<Object[]>}
+   */
   async getInbox() {
-    // First, fetch any new messages from relays
-    await this.fetchStoredMessages();
-
-    // Then return all messages from local database
+    const now = Date.now();
     const messages = [];
-    for await (const [key, value] of this.db.iterator()) {
-      if (key.startsWith('inbox:')) {
-        messages.push({ id: key.slice(6), ...value });
-      }
+    for await (const [key, value] of this.db.iterator({ gt: 'inbox:', lt: 'inbox:\xff' })) {
+      if (value.expiresAt && value.expiresAt <= now) continue;
+      messages.push({ id: key.slice(6), ...value });
     }
     return messages.sort((a, b) => b.timestamp - a.timestamp);
   }
 
   async getMessage(messageId) {
+    let msg;
     try {
-      return await this.db.get(`inbox:${messageId}`);
+      msg = await this.db.get(`inbox:${messageId}`);
     } catch {
       return null;
     }
+    if (msg.expiresAt && msg.expiresAt <= Date.now()) {
+      await this.purgeExpired();
+      return null;
+    }
+    return msg;
   }
 
+  /**
+   * Delete mail past the expiry its sender set (expiresAt in the signed
+   * inner envelope), attachments included: they are part of the envelope
+   * A tombstone keeps the relay copy, fetched again, from coming back.
+   * @returns {Promise<number>} - Messages purged
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    const ops = [];
+    let purged = 0;
+
+    for await (const [key, value] of this.db.iterator({ gt: 'inbox:', lt: 'inbox:\xff' })) {
+      if (value.expiresAt && value.expiresAt <= now) {
+        ops.push({ type: 'del', key });
+        ops.push({ type: 'put', key: `expired:${key.slice('inbox:'.length)}`, value: value.expiresAt });
+        purged++;
+      }
+    }
+    for await (const [key, expiresAt] of this.db.iterator({ gt: 'expired:', lt: 'expired:\xff' })) {
+      if (expiresAt + EXPIRED_TOMBSTONE_MS <= now) {
+        ops.push({ type: 'del', key });
+      }
+    }
+
+    if (ops.length > 0) {
+      await this.db.batch(ops);
+    }
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired messages`);
+    }
+    return purged;
+  }
+
+  /**
+   * Mark a message read, mailing its sender a read receipt the first time
+   * if they asked for one (sendReadReceipt)
+   * @returns {Promise<boolean>} - Whether a read receipt was sent
+   */
   async markAsRead(messageId) {
     const msg = await this.getMessage(messageId);
-    if (msg) {
-      msg.read = true;
-      await this.db.put(`inbox:${messageId}`, msg);
+    if (!msg || msg.read) {
+      return false;
+    }
+    msg.read = true;
+    await this.db.put(`inbox:${messageId}`, msg);
+    return this.sendReadReceipt(msg);
+  }
+
+  /**
+   * Mail a signed read receipt for a stored message, if the sender asked
+   * for one and read receipts are enabled for them in the contact book
+   * Linked devices cannot send mail: the primary device sends the receipt
+   * when the message is read there.
+   * @returns {Promise<boolean>} - Whether a receipt was sent
+   */
+  async sendReadReceipt(envelope) {
+    if (envelope.type !== 'sealed' || this.identity.isLinkedDevice || !this.node) {
+      return false;
+    }
+
+    try {
+      const message = await new SealedEnvelopeParser(this.identity, { keys: this.keyring }).parse(envelope);
+      if (!message.readReceipt || message.from === this.identity.address) {
+        return false;
+      }
+      if (!await this.contacts.readReceiptsEnabled(message.from)) {
+        return false;
+      }
+
+      const { encryptionKey, kemKey, routingKey } = await this.resolveRecipient(message.from);
+      const receipt = ReadReceipt.create(this.identity, message.messageId, message.from);
+      const receiptEnvelope = await createSealedMessage(this.identity)
+        .ratchet(this.ratchet)
+        .to(message.from, encryptionKey, kemKey)
+        .routeWith(routingKey)
+        .subject('Read receipt')
+        .attachment(receipt.toAttachment())
+        .build();
+      await this.sendMessage(receiptEnvelope);
+      console.log('Read receipt sent');
+      return true;
+    } catch (e) {
+      console.log(`Read receipt not sent: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * File a read receipt mailed to us with the sent message it is for
+   * Only receipts signed by the mail's sender, for a message we sent them
+   * and asked a receipt for, are kept.
+   */
+  async applyReadReceipt(sender, receipt) {
+    if (receipt.reader !== sender || !receipt.verify(this.identity.address)) {
+      console.log('Ignored invalid read receipt');
+      return;
+    }
+
+    let sentId;
+    let sent;
+    try {
+      sentId = await this.db.get(`sentref:${receipt.messageId}`);
+      sent = await this.db.get(`sent:${sentId}`);
+    } catch (e) {
+      // Not a message we sent, or deleted since
+      console.log('Ignored read receipt for an unknown message');
+      return;
+    }
+
+    if (!sent.readReceipt || !sent.recipients.includes(receipt.reader)) {
+      console.log('Ignored unrequested read receipt');
+      return;
+    }
+    if (sent.reads.some(read => read.reader === receipt.reader)) {
+      return;
+    }
+
+    sent.reads.push(receipt.toJSON());
+    await this.db.put(`sent:${sentId}`, sent);
+    console.log('Read receipt received');
+  }
+
+  /**
+   * Sent folder, newest first
+   * @returns {Promise<Object[]>} - [{id, sentAt, threadMessageId, recipients,
+   *   readReceipt, expiresAt, deliveries, reads, ...envelope}]
+   */
+  async getSentMessages() {
+    const messages = [];
+    for await (const [key, value] of this.db.iterator({ gt: 'sent:', lt: 'sent:\xff' })) {
+      messages.push(sentMessage(key.slice('sent:'.length), value));
+    }
+    return messages.sort((a, b) => b.sentAt - a.sentAt);
+  }
+
+  async getSentMessage(messageId) {
+    try {
+      return sentMessage(messageId, await this.db.get(`sent:${messageId}`));
+    } catch {
+      return null;
     }
   }
 
@@ -593,11 +1917,35 @@ export class DMailNode {
     await this.db.del(`inbox:${messageId}`);
   }
 
+  /**
+   * Register a handler for incoming mail, called with (storedEnvelope, messageId)
+   * @returns {Function} - Unregisters the handler
+   */
   onMessage(id, handler) {
     this.messageHandlers.set(id, handler);
     return () => this.messageHandlers.delete(id);
   }
 
+  /**
+   * Register a handler for background syncs, called once per relay synced
+   * with {relay: peer ID, received} or {relay, error}
+   * @returns {Function} - Unregisters the handler
+   */
+  onSync(id, handler) {
+    this.syncHandlers.set(id, handler);
+    return () => this.syncHandlers.delete(id);
+  }
+
+  emitSync(event) {
+    for (const handler of this.syncHandlers.values()) {
+      try {
+        handler(event);
+      } catch (e) {
+        console.error('Sync handler failed:', e.message);
+      }
+    }
+  }
+
   getPeerCount() {
     return this.node?.getConnections().length || 0;
   }
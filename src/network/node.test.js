@@ -0,0 +1,417 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+
+// Nodes keep their databases under the home directory
+const home = mkdtempSync(join(tmpdir(), 'dmail-node-'));
+process.env.HOME = home;
+
+const { Identity } = await import('../crypto/identity.js');
+const { SecureKeyStore } = await import('../crypto/secure-storage.js');
+const { SessionManager } = await import('../crypto/double-ratchet.js');
+const { createPrekeyUpload, PrekeyStore, RatchetSessions } = await import('../crypto/x3dh.js');
+const { sealEnvelope, openEnvelope } = await import('../protocol/envelope.js');
+const { HYBRID_PROTOCOL_VERSION, GROUP_PROTOCOL_VERSION, createSealedMessage } = await import('../protocol/sealed-envelope.js');
+const { encodeEnvelope, decodeEnvelope, encodeFrame, decodeFrame } = await import('../protocol/wire.js');
+const { addressRoutingToken, routingKeyFor } = await import('../crypto/routing.js');
+const { DHTMessageStorage, SYNC_PROTOCOL } = await import('../storage/dht-storage.js');
+const lp = await import('it-length-prefixed');
+const { DMailNode } = await import('./node.js');
+
+after(() => rmSync(home, { recursive: true, force: true }));
+
+// A node that never starts libp2p: only its databases are used
+async function stopNode(node) {
+  await node.stop();
+  await node.db.close();
+}
+
+// A prekey bundle as a relay hands it out, with one one-time prekey
+async function bundleOf(identity, prekeys) {
+  const signedPrekey = await prekeys.getSignedPrekey(identity);
+  const oneTimePrekeys = await prekeys.generateOneTimePrekeys(1);
+  const { oneTimePrekeys: uploaded, signature, timestamp, ...bundle } =
+    createPrekeyUpload(identity, signedPrekey, oneTimePrekeys);
+  return { ...bundle, oneTimePrekey: uploaded[0] };
+}
+
+describe('DMailNode forward-secret inbox copies', () => {
+  const alice = Identity.generate();
+  const bob = Identity.generate();
+  let aliceStore;
+  let aliceSessions;
+  let node;
+
+  before(() => {
+    node = new DMailNode(bob);
+    aliceStore = new SecureKeyStore(null, { dbPath: join(home, 'alice-sessions') });
+    aliceStore.unlock(new Uint8Array(randomBytes(32)));
+    aliceSessions = new RatchetSessions(alice, new SessionManager(aliceStore), new PrekeyStore(aliceStore), {
+      fetchBundle: async () => bundleOf(bob, node.ratchet.prekeyStore)
+    });
+  });
+
+  after(async () => {
+    await aliceStore.close();
+    await stopNode(node);
+  });
+
+  function ratchetEnvelope(body) {
+    return sealEnvelope(alice)
+      .to(bob.address, { encryptionKey: bob.encryptionPublicKey })
+      .ratchet(aliceSessions)
+      .body(body)
+      .build();
+  }
+
+  it('reseals ratchet mail that claims to be resealed already', async () => {
+    const envelope = { ...await ratchetEnvelope('Claims to be resealed'), forwardSecret: true };
+    const messageId = node.getMessageId(envelope);
+
+    const stored = await node.storeMessage(messageId, envelope);
+    assert.equal(stored.version, HYBRID_PROTOCOL_VERSION);
+    assert.equal(stored.forwardSecret, true);
+
+    // Readable without the ratchet session, whose message key is gone
+    const message = await openEnvelope(bob, stored, { keys: node.keyring, resealed: stored.forwardSecret });
+    assert.equal(message.body, 'Claims to be resealed');
+    assert.equal(message.forwardSecret, true);
+  });
+
+  it('does not take the flag from mail sealed to the long-term key', async () => {
+    const envelope = await sealEnvelope(alice)
+      .to(bob.address, { encryptionKey: bob.encryptionPublicKey })
+      .body('Plain sealed')
+      .build();
+    const crafted = { ...envelope, forwardSecret: true, read: true };
+
+    const stored = await node.storeMessage(node.getMessageId(crafted), crafted);
+    assert.equal(stored.forwardSecret, undefined);
+    assert.equal(stored.read, false);
+    assert.equal((await openEnvelope(bob, crafted)).forwardSecret, false);
+  });
+});
+
+describe('DMailNode message IDs', () => {
+  const sender = Identity.generate();
+  const recipient = Identity.generate();
+  let node;
+
+  before(() => {
+    node = new DMailNode(recipient);
+  });
+
+  after(() => stopNode(node));
+
+  // The same object with its keys in the opposite order, nested ones too
+  function reversed(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).reverse().map(([key, item]) => [key, reversed(item)]));
+  }
+
+  it('gives an envelope the same ID however it was serialized', async () => {
+    const envelope = await sealEnvelope(sender)
+      .to(recipient.address, { encryptionKey: recipient.encryptionPublicKey })
+      .body('Same everywhere')
+      .build();
+    const id = node.getMessageId(envelope);
+
+    assert.equal(node.getMessageId(reversed(envelope)), id);
+    assert.equal(node.getMessageId(decodeEnvelope(encodeEnvelope(reversed(envelope)))), id);
+    assert.equal(node.getMessageId(JSON.parse(JSON.stringify(reversed(envelope)))), id);
+    assert.notEqual(node.getMessageId({ ...envelope, timestamp: envelope.timestamp + 1 }), id);
+  });
+});
+
+describe('DMailNode expiring mail', () => {
+  const sender = Identity.generate();
+  const recipient = Identity.generate();
+  const realNow = Date.now;
+  let node;
+
+  before(() => {
+    node = new DMailNode(recipient);
+  });
+
+  after(async () => {
+    Date.now = realNow;
+    await stopNode(node);
+  });
+
+  function expiringEnvelope(body, expiresAt) {
+    const builder = sealEnvelope(sender).to(recipient.address, { encryptionKey: recipient.encryptionPublicKey }).body(body);
+    return (expiresAt ? builder.expiresAt(expiresAt) : builder).build();
+  }
+
+  // Run with the clock moved forward
+  async function later(ms, fn) {
+    Date.now = () => realNow() + ms;
+    try {
+      return await fn();
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  it('purges mail once its expiry passes, and does not take it back', async () => {
+    const expiring = await expiringEnvelope('Gone in a minute', Date.now() + 60 * 1000);
+    const kept = await expiringEnvelope('Here to stay');
+    const expiringId = node.getMessageId(expiring);
+    const keptId = node.getMessageId(kept);
+    assert.ok((await node.storeMessage(expiringId, expiring)).expiresAt);
+    await node.storeMessage(keptId, kept);
+    assert.ok((await node.getInbox()).some(message => message.id === expiringId));
+
+    await later(2 * 60 * 1000, async () => {
+      assert.deepEqual((await node.getInbox()).map(message => message.id), [keptId]);
+      assert.equal(await node.purgeExpired(), 1);
+      assert.equal(await node.getMessage(expiringId), null);
+      assert.ok(await node.getMessage(keptId));
+
+      // Fetched again from a relay that kept its copy
+      assert.equal(await node.storeMessage(expiringId, expiring), null);
+      await assert.rejects(() => node.db.get(`inbox:${expiringId}`));
+    });
+
+    // The tombstone goes once relays have dropped their copies too
+    await later(8 * 24 * 60 * 60 * 1000, () => node.purgeExpired());
+    await assert.rejects(() => node.db.get(`expired:${expiringId}`));
+  });
+
+  it('drops mail that expired before it arrived', async () => {
+    const envelope = await expiringEnvelope('Too late', Date.now() + 1000);
+    const messageId = node.getMessageId(envelope);
+
+    await later(5000, async () => {
+      assert.equal(await node.storeMessage(messageId, envelope), null);
+      assert.equal(await node.getMessage(messageId), null);
+      assert.ok(await node.db.get(`expired:${messageId}`));
+    });
+  });
+});
+
+// A libp2p node whose only peer is a relay answering syncs from its storage,
+// in pages of two records; every request is logged
+function syncingRelay(storage, requests) {
+  return {
+    async dialProtocol(peerId, protocol) {
+      if (protocol !== SYNC_PROTOCOL) {
+        throw new Error(`Protocol not supported: ${protocol}`);
+      }
+      let request;
+      return {
+        async sink(source) {
+          for await (const frame of lp.decode(source)) {
+            request = decodeFrame(frame.subarray()).message;
+            requests.push(request);
+          }
+        },
+        source: (async function* () {
+          const records = [];
+          for (const token of request.routingTokens) {
+            records.push(...await storage.getMessagesSince(token, request.since));
+          }
+          const frames = [];
+          for (let i = 0; i < records.length || i === 0; i += 2) {
+            const page = records.slice(i, i + 2);
+            frames.push({
+              messages: page.map(record => record.toWire()),
+              cursor: page.length > 0 ? page[page.length - 1].sequence : request.since,
+              ...(i + 2 >= records.length ? { done: true } : {})
+            });
+          }
+          yield* lp.encode(frames.map(frame => encodeFrame(frame, true)));
+        })()
+      };
+    },
+    getConnections() {
+      throw new Error('Reads must not touch the network');
+    },
+    async stop() {}
+  };
+}
+
+describe('DMailNode group sync', () => {
+  const alice = Identity.generate();
+  const bob = Identity.generate();
+  const relay = '12D3KooWRelay';
+  const requests = [];
+  let aliceNode;
+  let bobNode;
+  let storage;
+  let group;
+
+  before(async () => {
+    aliceNode = new DMailNode(alice);
+    bobNode = new DMailNode(bob);
+    storage = new DHTMessageStorage({ dbPath: join(home, 'relay-storage') });
+    await storage.init();
+    bobNode.node = syncingRelay(storage, requests);
+
+    // Alice founds the group, adds Bob and hands him her sender key
+    group = (await aliceNode.groups.create('Team')).group;
+    await aliceNode.groups.addMember(group, bob.address);
+    const { update } = await aliceNode.groups.pendingDistribution(group);
+    await bobNode.groups.applyRosters(group, update.rosters);
+    await bobNode.groups.acceptSenderKey(alice.address, update);
+  });
+
+  after(async () => {
+    await storage.close();
+    await stopNode(aliceNode);
+    await stopNode(bobNode);
+  });
+
+  async function post(body) {
+    const envelope = await createSealedMessage(alice)
+      .group(group, await aliceNode.groups.nextMessageKey(group))
+      .body(body)
+      .build();
+    return storage.store(addressRoutingToken(group), encodeEnvelope(envelope));
+  }
+
+  it('syncs posts in pages from a cursor per relay and group', async () => {
+    for (const body of ['one', 'two', 'three']) {
+      await post(body);
+    }
+    assert.equal(await bobNode.syncGroupMail(relay), 3);
+    const cursor = await bobNode.db.get(`groupcursor:${relay}:${group}`);
+    assert.equal(cursor, storage.sequence);
+
+    const last = await post('four');
+    assert.equal(await bobNode.syncGroupMail(relay), 1);
+    assert.equal(requests[requests.length - 1].since, cursor);
+    assert.deepEqual(requests[requests.length - 1].routingTokens, [addressRoutingToken(group)]);
+    assert.equal(await bobNode.db.get(`groupcursor:${relay}:${group}`), last.sequence);
+
+    // Nothing new: the cursor stays, nothing is stored twice
+    assert.equal(await bobNode.syncGroupMail(relay), 0);
+  });
+
+  it('reads posts from the database only', async () => {
+    const messages = await bobNode.getGroupMessages(group);
+    assert.equal(messages.length, 4);
+    for (const message of messages) {
+      assert.equal(message.forwardSecret, true);
+      assert.equal(message.group, group);
+    }
+    const bodies = [];
+    for (const message of messages) {
+      bodies.push((await openEnvelope(bob, message, { keys: bobNode.keyring, groups: bobNode.groups, resealed: true })).body);
+    }
+    assert.deepEqual(bodies.sort(), ['four', 'one', 'three', 'two']);
+  });
+});
+
+describe('DMailNode groups', () => {
+  const alice = Identity.generate();
+  const bob = Identity.generate();
+  const nodes = [];
+  // Envelopes sent and not delivered yet
+  let outbox = [];
+  let group;
+
+  // Keys come from the other node's keyring, and mail waits in the outbox
+  function connect(node) {
+    node.resolveRecipient = async (address) => {
+      const peer = nodes.find(other => other.identity.address === address);
+      const { publicKey, kemPublicKey } = await peer.keyring.current();
+      return { encryptionKey: publicKey, kemKey: kemPublicKey, routingKey: routingKeyFor(peer.identity) };
+    };
+    node.sendMessage = async (envelope, copies = []) => {
+      outbox.push(envelope, ...copies);
+      return node.getMessageId(envelope);
+    };
+    nodes.push(node);
+    return node;
+  }
+
+  // Deliver the mail a filter picks: posts to the group's members, other
+  // mail to the node whose routing token it carries
+  async function deliver(pick = () => true) {
+    const picked = outbox.filter(pick);
+    outbox = outbox.filter(envelope => !picked.includes(envelope));
+    for (const envelope of picked) {
+      for (const node of nodes) {
+        const address = await node.groupForRoutingToken(envelope.routingToken);
+        if (address && envelope.version === GROUP_PROTOCOL_VERSION) {
+          await node.storeGroupMessage(address, envelope);
+        } else if (node.getRoutingTokens().includes(envelope.routingToken)) {
+          await node.storeMessage(node.getMessageId(envelope), envelope);
+        }
+      }
+    }
+  }
+
+  const isPost = envelope => envelope.version === GROUP_PROTOCOL_VERSION;
+
+  async function bodies(node) {
+    const bodies = [];
+    for (const message of await node.getGroupMessages(group)) {
+      const opened = await openEnvelope(node.identity, message, {
+        keys: node.keyring,
+        groups: node.groups,
+        resealed: message.forwardSecret
+      });
+      bodies.push(opened.body);
+    }
+    return bodies.sort();
+  }
+
+  before(async () => {
+    const aliceNode = connect(new DMailNode(alice));
+    connect(new DMailNode(bob));
+    group = (await aliceNode.groups.create('Team')).group;
+  });
+
+  after(async () => {
+    for (const node of nodes) {
+      await stopNode(node);
+    }
+  });
+
+  it('mails the sender key to members before the first post only', async () => {
+    const [aliceNode, bobNode] = nodes;
+    await aliceNode.addGroupMember(group, bob.address);
+    await deliver();
+    assert.equal((await bobNode.groups.list())[0].address, group);
+
+    await aliceNode.sendGroupMessage(group, { body: 'First' });
+    assert.deepEqual(outbox.map(isPost), [false, true]);
+    await deliver();
+
+    const [message] = await bobNode.getGroupMessages(group);
+    assert.equal(message.forwardSecret, true);
+    assert.equal(message.group, group);
+    assert.deepEqual(await bodies(bobNode), ['First']);
+
+    await aliceNode.sendGroupMessage(group, { body: 'Second' });
+    assert.deepEqual(outbox.map(isPost), [true]);
+    await deliver();
+    assert.deepEqual(await bodies(bobNode), ['First', 'Second']);
+    assert.deepEqual(await aliceNode.getGroupMessages(group), []);
+  });
+
+  it('reseals a post once its late sender key arrives', async () => {
+    const [aliceNode, bobNode] = nodes;
+    await bobNode.sendGroupMessage(group, { body: 'Before the key' });
+
+    await deliver(isPost);
+    const [early] = await aliceNode.getGroupMessages(group);
+    assert.equal(early.forwardSecret, undefined);
+    assert.equal(early.version, GROUP_PROTOCOL_VERSION);
+    await assert.rejects(() => openEnvelope(alice, early, { keys: aliceNode.keyring, groups: aliceNode.groups }));
+
+    await deliver();
+    const [resealed] = await aliceNode.getGroupMessages(group);
+    assert.equal(resealed.id, early.id);
+    assert.equal(resealed.forwardSecret, true);
+    assert.deepEqual(await bodies(aliceNode), ['Before the key']);
+    assert.equal((await aliceNode.getGroupMessage(group, early.id)).forwardSecret, true);
+  });
+});
@@ -14,6 +14,11 @@
  * Sender -> Relay1 -> Relay2 -> Relay3 -> Recipient
  *
  * Each layer is encrypted with the corresponding relay's public key.
+ *
+ * Relays speak ONION_PROTOCOL. dMail sends sealed envelopes through
+ * circuits without a destination key: the exit relay opens the final layer
+ * itself and stores the envelope under its routing token, as if the sender
+ * had stored it there.
  */
 
 import { x25519 } from '@noble/curves/ed25519';
@@ -24,6 +29,11 @@ import { randomBytes } from 'crypto';
 
 const INFO_ONION = new TextEncoder().encode('dmail-onion-v1');
 const DEFAULT_HOP_COUNT = 3;
+// Circuits are remembered, and packets accepted, this long
+const CIRCUIT_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+export const ONION_PROTOCOL = '/dmail/onion/1.0.0';
 
 /**
  * Onion Layer - represents one hop in the route
@@ -202,13 +212,17 @@ export class OnionRouteBuilder {
   /**
    * Build an onion route to a destination
    * @param {Uint8Array} message - The message to send
-   * @param {string} destinationAddress - The recipient's dMail address
-   * @param {Uint8Array} destinationPublicKey - The recipient's encryption public key
+   * @param {string} destinationAddress - The recipient's dMail address, or
+   *   the mailbox the exit relay stores the message under
+   * @param {Uint8Array|null} destinationPublicKey - The recipient's encryption
+   *   public key; null to have the exit relay open the final layer and
+   *   deliver the message to storage
    * @param {string[]} excludePeers - Peers to exclude from route
    */
   buildRoute(message, destinationAddress, destinationPublicKey, excludePeers = []) {
     // Select relay nodes
     const relays = this.selectRelays(this.hopCount, excludePeers);
+    const exitRelay = relays[relays.length - 1];
 
     // Build layers from inside out
     // Innermost layer contains the actual message
@@ -218,14 +232,16 @@ export class OnionRouteBuilder {
       message: Buffer.from(message).toString('base64')
     };
 
-    // Encrypt for final destination
+    // Encrypt for final destination, or for the exit relay delivering it
     let encrypted = encryptLayer(
       new TextEncoder().encode(JSON.stringify(currentPayload)),
-      destinationPublicKey
+      destinationPublicKey || exitRelay.publicKey
     );
 
-    // Build intermediate layers (from exit node to entry node)
-    for (let i = relays.length - 1; i >= 0; i--) {
+    // Build intermediate layers (from exit node to entry node). The exit
+    // relay has no layer of its own when it opens the final one.
+    const forwarding = destinationPublicKey ? relays.length : relays.length - 1;
+    for (let i = forwarding - 1; i >= 0; i--) {
       const relay = relays[i];
       const isExit = i === relays.length - 1;
 
@@ -277,6 +293,15 @@ export class OnionRouter {
    */
   processPacket(packet, fromPeer) {
     try {
+      // A circuit passes each relay once, while it is fresh
+      if (this.circuits.has(packet.circuitId)) {
+        throw new Error('Replayed packet');
+      }
+      const age = Date.now() - packet.timestamp;
+      if (!Number.isFinite(age) || age > CIRCUIT_MAX_AGE_MS || age < -MAX_CLOCK_SKEW_MS) {
+        throw new Error('Stale packet');
+      }
+
       // Decrypt our layer
       const decrypted = decryptLayer(packet.encryptedPayload, this.privateKey);
       const layer = JSON.parse(new TextDecoder().decode(decrypted));
@@ -323,10 +348,9 @@ export class OnionRouter {
    */
   cleanupCircuits() {
     const now = Date.now();
-    const maxAge = 10 * 60 * 1000; // 10 minutes
 
     for (const [circuitId, info] of this.circuits.entries()) {
-      if (now - info.timestamp > maxAge) {
+      if (now - info.timestamp > CIRCUIT_MAX_AGE_MS) {
         this.circuits.delete(circuitId);
       }
     }
@@ -363,8 +387,11 @@ export class AnonymousMessageSender {
   /**
    * Send an anonymous message
    * @param {Uint8Array|string} message - Message content
-   * @param {string} destinationAddress - Recipient's dMail address
-   * @param {Uint8Array|string} destinationPublicKey - Recipient's encryption key
+   * @param {string} destinationAddress - Recipient's dMail address, or mailbox
+   * @param {Uint8Array|string|null} destinationPublicKey - Recipient's
+   *   encryption key; null for the exit relay to deliver to storage
+   * @returns {Promise<Object>} - {circuitId, hops, entryNode, exitNode,
+   *   delivery: what sendFunction returned}
    */
   async sendAnonymous(message, destinationAddress, destinationPublicKey) {
     const messageBytes = typeof message === 'string'
@@ -385,14 +412,16 @@ export class AnonymousMessageSender {
     console.log(`Sending anonymous message via ${route.length} hops`);
 
     // Send to entry node
-    if (this.sendFunction) {
-      await this.sendFunction(entryNode.multiaddr, packet.serialize());
-    }
+    const delivery = this.sendFunction
+      ? await this.sendFunction(entryNode.multiaddr, packet.serialize())
+      : null;
 
     return {
       circuitId: packet.circuitId,
       hops: route.length,
-      entryNode: entryNode.peerId
+      entryNode: entryNode.peerId,
+      exitNode: route[route.length - 1],
+      delivery
     };
   }
 
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { x25519 } from '@noble/curves/ed25519';
+import { OnionRouteBuilder, OnionRouter, OnionPacket } from './onion-routing.js';
+
+const DESTINATION = 'dm1destination';
+const MESSAGE = 'Meet at the usual place';
+
+// A relay's onion key, and the router that opens layers with it
+function onionRelay(name) {
+  const privateKey = new Uint8Array(randomBytes(32));
+  return {
+    peerId: `12D3KooW${name}`,
+    publicKey: x25519.getPublicKey(privateKey),
+    router: new OnionRouter({ privateKey, peerId: `12D3KooW${name}` })
+  };
+}
+
+// What a relay sees of a packet: its layers travel as JSON
+function wireText(packet) {
+  return JSON.stringify(packet.serialize());
+}
+
+describe('onion circuits', () => {
+  const relays = ['Entry', 'Middle', 'Exit', 'Spare'].map(onionRelay);
+  const recipient = onionRelay('Recipient');
+  let builder;
+
+  before(() => {
+    builder = new OnionRouteBuilder({ hopCount: 3 });
+    for (const relay of relays) {
+      builder.registerRelay(relay.peerId, relay.publicKey, `/dns4/${relay.peerId}/tcp/4001`);
+    }
+  });
+
+  after(() => {
+    for (const relay of [...relays, recipient]) {
+      relay.router.stop();
+    }
+  });
+
+  const relayOf = peerId => relays.find(relay => relay.peerId === peerId);
+
+  // Peel a circuit the way relays do, checking each hop learns the next one only
+  function peel(packet, route, from = '12D3KooWSender') {
+    const hops = [];
+    for (let i = 0; i < route.length; i++) {
+      const hop = relayOf(route[i]);
+      // Nobody but the hop it is for opens a layer
+      for (const other of relays.filter(relay => relay !== hop)) {
+        assert.equal(other.router.processPacket(packet, from).type, 'error');
+      }
+
+      const result = hop.router.processPacket(OnionPacket.deserialize(packet.serialize()), from);
+      hops.push(result);
+      if (result.type !== 'forward' || i === route.length - 1) {
+        break;
+      }
+      assert.equal(result.nextHopPeerId, route[i + 1]);
+      assert.equal(result.isExit, false);
+      assert.equal(result.packet.circuitId, packet.circuitId);
+      assert.ok(!wireText(result.packet).includes(DESTINATION));
+      from = hop.peerId;
+      packet = result.packet;
+    }
+    return hops;
+  }
+
+  it('peels one layer per hop and hands the exit the message to store', () => {
+    const { packet, entryNode, route } = builder.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, null);
+    assert.equal(route.length, 3);
+    assert.equal(new Set(route).size, 3);
+    assert.equal(entryNode.peerId, route[0]);
+    assert.ok(!wireText(packet).includes(DESTINATION));
+
+    const hops = peel(packet, route);
+    assert.deepEqual(hops.map(hop => hop.type), ['forward', 'forward', 'exit']);
+    assert.equal(hops[2].destination, DESTINATION);
+    assert.equal(new TextDecoder().decode(hops[2].message), MESSAGE);
+
+    // Relays before the exit learn neither the destination nor the message
+    for (const hop of hops.slice(0, 2)) {
+      const seen = JSON.stringify(hop);
+      assert.ok(!seen.includes(DESTINATION));
+      assert.ok(!seen.includes(Buffer.from(MESSAGE).toString('base64')));
+    }
+  });
+
+  it('leaves the message sealed to the recipient when given their key', () => {
+    const { packet, route } = builder.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, recipient.publicKey);
+    const hops = peel(packet, route);
+    assert.deepEqual(hops.map(hop => hop.type), ['forward', 'forward', 'forward']);
+
+    // The exit learns where the message goes, but cannot read it
+    const exit = hops[2];
+    assert.equal(exit.isExit, true);
+    assert.equal(exit.nextHop, DESTINATION);
+    assert.equal(exit.nextHopPeerId, null);
+    for (const relay of relays) {
+      assert.equal(relay.router.processPacket(exit.packet, route[2]).type, 'error');
+    }
+
+    const opened = recipient.router.processPacket(exit.packet, route[2]);
+    assert.equal(opened.type, 'exit');
+    assert.equal(new TextDecoder().decode(opened.message), MESSAGE);
+  });
+
+  it('does not let a hop read a layer that was altered on the way', () => {
+    const { packet, route } = builder.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, null);
+    const ciphertext = Buffer.from(packet.encryptedPayload.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    const altered = new OnionPacket({
+      ...packet.serialize(),
+      encryptedPayload: { ...packet.encryptedPayload, ciphertext: ciphertext.toString('base64') }
+    });
+    assert.equal(relayOf(route[0]).router.processPacket(altered, '12D3KooWSender').type, 'error');
+  });
+
+  it('refuses a packet replayed through the same relay, or one kept too long', () => {
+    const { packet, route } = builder.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, null);
+    const entry = relayOf(route[0]).router;
+    assert.equal(entry.processPacket(packet, '12D3KooWSender').type, 'forward');
+    assert.deepEqual(entry.processPacket(packet, '12D3KooWSender'), { type: 'error', error: 'Replayed packet' });
+
+    const old = builder.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, null).packet;
+    old.timestamp = Date.now() - 60 * 60 * 1000;
+    const result = relayOf(route[0]).router.processPacket(old, '12D3KooWSender');
+    assert.deepEqual(result, { type: 'error', error: 'Stale packet' });
+  });
+
+  it('needs as many relays as hops', () => {
+    const long = new OnionRouteBuilder({ hopCount: 5 });
+    for (const relay of relays) {
+      long.registerRelay(relay.peerId, relay.publicKey, `/dns4/${relay.peerId}/tcp/4001`);
+    }
+    assert.throws(() => long.buildRoute(new TextEncoder().encode(MESSAGE), DESTINATION, null), /Not enough relays available/);
+  });
+});
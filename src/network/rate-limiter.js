@@ -10,8 +10,11 @@
  * - Configurable windows and limits
  * - Automatic cleanup of old entries
  * - Reputation system integration
+ * - Sizes counted in padding buckets (protocol/padding.js)
  */
 
+import { bucketSize } from '../protocol/padding.js';
+
 /**
  * Sliding Window Rate Limiter
  */
@@ -176,6 +179,10 @@ export class RateLimiter {
 /**
  * Message Size Limiter
  * Prevents oversized message attacks
+ *
+ * Sizes are rounded up to their padding bucket before they are checked or
+ * counted: clients pad mail to a bucket anyway, so messages in one bucket
+ * cost the same and limits fall on bucket boundaries.
  */
 export class SizeLimiter {
   constructor(options = {}) {
@@ -191,7 +198,7 @@ export class SizeLimiter {
    * Check if message size is allowed
    */
   checkSize(size) {
-    if (size > this.maxMessageSize) {
+    if (bucketSize(size) > this.maxMessageSize) {
       return {
         allowed: false,
         reason: 'message_too_large',
@@ -205,6 +212,7 @@ export class SizeLimiter {
    * Check daily storage limit for a sender
    */
   checkDailyStorage(senderId, size) {
+    size = bucketSize(size);
     const today = new Date().toDateString();
     const usage = this.dailyUsage.get(senderId);
 
@@ -226,6 +234,7 @@ export class SizeLimiter {
    * Record storage usage
    */
   recordStorage(senderId, size) {
+    size = bucketSize(size);
     const today = new Date().toDateString();
     const usage = this.dailyUsage.get(senderId);
 
@@ -20,22 +20,47 @@ import { kadDHT } from '@libp2p/kad-dht';
 import { gossipsub } from '@chainsafe/libp2p-gossipsub';
 import { identify } from '@libp2p/identify';
 import { ping } from '@libp2p/ping';
+import { generateKeyPairFromSeed } from '@libp2p/crypto/keys';
 import { join } from 'path';
 import { homedir } from 'os';
 import { mkdirSync, existsSync, writeFileSync, readFileSync } from 'fs';
 import { randomBytes } from 'crypto';
+import { ed25519, x25519 } from '@noble/curves/ed25519';
+import { sha256 } from '@noble/hashes/sha256';
+import { hkdf } from '@noble/hashes/hkdf';
 import { pipe } from 'it-pipe';
 import * as lp from 'it-length-prefixed';
 import {
   DHTMessageStorage,
   DHTCoordinator,
   MessageRecord,
+  MESSAGE_TTL_MS,
+  MAX_ACKS_PER_REQUEST,
   STORE_PROTOCOL,
   FETCH_PROTOCOL as DHT_FETCH_PROTOCOL,
-  PROOF_PROTOCOL
+  PROOF_PROTOCOL,
+  SYNC_PROTOCOL,
+  storageRequest
 } from '../storage/dht-storage.js';
+import {
+  KeyDirectoryStorage,
+  KEYS_PROTOCOL,
+  keyRecordDHTKey,
+  revocationDHTKey,
+  deviceListDHTKey,
+  kemRecordDHTKey
+} from '../storage/key-directory.js';
+import { KeyRecord, KeyRevocation, KemKeyRecord, selectKeyRecord, selectKemKeyRecord } from '../crypto/key-directory.js';
+import { DeviceList, selectDeviceList } from '../crypto/devices.js';
+import { verifyMailboxProof, verifyMailboxAck } from '../crypto/mailbox.js';
+import { PrekeyStorage, PREKEYS_PROTOCOL } from '../storage/prekey-storage.js';
 import { DMailTokenClient } from '../blockchain/token.js';
-import { ReputationRateLimiter } from './rate-limiter.js';
+import { decodeEnvelope, encodeFrame, decodeFrame } from '../protocol/wire.js';
+import { bucketSize } from '../protocol/padding.js';
+import { verifyEnvelopeStamp, DEFAULT_STAMP_DIFFICULTY } from '../protocol/envelope.js';
+import { GROUP_PROTOCOL_VERSION } from '../protocol/sealed-envelope.js';
+import { RateLimiter, ReputationRateLimiter } from './rate-limiter.js';
+import { OnionRouter, OnionPacket, ONION_PROTOCOL } from './onion-routing.js';
 
 // Legacy protocol for backward compatibility
 const FETCH_PROTOCOL = '/dmail/fetch/1.0.0';
@@ -43,6 +68,21 @@ const FETCH_PROTOCOL = '/dmail/fetch/1.0.0';
 // Single global topic for all messages (matches client node)
 const GLOBAL_MAIL_TOPIC = '/dmail/1.0.0/mail';
 
+// Routing tokens one fetch may ask for: a window of contact tokens and the address token
+const MAX_FETCH_TOKENS = 16;
+
+// Mailbox challenges are single use and answered right away
+const MAILBOX_CHALLENGE_TTL_MS = 60 * 1000;
+const MAX_PENDING_CHALLENGES = 10000;
+
+// Onion layers for this relay are encrypted to an X25519 key derived from the node key
+const INFO_ONION_KEY = new TextEncoder().encode('dmail-relay-onion-key-v1');
+
+// Sync pages: records per page as the client asks, within these bounds
+const DEFAULT_SYNC_PAGE_SIZE = 50;
+const MAX_SYNC_PAGE_SIZE = 200;
+const MAX_SYNC_PAGE_BYTES = 1024 * 1024; // 1 MB, well below the frame limit
+
 const RELAY_DIR = join(homedir(), '.dmail-relay');
 
 // Ensure relay directory exists
@@ -50,6 +90,170 @@ if (!existsSync(RELAY_DIR)) {
   mkdirSync(RELAY_DIR, { recursive: true });
 }
 
+/**
+ * Read a single length-prefixed JSON request from a stream
+ */
+async function readRequest(stream) {
+  let requestData = '';
+  for await (const msg of lp.decode(stream.source)) {
+    requestData = new TextDecoder().decode(msg.subarray());
+    break;
+  }
+  return JSON.parse(requestData);
+}
+
+/**
+ * Write a single length-prefixed JSON response to a stream
+ */
+async function writeResponse(stream, response) {
+  await pipe(
+    [new TextEncoder().encode(JSON.stringify(response))],
+    (source) => lp.encode(source),
+    stream.sink
+  );
+}
+
+/**
+ * Read a single length-prefixed storage protocol request, canonical CBOR or JSON
+ * @returns {Promise<{request: Object, binary: boolean}>}
+ */
+async function readStorageRequest(stream) {
+  for await (const msg of lp.decode(stream.source)) {
+    const { message, binary } = decodeFrame(msg.subarray());
+    return { request: message, binary };
+  }
+  throw new Error('Empty request');
+}
+
+/**
+ * Write a storage protocol response in the encoding of the request
+ */
+async function writeStorageResponse(stream, response, binary) {
+  await pipe(
+    [encodeFrame(response, binary)],
+    (source) => lp.encode(source),
+    stream.sink
+  );
+}
+
+/**
+ * Write a response streamed over several frames
+ * @param {Iterable<Object>} frames
+ */
+async function writeStorageFrames(stream, frames, binary) {
+  await pipe(
+    frames,
+    async function* (source) {
+      for await (const frame of source) {
+        yield encodeFrame(frame, binary);
+      }
+    },
+    (source) => lp.encode(source),
+    stream.sink
+  );
+}
+
+/**
+ * Mailboxes a fetch or sync names: the address (plain envelopes) and the
+ * routing tokens. Clients send their contact tokens in routingTokens, older
+ * ones a single routingToken.
+ * @returns {{mailboxes: string[], tokens: number}}
+ */
+function requestedMailboxes(request) {
+  const tokens = [...new Set([
+    ...(request.routingToken ? [request.routingToken] : []),
+    ...(Array.isArray(request.routingTokens) ? request.routingTokens : [])
+  ])];
+  const mailboxes = [request.recipient, ...tokens].filter(mailbox => typeof mailbox === 'string');
+  return { mailboxes, tokens: tokens.length };
+}
+
+/**
+ * Sync response frames: pages of records, each with the cursor to resume
+ * from after it, the last one marked done
+ * @param {MessageRecord[]} records - In sequence order
+ * @param {number} limit - Records per page
+ * @param {boolean} binary - Encoding of the request
+ * @param {number} since - Cursor the client sent
+ */
+function* syncPages(records, limit, binary, since) {
+  let page = [];
+  let bytes = 0;
+  let cursor = since;
+
+  for (const record of records) {
+    if (page.length > 0 && (page.length >= limit || bytes + record.data.length > MAX_SYNC_PAGE_BYTES)) {
+      yield { messages: page, cursor };
+      page = [];
+      bytes = 0;
+    }
+    page.push(binary ? record.toWire() : record.toLegacyJSON());
+    bytes += record.data.length;
+    cursor = record.sequence;
+  }
+
+  yield { messages: page, cursor, done: true };
+}
+
+/**
+ * kad-dht validator for the /dmail namespace
+ * Key records, revocations, device lists and ML-KEM records must carry a
+ * valid signature from the address they are stored under
+ */
+async function validateDMailRecord(key, value) {
+  const path = new TextDecoder().decode(key);
+  if (path.startsWith('/dmail/keys/')) {
+    const record = KeyRecord.fromJSON(JSON.parse(new TextDecoder().decode(value)));
+    if (!record.verify(path.slice('/dmail/keys/'.length))) {
+      throw new Error('Invalid key record');
+    }
+  } else if (path.startsWith('/dmail/revocations/')) {
+    const [address, keyId] = path.slice('/dmail/revocations/'.length).split('/');
+    const revocation = KeyRevocation.fromJSON(JSON.parse(new TextDecoder().decode(value)));
+    if (revocation.keyId !== keyId || !revocation.verify(address)) {
+      throw new Error('Invalid key revocation');
+    }
+  } else if (path.startsWith('/dmail/devices/')) {
+    const list = DeviceList.fromJSON(JSON.parse(new TextDecoder().decode(value)));
+    if (!list.verify(path.slice('/dmail/devices/'.length))) {
+      throw new Error('Invalid device list');
+    }
+  } else if (path.startsWith('/dmail/kem/')) {
+    const record = KemKeyRecord.fromJSON(JSON.parse(new TextDecoder().decode(value)));
+    if (!record.verify(path.slice('/dmail/kem/'.length))) {
+      throw new Error('Invalid ML-KEM record');
+    }
+  }
+}
+
+/**
+ * kad-dht selector for the /dmail namespace
+ * Prefers the most recently created key or ML-KEM record and the device list
+ * with the highest sequence
+ */
+function selectDMailRecord(key, records) {
+  const path = new TextDecoder().decode(key);
+  const field = path.startsWith('/dmail/keys/') || path.startsWith('/dmail/kem/') ? 'created'
+    : path.startsWith('/dmail/devices/') ? 'sequence'
+      : null;
+  if (!field) return 0;
+
+  let best = 0;
+  let bestValue = -1;
+  records.forEach((value, i) => {
+    try {
+      const parsed = JSON.parse(new TextDecoder().decode(value))[field];
+      if (parsed > bestValue) {
+        best = i;
+        bestValue = parsed;
+      }
+    } catch (e) {
+      // Ignore malformed records
+    }
+  });
+  return best;
+}
+
 /**
  * Relay Node Statistics
  */
@@ -141,14 +345,37 @@ export class RelayNode {
     this.walletPrivateKey = options.walletPrivateKey || null;
     this.replicationFactor = options.replicationFactor || 3;
     this.network = options.network || 'localhost';
+    // Proof of work mail needs to be stored, advertised to clients
+    this.minPowDifficulty = options.minPowDifficulty ?? DEFAULT_STAMP_DIFFICULTY;
+    // The unauthenticated /dmail/fetch/1.0.0, which deletes what it returns, for clients that predate the storage protocols
+    this.legacyFetch = options.legacyFetch ?? false;
     this.node = null;
 
+    // Mailbox challenges we issued: challenge -> {peer, expires}
+    this.mailboxChallenges = new Map();
+    // Failed mailbox proofs per peer, to slow down anyone trying mailboxes that are not theirs
+    this.mailboxAuthFailures = new RateLimiter({
+      maxRequests: options.maxMailboxAuthFailures || 10,
+      windowMs: 10 * 60 * 1000,
+      globalMaxRequests: Infinity
+    });
+
     // DHT-based storage
     this.dhtStorage = new DHTMessageStorage({
       dbPath: join(RELAY_DIR, 'dht-messages'),
       replicationFactor: this.replicationFactor
     });
 
+    // Signed encryption key records published by identities
+    this.keyDirectory = new KeyDirectoryStorage({
+      dbPath: join(RELAY_DIR, 'key-directory')
+    });
+
+    // X3DH prekey bundles for bootstrapping ratchet sessions
+    this.prekeyStorage = new PrekeyStorage({
+      dbPath: join(RELAY_DIR, 'prekeys')
+    });
+
     // Token client for on-chain registration and rewards
     this.tokenClient = null;
     this.isRegisteredOnChain = false;
@@ -178,11 +405,25 @@ export class RelayNode {
 
     // Initialize DHT storage
     await this.dhtStorage.init();
+    await this.keyDirectory.init();
+    await this.prekeyStorage.init();
 
     // Generate or load node identity
     let privateKey = await this.loadOrGenerateKey();
 
+    // The node key is our libp2p key, so the peer ID carries its public half.
+    // Storage proofs are signed with it and double as delivery receipts for
+    // senders, checked against the peer ID (verifyDeliveryReceipt)
+    const receiptKey = new Uint8Array(Buffer.from(privateKey, 'hex'));
+    const peerKey = await generateKeyPairFromSeed('Ed25519', receiptKey);
+    this.dhtStorage.signFn = (data) => ed25519.sign(data, receiptKey);
+
+    // Onion layers are opened with a key of its own, handed out on ONION_PROTOCOL
+    const onionKey = hkdf(sha256, receiptKey, undefined, INFO_ONION_KEY, 32);
+    this.onionPublicKey = Buffer.from(x25519.getPublicKey(onionKey)).toString('base64');
+
     this.node = await createLibp2p({
+      privateKey: peerKey,
       addresses: {
         listen: [
           `/ip4/0.0.0.0/tcp/${this.port}`,
@@ -206,10 +447,10 @@ export class RelayNode {
         dht: kadDHT({
           clientMode: false, // Full DHT node
           validators: {
-            dmail: async (key, value) => true
+            dmail: validateDMailRecord
           },
           selectors: {
-            dmail: (key, records) => 0
+            dmail: selectDMailRecord
           }
         }),
         pubsub: gossipsub({
@@ -241,13 +482,30 @@ export class RelayNode {
     this.node.services.pubsub.subscribe(GLOBAL_MAIL_TOPIC);
     console.log(`Subscribed to topic: ${GLOBAL_MAIL_TOPIC}`);
 
-    // Register the legacy fetch protocol handler (backward compatibility)
-    await this.node.handle(FETCH_PROTOCOL, this.handleFetchRequest.bind(this));
+    // Register the legacy fetch protocol handler (backward compatibility, off unless enabled)
+    if (this.legacyFetch) {
+      console.log('Legacy fetch enabled: anyone who knows an address can fetch and delete its plain mail');
+      await this.node.handle(FETCH_PROTOCOL, this.handleFetchRequest.bind(this));
+    }
 
     // Register DHT storage protocol handlers
     await this.node.handle(STORE_PROTOCOL, this.handleStoreRequest.bind(this));
     await this.node.handle(DHT_FETCH_PROTOCOL, this.handleDHTFetchRequest.bind(this));
     await this.node.handle(PROOF_PROTOCOL, this.handleProofRequest.bind(this));
+    await this.node.handle(SYNC_PROTOCOL, this.handleSyncRequest.bind(this));
+
+    // Register onion routing protocol handler
+    this.onionRouter = new OnionRouter({
+      privateKey: onionKey,
+      peerId: this.node.peerId.toString()
+    });
+    await this.node.handle(ONION_PROTOCOL, this.handleOnionRequest.bind(this));
+
+    // Register key directory protocol handler
+    await this.node.handle(KEYS_PROTOCOL, this.handleKeysRequest.bind(this));
+
+    // Register prekey bundle protocol handler
+    await this.node.handle(PREKEYS_PROTOCOL, this.handlePrekeysRequest.bind(this));
 
     // Initialize DHT coordinator for replication
     this.dhtStorage.nodeId = this.node.peerId.toString();
@@ -416,17 +674,24 @@ Run this node 24/7 to earn DMAIL token rewards!
   async handleMessage(message) {
     const topic = message.topic;
     const data = message.data;
-    const size = data.length;
+    // Limits, stats and logs only deal in padding buckets, never exact sizes
+    const size = bucketSize(data.length);
 
-    // Parse the envelope to extract sender for rate limiting
+    // Parse the envelope (binary, or JSON from older clients) to extract sender for rate limiting
     let envelope;
     try {
-      envelope = JSON.parse(new TextDecoder().decode(data));
+      envelope = decodeEnvelope(data);
     } catch (e) {
       console.error('Failed to parse message envelope:', e.message);
       return;
     }
 
+    // Stamp first, checking it costs us one hash
+    if (!verifyEnvelopeStamp(envelope, this.minPowDifficulty)) {
+      console.log(`Rejected message without a recent proof of work of difficulty ${this.minPowDifficulty}`);
+      return;
+    }
+
     // Get sender identifier for rate limiting
     const senderId = envelope.from || message.from?.toString() || 'unknown';
 
@@ -437,9 +702,6 @@ Run this node 24/7 to earn DMAIL token rewards!
       return;
     }
 
-    // Record stats
-    this.stats.recordMessage(size);
-
     try {
 
       // Store message for offline delivery using DHT
@@ -458,10 +720,14 @@ Run this node 24/7 to earn DMAIL token rewards!
       }
 
       if (storageKey) {
-        await this.storeWithReplication(storageKey, data);
-        console.log(`Stored message (${size} bytes)`);
+        if (await this.storeWithReplication(storageKey, data)) {
+          this.stats.recordMessage(size);
+          console.log(`Stored message (${size}-byte bucket)`);
+        } else {
+          console.log('Envelope already stored');
+        }
       } else {
-        console.log(`Relayed message on ${topic} (${size} bytes) - no recipient/routing token found`);
+        console.log(`Relayed message on ${topic} (${size}-byte bucket) - no recipient/routing token found`);
       }
     } catch (e) {
       console.error('Message handling error:', e.message);
@@ -470,35 +736,38 @@ Run this node 24/7 to earn DMAIL token rewards!
 
   /**
    * Store message with DHT replication
+   * @param {Uint8Array} data - Envelope as received
+   * @returns {Promise<MessageRecord|null>} - null if the envelope is stored already
    */
   async storeWithReplication(recipient, data) {
-    const base64Data = Buffer.from(data).toString('base64');
-
-    // Store locally in DHT storage
-    const record = await this.dhtStorage.store(recipient, base64Data);
-
-    // Replicate to other nodes using DHT coordinator
-    if (this.dhtCoordinator) {
-      try {
-        await this.dhtCoordinator.storeWithReplication(recipient, base64Data);
-        console.log(`Message replicated to ${this.replicationFactor} nodes`);
-      } catch (e) {
-        console.log(`Replication partially failed: ${e.message}`);
-      }
+    if (!this.dhtCoordinator) {
+      return this.dhtStorage.store(recipient, data);
     }
+    // Stores our copy, then replicates it to other nodes
+    return this.dhtCoordinator.storeWithReplication(recipient, data);
+  }
 
-    return record;
+  /**
+   * Our storage proof of a record, signed for the sender as a delivery receipt
+   * @param {MessageRecord} record
+   * @returns {Object|null}
+   */
+  deliveryReceipt(record) {
+    const nodeId = this.node.peerId.toString();
+    const proof = record.storageProofs.find(p => p.nodeId === nodeId);
+    return proof ? proof.toJSON() : null;
   }
 
   /**
-   * Get stored messages from DHT storage
+   * Get stored messages from DHT storage, as the legacy fetch protocol
+   * sends them (JSON envelope, base64)
    */
   async getStoredMessages(recipient) {
     const records = await this.dhtStorage.getMessages(recipient);
     return records.map(r => ({
       key: `${r.recipient}:${r.id}`,
       recipient: r.recipient,
-      data: r.data,
+      data: r.toLegacyJSON().data,
       timestamp: r.timestamp,
       expires: r.expires,
       replicationCount: r.replicationCount
@@ -515,44 +784,84 @@ Run this node 24/7 to earn DMAIL token rewards!
 
   /**
    * Handle DHT store requests from other nodes
+   * Actions: store (a record, if its envelope has a stamp of our minimum
+   * difficulty), policy (what we require to store: minPowDifficulty), ack
+   * (delete records their recipient has, here and on the replicas).
+   * Answered in the encoding of the request, so clients and relays that
+   * predate the binary format keep working.
    */
-  async handleStoreRequest({ stream }) {
+  async handleStoreRequest({ stream, connection }) {
+    let binary = false;
     try {
-      let requestData = '';
-      for await (const msg of lp.decode(stream.source)) {
-        requestData = new TextDecoder().decode(msg.subarray());
-        break;
-      }
+      const read = await readStorageRequest(stream);
+      const request = read.request;
+      binary = read.binary;
+      const peer = connection?.remotePeer?.toString() || 'unknown';
+
+      if (request.action === 'ack' && Array.isArray(request.acks) && request.acks.length <= MAX_ACKS_PER_REQUEST) {
+        if (!this.mailboxAuthFailures.check(peer).allowed) {
+          await writeStorageResponse(stream, { error: 'Too many failed mailbox proofs' }, binary);
+          return;
+        }
 
-      const request = JSON.parse(requestData);
+        let acknowledged = 0;
+        let deleted = 0;
+        for (const ack of request.acks) {
+          if (!verifyMailboxAck(ack, MESSAGE_TTL_MS)) {
+            this.mailboxAuthFailures.record(peer);
+            continue;
+          }
+          acknowledged++;
+          deleted += this.dhtCoordinator
+            ? await this.dhtCoordinator.acknowledge(ack)
+            : 0;
+        }
+        console.log(`Ack: deleted ${deleted} records for ${acknowledged} mailboxes`);
 
-      if (request.action === 'store' && request.record) {
-        // Store the replicated record
+        await writeStorageResponse(stream, { success: true, acknowledged, deleted }, binary);
+      } else if (request.action === 'policy') {
+        await writeStorageResponse(stream, { minPowDifficulty: this.minPowDifficulty }, binary);
+      } else if (request.action === 'store' && request.record) {
         const record = MessageRecord.fromJSON(request.record);
-        await this.dhtStorage.storeRecord(record);
+        let stamped = false;
+        try {
+          stamped = verifyEnvelopeStamp(record.envelope(), this.minPowDifficulty);
+        } catch (e) {
+          // Not an envelope
+        }
+        if (!stamped) {
+          await writeStorageResponse(stream, {
+            error: 'Proof of work required',
+            minPowDifficulty: this.minPowDifficulty
+          }, binary);
+          return;
+        }
 
-        this.stats.recordMessage(record.data.length);
+        // Store the replicated record, or answer for the copy we have: a
+        // sender's direct store often comes after the same envelope's gossip
+        let stored = await this.dhtStorage.storeRecord(record);
+        if (stored) {
+          this.stats.recordMessage(bucketSize(record.data.length));
+        } else {
+          stored = await this.dhtStorage.getStoredEnvelope(record.data);
+        }
+        if (!stored) {
+          await writeStorageResponse(stream, { error: 'Envelope already delivered' }, binary);
+          return;
+        }
 
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ success: true, id: record.id }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, {
+          success: true,
+          id: stored.id,
+          receipt: this.deliveryReceipt(stored)
+        }, binary);
       } else {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Invalid request' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Invalid request' }, binary);
       }
     } catch (error) {
       console.error('Store request error:', error.message);
       try {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Store failed' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Store failed' }, binary);
       } catch (e) {
         // Stream closed
       }
@@ -560,69 +869,94 @@ Run this node 24/7 to earn DMAIL token rewards!
   }
 
   /**
-   * Handle DHT fetch requests from other nodes
+   * Issue a single-use challenge for mailbox proofs (crypto/mailbox.js)
+   * @param {string} peer - Peer ID the challenge is for
+   * @returns {string|null} - null while too many are pending
    */
-  async handleDHTFetchRequest({ stream }) {
-    try {
-      let requestData = '';
-      for await (const msg of lp.decode(stream.source)) {
-        requestData = new TextDecoder().decode(msg.subarray());
-        break;
+  issueMailboxChallenge(peer) {
+    const now = Date.now();
+    for (const [challenge, { expires }] of this.mailboxChallenges) {
+      if (expires < now) this.mailboxChallenges.delete(challenge);
+    }
+    if (this.mailboxChallenges.size >= MAX_PENDING_CHALLENGES) {
+      return null;
+    }
+    const challenge = randomBytes(32).toString('hex');
+    this.mailboxChallenges.set(challenge, { peer, expires: now + MAILBOX_CHALLENGE_TTL_MS });
+    return challenge;
+  }
+
+  /**
+   * Mailboxes of a request the peer proved are theirs
+   * Uses up the challenge. Every proof that fails counts against the peer.
+   * @returns {Set<string>}
+   */
+  provenMailboxes(peer, request, action) {
+    const proven = new Set();
+    if (typeof request.challenge !== 'string' || !Array.isArray(request.proofs)) {
+      return proven;
+    }
+
+    const issued = this.mailboxChallenges.get(request.challenge);
+    this.mailboxChallenges.delete(request.challenge);
+    const context = { relay: this.node.peerId.toString(), challenge: request.challenge, action };
+    const valid = issued && issued.peer === peer && issued.expires >= Date.now();
+
+    for (const proof of request.proofs) {
+      if (valid && verifyMailboxProof(proof, context)) {
+        proven.add(proof.mailbox);
+      } else {
+        this.mailboxAuthFailures.record(peer);
       }
+    }
+    return proven;
+  }
 
-      const request = JSON.parse(requestData);
+  /**
+   * Handle DHT fetch requests from other nodes
+   * Actions: challenge (for mailbox proofs), fetch (the records stored
+   * under the address and routing tokens named). Records are only returned
+   * for mailboxes the request proves it owns; group posts, which every
+   * member fetches, are returned to anyone.
+   * JSON requests get the JSON envelope of each record, which is all older
+   * clients can read
+   */
+  async handleDHTFetchRequest({ stream, connection }) {
+    let binary = false;
+    try {
+      const read = await readStorageRequest(stream);
+      const request = read.request;
+      binary = read.binary;
+      const peer = connection?.remotePeer?.toString() || 'unknown';
+      const { mailboxes, tokens } = requestedMailboxes(request);
+
+      if (request.action === 'challenge') {
+        const challenge = this.issueMailboxChallenge(peer);
+        await writeStorageResponse(stream, challenge ? { challenge } : { error: 'Too many pending challenges' }, binary);
+      } else if (tokens > MAX_FETCH_TOKENS) {
+        await writeStorageResponse(stream, { error: 'Too many routing tokens' }, binary);
+      } else if (!this.mailboxAuthFailures.check(peer).allowed) {
+        console.log(`Fetch refused, too many failed mailbox proofs from ${peer.slice(0, 16)}...`);
+        await writeStorageResponse(stream, { error: 'Too many failed mailbox proofs' }, binary);
+      } else if (request.action === 'fetch' && mailboxes.length > 0) {
+        const proven = this.provenMailboxes(peer, request, 'fetch');
 
-      if (request.action === 'fetch' && (request.recipient || request.routingToken)) {
         // Fetch messages stored by both address (plain envelope) and routing token (sealed envelope)
-        const allRecords = [];
-        const seenIds = new Set();
-
-        // Fetch by recipient address (for plain envelopes)
-        if (request.recipient) {
-          const byAddress = await this.dhtStorage.getMessages(request.recipient);
-          for (const r of byAddress) {
-            if (!seenIds.has(r.id)) {
-              seenIds.add(r.id);
-              allRecords.push(r);
-            }
-          }
-        }
-
-        // Fetch by routing token (for sealed envelopes)
-        if (request.routingToken) {
-          const byToken = await this.dhtStorage.getMessages(request.routingToken);
-          for (const r of byToken) {
-            if (!seenIds.has(r.id)) {
-              seenIds.add(r.id);
-              allRecords.push(r);
-            }
-          }
-        }
+        const allRecords = await this.mailboxRecords(mailboxes, proven,
+          mailbox => this.dhtStorage.getMessages(mailbox));
 
-        console.log(`DHT fetch: found ${allRecords.length} messages for recipient`);
+        console.log(`DHT fetch: found ${allRecords.length} messages in ${proven.size} proven mailboxes`);
 
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({
-            messages: allRecords.map(r => r.toJSON())
-          }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, {
+          messages: allRecords.map(r => binary ? r.toWire() : r.toLegacyJSON())
+        }, binary);
       } else {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Invalid request' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Invalid request' }, binary);
       }
     } catch (error) {
       console.error('DHT fetch error:', error.message);
       try {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Fetch failed' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Fetch failed' }, binary);
       } catch (e) {
         // Stream closed
       }
@@ -630,60 +964,507 @@ Run this node 24/7 to earn DMAIL token rewards!
   }
 
   /**
-   * Handle storage proof requests
+   * Handle sync requests: the records stored under the mailboxes named
+   * after the cursor `since`, streamed in pages of `limit` records, each
+   * with the cursor to resume from. Mailboxes are proven as for a fetch,
+   * with a challenge from the fetch protocol and the action 'sync'.
    */
-  async handleProofRequest({ stream }) {
+  async handleSyncRequest({ stream, connection }) {
+    let binary = false;
     try {
-      let requestData = '';
-      for await (const msg of lp.decode(stream.source)) {
-        requestData = new TextDecoder().decode(msg.subarray());
-        break;
+      const read = await readStorageRequest(stream);
+      const request = read.request;
+      binary = read.binary;
+      const peer = connection?.remotePeer?.toString() || 'unknown';
+      const { mailboxes, tokens } = requestedMailboxes(request);
+      const since = Number.isSafeInteger(request.since) && request.since > 0 ? request.since : 0;
+      const limit = Number.isInteger(request.limit)
+        ? Math.min(Math.max(request.limit, 1), MAX_SYNC_PAGE_SIZE)
+        : DEFAULT_SYNC_PAGE_SIZE;
+
+      if (tokens > MAX_FETCH_TOKENS) {
+        await writeStorageResponse(stream, { error: 'Too many routing tokens' }, binary);
+      } else if (!this.mailboxAuthFailures.check(peer).allowed) {
+        console.log(`Sync refused, too many failed mailbox proofs from ${peer.slice(0, 16)}...`);
+        await writeStorageResponse(stream, { error: 'Too many failed mailbox proofs' }, binary);
+      } else if (request.action === 'sync' && mailboxes.length > 0) {
+        const proven = this.provenMailboxes(peer, request, 'sync');
+        const records = await this.mailboxRecords(mailboxes, proven,
+          mailbox => this.dhtStorage.getMessagesSince(mailbox, since));
+        records.sort((a, b) => a.sequence - b.sequence);
+
+        console.log(`Sync: ${records.length} messages after ${since} in ${proven.size} proven mailboxes`);
+
+        await writeStorageFrames(stream, syncPages(records, limit, binary, since), binary);
+      } else {
+        await writeStorageResponse(stream, { error: 'Invalid request' }, binary);
+      }
+    } catch (error) {
+      console.error('Sync error:', error.message);
+      try {
+        await writeStorageResponse(stream, { error: 'Sync failed' }, binary);
+      } catch (e) {
+        // Stream closed
       }
+    }
+  }
 
-      const request = JSON.parse(requestData);
+  /**
+   * Records of the mailboxes a fetch or sync names, each once: all of those
+   * in proven mailboxes, and group posts, which every member fetches
+   * @param {string[]} mailboxes
+   * @param {Set<string>} proven - See provenMailboxes
+   * @param {Function} read - Mailbox -> Promise<MessageRecord[]>
+   * @returns {Promise<MessageRecord[]>}
+   */
+  async mailboxRecords(mailboxes, proven, read) {
+    const allRecords = [];
+    const seenIds = new Set();
+
+    for (const mailbox of mailboxes) {
+      for (const r of await read(mailbox)) {
+        if (seenIds.has(r.id)) continue;
+        if (!proven.has(mailbox) && !this.isGroupPost(r)) continue;
+        seenIds.add(r.id);
+        allRecords.push(r);
+      }
+    }
+    return allRecords;
+  }
+
+  /**
+   * Handle onion routing requests
+   * Actions: key (our onion public key, for senders building circuits),
+   * relay (a packet: we peel our layer and forward the rest to the next
+   * hop, or, as the exit, store the envelope inside like a direct store).
+   * The response travels back along the circuit, so the sender gets the exit
+   * relay's delivery receipt.
+   */
+  async handleOnionRequest({ stream, connection }) {
+    let binary = false;
+    try {
+      const read = await readStorageRequest(stream);
+      const request = read.request;
+      binary = read.binary;
+      const peer = connection?.remotePeer?.toString() || 'unknown';
+
+      if (request.action === 'key') {
+        await writeStorageResponse(stream, { publicKey: this.onionPublicKey }, binary);
+      } else if (request.action === 'relay' && request.packet?.encryptedPayload) {
+        const result = this.onionRouter.processPacket(OnionPacket.deserialize(request.packet), peer);
+        let response;
+        if (result.type === 'forward' && !result.isExit) {
+          response = await this.forwardOnionPacket(result.nextHopPeerId, result.packet);
+        } else if (result.type === 'exit') {
+          response = await this.deliverOnionMessage(result.destination, result.message);
+        } else if (result.type === 'forward') {
+          // Exits deliver to storage, they do not know where recipients are
+          response = { error: 'Cannot reach destination' };
+        } else {
+          response = { error: 'Invalid onion packet' };
+        }
+        await writeStorageResponse(stream, response, binary);
+      } else {
+        await writeStorageResponse(stream, { error: 'Invalid request' }, binary);
+      }
+    } catch (error) {
+      console.error('Onion request error:', error.message);
+      try {
+        await writeStorageResponse(stream, { error: 'Onion routing failed' }, binary);
+      } catch (e) {
+        // Stream closed
+      }
+    }
+  }
+
+  /**
+   * Send a peeled packet on to the next relay of its circuit
+   * Only relays we are connected to, never an address from the packet.
+   * @returns {Promise<Object>} - The next relay's response
+   */
+  async forwardOnionPacket(nextHopPeerId, packet) {
+    const connection = this.node.getConnections()
+      .find(c => c.remotePeer.toString() === nextHopPeerId);
+    if (!connection) {
+      return { error: 'Next hop not connected' };
+    }
+    return storageRequest(this.node, connection.remotePeer, ONION_PROTOCOL, {
+      action: 'relay',
+      packet: packet.serialize()
+    });
+  }
+
+  /**
+   * Store the envelope of a circuit we are the exit of, and publish it for
+   * recipients online now, as a sender's direct store and publish would
+   * @param {string} destination - Mailbox: the envelope's routing token, or address for plain envelopes
+   * @param {Uint8Array} data - Encoded envelope
+   * @returns {Promise<Object>} - Store response: {success, id, receipt} or {error}
+   */
+  async deliverOnionMessage(destination, data) {
+    let envelope;
+    try {
+      envelope = decodeEnvelope(data);
+    } catch (e) {
+      return { error: 'Invalid envelope' };
+    }
+    if (!verifyEnvelopeStamp(envelope, this.minPowDifficulty)) {
+      return { error: 'Proof of work required', minPowDifficulty: this.minPowDifficulty };
+    }
+    const storageKey = envelope.type === 'sealed' ? envelope.routingToken : envelope.to;
+    if (!storageKey || storageKey !== destination) {
+      return { error: 'Destination does not match envelope' };
+    }
+
+    let record = await this.storeWithReplication(destination, data);
+    if (record) {
+      this.stats.recordMessage(bucketSize(data.length));
+      try {
+        await this.node.services.pubsub.publish(GLOBAL_MAIL_TOPIC, data);
+      } catch (e) {
+        // No gossip peers, the stored copy is enough
+      }
+      console.log(`Delivered onion message (${bucketSize(data.length)}-byte bucket)`);
+    } else {
+      // Sent through the circuit again, the copy we have answers for it
+      record = await this.dhtStorage.getStoredEnvelope(data);
+      if (!record) {
+        return { error: 'Envelope already delivered' };
+      }
+    }
+
+    return { success: true, id: record.id, receipt: this.deliveryReceipt(record) };
+  }
+
+  /**
+   * Whether a record is a group post, stored for every member of the group
+   */
+  isGroupPost(record) {
+    try {
+      return record.envelope().version === GROUP_PROTOCOL_VERSION;
+    } catch (e) {
+      // Not an envelope
+      return false;
+    }
+  }
+
+  /**
+   * Handle storage proof requests
+   */
+  async handleProofRequest({ stream }) {
+    let binary = false;
+    try {
+      const read = await readStorageRequest(stream);
+      const request = read.request;
+      binary = read.binary;
 
       if (request.action === 'verify' && request.recipient && request.messageId) {
         const record = await this.dhtStorage.getMessage(request.recipient, request.messageId);
 
         if (record) {
           const proofResult = await this.dhtStorage.verifyProofs(record);
-          await pipe(
-            [new TextEncoder().encode(JSON.stringify({
-              exists: true,
-              replicationCount: record.replicationCount,
-              proofs: proofResult
-            }))],
-            (source) => lp.encode(source),
-            stream.sink
-          );
+          await writeStorageResponse(stream, {
+            exists: true,
+            replicationCount: record.replicationCount,
+            proofs: proofResult
+          }, binary);
         } else {
-          await pipe(
-            [new TextEncoder().encode(JSON.stringify({ exists: false }))],
-            (source) => lp.encode(source),
-            stream.sink
-          );
+          await writeStorageResponse(stream, { exists: false }, binary);
         }
       } else {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Invalid request' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Invalid request' }, binary);
       }
     } catch (error) {
       console.error('Proof request error:', error.message);
       try {
-        await pipe(
-          [new TextEncoder().encode(JSON.stringify({ error: 'Proof failed' }))],
-          (source) => lp.encode(source),
-          stream.sink
-        );
+        await writeStorageResponse(stream, { error: 'Proof failed' }, binary);
+      } catch (e) {
+        // Stream closed
+      }
+    }
+  }
+
+  /**
+   * Handle key directory requests
+   * Actions: publish (store a signed key record, revocations, device list
+   * and ML-KEM record), lookup (return the newest unrevoked record, the
+   * address's revocations, its device list and its ML-KEM record)
+   */
+  async handleKeysRequest({ stream }) {
+    try {
+      const request = await readRequest(stream);
+
+      if (request.action === 'publish' && request.record) {
+        // Revocations first, so a record for a key revoked in the same request is refused
+        for (const json of request.revocations || []) {
+          const revoked = await this.keyDirectory.revoke(json);
+          if (revoked.stored) {
+            this.putRevocationInDHT(KeyRevocation.fromJSON(json));
+          }
+        }
+
+        if (request.devices) {
+          const devices = await this.keyDirectory.publishDevices(request.devices);
+          if (devices.stored) {
+            this.putDeviceListInDHT(DeviceList.fromJSON(request.devices));
+          }
+        }
+
+        const result = await this.keyDirectory.publish(request.record);
+        if (result.stored) {
+          // Propagate to the rest of the relay network through the DHT
+          this.putKeyRecordInDHT(KeyRecord.fromJSON(request.record));
+        }
+
+        if (request.kemRecord) {
+          const kem = await this.keyDirectory.publishKem(request.kemRecord);
+          if (kem.stored) {
+            this.putKemRecordInDHT(KemKeyRecord.fromJSON(request.kemRecord));
+          }
+        }
+        await writeResponse(stream, { success: result.stored, reason: result.reason });
+      } else if (request.action === 'lookup' && request.address) {
+        let record = await this.keyDirectory.lookup(request.address);
+        let devices = await this.keyDirectory.devices(request.address);
+        let kemRecord = await this.keyDirectory.kemRecord(request.address);
+        if (!record) {
+          // Device lists and ML-KEM records are published with the key
+          // record, so an address that published elsewhere needs all from the DHT
+          record = await this.getKeyRecordFromDHT(request.address);
+          if (record && !devices) {
+            devices = await this.getDeviceListFromDHT(request.address);
+          }
+          if (record && !kemRecord) {
+            kemRecord = await this.getKemRecordFromDHT(record);
+          }
+        }
+        const revocations = await this.keyDirectory.revocations(request.address);
+        await writeResponse(stream, {
+          record: record ? record.toJSON() : null,
+          revocations: revocations.map(revocation => revocation.toJSON()),
+          devices: devices ? devices.toJSON() : null,
+          kemRecord: kemRecord ? kemRecord.toJSON() : null
+        });
+      } else {
+        await writeResponse(stream, { error: 'Invalid request' });
+      }
+    } catch (error) {
+      console.error('Keys request error:', error.message);
+      try {
+        await writeResponse(stream, { error: 'Key request failed' });
+      } catch (e) {
+        // Stream closed
+      }
+    }
+  }
+
+  /**
+   * Handle prekey bundle requests
+   * Actions: upload (store a signed upload), fetch (hand out a bundle with one
+   * one-time prekey), count (remaining one-time prekeys for an address)
+   */
+  async handlePrekeysRequest({ stream }) {
+    try {
+      const request = await readRequest(stream);
+
+      if (request.action === 'upload' && request.upload) {
+        const result = await this.prekeyStorage.upload(request.upload);
+        await writeResponse(stream, {
+          success: result.stored,
+          reason: result.reason,
+          count: result.count
+        });
+      } else if (request.action === 'fetch' && request.address) {
+        const bundle = await this.prekeyStorage.fetch(request.address);
+        await writeResponse(stream, { bundle });
+      } else if (request.action === 'count' && request.address) {
+        const count = await this.prekeyStorage.count(request.address);
+        await writeResponse(stream, { count });
+      } else {
+        await writeResponse(stream, { error: 'Invalid request' });
+      }
+    } catch (error) {
+      console.error('Prekeys request error:', error.message);
+      try {
+        await writeResponse(stream, { error: 'Prekey request failed' });
       } catch (e) {
         // Stream closed
       }
     }
   }
 
+  /**
+   * Put a key record into the DHT so other relays can answer lookups
+   */
+  async putKeyRecordInDHT(record) {
+    const dht = this.node.services.dht;
+    if (!dht) return;
+
+    try {
+      const value = new TextEncoder().encode(JSON.stringify(record.toJSON()));
+      for await (const event of dht.put(keyRecordDHTKey(record.address), value)) {
+        // Drain the query
+      }
+    } catch (e) {
+      console.log(`Key record DHT put failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Put a revocation certificate into the DHT so other relays stop serving the key
+   */
+  async putRevocationInDHT(revocation) {
+    const dht = this.node.services.dht;
+    if (!dht) return;
+
+    try {
+      const value = new TextEncoder().encode(JSON.stringify(revocation.toJSON()));
+      for await (const event of dht.put(revocationDHTKey(revocation.address, revocation.keyId), value)) {
+        // Drain the query
+      }
+    } catch (e) {
+      console.log(`Key revocation DHT put failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Put a device list into the DHT so other relays can answer lookups
+   */
+  async putDeviceListInDHT(list) {
+    const dht = this.node.services.dht;
+    if (!dht) return;
+
+    try {
+      const value = new TextEncoder().encode(JSON.stringify(list.toJSON()));
+      for await (const event of dht.put(deviceListDHTKey(list.address), value)) {
+        // Drain the query
+      }
+    } catch (e) {
+      console.log(`Device list DHT put failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Look up a device list in the DHT and cache it locally
+   */
+  async getDeviceListFromDHT(address) {
+    const dht = this.node.services.dht;
+    if (!dht) return null;
+
+    const lists = [];
+    try {
+      for await (const event of dht.get(deviceListDHTKey(address), { signal: AbortSignal.timeout(10000) })) {
+        if (event.name === 'VALUE') {
+          lists.push(JSON.parse(new TextDecoder().decode(event.value)));
+        }
+      }
+    } catch (e) {
+      // Not found or query timed out
+    }
+
+    const list = selectDeviceList(lists, address);
+    if (!list) return null;
+
+    await this.keyDirectory.publishDevices(list.toJSON());
+    return list;
+  }
+
+  /**
+   * Put an ML-KEM record into the DHT so other relays can answer lookups
+   */
+  async putKemRecordInDHT(record) {
+    const dht = this.node.services.dht;
+    if (!dht) return;
+
+    try {
+      const value = new TextEncoder().encode(JSON.stringify(record.toJSON()));
+      for await (const event of dht.put(kemRecordDHTKey(record.address), value)) {
+        // Drain the query
+      }
+    } catch (e) {
+      console.log(`ML-KEM record DHT put failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * Look up the ML-KEM record paired with a key record in the DHT and cache it locally
+   */
+  async getKemRecordFromDHT(keyRecord) {
+    const dht = this.node.services.dht;
+    if (!dht) return null;
+
+    const records = [];
+    try {
+      for await (const event of dht.get(kemRecordDHTKey(keyRecord.address), { signal: AbortSignal.timeout(10000) })) {
+        if (event.name === 'VALUE') {
+          records.push(JSON.parse(new TextDecoder().decode(event.value)));
+        }
+      }
+    } catch (e) {
+      // Not found or query timed out
+    }
+
+    const record = selectKemKeyRecord(records, keyRecord);
+    if (!record) return null;
+
+    await this.keyDirectory.publishKem(record.toJSON());
+    return record;
+  }
+
+  /**
+   * Look up a revocation for one key in the DHT and store it locally
+   * @returns {Promise<boolean>} - Whether the key is revoked
+   */
+  async getRevocationFromDHT(address, keyId) {
+    const dht = this.node.services.dht;
+    if (!dht) return false;
+
+    try {
+      for await (const event of dht.get(revocationDHTKey(address, keyId), { signal: AbortSignal.timeout(10000) })) {
+        if (event.name === 'VALUE') {
+          const revocation = KeyRevocation.fromJSON(JSON.parse(new TextDecoder().decode(event.value)));
+          if (revocation.keyId === keyId && revocation.verify(address)) {
+            await this.keyDirectory.revoke(revocation.toJSON());
+            return true;
+          }
+        }
+      }
+    } catch (e) {
+      // Not found or query timed out
+    }
+    return false;
+  }
+
+  /**
+   * Look up a key record in the DHT and cache it locally
+   */
+  async getKeyRecordFromDHT(address) {
+    const dht = this.node.services.dht;
+    if (!dht) return null;
+
+    const records = [];
+    try {
+      for await (const event of dht.get(keyRecordDHTKey(address), { signal: AbortSignal.timeout(10000) })) {
+        if (event.name === 'VALUE') {
+          records.push(JSON.parse(new TextDecoder().decode(event.value)));
+        }
+      }
+    } catch (e) {
+      // Not found or query timed out
+    }
+
+    const record = selectKeyRecord(records, address);
+    if (!record) return null;
+
+    // The relay that saw the revocation may not be the one that stored the record
+    if (await this.getRevocationFromDHT(address, record.keyId)) {
+      return null;
+    }
+
+    await this.keyDirectory.publish(record.toJSON());
+    return record;
+  }
+
   /**
    * Handle incoming fetch requests from clients
    * Protocol: client sends their dMail address, relay responds with stored messages
@@ -774,6 +1555,10 @@ Run this node 24/7 to earn DMAIL token rewards!
     if (this.rateLimiter) {
       this.rateLimiter.stop();
     }
+    this.mailboxAuthFailures.stop();
+    if (this.onionRouter) {
+      this.onionRouter.stop();
+    }
     if (this.node) {
       await this.node.stop();
     }
@@ -781,6 +1566,8 @@ Run this node 24/7 to earn DMAIL token rewards!
       await this.statsDb.close();
     }
     await this.dhtStorage.close();
+    await this.keyDirectory.close();
+    await this.prekeyStorage.close();
   }
 
   async getInfo() {
@@ -808,13 +1595,19 @@ if (process.argv[1].endsWith('relay-node.js')) {
   const wallet = process.env.WALLET_ADDRESS;
   const walletPrivateKey = process.env.WALLET_PRIVATE_KEY;
   const network = process.env.NETWORK || 'localhost';
+  const minPowDifficulty = process.env.MIN_POW_DIFFICULTY
+    ? parseInt(process.env.MIN_POW_DIFFICULTY)
+    : undefined;
+  const legacyFetch = process.env.LEGACY_FETCH === 'true';
 
   const relay = new RelayNode({
     port,
     wsPort,
     walletAddress: wallet,
     walletPrivateKey,
-    network
+    network,
+    minPowDifficulty,
+    legacyFetch
   });
 
   relay.start().catch(console.error);
@@ -0,0 +1,203 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { ed25519, x25519 } from '@noble/curves/ed25519';
+import { generateKeyPairFromSeed } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
+
+// Relays keep their databases under the home directory
+const home = mkdtempSync(join(tmpdir(), 'dmail-relay-'));
+process.env.HOME = home;
+
+const { Identity } = await import('../crypto/identity.js');
+const { sealEnvelope, stampEnvelope } = await import('../protocol/envelope.js');
+const { encodeEnvelope } = await import('../protocol/wire.js');
+const { DHTMessageStorage, storageRequest, verifyDeliveryReceipt } = await import('../storage/dht-storage.js');
+const { OnionRouteBuilder, OnionRouter, ONION_PROTOCOL } = await import('./onion-routing.js');
+const { RelayNode, RelayStats } = await import('./relay-node.js');
+
+after(() => rmSync(home, { recursive: true, force: true }));
+
+// Both ends of a stream carrying one request and one response
+function streamPair() {
+  const channel = () => {
+    let deliver;
+    const sent = new Promise(resolve => { deliver = resolve; });
+    return {
+      async sink(source) {
+        const chunks = [];
+        for await (const chunk of source) {
+          chunks.push(chunk);
+        }
+        deliver(chunks);
+      },
+      source: (async function* () {
+        yield* await sent;
+      })()
+    };
+  };
+  const up = channel();
+  const down = channel();
+  return [{ sink: up.sink, source: down.source }, { sink: down.sink, source: up.source }];
+}
+
+// Relays that never start libp2p, connected to each other in memory
+function onionNetwork() {
+  const relays = new Map();
+  const published = [];
+
+  const dial = (from, peerId, protocol) => {
+    const relay = relays.get(peerId.toString());
+    if (protocol !== ONION_PROTOCOL || !relay) {
+      throw new Error(`Cannot dial ${peerId} on ${protocol}`);
+    }
+    const [client, server] = streamPair();
+    relay.handleOnionRequest({ stream: server, connection: { remotePeer: from } });
+    return client;
+  };
+
+  return {
+    relays,
+    published,
+    sender: { dialProtocol: async (peerId, protocol) => dial('12D3KooWSender', peerId, protocol) },
+    async addRelay() {
+      const seed = new Uint8Array(randomBytes(32));
+      const peerId = peerIdFromPrivateKey(await generateKeyPairFromSeed('Ed25519', seed));
+      const relay = new RelayNode({ minPowDifficulty: 8 });
+      relay.dhtStorage = new DHTMessageStorage({
+        dbPath: join(home, peerId.toString()),
+        nodeId: peerId.toString(),
+        signFn: (data) => ed25519.sign(data, seed)
+      });
+      await relay.dhtStorage.init();
+      relay.stats = new RelayStats(null);
+      // No replicas: the exit stores what it delivers itself
+      relay.storeWithReplication = (recipient, data) => relay.dhtStorage.store(recipient, data);
+
+      const onionKey = new Uint8Array(randomBytes(32));
+      relay.onionRouter = new OnionRouter({ privateKey: onionKey, peerId: peerId.toString() });
+      relay.onionPublicKey = Buffer.from(x25519.getPublicKey(onionKey)).toString('base64');
+      relay.node = {
+        peerId,
+        getConnections: () => [...relays.values()]
+          .filter(other => other !== relay)
+          .map(other => ({ remotePeer: other.node.peerId })),
+        dialProtocol: async (to, protocol) => dial(peerId, to, protocol),
+        services: { pubsub: { publish: async (topic, data) => { published.push(data); } } }
+      };
+      relays.set(peerId.toString(), relay);
+      return relay;
+    },
+    async stop() {
+      for (const relay of relays.values()) {
+        relay.onionRouter.stop();
+        relay.rateLimiter.stop();
+        relay.mailboxAuthFailures.stop();
+        await relay.dhtStorage.close();
+      }
+    }
+  };
+}
+
+describe('RelayNode onion circuits', () => {
+  let network;
+  let builder;
+  // What each relay learned from the layer it opened
+  const opened = new Map();
+
+  before(async () => {
+    network = onionNetwork();
+    builder = new OnionRouteBuilder({ hopCount: 3 });
+    for (let i = 0; i < 3; i++) {
+      const relay = await network.addRelay();
+      const peerId = relay.node.peerId.toString();
+      const { publicKey } = await storageRequest(network.sender, peerId, ONION_PROTOCOL, { action: 'key' });
+      builder.registerRelay(peerId, publicKey, `/p2p/${peerId}`);
+
+      const processPacket = relay.onionRouter.processPacket.bind(relay.onionRouter);
+      relay.onionRouter.processPacket = (packet, fromPeer) => {
+        const result = processPacket(packet, fromPeer);
+        opened.get(peerId).push(result);
+        return result;
+      };
+      opened.set(peerId, []);
+    }
+  });
+
+  after(() => network.stop());
+
+  // Each to a recipient of its own, so each has a mailbox of its own
+  async function envelopeData(body) {
+    const recipient = Identity.generate();
+    const envelope = await sealEnvelope(Identity.generate(), { version: '2.0.0' })
+      .to(recipient.address, { encryptionKey: recipient.encryptionPublicKey })
+      .body(body)
+      .build();
+    return { routingToken: envelope.routingToken, data: encodeEnvelope(stampEnvelope(envelope, 8)) };
+  }
+
+  it('carries an envelope hop by hop to the exit, which stores it', async () => {
+    const { routingToken, data } = await envelopeData('Through the circuit');
+    const { packet, route } = builder.buildRoute(data, routingToken, null);
+    for (const results of opened.values()) {
+      results.length = 0;
+    }
+
+    const response = await storageRequest(network.sender, route[0], ONION_PROTOCOL, {
+      action: 'relay',
+      packet: packet.serialize()
+    });
+    assert.equal(response.success, true);
+    assert.equal(await verifyDeliveryReceipt(response.receipt, data, route[2]), true);
+
+    // Each relay opened its own layer once, learning only the hop after it
+    const [entry, middle, exit] = route.map(peerId => opened.get(peerId));
+    assert.equal(entry.length, 1);
+    assert.equal(entry[0].nextHopPeerId, route[1]);
+    assert.equal(middle.length, 1);
+    assert.equal(middle[0].nextHopPeerId, route[2]);
+    for (const result of [...entry, ...middle]) {
+      assert.ok(!JSON.stringify(result).includes(routingToken));
+    }
+    assert.deepEqual(exit.map(result => result.destination), [routingToken]);
+
+    // Only the exit stored it, under the routing token, and published it
+    const exitRelay = network.relays.get(route[2]);
+    const [stored] = await exitRelay.dhtStorage.getMessages(routingToken);
+    assert.equal(stored.id, response.id);
+    for (const peerId of route.slice(0, 2)) {
+      assert.deepEqual(await network.relays.get(peerId).dhtStorage.getMessages(routingToken), []);
+    }
+    assert.ok(network.published.some(published => Buffer.from(published).equals(Buffer.from(data))));
+  });
+
+  it('refuses a packet sent to a relay its outer layer is not for', async () => {
+    const { routingToken, data } = await envelopeData('Wrong entry');
+    const { packet, route } = builder.buildRoute(data, routingToken, null);
+
+    const response = await storageRequest(network.sender, route[1], ONION_PROTOCOL, {
+      action: 'relay',
+      packet: packet.serialize()
+    });
+    assert.deepEqual(response, { error: 'Invalid onion packet' });
+    for (const relay of network.relays.values()) {
+      assert.deepEqual(await relay.dhtStorage.getMessages(routingToken), []);
+    }
+  });
+
+  it('refuses an envelope the exit would store under another mailbox', async () => {
+    const { data } = await envelopeData('Misdirected');
+    const other = await envelopeData('Other mailbox');
+    const { packet, route } = builder.buildRoute(data, other.routingToken, null);
+
+    const response = await storageRequest(network.sender, route[0], ONION_PROTOCOL, {
+      action: 'relay',
+      packet: packet.serialize()
+    });
+    assert.deepEqual(response, { error: 'Destination does not match envelope' });
+    assert.deepEqual(await network.relays.get(route[2]).dhtStorage.getMessages(other.routingToken), []);
+  });
+});
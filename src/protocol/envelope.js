@@ -0,0 +1,375 @@
+/**
+ * Universal Envelope API for dMail
+ *
+ * Two wire formats are in use:
+ * - plain (1.x, message.js): sender and recipient in the clear, content
+ *   encrypted, proof of work
+ * - sealed (2.x, sealed-envelope.js): only a routing token in the clear;
+ *   2.0.0 is classical, 2.1.0 adds ML-KEM-768, 2.2.0 is a group post
+ *   under a sender key (built with DMailNode.sendGroupMessage)
+ *
+ * openEnvelope detects the format and returns one message shape, so callers
+ * never branch on it. sealEnvelope builds the newest version the sender
+ * prefers and the recipient can open.
+ *
+ * Relays only store envelopes with a proof-of-work stamp of the difficulty
+ * they advertise and a timestamp close to their clock (stampEnvelope,
+ * verifyEnvelopeStamp), and store each envelope once (stampHash).
+ */
+
+import { createMessage, parseMessage, MessageParser, PROTOCOL_VERSION as PLAIN_VERSION } from './message.js';
+import {
+  createSealedMessage,
+  parseSealedMessage,
+  outerHash,
+  PROTOCOL_VERSION as SEALED_VERSION,
+  HYBRID_PROTOCOL_VERSION
+} from './sealed-envelope.js';
+import { computeProofOfWork, verifyProofOfWork } from '../crypto/pow.js';
+
+export const ENVELOPE_FORMAT = {
+  PLAIN: 'plain',
+  SEALED: 'sealed'
+};
+
+// Oldest first
+export const ENVELOPE_VERSIONS = [PLAIN_VERSION, SEALED_VERSION, HYBRID_PROTOCOL_VERSION];
+
+// Preferred-version policy: newest the recipient supports
+export const LATEST_VERSION = 'latest';
+
+// Stamp difficulty relays require unless they advertise another
+export const DEFAULT_STAMP_DIFFICULTY = 16;
+// Most a sender will spend on a stamp, whatever a relay asks for
+export const MAX_STAMP_DIFFICULTY = 24;
+// Furthest an envelope's timestamp may be from a relay's clock for its stamp
+// to count, well past the ±5 minute fuzz of sealed envelopes
+export const STAMP_MAX_SKEW = 60 * 60 * 1000;
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Expiry time for mail that should be deleted after a while
+ * @param {string|number} duration - '30m', '12h', '7d', or seconds
+ * @returns {number} - Milliseconds since the epoch
+ */
+export function expiryFromDuration(duration) {
+  const match = String(duration).trim().match(/^(\d+)([smhd]?)$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid expiry: ${duration}`);
+  }
+  return Date.now() + Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Wire format of an envelope
+ * @returns {string} - ENVELOPE_FORMAT value
+ */
+export function envelopeFormat(envelope) {
+  if (!envelope || typeof envelope.version !== 'string') {
+    throw new Error('Not a dMail envelope');
+  }
+  if (envelope.type === 'sealed' && envelope.version.startsWith('2.')) {
+    return ENVELOPE_FORMAT.SEALED;
+  }
+  if (envelope.version.startsWith('1.') && envelope.encrypted) {
+    return ENVELOPE_FORMAT.PLAIN;
+  }
+  throw new Error(`Unsupported envelope version: ${envelope.version}`);
+}
+
+/**
+ * Proof-of-work input of an envelope, hex: the outer hash of a sealed
+ * envelope, the signed hash of a plain one. It leaves out the stamp, so
+ * relays also use it to tell an envelope they have already stored.
+ * @param {Object} envelope - Envelope of any format
+ * @returns {string}
+ */
+export function stampHash(envelope) {
+  const hash = envelopeFormat(envelope) === ENVELOPE_FORMAT.SEALED
+    ? outerHash(envelope)
+    : new MessageParser(null).hashEnvelope(envelope);
+  return Buffer.from(hash).toString('hex');
+}
+
+/**
+ * Stamp an envelope with proof of work, as relays require before storing it
+ * Plain envelopes are built with a stamp already, which is kept if it is
+ * hard enough.
+ * @param {Object} envelope - Envelope as it will be sent
+ * @param {number} difficulty - Leading zero bits, see DMailNode.stampDifficulty
+ * @returns {Object} - The envelope with its stamp (`pow`)
+ */
+export function stampEnvelope(envelope, difficulty) {
+  if (verifyEnvelopeStamp(envelope, difficulty)) {
+    return envelope;
+  }
+  return { ...envelope, pow: computeProofOfWork(stampHash(envelope), difficulty) };
+}
+
+/**
+ * Whether an envelope carries a valid stamp of at least a difficulty, made
+ * for it recently: a stamp is only good while the envelope's timestamp is
+ * within STAMP_MAX_SKEW of our clock, so it cannot be replayed later on
+ * @param {Object} envelope - Envelope of any format
+ * @param {number} minDifficulty - Leading zero bits
+ * @returns {boolean}
+ */
+export function verifyEnvelopeStamp(envelope, minDifficulty) {
+  const pow = envelope?.pow;
+  if (!pow || typeof pow.nonce !== 'string' || !Number.isInteger(pow.difficulty)
+    || pow.difficulty < minDifficulty || pow.difficulty > 256) {
+    return false;
+  }
+  if (!Number.isFinite(envelope.timestamp) || Math.abs(envelope.timestamp - Date.now()) > STAMP_MAX_SKEW) {
+    return false;
+  }
+  try {
+    return verifyProofOfWork(stampHash(envelope), pow);
+  } catch (e) {
+    // Not an envelope, or fields with no canonical encoding
+    return false;
+  }
+}
+
+/**
+ * Decrypt and verify an envelope of any format
+ * @param {Identity} identity - Our identity
+ * @param {Object} envelope - Envelope as received or stored
+ * @param {Object} options - {sessions, keys, contacts, groups}, see
+ *   SealedEnvelopeParser; {resealed} for an inbox copy our storage marks as
+ *   resealed (the forwardSecret field DMailNode keeps with stored mail)
+ * @returns {Promise<Object>} - {format, version, messageId, from, to, cc, bcc,
+ *   group, subject, body, attachments, timestamp, replyTo, threadId,
+ *   readReceipt, expiresAt, verified, sealed, forwardSecret, contactStatus};
+ *   `to` is an array for multi-recipient mail, `bcc` tells whether we were a
+ *   Bcc recipient, `group` is the group address of a group post,
+ *   `readReceipt` whether the sender asked for a read receipt, `expiresAt`
+ *   when the sender wants it deleted
+ */
+export async function openEnvelope(identity, envelope, options = {}) {
+  const format = envelopeFormat(envelope);
+
+  let message;
+  if (format === ENVELOPE_FORMAT.SEALED) {
+    message = await parseSealedMessage(identity, envelope, options);
+  } else {
+    // Plain envelopes do not sign the sender's encryption key, so no contact status
+    const { id, ...parsed } = await parseMessage(identity, envelope, { keys: options.keys });
+    message = { ...parsed, messageId: id, sealed: false, forwardSecret: false, contactStatus: null };
+  }
+
+  return {
+    format,
+    version: envelope.version,
+    messageId: message.messageId,
+    from: message.from,
+    to: message.to,
+    cc: message.cc || [],
+    bcc: message.bcc || false,
+    group: message.group || null,
+    subject: message.subject,
+    body: message.body,
+    attachments: message.attachments || [],
+    timestamp: message.timestamp,
+    replyTo: message.replyTo || null,
+    threadId: message.threadId || null,
+    readReceipt: message.readReceipt || false,
+    expiresAt: message.expiresAt || null,
+    verified: message.verified,
+    sealed: message.sealed,
+    forwardSecret: message.forwardSecret,
+    contactStatus: message.contactStatus
+  };
+}
+
+/**
+ * Build an envelope in the preferred version the recipient can open
+ */
+export class EnvelopeBuilder {
+  /**
+   * @param {Identity} identity - Sender identity
+   * @param {Object} options - {version}: LATEST_VERSION (default) or one of
+   *   ENVELOPE_VERSIONS, the newest version to use
+   */
+  constructor(identity, options = {}) {
+    this.identity = identity;
+    this.recipients = []; // [{field, address, keys}]
+    this.sessions = null;
+    this.messageId = null;
+    this.preferred = LATEST_VERSION;
+    this.content = {
+      subject: '',
+      body: '',
+      attachments: [],
+      readReceipt: false,
+      expiresAt: null
+    };
+    this.prefer(options.version || LATEST_VERSION);
+  }
+
+  /**
+   * Add a To recipient
+   * @param {string} address - Recipient address
+   * @param {Object} keys - {encryptionKey, kemKey, devices, routingKey} from DMailNode.resolveRecipient
+   */
+  to(address, keys) {
+    this.recipients.push({ field: 'to', address, keys });
+    return this;
+  }
+
+  /**
+   * Add a Cc recipient (sealed versions only)
+   */
+  cc(address, keys) {
+    this.recipients.push({ field: 'cc', address, keys });
+    return this;
+  }
+
+  /**
+   * Add a Bcc recipient, hidden from the others (sealed versions only)
+   */
+  bcc(address, keys) {
+    this.recipients.push({ field: 'bcc', address, keys });
+    return this;
+  }
+
+  /**
+   * Newest envelope version to use
+   * @param {string} version - LATEST_VERSION or one of ENVELOPE_VERSIONS
+   */
+  prefer(version) {
+    if (version !== LATEST_VERSION && !ENVELOPE_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported envelope version: ${version}`);
+    }
+    this.preferred = version;
+    return this;
+  }
+
+  subject(s) {
+    this.content.subject = s;
+    return this;
+  }
+
+  body(b) {
+    this.content.body = b;
+    return this;
+  }
+
+  attachment(a) {
+    this.content.attachments.push(a);
+    return this;
+  }
+
+  /**
+   * Ask recipients for a read receipt (sealed versions only, plain
+   * envelopes have nowhere to sign the request)
+   */
+  readReceipt() {
+    this.content.readReceipt = true;
+    return this;
+  }
+
+  /**
+   * Have recipients delete the message at a time (sealed versions only)
+   * @param {number} timestamp - Milliseconds since the epoch, see expiryFromDuration
+   */
+  expiresAt(timestamp) {
+    this.content.expiresAt = timestamp;
+    return this;
+  }
+
+  /**
+   * Ratchet sessions for sealed envelopes (ignored for plain ones)
+   */
+  ratchet(sessions) {
+    this.sessions = sessions;
+    return this;
+  }
+
+  async build() {
+    const [envelope] = await this.buildAll();
+    return envelope;
+  }
+
+  /**
+   * Build one envelope per recipient, each followed by copies for the
+   * recipient's linked devices (sealed versions only: plain envelopes are
+   * addressed to the account, which only the primary device can open)
+   *
+   * The preferred version is lowered per copy to what its recipient
+   * published keys for. The message ID all recipients see is set on the
+   * builder (messageId).
+   * @returns {Promise<Object[]>}
+   */
+  async buildAll() {
+    if (this.recipients.length === 0 || this.recipients.some(recipient => !recipient.keys?.encryptionKey)) {
+      throw new Error('Recipient address and encryption key required');
+    }
+
+    const preferred = this.preferred === LATEST_VERSION
+      ? ENVELOPE_VERSIONS[ENVELOPE_VERSIONS.length - 1]
+      : this.preferred;
+
+    if (preferred === PLAIN_VERSION) {
+      const [recipient] = this.recipients;
+      if (this.recipients.length > 1 || recipient.field !== 'to') {
+        throw new Error(`Envelope ${PLAIN_VERSION} has a single To recipient, use a sealed version for Cc and Bcc`);
+      }
+      if (this.content.expiresAt) {
+        throw new Error(`Envelope ${PLAIN_VERSION} cannot expire, use a sealed version`);
+      }
+      const builder = createMessage(this.identity)
+        .to(recipient.address)
+        .subject(this.content.subject)
+        .body(this.content.body);
+      for (const attachment of this.content.attachments) {
+        builder.attachment(attachment);
+      }
+      const envelope = await builder.build(recipient.keys.encryptionKey);
+      this.messageId = new MessageParser(this.identity).getMessageId(envelope);
+      return [envelope];
+    }
+
+    // The hybrid layer is used for every recipient (and device) with an ML-KEM key
+    const hybrid = preferred === HYBRID_PROTOCOL_VERSION;
+    const builder = createSealedMessage(this.identity)
+      .ratchet(this.sessions)
+      .subject(this.content.subject)
+      .body(this.content.body);
+    for (const { field, address, keys } of this.recipients) {
+      const devices = (keys.devices || []).map(device => (hybrid ? device : { ...device, kemKey: null }));
+      builder
+        .addRecipient(field, address, keys.encryptionKey, hybrid ? keys.kemKey : null)
+        .devices(devices)
+        .routeWith(keys.routingKey || null);
+    }
+    for (const attachment of this.content.attachments) {
+      builder.attachment(attachment);
+    }
+    if (this.content.readReceipt) {
+      builder.readReceipt();
+    }
+    if (this.content.expiresAt) {
+      builder.expiresAt(this.content.expiresAt);
+    }
+
+    const envelopes = await builder.buildAll();
+    this.messageId = builder.messageId;
+    return envelopes;
+  }
+}
+
+/**
+ * Create an envelope builder
+ * @param {Identity} identity - Sender identity
+ * @param {Object} options - {version}, see EnvelopeBuilder
+ */
+export function sealEnvelope(identity, options = {}) {
+  return new EnvelopeBuilder(identity, options);
+}
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Identity } from '../crypto/identity.js';
+import { deriveKemKeyPair } from '../crypto/encryption.js';
+import { sealEnvelope, openEnvelope, expiryFromDuration, ENVELOPE_FORMAT, ENVELOPE_VERSIONS } from './envelope.js';
+
+const classicalKeys = identity => ({ encryptionKey: identity.encryptionPublicKey });
+const hybridKeys = identity => ({
+  encryptionKey: identity.encryptionPublicKey,
+  kemKey: deriveKemKeyPair(identity.encryptionPrivateKey).publicKey
+});
+
+describe('openEnvelope', () => {
+  const sender = Identity.generate();
+  const recipient = Identity.generate();
+
+  it('returns the same message shape for every envelope version', async () => {
+    const messages = [];
+    for (const version of ENVELOPE_VERSIONS) {
+      const builder = sealEnvelope(sender, { version })
+        .to(recipient.address, hybridKeys(recipient))
+        .subject('Hello')
+        .body(`Sent as ${version}`);
+      const envelope = await builder.build();
+      assert.equal(envelope.version, version);
+
+      const message = await openEnvelope(recipient, envelope);
+      assert.equal(message.version, version);
+      assert.equal(message.messageId, builder.messageId);
+      messages.push(message);
+    }
+
+    const [plain, ...sealed] = messages;
+    for (const message of sealed) {
+      assert.deepEqual(Object.keys(message).sort(), Object.keys(plain).sort());
+      assert.equal(message.format, ENVELOPE_FORMAT.SEALED);
+      assert.equal(message.sealed, true);
+    }
+    assert.equal(plain.format, ENVELOPE_FORMAT.PLAIN);
+    assert.equal(plain.sealed, false);
+    assert.equal(plain.contactStatus, null);
+
+    for (const message of messages) {
+      assert.equal(message.from, sender.address);
+      assert.equal(message.subject, 'Hello');
+      assert.equal(message.body, `Sent as ${message.version}`);
+      assert.equal(message.verified, true);
+      assert.deepEqual(message.cc, []);
+      assert.deepEqual(message.attachments, []);
+      assert.equal(message.bcc, false);
+      assert.equal(message.group, null);
+      assert.equal(message.readReceipt, false);
+      assert.equal(message.expiresAt, null);
+    }
+  });
+
+  it('refuses an envelope of a version it does not know', async () => {
+    const envelope = await sealEnvelope(sender).to(recipient.address, hybridKeys(recipient)).body('Hi').build();
+    await assert.rejects(() => openEnvelope(recipient, { ...envelope, version: '3.0.0' }), /Unsupported/);
+    await assert.rejects(() => openEnvelope(recipient, { ...envelope, version: undefined }), /Not a dMail envelope/);
+  });
+});
+
+describe('sealEnvelope versions', () => {
+  const sender = Identity.generate();
+  const hybrid = Identity.generate();
+  const classical = Identity.generate();
+
+  it('lowers the preferred version per recipient to what their keys allow', async () => {
+    const copies = await sealEnvelope(sender)
+      .to(hybrid.address, hybridKeys(hybrid))
+      .cc(classical.address, classicalKeys(classical))
+      .body('Mixed keys')
+      .buildAll();
+    assert.deepEqual(copies.map(copy => copy.version), ['2.1.0', '2.0.0']);
+
+    assert.equal((await openEnvelope(hybrid, copies[0])).body, 'Mixed keys');
+    assert.equal((await openEnvelope(classical, copies[1])).body, 'Mixed keys');
+  });
+
+  it('lowers it per linked device too', async () => {
+    const device = Identity.generateDevice(hybrid.address);
+    const oldDevice = Identity.generateDevice(hybrid.address);
+    const devices = [
+      { deviceId: device.deviceId, ...hybridKeys(device) },
+      { deviceId: oldDevice.deviceId, encryptionKey: oldDevice.encryptionPublicKey, kemKey: null }
+    ];
+    const copies = await sealEnvelope(sender)
+      .to(hybrid.address, { ...hybridKeys(hybrid), devices })
+      .body('To every device')
+      .buildAll();
+    assert.deepEqual(copies.map(copy => copy.version), ['2.1.0', '2.1.0', '2.0.0']);
+    assert.equal((await openEnvelope(oldDevice, copies[2])).body, 'To every device');
+  });
+
+  it('never goes above the version the sender prefers', async () => {
+    const copies = await sealEnvelope(sender, { version: '2.0.0' })
+      .to(hybrid.address, hybridKeys(hybrid))
+      .cc(classical.address, classicalKeys(classical))
+      .body('Classical only')
+      .buildAll();
+    assert.deepEqual(copies.map(copy => copy.version), ['2.0.0', '2.0.0']);
+    assert.equal((await openEnvelope(hybrid, copies[0])).body, 'Classical only');
+  });
+
+  it('keeps plain envelopes to what they can carry', async () => {
+    const plain = () => sealEnvelope(sender, { version: '1.0.0' }).to(hybrid.address, hybridKeys(hybrid)).body('Plain');
+    await assert.rejects(() => plain().cc(classical.address, classicalKeys(classical)).buildAll(), /single To recipient/);
+    await assert.rejects(() => plain().expiresAt(Date.now() + 60000).buildAll(), /cannot expire/);
+    assert.throws(() => sealEnvelope(sender, { version: '0.9.0' }), /Unsupported envelope version/);
+  });
+});
+
+describe('expiring mail', () => {
+  const sender = Identity.generate();
+  const recipient = Identity.generate();
+  const HOUR = 60 * 60 * 1000;
+
+  it('reads durations in seconds, minutes, hours and days', () => {
+    for (const [duration, ms] of [['90', 90000], [90, 90000], ['30m', HOUR / 2], [' 12h ', 12 * HOUR], ['7d', 7 * 24 * HOUR]]) {
+      const before = Date.now();
+      const expiry = expiryFromDuration(duration);
+      assert.ok(expiry >= before + ms && expiry <= Date.now() + ms, `${duration}`);
+    }
+  });
+
+  it('rejects a zero or unreadable duration', () => {
+    for (const duration of [0, '0', '0m', '', 'abc', '-5m', '1.5h', '5w', '10 m', null, undefined]) {
+      assert.throws(() => expiryFromDuration(duration), /Invalid expiry/, `accepted ${duration}`);
+    }
+  });
+
+  it('carries the expiry signed inside, and a coarser hint for relays outside', async () => {
+    const expiresAt = expiryFromDuration('2h');
+    const envelope = await sealEnvelope(sender)
+      .to(recipient.address, classicalKeys(recipient))
+      .body('Gone soon')
+      .expiresAt(expiresAt)
+      .build();
+    assert.ok(envelope.expires >= expiresAt && envelope.expires < expiresAt + HOUR);
+    assert.equal(envelope.expires % HOUR, 0);
+    assert.equal((await openEnvelope(recipient, envelope)).expiresAt, expiresAt);
+  });
+});
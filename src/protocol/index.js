@@ -1 +1,4 @@
 export * from './message.js';
+export * from './envelope.js';
+export * from './wire.js';
+export * from './padding.js';
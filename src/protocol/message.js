@@ -8,7 +8,6 @@
  * - Optional blockchain timestamp reference
  */
 
-import { sha256 } from '@noble/hashes/sha256';
 import {
   encryptMessage,
   decryptMessage,
@@ -24,6 +23,8 @@ import {
   verifyProofOfWork,
   DEFAULT_DIFFICULTY
 } from '../crypto/pow.js';
+import { CANONICAL_VERSION, hashSignedFields } from '../crypto/canonical.js';
+import { padToBucket } from './padding.js';
 
 const PROTOCOL_VERSION = '1.0.0';
 
@@ -79,32 +80,27 @@ export class MessageBuilder {
 
   /**
    * Build and encrypt the message
+   * @param {Uint8Array} recipientKey - Recipient's X25519 key (see DMailNode.resolveEncryptionKey)
    */
-  async build(recipientEncryptionKey = null) {
+  async build(recipientKey) {
     if (!this.message.to) {
       throw new Error('Recipient address required');
     }
 
-    // Get recipient's encryption key
-    let recipientKey = recipientEncryptionKey;
+    // The address only encodes the signing key - the encryption key must
+    // come from the key directory or the blockchain registry
     if (!recipientKey) {
-      // Try to derive from address (this is simplified - in practice
-      // you'd look this up from DHT or blockchain)
-      try {
-        recipientKey = addressToPublicKey(this.message.to);
-      } catch (e) {
-        throw new Error('Recipient encryption key required');
-      }
+      throw new Error('Recipient encryption key required');
     }
 
-    // Serialize the plaintext message
-    const plaintext = new TextEncoder().encode(JSON.stringify({
+    // Serialize the plaintext message, padded to its size bucket
+    const plaintext = padToBucket(new TextEncoder().encode(JSON.stringify({
       subject: this.message.subject,
       body: this.message.body,
       attachments: this.message.attachments,
       replyTo: this.message.replyTo,
       threadId: this.message.threadId
-    }));
+    })));
 
     // Encrypt the message
     const encrypted = encryptMessage(
@@ -116,6 +112,7 @@ export class MessageBuilder {
     // Create the envelope (unencrypted metadata + encrypted content)
     const envelope = {
       version: PROTOCOL_VERSION,
+      canonical: CANONICAL_VERSION,
       from: this.message.from,
       fromEncryptionKey: this.message.fromEncryptionKey,
       to: this.message.to,
@@ -141,15 +138,18 @@ export class MessageBuilder {
     return envelope;
   }
 
+  /**
+   * Hash of the signed fields, also the proof-of-work input
+   */
   hashEnvelope(envelope) {
-    const data = JSON.stringify({
+    return hashSignedFields({
       version: envelope.version,
+      canonical: envelope.canonical,
       from: envelope.from,
       to: envelope.to,
       timestamp: envelope.timestamp,
       encrypted: envelope.encrypted
     });
-    return sha256(new TextEncoder().encode(data));
   }
 }
 
@@ -157,8 +157,13 @@ export class MessageBuilder {
  * Parse and decrypt a received message
  */
 export class MessageParser {
-  constructor(identity) {
+  /**
+   * @param {Identity} identity - Our identity
+   * @param {Object} options - {keys: Keyring} to open mail sent to our encryption subkeys
+   */
+  constructor(identity, options = {}) {
     this.identity = identity;
+    this.keys = options.keys || null;
   }
 
   /**
@@ -193,7 +198,7 @@ export class MessageParser {
 
     // Decrypt the message
     const encrypted = deserializeEncrypted(envelope.encrypted);
-    const plaintext = decryptMessage(encrypted, this.identity.encryptionPrivateKey);
+    const plaintext = await this.decrypt(encrypted);
     const content = JSON.parse(new TextDecoder().decode(plaintext));
 
     return {
@@ -210,15 +215,34 @@ export class MessageParser {
     };
   }
 
+  /**
+   * Decrypt with whichever of our encryption subkeys the sender resolved
+   * v1 envelopes carry no key hint, so every key is tried.
+   */
+  async decrypt(encrypted) {
+    const privateKeys = this.keys
+      ? (await this.keys.decryptionKeys()).map(key => key.privateKey)
+      : [this.identity.encryptionPrivateKey];
+
+    for (const privateKey of privateKeys) {
+      try {
+        return decryptMessage(encrypted, privateKey);
+      } catch (e) {
+        // Encrypted to another subkey
+      }
+    }
+    throw new Error('Message is not encrypted to any of our keys');
+  }
+
   hashEnvelope(envelope) {
-    const data = JSON.stringify({
+    return hashSignedFields({
       version: envelope.version,
+      canonical: envelope.canonical,
       from: envelope.from,
       to: envelope.to,
       timestamp: envelope.timestamp,
       encrypted: envelope.encrypted
     });
-    return sha256(new TextEncoder().encode(data));
   }
 
   getMessageId(envelope) {
@@ -237,8 +261,8 @@ export function createMessage(identity) {
 /**
  * Parse a received message
  */
-export function parseMessage(identity, envelope) {
-  const parser = new MessageParser(identity);
+export function parseMessage(identity, envelope, options = {}) {
+  const parser = new MessageParser(identity, options);
   return parser.parse(envelope);
 }
 
@@ -0,0 +1,66 @@
+/**
+ * Size-Bucket Padding for dMail
+ *
+ * Everything a client encrypts for the network is padded to a bucket size
+ * first, so a ciphertext only tells observers which bucket the message fell
+ * in, not its length. Buckets follow Padmé (Nikitin et al., "Reducing
+ * Metadata Leakage from Encrypted Files and Communication with PURBs"): a
+ * length is rounded up to a multiple of 2^(E - S), where E = floor(log2 L)
+ * and S = floor(log2 E) + 1. That costs at most 12% overhead and leaves
+ * O(log log L) bits of the length, where power-of-two buckets cost up to
+ * 100%. Everything up to MIN_BUCKET is one bucket.
+ *
+ * The padded bytes are JSON (inner envelopes, key wraps, ratchet messages),
+ * so the padding is trailing spaces: JSON.parse ignores them, and clients
+ * from before padding read padded mail unchanged. Padding is deterministic,
+ * so message IDs (a hash of the signed inner envelope) stay the same for
+ * every recipient.
+ */
+
+export const MIN_BUCKET = 1024;
+
+const PADDING_BYTE = 0x20; // " "
+
+/**
+ * Bucket a length is padded to
+ * @param {number} length - Bytes
+ * @returns {number}
+ */
+export function bucketSize(length) {
+  if (length <= MIN_BUCKET) {
+    return MIN_BUCKET;
+  }
+  if (length >= 2 ** 32) {
+    throw new Error('Message too large to pad');
+  }
+  const exponent = 31 - Math.clz32(length);
+  const precision = 32 - Math.clz32(exponent);
+  const step = 2 ** (exponent - precision);
+  return Math.ceil(length / step) * step;
+}
+
+/**
+ * Whether a length is a bucket size, i.e. was padded
+ * @param {number} length - Bytes
+ * @returns {boolean}
+ */
+export function isBucketSize(length) {
+  return length >= MIN_BUCKET && bucketSize(length) === length;
+}
+
+/**
+ * Pad JSON bytes with trailing spaces to their bucket size
+ * Pad last, right before encrypting: compressing padded bytes would squeeze
+ * the padding out again.
+ * @param {Uint8Array} bytes - Serialized JSON
+ * @returns {Uint8Array}
+ */
+export function padToBucket(bytes) {
+  const size = bucketSize(bytes.length);
+  if (size === bytes.length) {
+    return bytes;
+  }
+  const padded = new Uint8Array(size).fill(PADDING_BYTE);
+  padded.set(bytes);
+  return padded;
+}
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIN_BUCKET, bucketSize, isBucketSize, padToBucket } from './padding.js';
+
+describe('Padmé buckets', () => {
+  it('puts everything up to the minimum in one bucket', () => {
+    assert.equal(bucketSize(0), MIN_BUCKET);
+    assert.equal(bucketSize(1), MIN_BUCKET);
+    assert.equal(bucketSize(MIN_BUCKET), MIN_BUCKET);
+  });
+
+  it('rounds up to a multiple of 2^(E - S) at the boundaries', () => {
+    // E = 10, S = 4: steps of 64
+    assert.equal(bucketSize(1025), 1088);
+    assert.equal(bucketSize(1088), 1088);
+    assert.equal(bucketSize(1089), 1152);
+    assert.equal(bucketSize(2047), 2048);
+    // E = 11, S = 4: steps of 128
+    assert.equal(bucketSize(2048), 2048);
+    assert.equal(bucketSize(2049), 2176);
+    // E = 16, S = 5: steps of 2048
+    assert.equal(bucketSize(65535), 65536);
+    assert.equal(bucketSize(65536), 65536);
+    assert.equal(bucketSize(65537), 67584);
+    // E = 20, S = 5: steps of 32768
+    assert.equal(bucketSize(2 ** 20 + 1), 2 ** 20 + 2 ** 15);
+  });
+
+  it('costs at most 12% overhead and is idempotent', () => {
+    for (let length = 1; length < 300000; length += 997) {
+      const size = bucketSize(length);
+      assert.ok(size >= length);
+      assert.ok(length <= MIN_BUCKET || size <= length * 1.12);
+      assert.equal(bucketSize(size), size);
+      assert.ok(isBucketSize(size));
+    }
+  });
+
+  it('tells bucket sizes from other lengths', () => {
+    assert.ok(isBucketSize(1024));
+    assert.ok(isBucketSize(1088));
+    assert.ok(!isBucketSize(1023));
+    assert.ok(!isBucketSize(1025));
+    assert.ok(!isBucketSize(512));
+  });
+
+  it('refuses lengths of 4 GiB and more', () => {
+    assert.throws(() => bucketSize(2 ** 32), /too large/);
+  });
+});
+
+describe('padToBucket', () => {
+  it('pads JSON with trailing spaces that JSON.parse ignores', () => {
+    const json = new TextEncoder().encode(JSON.stringify({ body: 'x'.repeat(1500) }));
+    const padded = padToBucket(json);
+    assert.equal(padded.length, bucketSize(json.length));
+    assert.deepEqual(padded.subarray(0, json.length), json);
+    assert.ok(padded.subarray(json.length).every(byte => byte === 0x20));
+    assert.deepEqual(JSON.parse(new TextDecoder().decode(padded)), { body: 'x'.repeat(1500) });
+  });
+
+  it('leaves bytes of a bucket size as they are', () => {
+    const bytes = new Uint8Array(2048).fill(0x20);
+    assert.equal(padToBucket(bytes), bytes);
+  });
+});
@@ -3,31 +3,121 @@ import { chacha20poly1305 } from '@noble/ciphers/chacha';
 import { sha256 } from '@noble/hashes/sha256';
 import { hkdf } from '@noble/hashes/hkdf';
 import { randomBytes } from 'crypto';
+import { addressToPublicKey, verifySignature } from '../crypto/identity.js';
+import { keyIdFor } from '../crypto/key-directory.js';
+import { blindKeyId, withKemKey } from '../crypto/subkeys.js';
+import { hybridEncapsulate, hybridDecapsulate } from '../crypto/encryption.js';
+import { routingKeyFor, isRoutingKey, recipientRoutingToken, addressRoutingToken, deviceRoutingToken, ownRoutingTokens } from '../crypto/routing.js';
+import { CANONICAL_VERSION, hashSignedFields, canonicalHash } from '../crypto/canonical.js';
+import { padToBucket } from './padding.js';
 
 const PROTOCOL_VERSION = '2.0.0';
+// Sealed layer with hybrid X25519 + ML-KEM-768 key agreement
+const HYBRID_PROTOCOL_VERSION = '2.1.0';
+// Group post encrypted with a sender key (groups.js)
+const GROUP_PROTOCOL_VERSION = '2.2.0';
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION, HYBRID_PROTOCOL_VERSION, GROUP_PROTOCOL_VERSION];
 const INFO_INNER = new TextEncoder().encode('dmail-inner-v2');
 const INFO_OUTER = new TextEncoder().encode('dmail-outer-v2');
+const KEY_WRAP_TYPE = 'key-wrap';
+// Outer expiry hints are rounded up to this, the exact time is only in the signed inner envelope
+const EXPIRY_HINT_GRANULARITY_MS = 60 * 60 * 1000;
 
 /**
  * Create a sealed envelope that hides all metadata
+ *
+ * One To recipient gives one sealed copy of the signed inner envelope. More
+ * recipients (To, Cc, Bcc) give multi-recipient mail: the signed inner
+ * envelope is encrypted once under a random content key, carried in every
+ * copy as `content`, and each copy's sealed layer holds a key wrap for its
+ * recipient. Bcc recipients only appear in their own key wrap.
+ *
+ * A group post (group()) has no recipients: it is one envelope under the
+ * group's routing token, encrypted with the next key of the sender's chain.
+ *
+ * Copies go out under the recipient's contact token for the day when we have
+ * their routing key (routeWith), under their address token otherwise. The
+ * signed inner envelope hands our own routing key to the recipients, so
+ * their replies use our contact tokens (crypto/routing.js).
+ *
+ * The signed inner envelope and whatever the sealed layer carries are padded
+ * to a size bucket (padding.js) before they are encrypted, so ciphertexts
+ * only reveal the bucket.
  */
 export class SealedEnvelopeBuilder {
   constructor(senderIdentity) {
     this.sender = senderIdentity;
-    this.recipient = null;
-    this.recipientKey = null;
+    this.recipients = []; // [{field, address, encryptionKey, kemKey, devices, routingKey}]
+    this.sessions = null;
+    this.groupPost = null;
+    this.messageId = null;
     this.content = {
       subject: '',
       body: '',
       attachments: [],
       replyTo: null,
-      threadId: null
+      threadId: null,
+      readReceipt: false,
+      expiresAt: null
     };
   }
 
-  to(address, encryptionPublicKey) {
-    this.recipient = address;
-    this.recipientKey = encryptionPublicKey;
+  /**
+   * Add a To recipient
+   * @param {string} address - Recipient address
+   * @param {Uint8Array} encryptionPublicKey - X25519 key
+   * @param {Uint8Array} kemPublicKey - ML-KEM-768 key, if the recipient published
+   *   one: their copies are then sealed with the hybrid layer (2.1.0)
+   */
+  to(address, encryptionPublicKey, kemPublicKey = null) {
+    return this.addRecipient('to', address, encryptionPublicKey, kemPublicKey);
+  }
+
+  /**
+   * Add a Cc recipient, listed in the signed envelope like To recipients
+   */
+  cc(address, encryptionPublicKey, kemPublicKey = null) {
+    return this.addRecipient('cc', address, encryptionPublicKey, kemPublicKey);
+  }
+
+  /**
+   * Add a Bcc recipient, hidden from every other recipient
+   */
+  bcc(address, encryptionPublicKey, kemPublicKey = null) {
+    return this.addRecipient('bcc', address, encryptionPublicKey, kemPublicKey);
+  }
+
+  addRecipient(field, address, encryptionKey, kemKey) {
+    if (this.recipients.some(recipient => recipient.address === address)) {
+      throw new Error(`Recipient added twice: ${address}`);
+    }
+    this.recipients.push({ field, address, encryptionKey, kemKey, devices: [], routingKey: null });
+    return this;
+  }
+
+  /**
+   * Also seal copies to the linked devices of the recipient added last (see buildAll)
+   * @param {Object[]} devices - [{deviceId, encryptionKey, kemKey}] from DeviceList.recipients()
+   */
+  devices(devices) {
+    const recipient = this.recipients[this.recipients.length - 1];
+    if (!recipient) {
+      throw new Error('Add a recipient before their devices');
+    }
+    recipient.devices = devices || [];
+    return this;
+  }
+
+  /**
+   * Send to the recipient added last under their contact token
+   * @param {Uint8Array|null} routingKey - Routing key they sent us, see ContactBook.routingKey
+   */
+  routeWith(routingKey) {
+    const recipient = this.recipients[this.recipients.length - 1];
+    if (!recipient) {
+      throw new Error('Add a recipient before their routing key');
+    }
+    recipient.routingKey = routingKey || null;
     return this;
   }
 
@@ -47,136 +137,599 @@ export class SealedEnvelopeBuilder {
   }
 
   /**
-   * Build the sealed envelope
+   * Ask recipients for a signed read receipt (see crypto/receipts.js)
+   */
+  readReceipt() {
+    this.content.readReceipt = true;
+    return this;
+  }
+
+  /**
+   * Have recipients delete the message, attachments included, at a time
+   * Relays get a coarser hint in the outer envelope so they drop their copy early.
+   * @param {number} timestamp - Milliseconds since the epoch
+   */
+  expiresAt(timestamp) {
+    if (!Number.isInteger(timestamp) || timestamp <= Date.now()) {
+      throw new Error('Expiry must be in the future');
+    }
+    this.content.expiresAt = timestamp;
+    return this;
+  }
+
+  /**
+   * Encrypt the signed inner envelope with a Double Ratchet session
+   * Falls back to the static sealed layer when no session can be set up
+   * @param {RatchetSessions} sessions - Ratchet sessions of the sender
+   */
+  ratchet(sessions) {
+    this.sessions = sessions;
+    return this;
+  }
+
+  /**
+   * Post to a group instead of sealing to recipients
+   * @param {string} address - Group address
+   * @param {Object} senderKey - {epoch, keyId, iteration, messageKey} from Groups.nextMessageKey
+   */
+  group(address, senderKey) {
+    this.groupPost = { address, ...senderKey };
+    return this;
+  }
+
+  /**
+   * Build the sealed envelope for the first recipient's primary device
    */
   async build() {
-    if (!this.recipient || !this.recipientKey) {
+    const [envelope] = await this.buildAll();
+    return envelope;
+  }
+
+  /**
+   * Build one envelope per recipient, each followed by one copy per linked
+   * device of that recipient
+   *
+   * Every copy carries the same signed inner envelope, sealed to the device's
+   * key under the device's routing token. Ratchet sessions are kept with the
+   * primary device, so device copies use the sealed layer only. The message
+   * ID all recipients see is set on the builder (messageId).
+   * @returns {Promise<Object[]>}
+   */
+  async buildAll() {
+    if (this.sender.isLinkedDevice) {
+      throw new Error('Linked devices cannot send mail, send from the primary device');
+    }
+    if (this.groupPost) {
+      if (this.recipients.length > 0) {
+        throw new Error('Group posts have no other recipients');
+      }
+      return [this.buildGroup()];
+    }
+    if (this.recipients.length === 0 || this.recipients.some(recipient => !recipient.encryptionKey)) {
       throw new Error('Recipient address and encryption key required');
     }
 
+    const [first] = this.recipients;
+    if (this.recipients.length === 1 && first.field === 'to') {
+      return this.buildSingle(first);
+    }
+    return this.buildMulti();
+  }
+
+  /**
+   * Sign the inner envelope, padded to its size bucket
+   * @param {string|string[]} to - Recipient address, or To addresses of multi-recipient mail
+   * @param {string[]} cc - Cc addresses of multi-recipient mail
+   * @returns {Uint8Array}
+   */
+  signInner(to, cc = null) {
     // === INNER ENVELOPE (encrypted for recipient) ===
     // Contains ALL message data including sender info
     const innerPlaintext = {
       version: PROTOCOL_VERSION,
+      canonical: CANONICAL_VERSION,
       from: this.sender.address,
       fromPublicKey: Buffer.from(this.sender.publicKey).toString('base64'),
       fromEncryptionKey: Buffer.from(this.sender.encryptionPublicKey).toString('base64'),
-      to: this.recipient,
+      to,
+      ...(cc ? { cc } : {}),
+      ...(this.groupPost ? { groupEpoch: this.groupPost.epoch } : {}),
+      // Where replies go, see crypto/routing.js (not handed to whole groups)
+      ...(this.groupPost ? {} : { routingKey: Buffer.from(routingKeyFor(this.sender)).toString('base64') }),
       timestamp: Date.now(),
       subject: this.content.subject,
       body: this.content.body,
       attachments: this.content.attachments,
       replyTo: this.content.replyTo,
-      threadId: this.content.threadId
+      threadId: this.content.threadId,
+      ...(this.content.readReceipt ? { readReceipt: true } : {}),
+      ...(this.content.expiresAt ? { expiresAt: this.content.expiresAt } : {})
     };
 
     // Sign the inner content
-    const innerBytes = new TextEncoder().encode(JSON.stringify(innerPlaintext));
-    const signature = this.sender.sign(sha256(innerBytes));
+    const signature = this.sender.sign(hashSignedFields(innerPlaintext));
     innerPlaintext.signature = Buffer.from(signature).toString('base64');
 
+    // Padded here, so the message ID covers the bytes every recipient decrypts
+    return padToBucket(new TextEncoder().encode(JSON.stringify(innerPlaintext)));
+  }
+
+  /**
+   * Ratchet layer: forward secrecy for the content, the sealed layer below
+   * still hides the sender and ratchet header from the network
+   */
+  async ratchetLayer(address, bytes) {
+    if (!this.sessions || address === this.sender.address) {
+      return bytes;
+    }
+    const ratchetMessage = await this.sessions.encrypt(address, bytes);
+    return ratchetMessage ? new TextEncoder().encode(JSON.stringify(ratchetMessage)) : bytes;
+  }
+
+  async buildSingle(recipient) {
+    const signedInner = this.signInner(recipient.address);
+    this.messageId = messageIdFor(signedInner);
+
+    const envelopes = [
+      this.seal(
+        await this.ratchetLayer(recipient.address, signedInner),
+        recipient.encryptionKey,
+        recipientRoutingToken(recipient.address, recipient.routingKey),
+        recipient.kemKey
+      )
+    ];
+    for (const device of recipient.devices) {
+      envelopes.push(this.seal(
+        signedInner,
+        device.encryptionKey,
+        deviceRoutingToken(recipient.address, device.deviceId),
+        device.kemKey || null
+      ));
+    }
+    return envelopes;
+  }
+
+  async buildMulti() {
+    const addresses = field => this.recipients
+      .filter(recipient => recipient.field === field)
+      .map(recipient => recipient.address);
+    const signedInner = this.signInner(addresses('to'), addresses('cc'));
+    this.messageId = messageIdFor(signedInner);
+
+    // Encrypted once, the same bytes go to every recipient: only the
+    // content key is wrapped per copy
+    const contentKey = new Uint8Array(randomBytes(32));
+    const nonce = randomBytes(12);
+    const content = {
+      nonce: Buffer.from(nonce).toString('base64'),
+      ciphertext: Buffer.from(chacha20poly1305(contentKey, nonce).encrypt(signedInner)).toString('base64')
+    };
+
+    const envelopes = [];
+    for (const recipient of this.recipients) {
+      const wrap = this.wrapKey(recipient, contentKey);
+      envelopes.push({
+        ...this.seal(
+          await this.ratchetLayer(recipient.address, wrap),
+          recipient.encryptionKey,
+          recipientRoutingToken(recipient.address, recipient.routingKey),
+          recipient.kemKey
+        ),
+        content
+      });
+      for (const device of recipient.devices) {
+        envelopes.push({
+          ...this.seal(
+            wrap,
+            device.encryptionKey,
+            deviceRoutingToken(recipient.address, device.deviceId),
+            device.kemKey || null
+          ),
+          content
+        });
+      }
+    }
+    return envelopes;
+  }
+
+  /**
+   * The signed inner envelope, addressed to the group, encrypted with a
+   * message key of our chain
+   * Only members holding the chain can open it; the key ID and iteration
+   * tell them which key to use.
+   */
+  buildGroup() {
+    const { address, keyId, iteration, messageKey } = this.groupPost;
+    const signedInner = this.signInner(address);
+    this.messageId = messageIdFor(signedInner);
+
+    const nonce = randomBytes(12);
+    return {
+      version: GROUP_PROTOCOL_VERSION,
+      type: 'sealed',
+      routingToken: addressRoutingToken(address),
+      // Fuzzed timestamp, as for sealed envelopes
+      timestamp: Date.now() + Math.floor(Math.random() * 600000) - 300000,
+      senderKey: { keyId, iteration },
+      content: {
+        nonce: Buffer.from(nonce).toString('base64'),
+        ciphertext: Buffer.from(chacha20poly1305(messageKey, nonce).encrypt(signedInner)).toString('base64')
+      },
+      ...this.expiryHint()
+    };
+  }
+
+  /**
+   * Outer expiry hint for relays (DHTMessageStorage), expiresAt rounded up
+   * to the hour
+   */
+  expiryHint() {
+    if (!this.content.expiresAt) {
+      return {};
+    }
+    const hours = Math.ceil(this.content.expiresAt / EXPIRY_HINT_GRANULARITY_MS);
+    return { expires: hours * EXPIRY_HINT_GRANULARITY_MS };
+  }
+
+  /**
+   * Content key for one recipient, signed so a recipient cannot pass the
+   * message on as if it had been sent (or Bcc'd) to someone else
+   * @returns {Uint8Array}
+   */
+  wrapKey(recipient, contentKey) {
+    const wrap = {
+      type: KEY_WRAP_TYPE,
+      canonical: CANONICAL_VERSION,
+      messageId: this.messageId,
+      recipient: recipient.address,
+      bcc: recipient.field === 'bcc'
+    };
+    wrap.signature = Buffer.from(this.sender.sign(keyWrapHash(wrap))).toString('base64');
+    wrap.contentKey = Buffer.from(contentKey).toString('base64');
+    return new TextEncoder().encode(JSON.stringify(wrap));
+  }
+
+  /**
+   * Seal content to one key and wrap it in an outer envelope
+   * The outer version tells the recipient which sealed layer was used.
+   * Key wraps and ratchet messages are padded like inner envelopes, so the
+   * payload does not tell Bcc copies or ratchet headers apart either.
+   */
+  seal(content, recipientKey, routingToken, kemKey = null) {
     // Encrypt inner envelope for recipient
-    const innerEncrypted = this.encryptForRecipient(
-      new TextEncoder().encode(JSON.stringify(innerPlaintext)),
-      this.recipientKey
-    );
+    const innerEncrypted = this.encryptForRecipient(padToBucket(content), recipientKey, kemKey);
 
     // === OUTER ENVELOPE (visible on network) ===
     // Contains NO identifying information
-    const routingToken = this.generateRoutingToken(this.recipient);
 
     // Fuzz timestamp to prevent correlation (±5 minutes)
     const fuzzedTimestamp = Date.now() + Math.floor(Math.random() * 600000) - 300000;
 
-    const outerEnvelope = {
-      version: PROTOCOL_VERSION,
+    return {
+      version: kemKey ? HYBRID_PROTOCOL_VERSION : PROTOCOL_VERSION,
       type: 'sealed',
-      // Routing token: derived from recipient address, unlinkable
+      // Routing token: the recipient's contact token, or address token on first contact
       routingToken: routingToken,
       // Fuzzed timestamp
       timestamp: fuzzedTimestamp,
       // Encrypted inner envelope
-      payload: {
-        ephemeralKey: Buffer.from(innerEncrypted.ephemeralKey).toString('base64'),
-        nonce: Buffer.from(innerEncrypted.nonce).toString('base64'),
-        ciphertext: Buffer.from(innerEncrypted.ciphertext).toString('base64')
-      },
-      // Random padding to hide message size
-      padding: Buffer.from(randomBytes(Math.floor(Math.random() * 256))).toString('base64')
+      payload: encodePayload(innerEncrypted, recipientKey),
+      // When relays may drop it, if the sender set an expiry
+      ...this.expiryHint()
     };
-
-    return outerEnvelope;
   }
 
   /**
-   * Encrypt data for recipient using X25519 + ChaCha20-Poly1305
+   * Encrypt data for recipient using X25519 (+ ML-KEM-768) + ChaCha20-Poly1305
    */
-  encryptForRecipient(plaintext, recipientPublicKey) {
-    // Generate ephemeral keypair
-    const ephemeralPrivate = randomBytes(32);
-    const ephemeralPublic = x25519.getPublicKey(ephemeralPrivate);
+  encryptForRecipient(plaintext, recipientPublicKey, kemPublicKey = null) {
+    return sealForRecipient(plaintext, recipientPublicKey, kemPublicKey);
+  }
+}
 
-    // Compute shared secret
-    const sharedSecret = x25519.getSharedSecret(ephemeralPrivate, recipientPublicKey);
+/**
+ * Message ID every recipient of a message sees, for threading: the first 16
+ * bytes of the SHA-256 of the signed inner envelope, hex
+ * @param {Uint8Array} signedInner
+ * @returns {string}
+ */
+export function messageIdFor(signedInner) {
+  return Buffer.from(sha256(signedInner).slice(0, 16)).toString('hex');
+}
 
-    // Derive key
-    const key = hkdf(sha256, sharedSecret, undefined, INFO_INNER, 32);
+/**
+ * Hash a proof-of-work stamp on a sealed envelope is bound to: the
+ * canonical encoding of every outer field except the stamp (`pow`)
+ * @returns {Uint8Array}
+ */
+export function outerHash(envelope) {
+  const { pow, ...outer } = envelope;
+  return canonicalHash(outer);
+}
 
-    // Encrypt
-    const nonce = randomBytes(12);
-    const cipher = chacha20poly1305(key, nonce);
-    const ciphertext = cipher.encrypt(plaintext);
+/**
+ * Hash of the signed fields of a key wrap
+ */
+function keyWrapHash(wrap) {
+  return hashSignedFields({
+    type: wrap.type,
+    canonical: wrap.canonical,
+    messageId: wrap.messageId,
+    recipient: wrap.recipient,
+    bcc: wrap.bcc
+  });
+}
 
+/**
+ * Encrypt data for recipient using X25519 + ChaCha20-Poly1305
+ * With an ML-KEM-768 key the encryption key comes from the hybrid KEM instead.
+ */
+function sealForRecipient(plaintext, recipientPublicKey, kemPublicKey = null) {
+  if (kemPublicKey) {
+    const { ephemeralPublicKey, kemCiphertext, key } = hybridEncapsulate(recipientPublicKey, kemPublicKey);
+    const nonce = randomBytes(12);
     return {
-      ephemeralKey: ephemeralPublic,
-      nonce: nonce,
-      ciphertext: ciphertext
+      ephemeralKey: ephemeralPublicKey,
+      kemCiphertext,
+      nonce,
+      ciphertext: chacha20poly1305(key, nonce).encrypt(plaintext)
     };
   }
 
-  /**
-   * Generate routing token from recipient address
-   * This is a hash that relay nodes use for routing without knowing the actual address
-   */
-  generateRoutingToken(address) {
-    // Use HKDF to derive a routing token that can't be reversed to the address
-    const addressBytes = new TextEncoder().encode(address);
-    const token = hkdf(sha256, addressBytes, undefined, new TextEncoder().encode('dmail-routing-v2'), 16);
-    return Buffer.from(token).toString('hex');
+  // Generate ephemeral keypair
+  const ephemeralPrivate = randomBytes(32);
+  const ephemeralPublic = x25519.getPublicKey(ephemeralPrivate);
+
+  // Compute shared secret
+  const sharedSecret = x25519.getSharedSecret(ephemeralPrivate, recipientPublicKey);
+
+  // Derive key
+  const key = hkdf(sha256, sharedSecret, undefined, INFO_INNER, 32);
+
+  // Encrypt
+  const nonce = randomBytes(12);
+  const cipher = chacha20poly1305(key, nonce);
+  const ciphertext = cipher.encrypt(plaintext);
+
+  return {
+    ephemeralKey: ephemeralPublic,
+    nonce: nonce,
+    ciphertext: ciphertext
+  };
+}
+
+/**
+ * Serialize a sealed payload
+ * The key hint tells the recipient which encryption subkey to use without
+ * revealing it to anyone else.
+ */
+function encodePayload(sealed, recipientPublicKey) {
+  const payload = {
+    ephemeralKey: Buffer.from(sealed.ephemeralKey).toString('base64'),
+    nonce: Buffer.from(sealed.nonce).toString('base64'),
+    ciphertext: Buffer.from(sealed.ciphertext).toString('base64'),
+    keyHint: blindKeyId(keyIdFor(recipientPublicKey), sealed.ephemeralKey)
+  };
+  if (sealed.kemCiphertext) {
+    payload.kemCiphertext = Buffer.from(sealed.kemCiphertext).toString('base64');
   }
+  return payload;
 }
 
 /**
  * Parse and decrypt a sealed envelope
  */
 export class SealedEnvelopeParser {
-  constructor(recipientIdentity) {
+  /**
+   * @param {Identity} recipientIdentity - Our identity
+   * @param {Object} options - {sessions: RatchetSessions} to open ratchet messages,
+   *   {keys: Keyring} to open mail sent to our encryption subkeys,
+   *   {contacts: ContactBook} to pin sender keys and report their status,
+   *   {groups: Groups} to open group posts
+   */
+  constructor(recipientIdentity, options = {}) {
     this.identity = recipientIdentity;
+    this.sessions = options.sessions || null;
+    this.keys = options.keys || null;
+    this.contacts = options.contacts || null;
+    this.groups = options.groups || null;
   }
 
   /**
    * Decrypt and verify a sealed envelope
+   * @param {Object} envelope - Envelope as received or stored
+   * @param {Object} options - {resealed}: whether it is an inbox copy we
+   *   resealed from a forward-secret layer, as our storage records it. Any
+   *   such flag inside the envelope is the sender's word and ignored.
    */
-  async parse(envelope) {
+  async parse(envelope, options = {}) {
     if (envelope.type !== 'sealed') {
       throw new Error('Not a sealed envelope');
     }
 
-    // Decrypt the inner envelope
-    const decrypted = this.decryptPayload(envelope.payload);
-    const inner = JSON.parse(new TextDecoder().decode(decrypted));
+    const { inner, innerBytes, wrap, ratchet } = await this.open(envelope);
 
-    // Verify this message is for us
-    if (inner.to !== this.identity.address) {
+    // Trust on first use for the sender's long-term encryption key
+    let contactStatus = null;
+    if (this.contacts) {
+      ({ status: contactStatus } = await this.contacts.observe(inner.from, {
+        encryptionKey: inner.fromEncryptionKey,
+        routingKey: isRoutingKey(inner.routingKey) ? inner.routingKey : null,
+        timestamp: inner.timestamp
+      }));
+    }
+
+    return {
+      messageId: messageIdFor(innerBytes),
+      from: inner.from,
+      to: inner.to,
+      cc: inner.cc || [],
+      bcc: wrap ? wrap.bcc : false,
+      group: inner.groupEpoch !== undefined ? inner.to : null,
+      subject: inner.subject,
+      body: inner.body,
+      attachments: inner.attachments || [],
+      timestamp: inner.timestamp,
+      replyTo: inner.replyTo,
+      threadId: inner.threadId,
+      readReceipt: inner.readReceipt === true,
+      expiresAt: Number.isInteger(inner.expiresAt) ? inner.expiresAt : null,
+      verified: true,
+      sealed: true,
+      forwardSecret: ratchet || options.resealed === true,
+      contactStatus
+    };
+  }
+
+  /**
+   * Decrypt the sealed layer, and the ratchet layer if present
+   * @returns {{inner: Object, innerBytes: Uint8Array, wrap: Object|null,
+   *   layerBytes: Uint8Array, ratchet: boolean}} - layerBytes is what the
+   *   sealed layer carries once the ratchet layer is removed
+   */
+  async open(envelope) {
+    // Version negotiation: the sealed layer depends on the outer version
+    if (!SUPPORTED_VERSIONS.includes(envelope.version)) {
+      throw new Error(`Unsupported sealed envelope version: ${envelope.version}`);
+    }
+    if (envelope.version === GROUP_PROTOCOL_VERSION) {
+      return this.openGroup(envelope);
+    }
+
+    const decrypted = await this.decryptPayload(envelope.payload, envelope.version);
+    const content = JSON.parse(new TextDecoder().decode(decrypted));
+
+    if (content.type !== 'ratchet') {
+      const opened = await this.openLayer(content, decrypted, envelope);
+      return { ...opened, layerBytes: decrypted, ratchet: false };
+    }
+
+    if (!this.sessions) {
+      throw new Error('Ratchet sessions required to open this message');
+    }
+
+    // The session is only committed once the inner envelope checks out
+    let opened = null;
+    const layerBytes = await this.sessions.decrypt(content, async (plaintext) => {
+      opened = await this.openLayer(JSON.parse(new TextDecoder().decode(plaintext)), plaintext, envelope);
+      const { inner } = opened;
+
+      // The ratchet session is picked by the claimed sender, so bind it
+      // to the address that signed the inner envelope
+      if (inner.from !== content.from) {
+        throw new Error('Ratchet sender mismatch');
+      }
+      if (content.x3dh && content.x3dh.identityKey !== inner.fromEncryptionKey) {
+        throw new Error('X3DH identity key mismatch');
+      }
+    });
+
+    return { ...opened, layerBytes, ratchet: true };
+  }
+
+  /**
+   * Decrypt a group post with the sender key it names
+   * Like a ratchet message, the chain only moves on once the post checks out.
+   */
+  async openGroup(envelope) {
+    if (!this.groups) {
+      throw new Error('Group keys required to open this message');
+    }
+    if (!envelope.senderKey || !envelope.content) {
+      throw new Error('Group envelope without sender key');
+    }
+
+    const key = await this.groups.messageKey(envelope.senderKey.keyId, envelope.senderKey.iteration);
+    const nonce = Buffer.from(envelope.content.nonce, 'base64');
+    const innerBytes = chacha20poly1305(key.messageKey, nonce).decrypt(Buffer.from(envelope.content.ciphertext, 'base64'));
+    const inner = JSON.parse(new TextDecoder().decode(innerBytes));
+
+    // The chain is picked by key ID, so bind it to the member who signed
+    if (inner.from !== key.sender || inner.to !== key.group || inner.groupEpoch !== key.epoch) {
+      throw new Error('Sender key does not match the message');
+    }
+    await this.verifyInner(inner);
+    await key.commit();
+
+    return { inner, innerBytes, wrap: null, layerBytes: innerBytes, ratchet: true };
+  }
+
+  /**
+   * Verify what the sealed layer carried: the signed inner envelope, or for
+   * multi-recipient mail a key wrap for the shared content
+   * @returns {{inner: Object, innerBytes: Uint8Array, wrap: Object|null}}
+   */
+  async openLayer(layer, bytes, envelope) {
+    if (layer.type !== KEY_WRAP_TYPE) {
+      await this.verifyInner(layer);
+      return { inner: layer, innerBytes: bytes, wrap: null };
+    }
+
+    if (!envelope.content) {
+      throw new Error('Multi-recipient envelope without content');
+    }
+    const contentKey = new Uint8Array(Buffer.from(layer.contentKey, 'base64'));
+    const nonce = Buffer.from(envelope.content.nonce, 'base64');
+    const innerBytes = chacha20poly1305(contentKey, nonce).decrypt(Buffer.from(envelope.content.ciphertext, 'base64'));
+    const inner = JSON.parse(new TextDecoder().decode(innerBytes));
+
+    await this.verifyInner(inner, layer);
+    this.verifyWrap(layer, inner, innerBytes);
+    return { inner, innerBytes, wrap: layer };
+  }
+
+  /**
+   * Verify a key wrap was made by the sender, for this message and for us
+   */
+  verifyWrap(wrap, inner, innerBytes) {
+    const me = this.identity.accountAddress;
+    if (wrap.recipient !== me) {
+      throw new Error('Message not addressed to this identity');
+    }
+    if (wrap.messageId !== messageIdFor(innerBytes)) {
+      throw new Error('Key wrap does not match the message');
+    }
+    const listed = [].concat(inner.to || [], inner.cc || []).includes(me);
+    if (!listed && !wrap.bcc) {
+      throw new Error('Message not addressed to this identity');
+    }
+
+    const signature = new Uint8Array(Buffer.from(wrap.signature, 'base64'));
+    if (!verifySignature(keyWrapHash(wrap), signature, addressToPublicKey(inner.from))) {
+      throw new Error('Invalid key wrap signature');
+    }
+  }
+
+  /**
+   * Verify the signed inner envelope is for us and correctly signed
+   * @param {Object} wrap - Key wrap of multi-recipient mail, checked by verifyWrap instead
+   */
+  async verifyInner(inner, wrap = null) {
+    if (inner.groupEpoch !== undefined) {
+      // Group posts are addressed to the group, by and for its members
+      const me = this.identity.accountAddress;
+      const members = this.groups && await this.groups.wasMember(inner.to, inner.from, inner.groupEpoch)
+        && await this.groups.wasMember(inner.to, me, inner.groupEpoch);
+      if (!members) {
+        throw new Error('Group message not between members');
+      }
+    } else if (!wrap && inner.to !== this.identity.accountAddress) {
+      // Verify this message is for us (a linked device receives its account's mail)
       throw new Error('Message not addressed to this identity');
     }
 
+    // The address is the sender's Ed25519 key: a signature by any other key
+    // proves nothing about who sent the message
+    const senderKey = addressToPublicKey(inner.from);
+    if (Buffer.compare(Buffer.from(senderKey), Buffer.from(inner.fromPublicKey, 'base64')) !== 0) {
+      throw new Error('Sender key does not match address');
+    }
+
     // Verify signature
     const signatureBytes = Buffer.from(inner.signature, 'base64');
     const innerCopy = { ...inner };
     delete innerCopy.signature;
-    const innerBytes = new TextEncoder().encode(JSON.stringify(innerCopy));
-    const hash = sha256(innerBytes);
+    const hash = hashSignedFields(innerCopy);
 
     // Get sender's public key
     const senderPublicKey = Buffer.from(inner.fromPublicKey, 'base64');
@@ -188,34 +741,92 @@ export class SealedEnvelopeParser {
     if (!valid) {
       throw new Error('Invalid message signature');
     }
+  }
+
+  /**
+   * Replace a ratchet layer, or a group post's sender key layer, with a
+   * sealed layer to our own key
+   *
+   * Ratchet and sender key message keys are deleted after the first
+   * decryption, so inbox copies are resealed on arrival to stay readable
+   * afterwards. Whether an envelope needs it is decided by opening it, never
+   * by its own fields; callers record that they resealed it.
+   * @returns {Object|null} - Envelope safe to store and parse repeatedly,
+   *   null if it has no such layer
+   */
+  async reseal(envelope) {
+    if (envelope.type !== 'sealed') {
+      return null;
+    }
+
+    const { layerBytes, ratchet } = await this.open(envelope);
+    if (!ratchet) {
+      return null;
+    }
 
+    const own = this.keys
+      ? await this.keys.current()
+      : withKemKey({ privateKey: this.identity.encryptionPrivateKey, publicKey: this.identity.encryptionPublicKey });
+    const sealed = sealForRecipient(layerBytes, own.publicKey, own.kemPublicKey);
+    const { forwardSecret, ...outer } = envelope;
+    if (envelope.version === GROUP_PROTOCOL_VERSION) {
+      // The signed inner envelope is all that is left of a group post
+      delete outer.senderKey;
+      delete outer.content;
+    }
     return {
-      from: inner.from,
-      to: inner.to,
-      subject: inner.subject,
-      body: inner.body,
-      attachments: inner.attachments || [],
-      timestamp: inner.timestamp,
-      replyTo: inner.replyTo,
-      threadId: inner.threadId,
-      verified: true,
-      sealed: true
+      ...outer,
+      version: HYBRID_PROTOCOL_VERSION,
+      payload: encodePayload(sealed, own.publicKey)
     };
   }
 
   /**
-   * Decrypt the payload
+   * Decrypt the payload with whichever of our encryption subkeys it was sealed to
+   */
+  async decryptPayload(payload, version = PROTOCOL_VERSION) {
+    const ephemeralKey = Buffer.from(payload.ephemeralKey, 'base64');
+    const hybrid = version === HYBRID_PROTOCOL_VERSION;
+    if (hybrid && !payload.kemCiphertext) {
+      throw new Error('Hybrid envelope without ML-KEM ciphertext');
+    }
+
+    let candidates = this.keys
+      ? await this.keys.decryptionKeys()
+      : [{
+          keyId: keyIdFor(this.identity.encryptionPublicKey),
+          privateKey: this.identity.encryptionPrivateKey,
+          publicKey: this.identity.encryptionPublicKey
+        }];
+
+    // Envelopes from before subkeys have no hint, so try every key
+    if (payload.keyHint) {
+      const hinted = candidates.filter(key => blindKeyId(key.keyId, ephemeralKey) === payload.keyHint);
+      if (hinted.length > 0) candidates = hinted;
+    }
+
+    for (const key of candidates) {
+      try {
+        return hybrid
+          ? this.decryptHybridWith(payload, withKemKey(key))
+          : this.decryptWith(payload, key.privateKey);
+      } catch (e) {
+        // Sealed to another subkey
+      }
+    }
+    throw new Error('Message is not encrypted to any of our keys');
+  }
+
+  /**
+   * Decrypt the payload with one X25519 private key
    */
-  decryptPayload(payload) {
+  decryptWith(payload, privateKey) {
     const ephemeralKey = Buffer.from(payload.ephemeralKey, 'base64');
     const nonce = Buffer.from(payload.nonce, 'base64');
     const ciphertext = Buffer.from(payload.ciphertext, 'base64');
 
     // Compute shared secret
-    const sharedSecret = x25519.getSharedSecret(
-      this.identity.encryptionPrivateKey,
-      ephemeralKey
-    );
+    const sharedSecret = x25519.getSharedSecret(privateKey, ephemeralKey);
 
     // Derive key
     const key = hkdf(sha256, sharedSecret, undefined, INFO_INNER, 32);
@@ -226,17 +837,23 @@ export class SealedEnvelopeParser {
   }
 
   /**
-   * Check if this envelope is for us (without decrypting)
+   * Decrypt a hybrid payload with one subkey and its ML-KEM-768 keypair
    */
-  isForMe(envelope) {
-    const myToken = this.generateRoutingToken(this.identity.address);
-    return envelope.routingToken === myToken;
+  decryptHybridWith(payload, subkey) {
+    const key = hybridDecapsulate({
+      ephemeralPublicKey: new Uint8Array(Buffer.from(payload.ephemeralKey, 'base64')),
+      kemCiphertext: new Uint8Array(Buffer.from(payload.kemCiphertext, 'base64'))
+    }, subkey);
+
+    const nonce = Buffer.from(payload.nonce, 'base64');
+    return chacha20poly1305(key, nonce).decrypt(Buffer.from(payload.ciphertext, 'base64'));
   }
 
-  generateRoutingToken(address) {
-    const addressBytes = new TextEncoder().encode(address);
-    const token = hkdf(sha256, addressBytes, undefined, new TextEncoder().encode('dmail-routing-v2'), 16);
-    return Buffer.from(token).toString('hex');
+  /**
+   * Check if this envelope is for us (without decrypting)
+   */
+  isForMe(envelope) {
+    return ownRoutingTokens(this.identity).includes(envelope.routingToken);
   }
 }
 
@@ -250,9 +867,9 @@ export function createSealedMessage(identity) {
 /**
  * Parse a sealed message
  */
-export function parseSealedMessage(identity, envelope) {
-  const parser = new SealedEnvelopeParser(identity);
-  return parser.parse(envelope);
+export function parseSealedMessage(identity, envelope, options = {}) {
+  const parser = new SealedEnvelopeParser(identity, options);
+  return parser.parse(envelope, { resealed: options.resealed });
 }
 
-export { PROTOCOL_VERSION };
+export { PROTOCOL_VERSION, HYBRID_PROTOCOL_VERSION, GROUP_PROTOCOL_VERSION };
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Identity } from '../crypto/identity.js';
+import { sealEnvelope, openEnvelope } from './envelope.js';
+
+const keysOf = identity => ({ encryptionKey: identity.encryptionPublicKey });
+
+describe('multi-recipient sealed mail', () => {
+  const sender = Identity.generate();
+  const to = Identity.generate();
+  const cc = Identity.generate();
+  const bcc = Identity.generate();
+
+  async function buildCopies() {
+    const builder = sealEnvelope(sender)
+      .to(to.address, keysOf(to))
+      .cc(cc.address, keysOf(cc))
+      .bcc(bcc.address, keysOf(bcc))
+      .subject('Meeting')
+      .body('Thursday at ten');
+    const copies = await builder.buildAll();
+    return { copies, messageId: builder.messageId };
+  }
+
+  it('gives every recipient a copy they can open', async () => {
+    const { copies, messageId } = await buildCopies();
+    assert.equal(copies.length, 3);
+
+    const [toMessage, ccMessage, bccMessage] = await Promise.all([
+      openEnvelope(to, copies[0]),
+      openEnvelope(cc, copies[1]),
+      openEnvelope(bcc, copies[2])
+    ]);
+    for (const message of [toMessage, ccMessage, bccMessage]) {
+      assert.equal(message.body, 'Thursday at ten');
+      assert.equal(message.from, sender.address);
+      assert.equal(message.messageId, messageId);
+      assert.ok(message.verified);
+    }
+    assert.ok(!toMessage.bcc);
+    assert.ok(!ccMessage.bcc);
+    assert.ok(bccMessage.bcc);
+  });
+
+  it('hides Bcc recipients from To and Cc', async () => {
+    const { copies } = await buildCopies();
+    for (const [identity, copy] of [[to, copies[0]], [cc, copies[1]], [bcc, copies[2]]]) {
+      const message = await openEnvelope(identity, copy);
+      assert.deepEqual(message.to, [to.address]);
+      assert.deepEqual(message.cc, [cc.address]);
+      assert.ok(!JSON.stringify(message.to).includes(bcc.address));
+      assert.ok(!JSON.stringify(message.cc).includes(bcc.address));
+    }
+  });
+
+  it('does not let one recipient open another recipient\'s copy', async () => {
+    const { copies } = await buildCopies();
+    await assert.rejects(() => openEnvelope(to, copies[1]));
+    await assert.rejects(() => openEnvelope(cc, copies[2]));
+    await assert.rejects(() => openEnvelope(bcc, copies[0]));
+  });
+
+  it('encrypts the content once and wraps its key per copy', async () => {
+    const { copies } = await buildCopies();
+    assert.equal(new Set(copies.map(copy => copy.content.ciphertext)).size, 1);
+    assert.equal(new Set(copies.map(copy => copy.payload.ciphertext)).size, copies.length);
+
+    // The content is authenticated under the wrapped key
+    const ciphertext = Buffer.from(copies[0].content.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    const content = { ...copies[0].content, ciphertext: ciphertext.toString('base64') };
+    await assert.rejects(() => openEnvelope(to, { ...copies[0], content }));
+  });
+
+  it('keeps the single-copy format for one To recipient', async () => {
+    const envelope = await sealEnvelope(sender).to(to.address, keysOf(to)).body('Just you').build();
+    assert.equal(envelope.content, undefined);
+    assert.equal((await openEnvelope(to, envelope)).body, 'Just you');
+  });
+});
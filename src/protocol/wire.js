@@ -0,0 +1,185 @@
+/**
+ * Binary Wire Format for dMail
+ *
+ * Envelopes are published, sent to relays and stored as bytes: the header
+ * "DM" and the wire version, followed by the canonical CBOR encoding of the
+ * envelope (crypto/canonical.js). Fields that are base64 or hex text in the
+ * JSON view (keys, nonces, ciphertexts, padding, signatures, routing tokens)
+ * travel as byte strings, so nothing is base64'd twice. A field whose text
+ * would not come back unchanged (non-canonical base64, upper-case hex) stays
+ * text, so decoding always gives back the envelope that was encoded.
+ *
+ * JSON stays the debug and export view (envelopeToJSON). decodeEnvelope
+ * accepts JSON envelopes too, which start with "{", while older clients are
+ * still around.
+ *
+ * Requests and responses of the storage protocols (/dmail/storage/1.0.0/*)
+ * are canonical CBOR frames (encodeFrame); a JSON request is answered in
+ * JSON, with byte strings as base64.
+ */
+
+import { encodeCanonical, decodeCanonical } from '../crypto/canonical.js';
+
+export const WIRE_VERSION = 1;
+
+const WIRE_MAGIC = [0x44, 0x4d]; // "DM"
+const JSON_START = 0x7b; // "{"
+
+// Text fields carried as byte strings, by envelope path
+const ENVELOPE_FIELDS = {
+  routingToken: 'hex',
+  padding: 'base64',
+  signature: 'base64',
+  fromEncryptionKey: 'base64',
+  payload: {
+    ephemeralKey: 'base64',
+    nonce: 'base64',
+    ciphertext: 'base64',
+    kemCiphertext: 'base64',
+    keyHint: 'hex'
+  },
+  content: {
+    nonce: 'base64',
+    ciphertext: 'base64'
+  },
+  senderKey: {
+    keyId: 'hex'
+  },
+  encrypted: {
+    ephemeralPublicKey: 'base64',
+    nonce: 'base64',
+    ciphertext: 'base64'
+  },
+  pow: {
+    hash: 'hex'
+  }
+};
+
+/**
+ * Bytes of a text field, if they encode back to the same text
+ */
+function textToBytes(value, encoding) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const bytes = Buffer.from(value, encoding);
+  return bytes.toString(encoding) === value ? new Uint8Array(bytes) : value;
+}
+
+function toWire(value, fields) {
+  if (!fields || !value || typeof value !== 'object' || Array.isArray(value)) {
+    return value;
+  }
+  const wire = {};
+  for (const [key, field] of Object.entries(value)) {
+    wire[key] = typeof fields[key] === 'string'
+      ? textToBytes(field, fields[key])
+      : toWire(field, fields[key]);
+  }
+  return wire;
+}
+
+function fromWire(value, fields) {
+  if (value instanceof Uint8Array) {
+    if (typeof fields !== 'string') {
+      throw new Error('Unexpected byte string in envelope');
+    }
+    return Buffer.from(value).toString(fields);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fromWire(item, null));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  const envelope = {};
+  for (const [key, field] of Object.entries(value)) {
+    envelope[key] = fromWire(field, fields && typeof fields === 'object' ? fields[key] : null);
+  }
+  return envelope;
+}
+
+/**
+ * Encode an envelope in the binary wire format
+ * @param {Object} envelope - Envelope of any version
+ * @returns {Uint8Array}
+ */
+export function encodeEnvelope(envelope) {
+  const body = encodeCanonical(toWire(envelope, ENVELOPE_FIELDS));
+  const bytes = new Uint8Array(WIRE_MAGIC.length + 1 + body.length);
+  bytes.set(WIRE_MAGIC);
+  bytes[WIRE_MAGIC.length] = WIRE_VERSION;
+  bytes.set(body, WIRE_MAGIC.length + 1);
+  return bytes;
+}
+
+/**
+ * Decode an envelope received or stored as bytes, binary or JSON
+ * @param {Uint8Array} bytes
+ * @returns {Object}
+ */
+export function decodeEnvelope(bytes) {
+  if (bytes[0] === JSON_START) {
+    return JSON.parse(Buffer.from(bytes).toString('utf-8'));
+  }
+  if (bytes[0] !== WIRE_MAGIC[0] || bytes[1] !== WIRE_MAGIC[1]) {
+    throw new Error('Not a dMail envelope');
+  }
+  const version = bytes[WIRE_MAGIC.length];
+  if (version !== WIRE_VERSION) {
+    throw new Error(`Unsupported wire format version: ${version}`);
+  }
+  return fromWire(decodeCanonical(bytes.subarray(WIRE_MAGIC.length + 1)), ENVELOPE_FIELDS);
+}
+
+/**
+ * JSON view of an envelope, for debugging, export and clients that
+ * predate the binary format
+ * @param {Uint8Array} bytes - Envelope, binary or JSON
+ * @returns {string}
+ */
+export function envelopeToJSON(bytes) {
+  return bytes[0] === JSON_START
+    ? Buffer.from(bytes).toString('utf-8')
+    : JSON.stringify(decodeEnvelope(bytes));
+}
+
+/**
+ * Byte strings as base64, for JSON frames
+ */
+function jsonView(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value).toString('base64');
+  }
+  if (Array.isArray(value)) {
+    return value.map(jsonView);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, jsonView(field)]));
+  }
+  return value;
+}
+
+/**
+ * Encode a storage protocol request or response
+ * @param {Object} message - Frame, with envelope data as Uint8Array
+ * @param {boolean} binary - Canonical CBOR, or JSON for peers that predate it
+ * @returns {Uint8Array}
+ */
+export function encodeFrame(message, binary = true) {
+  return binary
+    ? encodeCanonical(message)
+    : new TextEncoder().encode(JSON.stringify(jsonView(message)));
+}
+
+/**
+ * Decode a storage protocol request or response in either encoding
+ * Byte strings of JSON frames are left as base64 text.
+ * @returns {{message: Object, binary: boolean}}
+ */
+export function decodeFrame(bytes) {
+  if (bytes[0] === JSON_START) {
+    return { message: JSON.parse(Buffer.from(bytes).toString('utf-8')), binary: false };
+  }
+  return { message: decodeCanonical(bytes), binary: true };
+}
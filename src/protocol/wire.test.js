@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Identity } from '../crypto/identity.js';
+import { sealEnvelope, stampEnvelope, verifyEnvelopeStamp, openEnvelope, STAMP_MAX_SKEW } from './envelope.js';
+import { WIRE_VERSION, encodeEnvelope, decodeEnvelope, envelopeToJSON, encodeFrame, decodeFrame } from './wire.js';
+
+// Low difficulty: the stamp is checked, not its cost
+const DIFFICULTY = 8;
+
+const sender = Identity.generate();
+const recipient = Identity.generate();
+
+async function buildEnvelope(version) {
+  return sealEnvelope(sender, { version })
+    .to(recipient.address, { encryptionKey: recipient.encryptionPublicKey })
+    .subject('Wire')
+    .body('Binary all the way')
+    .build();
+}
+
+describe('envelope wire format', () => {
+  it('round-trips a stamped sealed envelope', async () => {
+    const envelope = stampEnvelope(await buildEnvelope('2.0.0'), DIFFICULTY);
+    const bytes = encodeEnvelope(envelope);
+
+    assert.deepEqual([...bytes.subarray(0, 3)], [0x44, 0x4d, WIRE_VERSION]);
+    // Base64 and hex fields travel as bytes
+    assert.ok(bytes.length < Buffer.byteLength(JSON.stringify(envelope)));
+
+    const decoded = decodeEnvelope(bytes);
+    assert.deepEqual(decoded, envelope);
+    assert.ok(verifyEnvelopeStamp(decoded, DIFFICULTY));
+
+    const message = await openEnvelope(recipient, decoded);
+    assert.equal(message.body, 'Binary all the way');
+    assert.equal(message.from, sender.address);
+    assert.ok(message.verified);
+  });
+
+  it('round-trips a plain envelope with its stamp', async () => {
+    const envelope = await buildEnvelope('1.0.0');
+    const decoded = decodeEnvelope(encodeEnvelope(envelope));
+    assert.deepEqual(decoded, envelope);
+    assert.ok(verifyEnvelopeStamp(decoded, 1));
+  });
+
+  it('breaks the stamp if an outer field changes on the way', async () => {
+    const envelope = stampEnvelope(await buildEnvelope('2.0.0'), DIFFICULTY);
+    const decoded = decodeEnvelope(encodeEnvelope({ ...envelope, timestamp: envelope.timestamp + 1 }));
+    assert.ok(!verifyEnvelopeStamp(decoded, DIFFICULTY));
+  });
+
+  it('only takes stamps of envelopes with a recent timestamp', async () => {
+    const envelope = await buildEnvelope('2.0.0');
+    const fuzzed = stampEnvelope({ ...envelope, timestamp: Date.now() - 5 * 60 * 1000 }, DIFFICULTY);
+    assert.ok(verifyEnvelopeStamp(decodeEnvelope(encodeEnvelope(fuzzed)), DIFFICULTY));
+
+    for (const timestamp of [Date.now() - STAMP_MAX_SKEW - 60000, Date.now() + STAMP_MAX_SKEW + 60000]) {
+      const stale = stampEnvelope({ ...envelope, timestamp }, DIFFICULTY);
+      assert.ok(!verifyEnvelopeStamp(decodeEnvelope(encodeEnvelope(stale)), DIFFICULTY));
+    }
+  });
+
+  it('keeps text that would not come back from bytes as text', () => {
+    const envelope = { type: 'sealed', routingToken: 'ABCDEF', signature: 'not base64!' };
+    assert.deepEqual(decodeEnvelope(encodeEnvelope(envelope)), envelope);
+  });
+
+  it('reads JSON envelopes and gives a JSON view of binary ones', async () => {
+    const envelope = await buildEnvelope('2.0.0');
+    const json = new TextEncoder().encode(JSON.stringify(envelope));
+    assert.deepEqual(decodeEnvelope(json), envelope);
+    assert.deepEqual(JSON.parse(envelopeToJSON(encodeEnvelope(envelope))), envelope);
+  });
+
+  it('rejects other data and wire versions', () => {
+    assert.throws(() => decodeEnvelope(new Uint8Array([1, 2, 3])), /Not a dMail envelope/);
+    const bytes = encodeEnvelope({ type: 'sealed' });
+    bytes[2] = WIRE_VERSION + 1;
+    assert.throws(() => decodeEnvelope(bytes), /Unsupported wire format version/);
+  });
+});
+
+describe('storage frames', () => {
+  const frame = { action: 'store', data: new Uint8Array([1, 2, 3]), ttl: 60 };
+
+  it('round-trips binary frames', () => {
+    const { message, binary } = decodeFrame(encodeFrame(frame));
+    assert.ok(binary);
+    assert.deepEqual(message, frame);
+  });
+
+  it('writes byte strings as base64 in JSON frames', () => {
+    const { message, binary } = decodeFrame(encodeFrame(frame, false));
+    assert.ok(!binary);
+    assert.deepEqual(message, { action: 'store', data: 'AQID', ttl: 60 });
+  });
+});
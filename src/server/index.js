@@ -9,10 +9,10 @@ import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import { Identity, IdentityStore } from '../crypto/identity.js';
+import { Identity, openIdentityStore } from '../crypto/identity.js';
 import { WalletIdentity, createVerificationChallenge } from '../crypto/wallet-identity.js';
 import { DMailNode } from '../network/node.js';
-import { createMessage, parseMessage } from '../protocol/message.js';
+import { openEnvelope, sealEnvelope, expiryFromDuration } from '../protocol/envelope.js';
 import { addressToPublicKey } from '../crypto/identity.js';
 import { SMTPGateway } from '../gateway/smtp-gateway.js';
 
@@ -84,15 +84,23 @@ app.get('/api/identity', async (req, res) => {
   }
 });
 
+// Open the identity store, unlocking it again with DMAIL_PASSWORD after auto-lock
+async function unlockStore() {
+  if (!store) {
+    store = await openIdentityStore();
+  } else if (!store.unlocked) {
+    await store.unlock(process.env.DMAIL_PASSWORD);
+  }
+  return store;
+}
+
 // Create new identity
 app.post('/api/identity', async (req, res) => {
   try {
     const { name = 'default' } = req.body;
 
     // Check if identity exists
-    if (!store) {
-      store = new IdentityStore();
-    }
+    await unlockStore();
 
     let existing = await store.getIdentity(name);
     if (existing) {
@@ -127,9 +135,7 @@ app.post('/api/identity', async (req, res) => {
 // List all identities
 app.get('/api/identities', async (req, res) => {
   try {
-    if (!store) {
-      store = new IdentityStore();
-    }
+    await unlockStore();
     const identities = await store.listIdentities();
     res.json({ identities });
   } catch (error) {
@@ -156,9 +162,7 @@ app.post('/api/auth/wallet', async (req, res) => {
     identity = WalletIdentity.fromSignature(signature, walletAddress, timestamp);
 
     // Store the identity
-    if (!store) {
-      store = new IdentityStore();
-    }
+    await unlockStore();
     await store.saveIdentity(`wallet:${walletAddress.toLowerCase()}`, identity);
 
     broadcast('identity_created', {
@@ -200,11 +204,11 @@ app.post('/api/node/start', async (req, res) => {
     }
 
     // Handle incoming messages
-    node.onMessage('api', async (envelope) => {
+    node.onMessage('api', async (envelope, messageId) => {
       try {
-        const message = await parseMessage(identity, envelope);
+        const message = await openEnvelope(identity, envelope, { keys: node.keyring });
         broadcast('new_message', {
-          id: message.id,
+          id: messageId,
           from: message.from,
           subject: message.subject,
           timestamp: message.timestamp,
@@ -275,7 +279,7 @@ app.get('/api/messages', async (req, res) => {
 
     for (const msg of messages) {
       try {
-        const decrypted = await parseMessage(identity, msg);
+        const decrypted = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts });
         parsed.push({
           id: msg.id,
           from: decrypted.from,
@@ -286,7 +290,9 @@ app.get('/api/messages', async (req, res) => {
           read: msg.read,
           starred: msg.starred || false,
           encrypted: true,
-          verified: true
+          verified: decrypted.verified,
+          sealed: decrypted.sealed,
+          contactStatus: decrypted.contactStatus
         });
       } catch (e) {
         // Include raw message if decryption fails
@@ -326,15 +332,14 @@ app.get('/api/messages/:id', async (req, res) => {
 
     await node.markAsRead(req.params.id);
 
-    const decrypted = await parseMessage(identity, msg);
+    const decrypted = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts });
     res.json({
       message: {
         id: req.params.id,
         ...decrypted,
         read: true,
         starred: msg.starred || false,
-        encrypted: true,
-        verified: true
+        encrypted: true
       }
     });
   } catch (error) {
@@ -342,6 +347,19 @@ app.get('/api/messages/:id', async (req, res) => {
   }
 });
 
+/**
+ * Recipients of POST /api/messages: `to` is one address or a list, `cc` and
+ * `bcc` are lists
+ * @returns {Object[]} - [{field, address}]
+ */
+function messageRecipients({ to, cc, bcc }) {
+  return [
+    ...[].concat(to || []).map(address => ({ field: 'to', address })),
+    ...[].concat(cc || []).map(address => ({ field: 'cc', address })),
+    ...[].concat(bcc || []).map(address => ({ field: 'bcc', address }))
+  ];
+}
+
 // Send message
 app.post('/api/messages', async (req, res) => {
   try {
@@ -349,42 +367,83 @@ app.post('/api/messages', async (req, res) => {
       return res.status(400).json({ error: 'Node not running. Start the node first.' });
     }
 
-    const { to, subject, body } = req.body;
+    const { to, cc, subject, body, readReceipt, expiresIn, anonymous } = req.body;
+    const recipients = messageRecipients(req.body);
 
-    if (!to) {
+    if (!recipients.some(recipient => recipient.field === 'to')) {
       return res.status(400).json({ error: 'Recipient address required' });
     }
 
-    // Get recipient's public key
-    let recipientKey;
+    // Optional self-destruct: '30m', '12h', '7d' or seconds
+    let expiresAt = null;
+    if (expiresIn !== undefined && expiresIn !== null) {
+      try {
+        expiresAt = expiryFromDuration(expiresIn);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    // Validate recipient addresses
     try {
-      recipientKey = addressToPublicKey(to);
+      recipients.forEach(recipient => addressToPublicKey(recipient.address));
     } catch (e) {
       return res.status(400).json({ error: 'Invalid recipient address' });
     }
 
-    // Build the message
-    const builder = createMessage(identity)
-      .to(to)
+    // Get each recipient's keys and linked devices from the key directory
+    try {
+      for (const recipient of recipients) {
+        recipient.keys = await node.resolveRecipient(recipient.address);
+      }
+    } catch (e) {
+      return res.status(404).json({ error: e.message });
+    }
+
+    // Build the message in the newest envelope version the recipients support
+    const builder = sealEnvelope(identity)
+      .ratchet(node.ratchet)
       .subject(subject || '(no subject)')
       .body(body || '');
+    for (const { field, address, keys } of recipients) {
+      builder[field](address, keys);
+    }
+    if (readReceipt) {
+      builder.readReceipt();
+    }
+    if (expiresAt) {
+      builder.expiresAt(expiresAt);
+    }
 
     console.log('Building encrypted message...');
-    const envelope = await builder.build(recipientKey);
-    console.log('Proof of work completed');
+    const [envelope, ...copies] = await builder.buildAll();
 
     // Send via P2P network
-    const messageId = await node.sendMessage(envelope);
+    const messageId = await node.sendMessage(envelope, copies, {
+      threadMessageId: builder.messageId,
+      recipients: recipients.map(recipient => recipient.address),
+      readReceipt: Boolean(readReceipt),
+      expiresAt,
+      // Through an onion circuit of relays
+      anonymous: Boolean(anonymous)
+    });
+    const sent = await node.getSentMessage(messageId);
 
     // Store in sent folder
     const sentMessage = {
       id: messageId,
+      threadMessageId: builder.messageId,
       from: identity.address,
       to,
+      cc: cc || [],
       subject: subject || '(no subject)',
       body: body || '',
       timestamp: Date.now(),
-      folder: 'sent'
+      folder: 'sent',
+      readReceipt: Boolean(readReceipt),
+      expiresAt,
+      deliveries: sent.deliveries,
+      reads: []
     };
 
     broadcast('message_sent', sentMessage);
@@ -434,6 +493,181 @@ app.patch('/api/messages/:id/star', async (req, res) => {
   }
 });
 
+// Sent messages with their delivery and read receipts (envelopes left out,
+// only their recipients can open them)
+app.get('/api/sent', async (req, res) => {
+  try {
+    if (!node) {
+      return res.json({ messages: [] });
+    }
+
+    const messages = await node.getSentMessages();
+    res.json({
+      messages: messages.map(msg => ({
+        id: msg.id,
+        threadMessageId: msg.threadMessageId,
+        to: msg.recipients,
+        timestamp: msg.sentAt,
+        folder: 'sent',
+        readReceipt: msg.readReceipt,
+        expiresAt: msg.expiresAt,
+        deliveries: msg.deliveries,
+        reads: msg.reads
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ GROUP ENDPOINTS ============
+
+// List groups
+app.get('/api/groups', async (req, res) => {
+  try {
+    if (!node) {
+      return res.json({ groups: [] });
+    }
+    res.json({ groups: await node.groups.list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a group with this identity as its admin
+app.post('/api/groups', async (req, res) => {
+  try {
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const { name } = req.body;
+    if (!name) {
+      return res.status(400).json({ error: 'Group name required' });
+    }
+    const roster = await node.groups.create(name);
+    res.json({ success: true, group: roster.group, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Group details with its current roster
+app.get('/api/groups/:address', async (req, res) => {
+  try {
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const group = await node.groups.get(req.params.address);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({ group: { address: group.address, name: group.name, joined: group.joined, roster: group.roster.toJSON() } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a member (admins only), mailing the new roster to the group
+app.post('/api/groups/:address/members', async (req, res) => {
+  try {
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const { address, role } = req.body;
+    const roster = await node.addGroupMember(req.params.address, address, role);
+    res.json({ success: true, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a member (admins only), starting a new epoch
+app.delete('/api/groups/:address/members/:member', async (req, res) => {
+  try {
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const roster = await node.removeGroupMember(req.params.address, req.params.member);
+    res.json({ success: true, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Group posts
+app.get('/api/groups/:address/messages', async (req, res) => {
+  try {
+    if (!node) {
+      return res.json({ messages: [] });
+    }
+
+    const messages = await node.getGroupMessages(req.params.address);
+    const parsed = [];
+
+    for (const msg of messages) {
+      try {
+        const decrypted = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts, groups: node.groups });
+        parsed.push({
+          id: msg.id,
+          ...decrypted,
+          read: msg.read
+        });
+      } catch (e) {
+        // Sender key not received yet
+        parsed.push({
+          id: msg.id,
+          subject: '[Encrypted]',
+          body: 'Unable to decrypt message',
+          timestamp: msg.timestamp,
+          read: msg.read,
+          error: e.message
+        });
+      }
+    }
+
+    res.json({ messages: parsed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Post to a group
+app.post('/api/groups/:address/messages', async (req, res) => {
+  try {
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running. Start the node first.' });
+    }
+
+    const { subject, body } = req.body;
+    const { messageId, threadMessageId } = await node.sendGroupMessage(req.params.address, {
+      subject: subject || '(no subject)',
+      body: body || ''
+    });
+
+    const sentMessage = {
+      id: messageId,
+      threadMessageId,
+      from: identity.address,
+      group: req.params.address,
+      subject: subject || '(no subject)',
+      body: body || '',
+      timestamp: Date.now(),
+      folder: 'sent'
+    };
+
+    broadcast('message_sent', sentMessage);
+
+    res.json({
+      success: true,
+      messageId,
+      message: sentMessage
+    });
+  } catch (error) {
+    console.error('Group send error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============ SMTP GATEWAY ENDPOINTS ============
 
 // Register a legacy email address for your dMail
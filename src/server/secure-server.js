@@ -5,9 +5,16 @@ import { createServer } from 'http';
 
 import { WalletIdentity } from '../crypto/wallet-identity.js';
 import { DMailNode } from '../network/node.js';
-import { createSealedMessage, parseSealedMessage } from '../protocol/sealed-envelope.js';
+import { openEnvelope, sealEnvelope, expiryFromDuration } from '../protocol/envelope.js';
 import { addressToPublicKey } from '../crypto/identity.js';
 import { UsernameRegistry } from '../registry/username-registry.js';
+import {
+  exportBackup,
+  importBackup,
+  readStoreRecords,
+  restoreStoreRecords,
+  restoreSessionRecords
+} from '../crypto/backup.js';
 import {
   generateNonce,
   authenticateWallet,
@@ -232,12 +239,11 @@ app.post('/api/node/start', async (req, res) => {
     setSessionData(req.sessionToken, { node });
 
     // Handle incoming messages securely
-    node.onMessage('api', async (envelope) => {
+    node.onMessage('api', async (envelope, messageId) => {
       try {
-        // Parse sealed envelope
-        const message = await parseSealedMessage(identity, envelope);
+        const message = await openEnvelope(identity, envelope, { keys: node.keyring });
         broadcast('new_message', {
-          id: message.id,
+          id: messageId,
           // Only show preview, not full content
           hasContent: true,
           timestamp: message.timestamp
@@ -316,7 +322,11 @@ app.get('/api/messages', async (req, res) => {
 
     for (const msg of messages) {
       try {
-        const decrypted = await parseSealedMessage(identity, msg);
+        const decrypted = await openEnvelope(identity, msg, {
+          keys: node.keyring,
+          contacts: node.contacts,
+          resealed: msg.forwardSecret === true
+        });
         parsed.push({
           id: msg.id,
           from: decrypted.from,
@@ -325,7 +335,9 @@ app.get('/api/messages', async (req, res) => {
           preview: decrypted.body ? decrypted.body.slice(0, 100) : '',
           timestamp: decrypted.timestamp,
           read: msg.read,
-          sealed: true
+          sealed: decrypted.sealed,
+          forwardSecret: decrypted.forwardSecret,
+          contactStatus: decrypted.contactStatus
         });
       } catch (e) {
         // Message couldn't be decrypted - don't expose error details
@@ -360,19 +372,30 @@ app.get('/api/messages/:id', async (req, res) => {
 
     await node.markAsRead(req.params.id);
 
-    const decrypted = await parseSealedMessage(identity, msg);
+    const decrypted = await openEnvelope(identity, msg, {
+      keys: node.keyring,
+      contacts: node.contacts,
+      resealed: msg.forwardSecret === true
+    });
     res.json({
       message: {
         id: req.params.id,
+        threadMessageId: decrypted.messageId,
         from: decrypted.from,
         to: decrypted.to,
+        cc: decrypted.cc,
+        bcc: decrypted.bcc,
         subject: decrypted.subject,
         body: decrypted.body,
         attachments: decrypted.attachments,
         timestamp: decrypted.timestamp,
         read: true,
-        sealed: true,
-        verified: decrypted.verified
+        sealed: decrypted.sealed,
+        verified: decrypted.verified,
+        forwardSecret: decrypted.forwardSecret,
+        contactStatus: decrypted.contactStatus,
+        readReceipt: decrypted.readReceipt,
+        expiresAt: decrypted.expiresAt
       }
     });
   } catch (error) {
@@ -380,6 +403,19 @@ app.get('/api/messages/:id', async (req, res) => {
   }
 });
 
+/**
+ * Recipients of POST /api/messages: `to` is one address or a list, `cc` and
+ * `bcc` are lists
+ * @returns {Object[]} - [{field, address}]
+ */
+function messageRecipients({ to, cc, bcc }) {
+  return [
+    ...[].concat(to || []).map(address => ({ field: 'to', address })),
+    ...[].concat(cc || []).map(address => ({ field: 'cc', address })),
+    ...[].concat(bcc || []).map(address => ({ field: 'bcc', address }))
+  ];
+}
+
 // Send message (using sealed envelope)
 app.post('/api/messages', async (req, res) => {
   try {
@@ -388,34 +424,75 @@ app.post('/api/messages', async (req, res) => {
       return res.status(400).json({ error: 'Node not running' });
     }
 
-    const { to, subject, body } = req.body;
+    const { subject, body, readReceipt, expiresIn, anonymous } = req.body;
+    const recipients = messageRecipients(req.body);
 
-    if (!to) {
+    if (!recipients.some(recipient => recipient.field === 'to')) {
       return res.status(400).json({ error: 'Recipient address required' });
     }
 
-    // Validate recipient address
-    let recipientKey;
+    // Optional self-destruct: '30m', '12h', '7d' or seconds
+    let expiresAt = null;
+    if (expiresIn !== undefined && expiresIn !== null) {
+      try {
+        expiresAt = expiryFromDuration(expiresIn);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid expiry' });
+      }
+    }
+
+    // Validate recipient addresses
     try {
-      recipientKey = addressToPublicKey(to);
+      recipients.forEach(recipient => addressToPublicKey(recipient.address));
     } catch (e) {
       return res.status(400).json({ error: 'Invalid recipient address' });
     }
 
-    // Build sealed envelope (encrypts ALL metadata)
-    const builder = createSealedMessage(identity)
-      .to(to, recipientKey)
+    // Look up each recipient's signed encryption key and linked devices
+    try {
+      for (const recipient of recipients) {
+        recipient.keys = await node.resolveRecipient(recipient.address);
+      }
+    } catch (e) {
+      return res.status(404).json({ error: 'Recipient encryption key not found' });
+    }
+
+    // Build sealed envelope (encrypts ALL metadata), ratcheted for forward
+    // secrecy when a recipient has prekeys on the relays
+    const builder = sealEnvelope(identity)
       .subject(subject || '(no subject)')
-      .body(body || '');
+      .body(body || '')
+      .ratchet(node.ratchet);
+    for (const { field, address, keys } of recipients) {
+      builder[field](address, keys);
+    }
+    if (readReceipt) {
+      builder.readReceipt();
+    }
+    if (expiresAt) {
+      builder.expiresAt(expiresAt);
+    }
 
-    const envelope = await builder.build();
+    const [envelope, ...copies] = await builder.buildAll();
 
     // Send via P2P network
-    const messageId = await node.sendMessage(envelope);
+    const messageId = await node.sendMessage(envelope, copies, {
+      threadMessageId: builder.messageId,
+      recipients: recipients.map(recipient => recipient.address),
+      readReceipt: Boolean(readReceipt),
+      expiresAt,
+      // Through an onion circuit of relays
+      anonymous: Boolean(anonymous)
+    });
+    const sent = await node.getSentMessage(messageId);
 
     res.json({
       success: true,
-      messageId
+      messageId,
+      // Same for every recipient, for threading
+      threadMessageId: builder.messageId,
+      deliveryReceipts: sent.deliveries.length,
+      expiresAt
       // Don't echo back message content
     });
   } catch (error) {
@@ -439,6 +516,416 @@ app.delete('/api/messages/:id', async (req, res) => {
   }
 });
 
+// ============ SENT ============
+
+/**
+ * Sent folder entry without the envelope, which only its recipients can open
+ */
+function sentSummary(msg) {
+  return {
+    id: msg.id,
+    threadMessageId: msg.threadMessageId,
+    sentAt: msg.sentAt,
+    recipients: msg.recipients,
+    readReceipt: msg.readReceipt,
+    expiresAt: msg.expiresAt,
+    deliveries: msg.deliveries,
+    reads: msg.reads
+  };
+}
+
+// Sent mail with signed delivery receipts from relays and read receipts from recipients
+app.get('/api/sent', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const messages = await node.getSentMessages();
+    res.json({ messages: messages.map(sentSummary) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list sent messages' });
+  }
+});
+
+app.get('/api/sent/:id', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const msg = await node.getSentMessage(req.params.id);
+    if (!msg) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json({ message: sentSummary(msg) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load sent message' });
+  }
+});
+
+// ============ RATCHET SESSIONS ============
+
+// List forward-secret sessions (metadata only, never key material)
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const sessions = await node.listSessions();
+    res.json({ sessions });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+// Delete a session, the next message to that address starts a new one
+app.delete('/api/sessions/:address', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    await node.deleteSession(req.params.address);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// ============ CONTACTS ============
+
+// List contacts with their key status (verified, unverified, changed)
+app.get('/api/contacts', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const contacts = await node.contacts.list();
+    res.json({ contacts });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list contacts' });
+  }
+});
+
+// Contact details with the safety number to compare out of band
+app.get('/api/contacts/:address', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const contact = (await node.contacts.list()).find(c => c.address === req.params.address);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    const safetyNumber = contact.encryptionKey
+      ? await node.contacts.safetyNumber(req.params.address)
+      : null;
+    const readReceipts = await node.contacts.readReceiptsEnabled(req.params.address);
+    res.json({ contact, safetyNumber, readReceipts });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load contact' });
+  }
+});
+
+// Mark a contact's pinned key as verified after comparing safety numbers
+app.post('/api/contacts/:address/verify', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    await node.contacts.verify(req.params.address);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Accept a changed key as the new pinned key
+app.post('/api/contacts/:address/accept', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    await node.contacts.accept(req.params.address);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Send read receipts to a contact: true, false, or null to follow the default
+app.put('/api/contacts/:address/receipts', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+
+    const { readReceipts } = req.body;
+    if (readReceipts !== null && typeof readReceipts !== 'boolean') {
+      return res.status(400).json({ error: 'readReceipts must be true, false or null' });
+    }
+    try {
+      addressToPublicKey(req.params.address);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    await node.contacts.setReadReceipts(req.params.address, readReceipts);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// ============ GROUPS ============
+
+// List groups with this identity's role in each
+app.get('/api/groups', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.json({ groups: [] });
+    }
+    res.json({ groups: await node.groups.list() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list groups' });
+  }
+});
+
+// Create a group with this identity as its admin
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const { name } = req.body;
+    if (typeof name !== 'string' || name.length === 0 || name.length > 100) {
+      return res.status(400).json({ error: 'Group name required (max 100 characters)' });
+    }
+    const roster = await node.groups.create(name);
+    res.json({ success: true, group: roster.group, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+// Group details with its current signed roster
+app.get('/api/groups/:address', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const group = await node.groups.get(req.params.address);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({ group: { address: group.address, name: group.name, joined: group.joined, roster: group.roster.toJSON() } });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load group' });
+  }
+});
+
+// Add a member (admins only), mailing the new roster to the group
+app.post('/api/groups/:address/members', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const { address, role } = req.body;
+    try {
+      addressToPublicKey(address);
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid member address' });
+    }
+    const roster = await node.addGroupMember(req.params.address, address, role);
+    res.json({ success: true, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a member (admins only), starting a new epoch the member cannot read
+app.delete('/api/groups/:address/members/:member', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+    const roster = await node.removeGroupMember(req.params.address, req.params.member);
+    res.json({ success: true, roster: roster.toJSON() });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Group posts (previews)
+app.get('/api/groups/:address/messages', async (req, res) => {
+  try {
+    const { node, identity } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.json({ messages: [] });
+    }
+
+    const messages = await node.getGroupMessages(req.params.address);
+    const parsed = [];
+
+    for (const msg of messages) {
+      try {
+        const decrypted = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts, groups: node.groups });
+        parsed.push({
+          id: msg.id,
+          from: decrypted.from,
+          subject: decrypted.subject,
+          preview: decrypted.body ? decrypted.body.slice(0, 100) : '',
+          timestamp: decrypted.timestamp,
+          read: msg.read,
+          contactStatus: decrypted.contactStatus
+        });
+      } catch (e) {
+        // Sender key not received yet - don't expose error details
+        parsed.push({
+          id: msg.id,
+          encrypted: true,
+          error: 'Unable to decrypt'
+        });
+      }
+    }
+
+    res.json({ messages: parsed });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch group messages' });
+  }
+});
+
+// Single group post (full content)
+app.get('/api/groups/:address/messages/:id', async (req, res) => {
+  try {
+    const { node, identity } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+
+    const msg = await node.getGroupMessage(req.params.address, req.params.id);
+    if (!msg) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const decrypted = await openEnvelope(identity, msg, { keys: node.keyring, contacts: node.contacts, groups: node.groups });
+    await node.markGroupMessageRead(req.params.address, req.params.id);
+    res.json({
+      message: {
+        id: req.params.id,
+        threadMessageId: decrypted.messageId,
+        group: decrypted.group,
+        from: decrypted.from,
+        subject: decrypted.subject,
+        body: decrypted.body,
+        attachments: decrypted.attachments,
+        timestamp: decrypted.timestamp,
+        read: true,
+        verified: decrypted.verified,
+        contactStatus: decrypted.contactStatus
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read message' });
+  }
+});
+
+// Post to a group: one envelope for all members
+app.post('/api/groups/:address/messages', async (req, res) => {
+  try {
+    const { node } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+
+    const { subject, body } = req.body;
+    const { messageId, threadMessageId } = await node.sendGroupMessage(req.params.address, {
+      subject: subject || '(no subject)',
+      body: body || ''
+    });
+
+    res.json({
+      success: true,
+      messageId,
+      threadMessageId
+    });
+  } catch (error) {
+    console.error('Group send error:', error.message);
+    res.status(500).json({ error: 'Failed to send group message', details: error.message });
+  }
+});
+
+// ============ BACKUP ============
+
+// Export an encrypted backup of this identity's sessions and contacts. The
+// identity key itself is not included: wallet identities are re-derived from
+// the wallet.
+app.post('/api/backup/export', async (req, res) => {
+  try {
+    const { node, identity } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ error: 'Backup password required' });
+    }
+
+    const backup = exportBackup({
+      identities: [],
+      sessions: { [identity.address]: await readStoreRecords(node.sessionStore) },
+      contacts: { [identity.address]: await readStoreRecords(node.contactStore) }
+    }, password);
+
+    res.json({ backup });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export backup' });
+  }
+});
+
+// Restore sessions and contacts for this identity from an encrypted backup
+app.post('/api/backup/import', async (req, res) => {
+  try {
+    const { node, identity } = getSessionData(req.sessionToken);
+    if (!node) {
+      return res.status(400).json({ error: 'Node not running' });
+    }
+
+    const { backup, password } = req.body;
+    if (!backup || !password) {
+      return res.status(400).json({ error: 'Backup and password required' });
+    }
+
+    let restored;
+    try {
+      restored = importBackup(backup, password);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const records = restored.sessions[identity.address] || [];
+    const sessionRecords = await restoreSessionRecords(node.sessionStore, records);
+    const contactRecords = await restoreStoreRecords(node.contactStore, restored.contacts[identity.address] || []);
+
+    res.json({ success: true, sessionRecords, contactRecords });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to import backup' });
+  }
+});
+
 // ============ USERNAME REGISTRATION ============
 
 // Check username availability
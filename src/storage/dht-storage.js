@@ -7,18 +7,38 @@
  * Key features:
  * - Messages stored by recipient address hash
  * - Replication factor K (default 3) for redundancy
- * - Storage proofs for verification
- * - Automatic expiration and cleanup
+ * - Storage proofs for verification, returned to senders as signed
+ *   delivery receipts
+ * - Automatic expiration and cleanup, early for envelopes whose sender set
+ *   an expiry (outer `expires` hint)
+ * - Records kept and exchanged as canonical CBOR with the envelope as bytes
+ *   (protocol/wire.js); JSON records, stored or sent before the binary
+ *   format, are still read
+ * - Deletion once the recipient acks the records (crypto/mailbox.js), on
+ *   every relay holding a copy
+ * - Records numbered in the order a relay stored them, so clients sync
+ *   from a cursor (`since`) in pages streamed over several frames
+ * - Each envelope stored once, however often it arrives while its stamp is
+ *   fresh (stampHash)
  */
 
 import { sha256 } from '@noble/hashes/sha256';
+import { ed25519 } from '@noble/curves/ed25519';
 import { Level } from 'level';
+import { peerIdFromString } from '@libp2p/peer-id';
 import { randomBytes } from 'crypto';
+import { encodeCanonical } from '../crypto/canonical.js';
+import { decodeEnvelope, envelopeToJSON, encodeFrame, decodeFrame } from '../protocol/wire.js';
+import { stampHash, STAMP_MAX_SKEW } from '../protocol/envelope.js';
 
 // Storage configuration
 const DEFAULT_REPLICATION_FACTOR = 3;
-const MESSAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const MESSAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Acks one store request may carry
+export const MAX_ACKS_PER_REQUEST = 32;
 const STORAGE_PREFIX = '/dmail/storage/1.0.0';
+// Message records; keys of sublevels (e.g. "!meta!sequence") sort before them
+const RECORDS = { gt: '!\uffff' };
 
 /**
  * Generate a DHT key for a recipient address
@@ -40,6 +60,26 @@ export function messageKey(recipient, messageId) {
   return `${recipient}:${messageId}`;
 }
 
+/**
+ * When a stored message expires: after the default TTL, or earlier if the
+ * envelope carries its sender's expiry hint
+ * @param {Uint8Array} data - Encoded envelope
+ * @param {number} timestamp - When it was stored
+ * @returns {number}
+ */
+export function recordExpiry(data, timestamp = Date.now()) {
+  const expires = timestamp + MESSAGE_TTL_MS;
+  try {
+    const hint = decodeEnvelope(data).expires;
+    if (Number.isInteger(hint) && hint < expires) {
+      return hint;
+    }
+  } catch (e) {
+    // Not an envelope, keep the default
+  }
+  return expires;
+}
+
 /**
  * Storage Proof - proves a node is storing a message
  */
@@ -100,6 +140,34 @@ export class StorageProof {
   }
 }
 
+/**
+ * Verify a delivery receipt: the storage proof a relay returns from the
+ * store protocol, signed with the Ed25519 key of its peer ID
+ * @param {Object} receipt - StorageProof JSON
+ * @param {Uint8Array} messageData - The data we asked the relay to store
+ * @param {string} nodeId - Peer ID of the relay that answered
+ * @returns {Promise<boolean>}
+ */
+export async function verifyDeliveryReceipt(receipt, messageData, nodeId) {
+  try {
+    if (!receipt || receipt.nodeId !== nodeId) {
+      return false;
+    }
+    // The key comes from the peer we talked to, never from the receipt
+    const peerId = peerIdFromString(nodeId);
+    if (peerId.type !== 'Ed25519') {
+      return false;
+    }
+    const publicKey = peerId.publicKey.raw;
+    return await StorageProof.fromJSON(receipt).verify(
+      messageData,
+      (data, signature) => ed25519.verify(signature, data, publicKey)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * Message Record - wrapper for stored messages with metadata
  */
@@ -107,11 +175,16 @@ export class MessageRecord {
   constructor(options) {
     this.id = options.id || randomBytes(16).toString('hex');
     this.recipient = options.recipient;
-    this.data = options.data; // Base64 encoded message
+    // Encoded envelope, base64 in JSON records
+    this.data = typeof options.data === 'string'
+      ? new Uint8Array(Buffer.from(options.data, 'base64'))
+      : options.data;
     this.timestamp = options.timestamp || Date.now();
     this.expires = options.expires || (Date.now() + MESSAGE_TTL_MS);
     this.storageProofs = options.storageProofs || [];
     this.replicationCount = options.replicationCount || 0;
+    // Order the relay holding the record stored it in, the sync cursor
+    this.sequence = options.sequence || 0;
   }
 
   isExpired() {
@@ -123,7 +196,18 @@ export class MessageRecord {
     this.replicationCount = this.storageProofs.length;
   }
 
-  toJSON() {
+  /**
+   * The stored envelope, decoded
+   * @returns {Object}
+   */
+  envelope() {
+    return decodeEnvelope(this.data);
+  }
+
+  /**
+   * Record for storage protocol frames and the database, envelope as bytes
+   */
+  toWire() {
     return {
       id: this.id,
       recipient: this.recipient,
@@ -131,7 +215,29 @@ export class MessageRecord {
       timestamp: this.timestamp,
       expires: this.expires,
       storageProofs: this.storageProofs.map(p => p.toJSON ? p.toJSON() : p),
-      replicationCount: this.replicationCount
+      replicationCount: this.replicationCount,
+      sequence: this.sequence
+    };
+  }
+
+  /**
+   * JSON view, envelope as base64
+   */
+  toJSON() {
+    return {
+      ...this.toWire(),
+      data: Buffer.from(this.data).toString('base64')
+    };
+  }
+
+  /**
+   * JSON view for peers that predate the binary format: the envelope is
+   * converted to JSON as well (storage proofs still cover the stored bytes)
+   */
+  toLegacyJSON() {
+    return {
+      ...this.toJSON(),
+      data: Buffer.from(envelopeToJSON(this.data)).toString('base64')
     };
   }
 
@@ -150,6 +256,92 @@ export class MessageRecord {
 export const STORE_PROTOCOL = `${STORAGE_PREFIX}/store`;
 export const FETCH_PROTOCOL = `${STORAGE_PREFIX}/fetch`;
 export const PROOF_PROTOCOL = `${STORAGE_PREFIX}/proof`;
+export const SYNC_PROTOCOL = `${STORAGE_PREFIX}/sync`;
+
+/**
+ * Read a record from the database, binary or JSON
+ */
+function decodeRecord(value) {
+  return MessageRecord.fromJSON(decodeFrame(value).message);
+}
+
+/**
+ * Stamp hash of the envelope in record data, and until when its stamp is
+ * fresh; null if the data is not an envelope
+ */
+function envelopeStamp(data) {
+  try {
+    const envelope = decodeEnvelope(data);
+    return { hash: stampHash(envelope), until: envelope.timestamp + STAMP_MAX_SKEW };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Send one request over a storage protocol and read the response
+ * Requests go out as canonical CBOR. A relay from before the binary format
+ * answers those with a JSON error, and then gets the request again as JSON.
+ * @param {Libp2p} node - Our libp2p node
+ * @param {PeerId|string} peerId - Relay to ask
+ * @param {string} protocol - STORE_PROTOCOL, FETCH_PROTOCOL or PROOF_PROTOCOL
+ * @param {Object} request - Request frame, envelope data as Uint8Array
+ * @returns {Promise<Object>} - Response frame; record data may be base64 text
+ */
+export async function storageRequest(node, peerId, protocol, request) {
+  const { pipe } = await import('it-pipe');
+  const lp = await import('it-length-prefixed');
+
+  const exchange = async (binary) => {
+    const stream = await node.dialProtocol(peerId, protocol);
+    await pipe(
+      [encodeFrame(request, binary)],
+      (source) => lp.encode(source),
+      stream.sink
+    );
+    for await (const msg of lp.decode(stream.source)) {
+      return decodeFrame(msg.subarray());
+    }
+    throw new Error('No response');
+  };
+
+  const response = await exchange(true);
+  if (!response.binary && response.message.error) {
+    return (await exchange(false)).message;
+  }
+  return response.message;
+}
+
+/**
+ * Send one request over a storage protocol and read a response streamed
+ * over several frames, up to the one marked `done`
+ * Binary only: relays that stream responses all read the binary format.
+ * @param {Libp2p} node - Our libp2p node
+ * @param {PeerId|string} peerId - Relay to ask
+ * @param {string} protocol - SYNC_PROTOCOL
+ * @param {Object} request - Request frame
+ * @returns {AsyncGenerator<Object>} - Response frames
+ */
+export async function* storageStream(node, peerId, protocol, request) {
+  const { pipe } = await import('it-pipe');
+  const lp = await import('it-length-prefixed');
+
+  const stream = await node.dialProtocol(peerId, protocol);
+  await pipe(
+    [encodeFrame(request, true)],
+    (source) => lp.encode(source),
+    stream.sink
+  );
+  for await (const msg of lp.decode(stream.source)) {
+    const frame = decodeFrame(msg.subarray()).message;
+    if (frame.error) {
+      throw new Error(frame.error);
+    }
+    yield frame;
+    if (frame.done) return;
+  }
+  throw new Error('Stream ended early');
+}
 
 /**
  * DHT Message Storage
@@ -163,15 +355,25 @@ export class DHTMessageStorage {
     this.nodeId = options.nodeId || null;
     this.signFn = options.signFn || null;
     this.verifyFn = options.verifyFn || null;
+    // Last sequence number given to a record, kept in the meta sublevel
+    this.sequence = 0;
+    this.meta = null;
+    // Envelopes stored while their stamp is fresh: stamp hash -> {key, until}
+    this.stamps = null;
+    // Records being numbered, updated or deleted, one at a time
+    this.writing = Promise.resolve();
   }
 
   async init() {
     if (!this.db && this.dbPath) {
-      this.db = new Level(this.dbPath, { valueEncoding: 'json' });
+      this.db = new Level(this.dbPath, { valueEncoding: 'view' });
     }
+    this.meta = this.db.sublevel('meta', { valueEncoding: 'json' });
+    this.stamps = this.db.sublevel('stamps', { valueEncoding: 'json' });
 
     // Clean up expired messages on startup
     await this.cleanupExpired();
+    await this.numberRecords();
 
     // Start periodic cleanup
     this.cleanupInterval = setInterval(() => this.cleanupExpired(), 3600000); // Every hour
@@ -189,28 +391,27 @@ export class DHTMessageStorage {
   /**
    * Store a message for a recipient
    * @param {string} recipient - Recipient dMail address
-   * @param {string} data - Base64 encoded message data
-   * @returns {MessageRecord}
+   * @param {Uint8Array} data - Encoded envelope
+   * @returns {MessageRecord|null} - null if the envelope is stored already
    */
   async store(recipient, data) {
+    const timestamp = Date.now();
     const record = new MessageRecord({
       recipient,
       data,
-      timestamp: Date.now()
+      timestamp,
+      expires: recordExpiry(data, timestamp)
     });
 
     // Create storage proof if we have signing capability
     if (this.nodeId && this.signFn) {
-      const proof = await StorageProof.create(
-        this.nodeId,
-        Buffer.from(data, 'base64'),
-        this.signFn
-      );
+      const proof = await StorageProof.create(this.nodeId, data, this.signFn);
       record.addProof(proof);
     }
 
-    const key = messageKey(recipient, record.id);
-    await this.db.put(key, record.toJSON());
+    if (!await this.appendRecord(record, envelopeStamp(data))) {
+      return null;
+    }
 
     console.log(`Stored message ${record.id.slice(0, 8)}... for ${recipient.slice(0, 16)}...`);
     return record;
@@ -219,22 +420,156 @@ export class DHTMessageStorage {
   /**
    * Store a message record (used for replication)
    * @param {MessageRecord} record - The message record to store
+   * @returns {MessageRecord|null} - null if the envelope is stored already
    */
   async storeRecord(record) {
+    // Never longer than we would keep it ourselves
+    record.expires = Math.min(record.expires, recordExpiry(record.data));
+
     // Add our own storage proof
     if (this.nodeId && this.signFn) {
-      const proof = await StorageProof.create(
-        this.nodeId,
-        Buffer.from(record.data, 'base64'),
-        this.signFn
-      );
+      const proof = await StorageProof.create(this.nodeId, record.data, this.signFn);
       record.addProof(proof);
     }
 
-    const key = messageKey(record.recipient, record.id);
-    await this.db.put(key, record.toJSON());
+    // Our own place in the order, not the sending relay's
+    if (!await this.appendRecord(record, envelopeStamp(record.data))) {
+      return null;
+    }
 
     console.log(`Replicated message ${record.id.slice(0, 8)}... (proof #${record.replicationCount})`);
+    return record;
+  }
+
+  /**
+   * The record an envelope was stored in, while its stamp is fresh
+   * @param {Uint8Array} data - Encoded envelope
+   * @returns {MessageRecord|null} - null if not stored, or deleted since
+   */
+  async getStoredEnvelope(data) {
+    const stamp = envelopeStamp(data);
+    try {
+      const { key } = await this.stamps.get(stamp.hash);
+      const record = decodeRecord(await this.db.get(key));
+      return record.isExpired() ? null : record;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Add the proofs of a record's replicas to the record as stored now
+   * Replication takes a while, and the recipient may ack the record in the
+   * meantime: a record deleted or expired since is not written back.
+   * @param {string} recipient - Recipient address
+   * @param {string} messageId - Message ID
+   * @param {StorageProof[]} proofs
+   * @returns {Promise<boolean>} - false if the record is gone
+   */
+  async addProofs(recipient, messageId, proofs) {
+    return this.serialize(async () => {
+      const record = await this.getMessage(recipient, messageId);
+      if (!record) {
+        return false;
+      }
+      const holders = new Set(record.storageProofs.map(proof => proof.nodeId));
+      for (const proof of proofs) {
+        if (!holders.has(proof.nodeId)) {
+          holders.add(proof.nodeId);
+          record.addProof(proof);
+        }
+      }
+      await this.db.put(messageKey(recipient, messageId), encodeCanonical(record.toWire()));
+      return true;
+    });
+  }
+
+  /**
+   * Run a write after the ones started before it
+   * @param {Function} write - async () => result
+   * @returns {Promise} - The result of the write
+   */
+  serialize(write) {
+    const run = this.writing.then(write);
+    // The next write waits for this one, done or failed
+    this.writing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Write a new record under the next sequence number
+   * Records are numbered and written one at a time, together with the
+   * counter, so a sync never gets past a number whose record is still being
+   * written, and numbers keep growing across restarts whatever the clock does.
+   * With the envelope's stamp, the record is only written if that envelope
+   * was not stored before, so a replayed or resent envelope is stored once.
+   * @param {MessageRecord} record
+   * @param {Object} [stamp] - {hash, until} of the envelope (envelopeStamp)
+   * @returns {Promise<boolean>} - false if the envelope is stored already
+   */
+  async appendRecord(record, stamp = null) {
+    return this.serialize(async () => {
+      if (stamp && await this.hasStamp(stamp.hash)) {
+        return false;
+      }
+
+      const sequence = this.sequence + 1;
+      record.sequence = sequence;
+      const key = messageKey(record.recipient, record.id);
+      const operations = [
+        { type: 'put', key, value: encodeCanonical(record.toWire()) },
+        { type: 'put', sublevel: this.meta, key: 'sequence', value: sequence }
+      ];
+      if (stamp) {
+        operations.push({ type: 'put', sublevel: this.stamps, key: stamp.hash, value: { key, until: stamp.until } });
+      }
+      await this.db.batch(operations);
+      this.sequence = sequence;
+      return true;
+    });
+  }
+
+  /**
+   * Whether an envelope with this stamp hash was stored
+   * @param {string} hash - stampHash of the envelope
+   * @returns {Promise<boolean>}
+   */
+  async hasStamp(hash) {
+    try {
+      await this.stamps.get(hash);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Continue after the last sequence number given out, and number records
+   * stored before sync in the order they were stored
+   */
+  async numberRecords() {
+    try {
+      this.sequence = await this.meta.get('sequence');
+    } catch (e) {
+      // No counter yet: numbers used to follow the clock, and clients may
+      // hold cursors from then
+      this.sequence = Date.now();
+    }
+
+    const unnumbered = [];
+    for await (const [, value] of this.db.iterator(RECORDS)) {
+      const record = decodeRecord(value);
+      if (record.sequence) {
+        this.sequence = Math.max(this.sequence, record.sequence);
+      } else {
+        unnumbered.push(record);
+      }
+    }
+
+    unnumbered.sort((a, b) => a.timestamp - b.timestamp);
+    for (const record of unnumbered) {
+      await this.appendRecord(record);
+    }
   }
 
   /**
@@ -246,9 +581,9 @@ export class DHTMessageStorage {
     const messages = [];
     const prefix = `${recipient}:`;
 
-    for await (const [key, value] of this.db.iterator()) {
+    for await (const [key, value] of this.db.iterator(RECORDS)) {
       if (key.startsWith(prefix)) {
-        const record = MessageRecord.fromJSON(value);
+        const record = decodeRecord(value);
         if (!record.isExpired()) {
           messages.push(record);
         }
@@ -258,6 +593,27 @@ export class DHTMessageStorage {
     return messages.sort((a, b) => a.timestamp - b.timestamp);
   }
 
+  /**
+   * Get the messages for a recipient stored after a sync cursor
+   * @param {string} recipient - Recipient address or routing token
+   * @param {number} since - Sequence number of the last record synced
+   * @returns {MessageRecord[]} - In the order they were stored
+   */
+  async getMessagesSince(recipient, since = 0) {
+    const messages = [];
+    // Keys of one recipient sort between "recipient:" and "recipient;"
+    const range = { gt: `${recipient}:`, lt: `${recipient};` };
+
+    for await (const value of this.db.values(range)) {
+      const record = decodeRecord(value);
+      if (record.recipient === recipient && record.sequence > since && !record.isExpired()) {
+        messages.push(record);
+      }
+    }
+
+    return messages.sort((a, b) => a.sequence - b.sequence);
+  }
+
   /**
    * Get a specific message
    * @param {string} recipient - Recipient address
@@ -267,8 +623,7 @@ export class DHTMessageStorage {
   async getMessage(recipient, messageId) {
     const key = messageKey(recipient, messageId);
     try {
-      const data = await this.db.get(key);
-      const record = MessageRecord.fromJSON(data);
+      const record = decodeRecord(await this.db.get(key));
       return record.isExpired() ? null : record;
     } catch (e) {
       return null;
@@ -283,7 +638,8 @@ export class DHTMessageStorage {
   async deleteMessage(recipient, messageId) {
     const key = messageKey(recipient, messageId);
     try {
-      await this.db.del(key);
+      // Not while its proofs are being updated (addProofs)
+      await this.serialize(() => this.db.del(key));
       console.log(`Deleted message ${messageId.slice(0, 8)}...`);
     } catch (e) {
       // May already be deleted
@@ -309,9 +665,9 @@ export class DHTMessageStorage {
     let totalSize = 0;
     const recipientCounts = new Map();
 
-    for await (const [key, value] of this.db.iterator()) {
+    for await (const [key, value] of this.db.iterator(RECORDS)) {
       messageCount++;
-      totalSize += JSON.stringify(value).length;
+      totalSize += value.length;
 
       const recipient = key.split(':')[0];
       recipientCounts.set(recipient, (recipientCounts.get(recipient) || 0) + 1);
@@ -331,8 +687,8 @@ export class DHTMessageStorage {
   async cleanupExpired() {
     const toDelete = [];
 
-    for await (const [key, value] of this.db.iterator()) {
-      const record = MessageRecord.fromJSON(value);
+    for await (const [key, value] of this.db.iterator(RECORDS)) {
+      const record = decodeRecord(value);
       if (record.isExpired()) {
         toDelete.push(key);
       }
@@ -342,6 +698,14 @@ export class DHTMessageStorage {
       await this.db.del(key);
     }
 
+    // Stamps too old to be accepted again need not be remembered
+    const now = Date.now();
+    for await (const [hash, { until }] of this.stamps.iterator()) {
+      if (!(until > now)) {
+        await this.stamps.del(hash);
+      }
+    }
+
     if (toDelete.length > 0) {
       console.log(`Cleaned up ${toDelete.length} expired messages`);
     }
@@ -362,8 +726,7 @@ export class DHTMessageStorage {
       try {
         // Note: Full verification requires the verifier for each node
         // For now, we just check the hash matches
-        const messageData = Buffer.from(record.data, 'base64');
-        const expectedHash = Buffer.from(sha256(messageData)).toString('hex');
+        const expectedHash = Buffer.from(sha256(record.data)).toString('hex');
 
         if (proof.messageHash === expectedHash) {
           valid++;
@@ -424,26 +787,42 @@ export class DHTCoordinator {
   /**
    * Store a message with replication
    * @param {string} recipient - Recipient address
-   * @param {string} data - Message data (base64)
-   * @returns {MessageRecord}
+   * @param {Uint8Array} data - Encoded envelope
+   * @returns {MessageRecord|null} - null if the envelope is stored already
    */
   async storeWithReplication(recipient, data) {
     // Store locally first
     const record = await this.storage.store(recipient, data);
+    if (!record) {
+      // Stored and replicated when it first came
+      return null;
+    }
 
     // Find nodes to replicate to
     const targetNodes = await this.findStorageNodes(recipient);
     console.log(`Replicating to ${targetNodes.length} nodes...`);
 
     // Replicate to other nodes
+    const replicated = record.replicationCount;
     for (const peerId of targetNodes) {
       try {
-        await this.replicateTo(peerId, record);
+        const receipt = await this.replicateTo(peerId, record);
+        if (receipt && await verifyDeliveryReceipt(receipt, record.data, peerId)) {
+          record.addProof(StorageProof.fromJSON(receipt));
+        }
       } catch (e) {
         console.log(`Replication to ${peerId.slice(0, 16)}... failed: ${e.message}`);
       }
     }
 
+    // Our copy lists the replicas, so acks reach them (acknowledge), unless
+    // it was acked while we replicated: the replicas then keep theirs until
+    // it expires
+    const proofs = record.storageProofs.slice(replicated);
+    if (proofs.length > 0 && !await this.storage.addProofs(recipient, record.id, proofs)) {
+      console.log(`Message ${record.id.slice(0, 8)}... was deleted while replicating`);
+    }
+
     return record;
   }
 
@@ -451,36 +830,70 @@ export class DHTCoordinator {
    * Replicate a message to a specific peer
    * @param {string} peerId - Target peer ID
    * @param {MessageRecord} record - Message record to replicate
+   * @returns {Promise<Object|null>} - The replica's storage proof
    */
   async replicateTo(peerId, record) {
-    const { pipe } = await import('it-pipe');
-    const lp = await import('it-length-prefixed');
-
-    const stream = await this.node.dialProtocol(peerId, STORE_PROTOCOL);
-
-    const request = JSON.stringify({
+    const response = await storageRequest(this.node, peerId, STORE_PROTOCOL, {
       action: 'store',
-      record: record.toJSON()
+      record: record.toWire()
     });
 
-    await pipe(
-      [new TextEncoder().encode(request)],
-      (source) => lp.encode(source),
-      stream.sink
-    );
+    if (response?.error) {
+      throw new Error(response.error);
+    }
 
-    // Read response
-    let response;
-    for await (const msg of lp.decode(stream.source)) {
-      response = JSON.parse(new TextDecoder().decode(msg.subarray()));
-      break;
+    console.log(`Replicated to ${peerId.slice(0, 16)}...`);
+    return response?.receipt || null;
+  }
+
+  /**
+   * Delete the records an ack names, and forward the ack to the other
+   * relays whose storage proofs the records carry
+   * Replicas do the same, and stop once the records are gone.
+   * @param {Object} ack - Verified ack (verifyMailboxAck)
+   * @returns {Promise<number>} - Records deleted here
+   */
+  async acknowledge(ack) {
+    const replicas = new Set();
+    let deleted = 0;
+
+    for (const id of ack.ids) {
+      const record = await this.storage.getMessage(ack.mailbox, id);
+      if (!record) continue;
+      for (const proof of record.storageProofs) {
+        if (proof.nodeId && proof.nodeId !== this.storage.nodeId) {
+          replicas.add(proof.nodeId);
+        }
+      }
+      await this.storage.deleteMessage(ack.mailbox, id);
+      deleted++;
     }
 
+    for (const peerId of replicas) {
+      try {
+        await this.forwardAck(peerId, ack);
+      } catch (e) {
+        console.log(`Ack forward to ${peerId.slice(0, 16)}... failed: ${e.message}`);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Forward an ack to a relay holding copies of the records
+   * @param {string} peerId - Replica peer ID
+   * @param {Object} ack
+   */
+  async forwardAck(peerId, ack) {
+    const response = await storageRequest(this.node, peerId, STORE_PROTOCOL, {
+      action: 'ack',
+      acks: [ack]
+    });
+
     if (response?.error) {
       throw new Error(response.error);
     }
-
-    console.log(`Replicated to ${peerId.slice(0, 16)}...`);
   }
 
   /**
@@ -526,29 +939,11 @@ export class DHTCoordinator {
    * @returns {MessageRecord[]}
    */
   async fetchFrom(peerId, recipient) {
-    const { pipe } = await import('it-pipe');
-    const lp = await import('it-length-prefixed');
-
-    const stream = await this.node.dialProtocol(peerId, FETCH_PROTOCOL);
-
-    const request = JSON.stringify({
+    const response = await storageRequest(this.node, peerId, FETCH_PROTOCOL, {
       action: 'fetch',
       recipient
     });
 
-    await pipe(
-      [new TextEncoder().encode(request)],
-      (source) => lp.encode(source),
-      stream.sink
-    );
-
-    // Read response
-    let response;
-    for await (const msg of lp.decode(stream.source)) {
-      response = JSON.parse(new TextDecoder().decode(msg.subarray()));
-      break;
-    }
-
     if (response?.error) {
       throw new Error(response.error);
     }
@@ -0,0 +1,258 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { ed25519 } from '@noble/curves/ed25519';
+import { generateKeyPairFromSeed } from '@libp2p/crypto/keys';
+import { peerIdFromPrivateKey } from '@libp2p/peer-id';
+import { Identity } from '../crypto/identity.js';
+import { signMailboxAck } from '../crypto/mailbox.js';
+import { sealEnvelope, stampEnvelope, STAMP_MAX_SKEW } from '../protocol/envelope.js';
+import { encodeEnvelope } from '../protocol/wire.js';
+import { DHTMessageStorage, DHTCoordinator, StorageProof, verifyDeliveryReceipt } from './dht-storage.js';
+
+const RECIPIENT = 'dm1recipient';
+
+function data(text) {
+  return new TextEncoder().encode(text);
+}
+
+// A relay's peer ID and the key its receipts are signed with
+async function relayKey() {
+  const seed = new Uint8Array(randomBytes(32));
+  const peerId = peerIdFromPrivateKey(await generateKeyPairFromSeed('Ed25519', seed));
+  return { nodeId: peerId.toString(), sign: (bytes) => ed25519.sign(bytes, seed) };
+}
+
+describe('DHTMessageStorage sequence numbers', () => {
+  let dir;
+  let realNow;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'dht-storage-'));
+    realNow = Date.now;
+  });
+
+  after(() => {
+    Date.now = realNow;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('numbers records stored together in the order they are written', async () => {
+    const storage = new DHTMessageStorage({ dbPath: join(dir, 'together') });
+    await storage.init();
+    try {
+      const first = storage.sequence;
+      const records = await Promise.all(
+        Array.from({ length: 10 }, (_, i) => storage.store(RECIPIENT, data(`message ${i}`)))
+      );
+      assert.deepEqual(records.map(record => record.sequence), records.map((_, i) => first + 1 + i));
+
+      const synced = await storage.getMessagesSince(RECIPIENT, first + 5);
+      assert.deepEqual(synced.map(record => record.id), records.slice(5).map(record => record.id));
+      assert.equal((await storage.getStats()).messageCount, 10);
+    } finally {
+      await storage.close();
+    }
+  });
+
+  it('keeps counting after a restart, even with the clock set back', async () => {
+    const dbPath = join(dir, 'restart');
+    let storage = new DHTMessageStorage({ dbPath });
+    await storage.init();
+    const stored = await storage.store(RECIPIENT, data('before'));
+    await storage.deleteMessage(RECIPIENT, stored.id);
+    await storage.close();
+
+    Date.now = () => realNow() - 30 * 24 * 60 * 60 * 1000;
+    storage = new DHTMessageStorage({ dbPath });
+    await storage.init();
+    try {
+      const record = await storage.store(RECIPIENT, data('after'));
+      assert.equal(record.sequence, stored.sequence + 1);
+      assert.deepEqual((await storage.getMessagesSince(RECIPIENT, stored.sequence)).map(r => r.id), [record.id]);
+    } finally {
+      Date.now = realNow;
+      await storage.close();
+    }
+  });
+});
+
+describe('delivery receipts', () => {
+  it('accepts a receipt signed with the key of the peer ID', async () => {
+    const relay = await relayKey();
+    const proof = await StorageProof.create(relay.nodeId, data('envelope'), relay.sign);
+    assert.equal(await verifyDeliveryReceipt(proof.toJSON(), data('envelope'), relay.nodeId), true);
+    assert.equal(await verifyDeliveryReceipt(proof.toJSON(), data('other envelope'), relay.nodeId), false);
+  });
+
+  it('ignores a public key sent along with the receipt', async () => {
+    const relay = await relayKey();
+    const seed = new Uint8Array(randomBytes(32));
+    const proof = await StorageProof.create(relay.nodeId, data('envelope'), (bytes) => ed25519.sign(bytes, seed));
+    const receipt = { ...proof.toJSON(), publicKey: Buffer.from(ed25519.getPublicKey(seed)).toString('hex') };
+    assert.equal(await verifyDeliveryReceipt(receipt, data('envelope'), relay.nodeId), false);
+  });
+
+  it('rejects a receipt from another relay', async () => {
+    const relay = await relayKey();
+    const other = await relayKey();
+    const proof = await StorageProof.create(relay.nodeId, data('envelope'), relay.sign);
+    assert.equal(await verifyDeliveryReceipt(proof.toJSON(), data('envelope'), other.nodeId), false);
+  });
+});
+
+describe('DHTMessageStorage envelopes stored once', () => {
+  const recipient = Identity.generate();
+  let dir;
+  let storage;
+  let realNow;
+
+  async function envelopeData(body) {
+    const envelope = await sealEnvelope(Identity.generate(), { version: '2.0.0' })
+      .to(recipient.address, { encryptionKey: recipient.encryptionPublicKey })
+      .body(body)
+      .build();
+    return { routingToken: envelope.routingToken, data: encodeEnvelope(stampEnvelope(envelope, 8)) };
+  }
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'dht-storage-'));
+    realNow = Date.now;
+    storage = new DHTMessageStorage({ dbPath: dir });
+    await storage.init();
+  });
+
+  after(async () => {
+    Date.now = realNow;
+    await storage.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores an envelope that arrives twice once', async () => {
+    const { routingToken, data } = await envelopeData('Twice');
+    const [first, second] = await Promise.all([storage.store(routingToken, data), storage.store(routingToken, data)]);
+    const stored = first || second;
+    assert.ok(stored);
+    assert.equal(first && second, null);
+
+    assert.equal((await storage.getStoredEnvelope(data)).id, stored.id);
+    assert.equal((await storage.getMessages(routingToken)).length, 1);
+  });
+
+  it('refuses a replayed record even after the first one was acked', async () => {
+    const { routingToken, data } = await envelopeData('Replayed');
+    const record = await storage.store(routingToken, data);
+    await storage.deleteMessage(routingToken, record.id);
+
+    assert.equal(await storage.store(routingToken, data), null);
+    assert.equal(await storage.getStoredEnvelope(data), null);
+  });
+
+  it('forgets envelopes once their stamps are too old to be taken', async () => {
+    const { routingToken, data } = await envelopeData('Old');
+    await storage.store(routingToken, data);
+
+    Date.now = () => realNow() + 2 * STAMP_MAX_SKEW;
+    try {
+      await storage.cleanupExpired();
+    } finally {
+      Date.now = realNow;
+    }
+    assert.equal(await storage.getStoredEnvelope(data), null);
+  });
+
+  it('drops an envelope at the expiry its sender hinted', async () => {
+    const envelope = await sealEnvelope(Identity.generate())
+      .to(recipient.address, { encryptionKey: recipient.encryptionPublicKey })
+      .body('Expiring')
+      .expiresAt(Date.now() + 60 * 1000)
+      .build();
+    const record = await storage.store(envelope.routingToken, encodeEnvelope(stampEnvelope(envelope, 8)));
+    assert.equal(record.expires, envelope.expires);
+    assert.ok((await storage.getMessages(envelope.routingToken)).some(stored => stored.id === record.id));
+
+    Date.now = () => envelope.expires + 1;
+    try {
+      assert.ok(!(await storage.getMessages(envelope.routingToken)).some(stored => stored.id === record.id));
+      assert.ok(await storage.cleanupExpired() >= 1);
+    } finally {
+      Date.now = realNow;
+    }
+    assert.equal(await storage.getMessage(envelope.routingToken, record.id), null);
+  });
+});
+
+describe('DHTCoordinator acks and replication', () => {
+  const owner = Identity.generate();
+  let dir;
+  let storage;
+  let coordinator;
+  let self;
+  let replicas;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'dht-storage-'));
+    self = await relayKey();
+    replicas = [await relayKey(), await relayKey()];
+    storage = new DHTMessageStorage({ dbPath: dir, nodeId: self.nodeId, signFn: self.sign });
+    await storage.init();
+    // No libp2p node: the network calls are stubbed per test
+    coordinator = new DHTCoordinator(null, storage);
+    coordinator.findStorageNodes = async () => replicas.map(replica => replica.nodeId);
+  });
+
+  after(async () => {
+    await storage.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Replicas answer with receipts signed by their own keys
+  function replicateTo(peerId, record) {
+    const replica = replicas.find(candidate => candidate.nodeId === peerId);
+    return StorageProof.create(peerId, record.data, replica.sign).then(proof => proof.toJSON());
+  }
+
+  it('lists the replicas on our copy, and forwards acks to them', async () => {
+    coordinator.replicateTo = replicateTo;
+    const record = await coordinator.storeWithReplication(owner.address, data('replicated'));
+    const stored = await storage.getMessage(owner.address, record.id);
+    assert.deepEqual(stored.storageProofs.map(proof => proof.nodeId), [self.nodeId, ...replicas.map(r => r.nodeId)]);
+
+    const forwarded = [];
+    coordinator.forwardAck = async (peerId, ack) => { forwarded.push([peerId, ack]); };
+    const ack = signMailboxAck(owner, owner.address, [record.id, 'unknown']);
+    assert.equal(await coordinator.acknowledge(ack), 1);
+
+    assert.equal(await storage.getMessage(owner.address, record.id), null);
+    assert.deepEqual(forwarded, replicas.map(replica => [replica.nodeId, ack]));
+  });
+
+  it('does not list a replica whose receipt does not verify', async () => {
+    coordinator.replicateTo = async (peerId, record) => {
+      const receipt = await replicateTo(peerId, record);
+      return peerId === replicas[0].nodeId ? receipt : { ...receipt, nodeId: replicas[0].nodeId };
+    };
+    const record = await coordinator.storeWithReplication(owner.address, data('one good receipt'));
+    const stored = await storage.getMessage(owner.address, record.id);
+    assert.deepEqual(stored.storageProofs.map(proof => proof.nodeId), [self.nodeId, replicas[0].nodeId]);
+  });
+
+  it('does not write back a record acked while it was replicated', async () => {
+    const acked = [];
+    coordinator.forwardAck = async () => {};
+    coordinator.replicateTo = async (peerId, record) => {
+      if (acked.length === 0) {
+        acked.push(await coordinator.acknowledge(signMailboxAck(owner, owner.address, [record.id])));
+      }
+      return replicateTo(peerId, record);
+    };
+
+    const record = await coordinator.storeWithReplication(owner.address, data('acked meanwhile'));
+    assert.deepEqual(acked, [1]);
+    assert.equal(await storage.getMessage(owner.address, record.id), null);
+    assert.ok(!(await storage.getMessages(owner.address)).some(stored => stored.id === record.id));
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Key Directory Storage for dMail relay nodes
+ *
+ * Relays keep the newest valid signed key record for every address that
+ * publishes to them, plus every revocation certificate. Records are verified
+ * on the way in and on the way out, so a relay can only withhold keys, never
+ * substitute them. A revoked key is never served again.
+ *
+ * Linked device lists (see devices.js) are kept the same way, newest
+ * sequence wins, and so are ML-KEM-768 records (newest wins, never for a
+ * revoked key).
+ */
+
+import { Level } from 'level';
+import { KeyRecord, KeyRevocation, KemKeyRecord } from '../crypto/key-directory.js';
+import { DeviceList } from '../crypto/devices.js';
+
+export const KEYS_PROTOCOL = '/dmail/keys/1.0.0';
+
+/**
+ * DHT key for an address's key record (namespace must match the relay's
+ * kad-dht validator)
+ * @param {string} address - The dMail address
+ * @returns {Uint8Array}
+ */
+export function keyRecordDHTKey(address) {
+  return new TextEncoder().encode(`/dmail/keys/${address}`);
+}
+
+/**
+ * DHT key for a revocation certificate
+ * @param {string} address - The dMail address
+ * @param {string} keyId - Revoked key ID
+ * @returns {Uint8Array}
+ */
+export function revocationDHTKey(address, keyId) {
+  return new TextEncoder().encode(`/dmail/revocations/${address}/${keyId}`);
+}
+
+/**
+ * DHT key for an address's device list
+ * @param {string} address - The dMail address
+ * @returns {Uint8Array}
+ */
+export function deviceListDHTKey(address) {
+  return new TextEncoder().encode(`/dmail/devices/${address}`);
+}
+
+/**
+ * DHT key for an address's ML-KEM-768 record
+ * @param {string} address - The dMail address
+ * @returns {Uint8Array}
+ */
+export function kemRecordDHTKey(address) {
+  return new TextEncoder().encode(`/dmail/kem/${address}`);
+}
+
+/**
+ * Key Directory Storage
+ */
+export class KeyDirectoryStorage {
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.dbPath = options.dbPath;
+  }
+
+  async init() {
+    if (!this.db && this.dbPath) {
+      this.db = new Level(this.dbPath, { valueEncoding: 'json' });
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.close();
+    }
+  }
+
+  /**
+   * Store a key record if it is valid and newer than what we have
+   * @param {Object} json - Key record JSON
+   * @returns {{stored: boolean, reason?: string}}
+   */
+  async publish(json) {
+    const record = KeyRecord.fromJSON(json);
+    if (!record.verify()) {
+      return { stored: false, reason: 'invalid_record' };
+    }
+    if (await this.isRevoked(record.address, record.keyId)) {
+      return { stored: false, reason: 'revoked_key' };
+    }
+
+    const existing = await this.lookup(record.address);
+    if (existing && existing.created >= record.created) {
+      return { stored: false, reason: 'stale_record' };
+    }
+
+    await this.db.put(`key:${record.address}`, record.toJSON());
+    return { stored: true };
+  }
+
+  /**
+   * Get the current key record for an address
+   * @param {string} address - The dMail address
+   * @returns {KeyRecord|null}
+   */
+  async lookup(address) {
+    let record;
+    try {
+      record = KeyRecord.fromJSON(await this.db.get(`key:${address}`));
+    } catch (e) {
+      return null;
+    }
+    if (!record.verify(address) || await this.isRevoked(address, record.keyId)) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Store a revocation certificate
+   * @param {Object} json - Key revocation JSON
+   * @returns {{stored: boolean, reason?: string}}
+   */
+  async revoke(json) {
+    const revocation = KeyRevocation.fromJSON(json);
+    if (!revocation.verify()) {
+      return { stored: false, reason: 'invalid_revocation' };
+    }
+    if (await this.isRevoked(revocation.address, revocation.keyId)) {
+      return { stored: false, reason: 'already_revoked' };
+    }
+
+    await this.db.put(`revoked:${revocation.address}:${revocation.keyId}`, revocation.toJSON());
+    return { stored: true };
+  }
+
+  async isRevoked(address, keyId) {
+    try {
+      await this.db.get(`revoked:${address}:${keyId}`);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * All revocation certificates for an address
+   * @returns {Promise<KeyRevocation[]>}
+   */
+  async revocations(address) {
+    const revocations = [];
+    for await (const value of this.db.values({ gte: `revoked:${address}:`, lt: `revoked:${address};` })) {
+      revocations.push(KeyRevocation.fromJSON(value));
+    }
+    return revocations;
+  }
+
+  /**
+   * Store a device list if it is valid and newer than what we have
+   * @param {Object} json - Device list JSON
+   * @returns {{stored: boolean, reason?: string}}
+   */
+  async publishDevices(json) {
+    const list = DeviceList.fromJSON(json);
+    if (!list.verify()) {
+      return { stored: false, reason: 'invalid_device_list' };
+    }
+
+    const existing = await this.devices(list.address);
+    if (existing && existing.sequence >= list.sequence) {
+      return { stored: false, reason: 'stale_device_list' };
+    }
+
+    await this.db.put(`devices:${list.address}`, list.toJSON());
+    return { stored: true };
+  }
+
+  /**
+   * Get the current device list for an address
+   * @param {string} address - The dMail address
+   * @returns {DeviceList|null}
+   */
+  async devices(address) {
+    let list;
+    try {
+      list = DeviceList.fromJSON(await this.db.get(`devices:${address}`));
+    } catch (e) {
+      return null;
+    }
+    return list.verify(address) ? list : null;
+  }
+
+  /**
+   * Store an ML-KEM-768 record if it is valid and newer than what we have
+   * @param {Object} json - KEM key record JSON
+   * @returns {{stored: boolean, reason?: string}}
+   */
+  async publishKem(json) {
+    const record = KemKeyRecord.fromJSON(json);
+    if (!record.verify()) {
+      return { stored: false, reason: 'invalid_kem_record' };
+    }
+    if (await this.isRevoked(record.address, record.keyId)) {
+      return { stored: false, reason: 'revoked_key' };
+    }
+
+    const existing = await this.kemRecord(record.address);
+    if (existing && existing.created >= record.created) {
+      return { stored: false, reason: 'stale_kem_record' };
+    }
+
+    await this.db.put(`kem:${record.address}`, record.toJSON());
+    return { stored: true };
+  }
+
+  /**
+   * Get the current ML-KEM-768 record for an address
+   * @param {string} address - The dMail address
+   * @returns {KemKeyRecord|null}
+   */
+  async kemRecord(address) {
+    let record;
+    try {
+      record = KemKeyRecord.fromJSON(await this.db.get(`kem:${address}`));
+    } catch (e) {
+      return null;
+    }
+    if (!record.verify(address) || await this.isRevoked(address, record.keyId)) {
+      return null;
+    }
+    return record;
+  }
+}
+
+export default KeyDirectoryStorage;
@@ -0,0 +1,131 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { x25519 } from '@noble/curves/ed25519';
+import { Identity } from '../crypto/identity.js';
+import { KeyRecord, KeyRevocation, KemKeyRecord } from '../crypto/key-directory.js';
+import { deriveKemKeyPair } from '../crypto/encryption.js';
+import { DeviceLinkRequest, DeviceList } from '../crypto/devices.js';
+import { KeyDirectoryStorage } from './key-directory.js';
+
+// A key record for a fresh subkey, created some time ago
+function subkeyRecord(identity, age = 0) {
+  const realNow = Date.now;
+  Date.now = () => realNow() - age;
+  try {
+    return KeyRecord.create(identity, undefined, { publicKey: x25519.getPublicKey(new Uint8Array(randomBytes(32))) });
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+describe('KeyDirectoryStorage', () => {
+  const alice = Identity.generate();
+  const mallory = Identity.generate();
+  let dir;
+  let storage;
+
+  before(async () => {
+    dir = mkdtempSync(join(tmpdir(), 'key-directory-'));
+    storage = new KeyDirectoryStorage({ dbPath: dir });
+    await storage.init();
+  });
+
+  after(async () => {
+    await storage.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the newest key record and refuses stale ones', async () => {
+    const older = subkeyRecord(alice, 2000);
+    const newer = subkeyRecord(alice, 1000);
+
+    assert.deepEqual(await storage.publish(newer.toJSON()), { stored: true });
+    assert.deepEqual(await storage.publish(older.toJSON()), { stored: false, reason: 'stale_record' });
+    assert.deepEqual(await storage.publish(newer.toJSON()), { stored: false, reason: 'stale_record' });
+    assert.equal((await storage.lookup(alice.address)).keyId, newer.keyId);
+
+    const newest = subkeyRecord(alice);
+    assert.deepEqual(await storage.publish(newest.toJSON()), { stored: true });
+    assert.equal((await storage.lookup(alice.address)).keyId, newest.keyId);
+  });
+
+  it('refuses key records not signed by the address they are for', async () => {
+    const current = (await storage.lookup(alice.address)).toJSON();
+
+    // Mallory's record, relabelled as Alice's
+    const forged = { ...subkeyRecord(mallory).toJSON(), address: alice.address, created: Date.now() };
+    assert.deepEqual(await storage.publish(forged), { stored: false, reason: 'invalid_record' });
+
+    // Alice's record with Mallory's key swapped in
+    const swapped = { ...subkeyRecord(alice).toJSON(), encryptionKey: Buffer.from(mallory.encryptionPublicKey).toString('base64') };
+    assert.deepEqual(await storage.publish(swapped), { stored: false, reason: 'invalid_record' });
+
+    const expired = { ...current, expires: Date.now() - 1 };
+    assert.deepEqual(await storage.publish(expired), { stored: false, reason: 'invalid_record' });
+    assert.equal((await storage.lookup(alice.address)).keyId, KeyRecord.fromJSON(current).keyId);
+  });
+
+  it('does not serve a record substituted in its database', async () => {
+    const bob = Identity.generate();
+    await storage.db.put(`key:${bob.address}`, { ...subkeyRecord(mallory).toJSON(), address: bob.address });
+    assert.equal(await storage.lookup(bob.address), null);
+
+    // Nor a valid record under another address
+    await storage.db.put(`key:${bob.address}`, subkeyRecord(mallory).toJSON());
+    assert.equal(await storage.lookup(bob.address), null);
+  });
+
+  it('never serves or takes back a revoked key', async () => {
+    const record = await storage.lookup(alice.address);
+    const forged = { ...KeyRevocation.create(mallory, record.keyId).toJSON(), address: alice.address };
+    assert.deepEqual(await storage.revoke(forged), { stored: false, reason: 'invalid_revocation' });
+    assert.ok(await storage.lookup(alice.address));
+
+    const revocation = KeyRevocation.create(alice, record.keyId, 'compromised');
+    assert.deepEqual(await storage.revoke(revocation.toJSON()), { stored: true });
+    assert.deepEqual(await storage.revoke(revocation.toJSON()), { stored: false, reason: 'already_revoked' });
+    assert.equal(await storage.lookup(alice.address), null);
+    assert.deepEqual(await storage.publish(record.toJSON()), { stored: false, reason: 'revoked_key' });
+    assert.deepEqual((await storage.revocations(alice.address)).map(entry => entry.keyId), [record.keyId]);
+  });
+
+  it('keeps ML-KEM records the same way', async () => {
+    const carol = Identity.generate();
+    const kemKey = () => deriveKemKeyPair(new Uint8Array(randomBytes(32))).publicKey;
+    const older = KemKeyRecord.create(carol, subkeyRecord(carol, 1000), kemKey());
+    const newer = KemKeyRecord.create(carol, subkeyRecord(carol), kemKey());
+
+    assert.deepEqual(await storage.publishKem(newer.toJSON()), { stored: true });
+    assert.deepEqual(await storage.publishKem(older.toJSON()), { stored: false, reason: 'stale_kem_record' });
+
+    const forged = { ...KemKeyRecord.create(mallory, subkeyRecord(mallory), kemKey()).toJSON(), address: carol.address, created: Date.now() };
+    assert.deepEqual(await storage.publishKem(forged), { stored: false, reason: 'invalid_kem_record' });
+    assert.equal((await storage.kemRecord(carol.address)).kemKey, newer.kemKey);
+  });
+
+  it('keeps device lists the same way', async () => {
+    const dave = Identity.generate();
+    const device = Identity.generateDevice(dave.address);
+    const request = DeviceLinkRequest.create(device, 'Laptop');
+    const entry = {
+      deviceId: request.deviceId,
+      name: request.name,
+      signingKey: request.signingKey,
+      encryptionKey: request.encryptionKey,
+      linked: Date.now()
+    };
+    const first = DeviceList.create(dave, { sequence: 1, devices: [entry], revoked: [] });
+    const second = DeviceList.create(dave, { sequence: 2, devices: [entry], revoked: [{ deviceId: entry.deviceId, revoked: Date.now() }] });
+
+    assert.deepEqual(await storage.publishDevices(second.toJSON()), { stored: true });
+    assert.deepEqual(await storage.publishDevices(first.toJSON()), { stored: false, reason: 'stale_device_list' });
+
+    const forged = { ...DeviceList.create(mallory, { sequence: 3, devices: [entry], revoked: [] }).toJSON(), address: dave.address };
+    assert.deepEqual(await storage.publishDevices(forged), { stored: false, reason: 'invalid_device_list' });
+    assert.equal((await storage.devices(dave.address)).sequence, 2);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Prekey Storage for dMail relay nodes
+ *
+ * Relays host X3DH prekey bundles so senders can start a ratchet session
+ * with a recipient who is offline. Each fetch hands out (and deletes) one
+ * one-time prekey; once they run out, bundles fall back to the signed
+ * prekey alone until the owner uploads more.
+ */
+
+import { Level } from 'level';
+import { verifyPrekeyUpload } from '../crypto/x3dh.js';
+
+export const PREKEYS_PROTOCOL = '/dmail/prekeys/1.0.0';
+
+const MAX_ONE_TIME_PREKEYS = 100; // Per address
+
+/**
+ * Prekey Storage
+ */
+export class PrekeyStorage {
+  constructor(options = {}) {
+    this.db = options.db || null;
+    this.dbPath = options.dbPath;
+  }
+
+  async init() {
+    if (!this.db && this.dbPath) {
+      this.db = new Level(this.dbPath, { valueEncoding: 'json' });
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      await this.db.close();
+    }
+  }
+
+  /**
+   * Store a signed prekey upload
+   * @param {Object} upload - Output of createPrekeyUpload
+   * @returns {{stored: boolean, reason?: string, count?: number}}
+   */
+  async upload(upload) {
+    if (!verifyPrekeyUpload(upload)) {
+      return { stored: false, reason: 'invalid_upload' };
+    }
+
+    const existing = await this.getBundle(upload.address);
+    // Replaying an old upload would re-add one-time prekeys already handed out
+    if (existing && existing.timestamp >= upload.timestamp) {
+      return { stored: false, reason: 'stale_upload' };
+    }
+
+    await this.db.put(`bundle:${upload.address}`, {
+      address: upload.address,
+      identityKey: upload.identityKey,
+      signedPrekey: upload.signedPrekey,
+      timestamp: upload.timestamp
+    });
+
+    let count = await this.count(upload.address);
+    for (const prekey of upload.oneTimePrekeys) {
+      if (count >= MAX_ONE_TIME_PREKEYS) break;
+      await this.db.put(`otk:${upload.address}:${String(prekey.id).padStart(10, '0')}`, prekey);
+      count++;
+    }
+
+    return { stored: true, count };
+  }
+
+  async getBundle(address) {
+    try {
+      return await this.db.get(`bundle:${address}`);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a bundle for an address, consuming one one-time prekey
+   * @param {string} address - The dMail address
+   * @returns {Object|null} - {address, identityKey, signedPrekey, oneTimePrekey}
+   */
+  async fetch(address) {
+    const bundle = await this.getBundle(address);
+    if (!bundle) return null;
+
+    let oneTimePrekey = null;
+    for await (const [key, value] of this.db.iterator({
+      gte: `otk:${address}:`,
+      lt: `otk:${address};`,
+      limit: 1
+    })) {
+      oneTimePrekey = value;
+      await this.db.del(key);
+    }
+
+    return {
+      address: bundle.address,
+      identityKey: bundle.identityKey,
+      signedPrekey: bundle.signedPrekey,
+      oneTimePrekey
+    };
+  }
+
+  /**
+   * Count remaining one-time prekeys for an address
+   */
+  async count(address) {
+    let count = 0;
+    for await (const _ of this.db.keys({ gte: `otk:${address}:`, lt: `otk:${address};` })) {
+      count++;
+    }
+    return count;
+  }
+}
+
+export default PrekeyStorage;
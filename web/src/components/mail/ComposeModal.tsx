@@ -2,10 +2,18 @@ import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Textarea } from '@/components/ui/textarea'
-import { X, Send, Lock, Loader2 } from 'lucide-react'
+import { X, Send, Lock, Loader2, Timer } from 'lucide-react'
 import { api } from '@/lib/api'
 import { useMailStore } from '@/store/mail'
 
+// Self-destruct choices, as durations for the API's expiresIn
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never' },
+  { value: '1h', label: '1 hour' },
+  { value: '1d', label: '1 day' },
+  { value: '7d', label: '7 days' },
+]
+
 interface ComposeModalProps {
   isOpen: boolean
   onClose: () => void
@@ -17,6 +25,7 @@ export function ComposeModal({ isOpen, onClose, replyTo, replySubject }: Compose
   const [to, setTo] = useState('')
   const [subject, setSubject] = useState('')
   const [body, setBody] = useState('')
+  const [expiresIn, setExpiresIn] = useState('')
   const [sending, setSending] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const { addToSent } = useMailStore()
@@ -43,7 +52,7 @@ export function ComposeModal({ isOpen, onClose, replyTo, replySubject }: Compose
     setError(null)
 
     try {
-      const result = await api.sendMessage(to.trim(), subject, body)
+      const result = await api.sendMessage(to.trim(), subject, body, expiresIn ? { expiresIn } : {})
 
       // Add to sent locally
       addToSent({
@@ -55,12 +64,14 @@ export function ComposeModal({ isOpen, onClose, replyTo, replySubject }: Compose
         timestamp: Date.now(),
         read: true,
         encrypted: true,
+        expiresAt: result.expiresAt ?? null,
       })
 
       onClose()
       setTo('')
       setSubject('')
       setBody('')
+      setExpiresIn('')
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to send message')
     } finally {
@@ -112,6 +123,25 @@ export function ComposeModal({ isOpen, onClose, replyTo, replySubject }: Compose
             />
           </div>
 
+          {/* Self-destruct */}
+          <div className="space-y-2">
+            <label className="text-sm font-medium flex items-center gap-2">
+              <Timer className="h-4 w-4" />
+              Delete after
+            </label>
+            <select
+              className="flex h-10 w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+              value={expiresIn}
+              onChange={(e) => setExpiresIn(e.target.value)}
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* Error */}
           {error && (
             <div className="p-3 bg-destructive/10 border border-destructive/20 rounded-lg text-destructive text-sm">
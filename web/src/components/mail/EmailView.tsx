@@ -3,7 +3,7 @@ import { ScrollArea } from '@/components/ui/scroll-area'
 import { Separator } from '@/components/ui/separator'
 import { formatChainmailAddress } from '@/lib/utils'
 import type { Email } from '@/store/mail'
-import { ArrowLeft, Lock, Reply, Trash2 } from 'lucide-react'
+import { ArrowLeft, Lock, Reply, Timer, Trash2 } from 'lucide-react'
 
 interface EmailViewProps {
   email: Email
@@ -70,6 +70,13 @@ export function EmailView({ email, onBack, onReply, type }: EmailViewProps) {
             </div>
           </div>
 
+          {email.expiresAt && (
+            <div className="flex items-center gap-2 mb-6 text-sm text-yellow-500">
+              <Timer className="h-4 w-4" />
+              <span>Deleted from {type === 'inbox' ? 'this device' : "the recipient's devices"} on {new Date(email.expiresAt).toLocaleString()}</span>
+            </div>
+          )}
+
           <Separator className="my-6" />
 
           {/* Body */}
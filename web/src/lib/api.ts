@@ -130,10 +130,15 @@ class ApiClient {
     }
   }
 
-  async sendMessage(to: string, subject: string, body: string): Promise<{ id: string }> {
+  async sendMessage(
+    to: string,
+    subject: string,
+    body: string,
+    options: { expiresIn?: string } = {}
+  ): Promise<{ id: string; expiresAt?: number | null }> {
     return this.fetch('/api/messages', {
       method: 'POST',
-      body: JSON.stringify({ to, subject, body }),
+      body: JSON.stringify({ to, subject, body, ...options }),
     })
   }
 
@@ -9,6 +9,7 @@ export interface Email {
   timestamp: number
   read: boolean
   encrypted: boolean
+  expiresAt?: number | null
 }
 
 interface MailState {